@@ -7,14 +7,96 @@
  */
 
 import geneExpressionEssentials from '../geneExpressionEssentials.js';
+import GeneFactory from './model/GeneFactory.js';
 
 const GEEQueryParameters = QueryStringMachine.getAll( {
 
   // show bounding rectangle for mRNA, useful for debugging
-  showMRnaBoundingRect: { type: 'flag' }
+  showMRnaBoundingRect: { type: 'flag' },
+
+  // seed for the random number generators used to simulate protein synthesis in the cells on the Multiple Cells
+  // screen, which makes it possible to reproduce a run exactly, e.g. seed=1234. If not provided, a seed is chosen at
+  // random.
+  seed: {
+    type: 'number',
+    defaultValue: null,
+    isValidValue: value => value === null || Number.isFinite( value )
+  },
+
+  // algorithm used to simulate the reactions in the cells on the Multiple Cells screen, where 'direct' and
+  // 'nextReaction' are exact, 'tauLeaping' is an approximation that is faster for large numbers of molecules, and
+  // 'deterministic' integrates the mass-action equations so that all cells behave identically and without noise
+  solver: {
+    type: 'string',
+    defaultValue: 'direct',
+    validValues: [ 'direct', 'nextReaction', 'tauLeaping', 'deterministic' ]
+  },
+
+  // error tolerance for the 'tauLeaping' solver, smaller values are more accurate but slower, limited to the range of
+  // the control for it on the Multiple Cells screen
+  tauLeapingTolerance: {
+    type: 'number',
+    defaultValue: 0.03,
+    isValidValue: value => value >= 0.003 && value <= 0.3
+  },
+
+  // genes on the DNA strand of the Expression screen, which replace the genes of the sim, as the JSON text of an array
+  // of gene descriptors in the format that is documented in GeneFactory, e.g. genes=[{"regulatoryRegionLength":16,...}]
+  genes: {
+    type: 'string',
+    defaultValue: null,
+    isValidValue: value => {
+      const descriptors = parseJSON( value );
+      return value === null || ( Array.isArray( descriptors ) && descriptors.every( isValidDescriptor ) );
+    }
+  },
+
+  // gene on the DNA strand of the mRNA screen, which replaces the gene of the sim, as the JSON text of a gene
+  // descriptor in the format that is documented in GeneFactory. It must have at least one positive and one negative
+  // site.
+  mRnaGene: {
+    type: 'string',
+    defaultValue: null,
+    isValidValue: value => {
+      const descriptor = parseJSON( value );
+      return value === null || ( isValidDescriptor( descriptor ) &&
+                                 _.some( descriptor.transcriptionFactorSites, site => site.positive ) &&
+                                 _.some( descriptor.transcriptionFactorSites, site => !site.positive ) );
+    }
+  }
 
 } );
 
+/**
+ * @param {string} text
+ * @returns {*} - the value of the JSON text, null if it isn't valid JSON
+ */
+function parseJSON( text ) {
+  try {
+    return JSON.parse( text );
+  }
+  catch( error ) {
+    return null;
+  }
+}
+
+/**
+ * @param {*} descriptor
+ * @returns {boolean} - true if the value is a gene descriptor that GeneFactory can build a gene from
+ */
+function isValidDescriptor( descriptor ) {
+  if ( !_.isPlainObject( descriptor ) ) {
+    return false;
+  }
+  try {
+    GeneFactory.parseDescriptor( descriptor );
+    return true;
+  }
+  catch( error ) {
+    return false;
+  }
+}
+
 geneExpressionEssentials.register( 'GEEQueryParameters', GEEQueryParameters );
 
 export default GEEQueryParameters;
\ No newline at end of file
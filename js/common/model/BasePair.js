@@ -3,8 +3,9 @@
 /**
  * Model class for the base pair in the DNA molecule. In the real world, a "base pair" is a pair of nitrogenous bases
  * that connects to the DNA backbone on one side and in the center of the DNA strand on the other. For the purposes of
- * this simulation, a base pair only needs to represent a structural element of the DNA, and the individual bases are
- * not actually encapsulated here (nor anywhere in this simulation).
+ * this simulation, a base pair is mostly a structural element of the DNA, but it also knows which of the nucleotides A,
+ * T, G and C is on the first strand, and the complementary nucleotide on the second strand that it pairs with, so that
+ * the DNA can carry a sequence.
  *
  * In this class the width of an individual base pair is a constant, but the height can vary. This is used to create the
  * illusion of a twisted strand of DNA - the shorter base pairs are the ones that are more angled, and the longer ones
@@ -20,20 +21,50 @@ import geneExpressionEssentials from '../../geneExpressionEssentials.js';
 // constants
 const BASE_PAIR_WIDTH = 13; // In picometers.  Not sure if this is close to real life, chosen to look decent in view.
 
+// the nucleotide that each nucleotide pairs with, A with T and G with C
+const COMPLEMENTS = {
+  A: 'T',
+  T: 'A',
+  G: 'C',
+  C: 'G'
+};
+const NUCLEOTIDES = Object.keys( COMPLEMENTS );
+
 class BasePair {
 
   /**
    * @param {number} centerPositionX
    * @param {number} topYPosition
    * @param {number} bottomYPosition
+   * @param {string} nucleotide - nucleotide on the first strand, one of A, T, G or C
    */
-  constructor( centerPositionX, topYPosition, bottomYPosition ) {
+  constructor( centerPositionX, topYPosition, bottomYPosition, nucleotide ) {
+    assert && assert( NUCLEOTIDES.includes( nucleotide ), `invalid nucleotide: ${nucleotide}` );
 
     // @public - values that indicate where the base pair is positioned
     this.x = centerPositionX - BASE_PAIR_WIDTH / 2;
     this.topYPosition = topYPosition;
     this.bottomYPosition = bottomYPosition;
     this.width = BASE_PAIR_WIDTH;
+
+    // @public {boolean} - whether the nucleotide of the first strand is the one at the top position, which alternates
+    // as the strands twist around one another
+    this.strand1AtTop = true;
+
+    // @public (read-only) {string} - nucleotides on the first and second strands
+    this.nucleotide = nucleotide;
+    this.complement = COMPLEMENTS[ nucleotide ];
+  }
+
+  /**
+   * Set the nucleotide on the first strand, which also sets the one on the second strand that it pairs with.
+   * @param {string} nucleotide - one of A, T, G or C
+   * @public
+   */
+  setNucleotide( nucleotide ) {
+    assert && assert( NUCLEOTIDES.includes( nucleotide ), `invalid nucleotide: ${nucleotide}` );
+    this.nucleotide = nucleotide;
+    this.complement = COMPLEMENTS[ nucleotide ];
   }
 
   /**
@@ -43,8 +74,38 @@ class BasePair {
   getCenterPositionX() {
     return this.x + BASE_PAIR_WIDTH / 2;
   }
+
+  /**
+   * @returns {string} - nucleotide at the top position
+   * @public
+   */
+  getTopNucleotide() {
+    return this.strand1AtTop ? this.nucleotide : this.complement;
+  }
+
+  /**
+   * @returns {string} - nucleotide at the bottom position
+   * @public
+   */
+  getBottomNucleotide() {
+    return this.strand1AtTop ? this.complement : this.nucleotide;
+  }
+
+  /**
+   * Get the nucleotide that pairs with a nucleotide.
+   * @param {string} nucleotide - one of A, T, G or C
+   * @returns {string}
+   * @public
+   */
+  static getComplement( nucleotide ) {
+    assert && assert( NUCLEOTIDES.includes( nucleotide ), `invalid nucleotide: ${nucleotide}` );
+    return COMPLEMENTS[ nucleotide ];
+  }
 }
 
+// statics
+BasePair.Nucleotides = NUCLEOTIDES;
+
 geneExpressionEssentials.register( 'BasePair', BasePair );
 
 export default BasePair;
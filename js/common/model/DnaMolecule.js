@@ -14,6 +14,7 @@
  * @author Aadish Gupta
  */
 
+import dotRandom from '../../../../dot/js/dotRandom.js';
 import Range from '../../../../dot/js/Range.js';
 import Utils from '../../../../dot/js/Utils.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
@@ -22,6 +23,7 @@ import GEEConstants from '../GEEConstants.js';
 import AttachmentSite from './AttachmentSite.js';
 import BasePair from './BasePair.js';
 import DnaStrandPoint from './DnaStrandPoint.js';
+import GeneticCode from './GeneticCode.js';
 import StubGeneExpressionModel from './StubGeneExpressionModel.js';
 
 // constants
@@ -44,8 +46,11 @@ class DnaMolecule {
    * to be zero
    * @param {boolean} pursueAttachments - flag that controls whether the DNA strand actively pulls in transcription
    * factors and polymerase or just lets them drift into place
+   * @param {string|null} [sequence] - nucleotides of the first strand from left to right, e.g. 'ATGC...', with one for
+   * each base pair. A random sequence is generated if none is provided.
    */
-  constructor( model, numBasePairs, leftEdgeXOffset, pursueAttachments ) {
+  constructor( model, numBasePairs, leftEdgeXOffset, pursueAttachments, sequence = null ) {
+    assert && assert( sequence === null || sequence.length === numBasePairs, 'sequence must have one nucleotide per base pair' );
 
     // @public (read-only) {Array.<Array.<Vector2>>} These arrays contain lists of "segments" that define the shape of
     // the DNA strand.  Each segment is comprised of a set of points that, when smoothly connected, define one half of
@@ -85,6 +90,11 @@ class DnaMolecule {
     // @private - list of forced separations between the two strands of the DNA
     this.separations = [];
 
+    // @private {boolean} - whether the sequence was generated rather than provided, in which case the genes that are
+    // added are given sequences that code for proteins
+    this.sequenceGenerated = sequence === null;
+    sequence = sequence || _.times( numBasePairs, () => dotRandom.sample( BasePair.Nucleotides ) ).join( '' );
+
     // Add the initial set of shape-defining points for each of the two strands.  Points are spaced the same as the
     // base pairs.
     for ( let i = 0; i < numBasePairs; i++ ) {
@@ -96,11 +106,14 @@ class DnaMolecule {
 
       // Add in the base pairs between the backbone strands.  This calculates the distance between the two strands and
       // puts a line between them in  order to look like the base pair.
-      this.basePairs.push( new BasePair(
+      const basePair = new BasePair(
         xPos,
         Math.min( strand1YPos, strand2YPos ),
-        Math.max( strand1YPos, strand2YPos )
-      ) );
+        Math.max( strand1YPos, strand2YPos ),
+        sequence.charAt( i )
+      );
+      basePair.strand1AtTop = strand1YPos <= strand2YPos;
+      this.basePairs.push( basePair );
       this.strandPoints.push( new DnaStrandPoint( xPos, strand1YPos, strand2YPos ) );
       this.strandPointsShadow.push( new DnaStrandPoint( xPos, strand1YPos, strand2YPos ) );
     }
@@ -199,6 +212,7 @@ class DnaMolecule {
       dnaStrandPoint.strand2YPos = this.getDnaStrandYPosition( dnaStrandPoint.xPos, GEEConstants.INTER_STRAND_OFFSET );
       this.basePairs[ i ].topYPosition = Math.min( dnaStrandPoint.strand1YPos, dnaStrandPoint.strand2YPos );
       this.basePairs[ i ].bottomYPosition = Math.max( dnaStrandPoint.strand1YPos, dnaStrandPoint.strand2YPos );
+      this.basePairs[ i ].strand1AtTop = dnaStrandPoint.strand1YPos <= dnaStrandPoint.strand2YPos;
     } );
 
     // Move the shadow points to account for any separations.
@@ -232,6 +246,7 @@ class DnaMolecule {
           this.basePairs[ i ].bottomYPosition = Math.min(
             this.strandPointsShadow[ i ].strand1YPos, this.strandPointsShadow[ i ].strand2YPos
           );
+          this.basePairs[ i ].strand1AtTop = this.strandPointsShadow[ i ].strand1YPos >= this.strandPointsShadow[ i ].strand2YPos;
         }
       }
     } );
@@ -311,14 +326,46 @@ class DnaMolecule {
   }
 
   /**
-   * Add a gene to the DNA strand. Adding a gene essentially defines it, since in this sim, the base pairs don't
-   * actually encode anything, so adding the gene essentially delineates where it is on the strand.
+   * Get the nucleotides of the first strand for a range of base pairs.
+   * @param {number} [startIndex] - index of the first base pair, inclusive
+   * @param {number} [endIndex] - index of the last base pair, exclusive
+   * @returns {string}
+   * @public
+   */
+  getSequence( startIndex = 0, endIndex = this.basePairs.length ) {
+    return this.basePairs.slice( startIndex, endIndex ).map( basePair => basePair.nucleotide ).join( '' );
+  }
+
+  /**
+   * Set the nucleotides of the first strand for a range of base pairs, which also sets those of the second strand.
+   * @param {number} startIndex - index of the first base pair to set
+   * @param {string} sequence - nucleotides, e.g. 'ATGC...'
+   * @private
+   */
+  setSequence( startIndex, sequence ) {
+    assert && assert( startIndex >= 0 && startIndex + sequence.length <= this.basePairs.length, 'sequence out of range' );
+    for ( let i = 0; i < sequence.length; i++ ) {
+      this.basePairs[ startIndex + i ].setNucleotide( sequence.charAt( i ) );
+    }
+    this.redraw = true;
+  }
+
+  /**
+   * Add a gene to the DNA strand. Adding a gene essentially defines it, since in this sim, the sequence of the base
+   * pairs doesn't determine where the genes are, so adding the gene essentially delineates where it is on the strand.
+   * If the sequence of the DNA was generated, the sequence of the gene is set so that it codes for a protein.
    *
    * @param {Gene} geneToAdd Gene to add to the DNA strand.
    * @public
    */
   addGene( geneToAdd ) {
     this.genes.push( geneToAdd );
+
+    // A generated sequence is random, so the transcribed region is given a sequence that codes for a protein.
+    if ( this.sequenceGenerated ) {
+      const transcribedRegion = geneToAdd.getTranscribedRegion();
+      this.setSequence( transcribedRegion.min, GeneticCode.createCodingSequence( transcribedRegion.getLength() + 1 ) );
+    }
   }
 
   /**
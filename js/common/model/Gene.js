@@ -11,12 +11,14 @@
  * @author Aadish Gupta
  */
 
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
 import Property from '../../../../axon/js/Property.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
 import geneExpressionEssentials from '../../geneExpressionEssentials.js';
 import GEEConstants from '../GEEConstants.js';
 import AttachmentSite from './AttachmentSite.js';
 import PlacementHint from './PlacementHint.js';
+import PromoterLogic from './PromoterLogic.js';
 import RnaPolymerase from './RnaPolymerase.js';
 import StubGeneExpressionModel from './StubGeneExpressionModel.js';
 import TranscriptionFactor from './TranscriptionFactor.js';
@@ -32,8 +34,12 @@ class Gene {
    * @param {Range} transcribedRegion - The range, in terms of base pairs on the DNA strand, where this region exists.
    * @param {Color} transcribedRegionColor
    * @param {number} windingAlgorithmParameterSet - algorithm used to wind mRNA produced from this gene
+   * @param {function():Protein} createProteinPrototype - creates an instance of the protein that this gene codes for
+   * @param {PromoterLogic} [promoterLogic] - how the attached transcription factors are combined to decide whether the
+   * gene can be transcribed
    */
-  constructor( dnaMolecule, regulatoryRegion, regulatoryRegionColor, transcribedRegion, transcribedRegionColor, windingAlgorithmParameterSet ) {
+  constructor( dnaMolecule, regulatoryRegion, regulatoryRegionColor, transcribedRegion, transcribedRegionColor,
+               windingAlgorithmParameterSet, createProteinPrototype, promoterLogic = PromoterLogic.AND ) {
 
     // @public (read-only) {Color}
     this.regulatoryRegionColor = regulatoryRegionColor;
@@ -44,6 +50,16 @@ class Gene {
     // @public (read-only) {number}
     this.windingAlgorithmParameterSet = windingAlgorithmParameterSet;
 
+    // @private {function():Protein}
+    this.createProteinPrototype = createProteinPrototype;
+
+    // @public (read-only) {PromoterLogic}
+    this.promoterLogic = promoterLogic;
+
+    // @public (read-only) {BooleanProperty} - true when the transcription factors that are attached to this gene
+    // satisfy its promoter logic, updated along with the affinities
+    this.promoterActiveProperty = new BooleanProperty( false );
+
     // @private {AttachmentSite} - attachment site for polymerase. It is always at the end of the regulatory region.
     this.polymeraseAttachmentSite = new AttachmentSite(
       dnaMolecule,
@@ -138,6 +154,16 @@ class Gene {
     return this.transcribedRegion;
   }
 
+  /**
+   * Get the sequence of the transcribed region on the coding strand of the DNA, which is the strand whose sequence the
+   * mRNA that is transcribed from this gene has.
+   * @returns {string}
+   * @public
+   */
+  getTranscribedSequence() {
+    return this.dnaMolecule.getSequence( this.transcribedRegion.min, this.transcribedRegion.max + 1 );
+  }
+
   /**
    * Get the attachment site for a base pair that is contained within this gene. In many cases, the affinity of the
    * attachment site will be the same as the default for any DNA, but in some cases it may be especially strong.
@@ -177,7 +203,8 @@ class Gene {
    */
   updateAffinities() {
     // Update the affinity of the polymerase attachment site based upon the state of the transcription factors.
-    if ( this.transcriptionFactorsSupportTranscription() ) {
+    this.promoterActiveProperty.set( this.transcriptionFactorsSupportTranscription() );
+    if ( this.promoterActiveProperty.get() ) {
       this.polymeraseAttachmentSite.affinityProperty.set( this.polymeraseAffinityProperty.get() );
     }
     else {
@@ -186,12 +213,12 @@ class Gene {
   }
 
   /**
-   * Method used by descendant classes to add positions where transcription factors go on the gene. Generally this is
-   * only used during construction.
+   * Add a position where a transcription factor goes on the gene. Generally this is only used when the gene is being
+   * created, see GeneFactory.
    *
    * @param {number} basePairOffset - Offset WITHIN THIS GENE where the transcription factor's high affinity site will exist.
    * @param {TranscriptionFactorConfig} tfConfig
-   * @protected
+   * @public
    */
   addTranscriptionFactorPosition( basePairOffset, tfConfig ) {
     this.transcriptionFactorMap[ basePairOffset ] = new TranscriptionFactor( null, tfConfig );
@@ -208,61 +235,73 @@ class Gene {
   }
 
   /**
-   * Returns true if all positive transcription factors are attached and no negative ones are attached, which indicates
-   * that transcription is essentially enabled.
+   * Returns true if the transcription factors that are attached to this gene satisfy its promoter logic, which
+   * indicates that transcription is essentially enabled.
    * @returns {boolean}
    * @public
    */
   transcriptionFactorsSupportTranscription() {
-
-    // In this sim, blocking factors overrule positive factors, so test for those first.
-    if ( this.transcriptionFactorsBlockTranscription() ) {
-      return false;
-    }
-
-    // Count the number of positive transcription factors needed to enable transcription.
-    let numPositiveTranscriptionFactorsNeeded = 0;
-    _.values( this.transcriptionFactorMap ).forEach( transcriptionFactor => {
-      if ( transcriptionFactor.getConfig().isPositive ) {
-        numPositiveTranscriptionFactorsNeeded += 1;
-      }
-    } );
-
-    // Count the number of positive transcription factors attached.
-    let numPositiveTranscriptionFactorsAttached = 0;
-    this.transcriptionFactorAttachmentSites.forEach( transcriptionFactorAttachmentSite => {
-      if ( transcriptionFactorAttachmentSite.attachedOrAttachingMoleculeProperty.get() !== null ) {
-        const tf = transcriptionFactorAttachmentSite.attachedOrAttachingMoleculeProperty.get();
-
-        // there is a very slight difference in the y direction and to mitigate that we use an empirically determined
-        // tolerance factor
-        if ( tf.getPosition().distance( transcriptionFactorAttachmentSite.positionProperty.get() ) < 0.001 &&
-             tf.isPositive() ) {
-          numPositiveTranscriptionFactorsAttached += 1;
-        }
-      }
+    const siteStates = this.transcriptionFactorAttachmentSites.map( attachmentSite => {
+      const tf = attachmentSite.attachedOrAttachingMoleculeProperty.get();
+      const positive = attachmentSite.getTfConfig().isPositive;
+
+      // Blocking factors block as soon as they start attaching, but positive ones only count once they are in place.
+      // There is a very slight difference in the y direction and to mitigate that we use an empirically determined
+      // tolerance factor.
+      const occupied = tf !== null &&
+                       ( !positive || tf.getPosition().distance( attachmentSite.positionProperty.get() ) < 0.001 );
+      return { positive: positive, occupied: occupied };
     } );
-
-    return numPositiveTranscriptionFactorsAttached === numPositiveTranscriptionFactorsNeeded;
+    return this.promoterLogic.evaluate( siteStates );
   }
 
   /**
-   * Evaluate if transcription factors are blocking transcription.
+   * Get the fewest transcription factor attachment sites that would need to be occupied, in addition to the ones that
+   * are, for the promoter logic to allow transcription. Transcription factors that are still attaching are counted as
+   * occupying their sites. If there are several ways to do this with the same number of sites, all of the sites that
+   * are part of any of them are included.
    *
-   * @returns {boolean} true if there are transcription factors that block transcription.
+   * @returns {Array.<TranscriptionFactorAttachmentSite>|null} - null if no additional sites would allow transcription,
+   * e.g. because a blocking factor is attached
    * @private
    */
-  transcriptionFactorsBlockTranscription() {
-    for ( let i = 0; i < this.transcriptionFactorAttachmentSites.length; i++ ) {
-      const transcriptionFactorAttachmentSite = this.transcriptionFactorAttachmentSites[ i ];
-      if ( transcriptionFactorAttachmentSite.attachedOrAttachingMoleculeProperty.get() !== null ) {
-        if ( !( transcriptionFactorAttachmentSite.attachedOrAttachingMoleculeProperty.get() ).isPositive() ) {
-          return true;
+  getAttachmentSitesNeededForTranscription() {
+    const siteStates = this.transcriptionFactorAttachmentSites.map( attachmentSite => {
+      return {
+        positive: attachmentSite.getTfConfig().isPositive,
+        occupied: attachmentSite.attachedOrAttachingMoleculeProperty.get() !== null
+      };
+    } );
+    if ( this.promoterLogic.evaluate( siteStates ) ) {
+      return [];
+    }
+    const unoccupiedSiteIndices = _.range( siteStates.length ).filter( index => !siteStates[ index ].occupied );
+
+    // Try each combination of unoccupied sites, where bit i of the combination is set when the i-th unoccupied site is
+    // included, and keep the union of the smallest combinations that allow transcription. Combinations that are larger
+    // than the smallest one found so far don't need to be evaluated. The number of sites is limited by GeneFactory, so
+    // there are never more than a few hundred combinations.
+    let neededSitesCombination = 0;
+    let numberOfNeededSites = Number.POSITIVE_INFINITY;
+    for ( let combination = 1; combination < ( 1 << unoccupiedSiteIndices.length ); combination++ ) {
+      const combinationIndices = unoccupiedSiteIndices.filter( ( siteIndex, bit ) => combination & ( 1 << bit ) );
+      if ( combinationIndices.length <= numberOfNeededSites ) {
+        combinationIndices.forEach( index => { siteStates[ index ].occupied = true; } );
+        if ( this.promoterLogic.evaluate( siteStates ) ) {
+          if ( combinationIndices.length < numberOfNeededSites ) {
+            neededSitesCombination = 0;
+            numberOfNeededSites = combinationIndices.length;
+          }
+          neededSitesCombination |= combination;
         }
+        combinationIndices.forEach( index => { siteStates[ index ].occupied = false; } );
       }
     }
-
-    return false;
+    if ( neededSitesCombination !== 0 ) {
+      return unoccupiedSiteIndices.filter( ( siteIndex, bit ) => neededSitesCombination & ( 1 << bit ) )
+        .map( index => this.transcriptionFactorAttachmentSites[ index ] );
+    }
+    return null;
   }
 
   /**
@@ -368,18 +407,16 @@ class Gene {
    */
   activateHints( biomolecule ) {
     if ( this.rnaPolymerasePlacementHint.isMatchingBiomolecule( biomolecule ) ) {
-      if ( !this.transcriptionFactorsBlockTranscription() ) {
+      const neededAttachmentSites = this.getAttachmentSitesNeededForTranscription();
+      if ( neededAttachmentSites !== null ) {
 
         // Activate the polymerase hint.
         this.rnaPolymerasePlacementHint.activeProperty.set( true );
 
-        // Also activate any unoccupied positive transcription factor hints in order to convey to the user that these
-        // are needed for transcription to start.
-        this.transcriptionFactorAttachmentSites.forEach( transcriptionFactorAttachmentSite => {
-          if ( transcriptionFactorAttachmentSite.attachedOrAttachingMoleculeProperty.get() === null &&
-               transcriptionFactorAttachmentSite.getTfConfig().isPositive ) {
-            this.activateTranscriptionFactorHint( transcriptionFactorAttachmentSite.getTfConfig() );
-          }
+        // Also activate the hints for the transcription factors that the promoter logic needs in order to convey to the
+        // user that these are needed for transcription to start.
+        neededAttachmentSites.forEach( transcriptionFactorAttachmentSite => {
+          this.activateTranscriptionFactorHint( transcriptionFactorAttachmentSite.getTfConfig() );
         } );
       }
     }
@@ -433,6 +470,7 @@ class Gene {
     this.transcriptionFactorAttachmentSites.forEach( transcriptionFactorAttachmentSite => {
       transcriptionFactorAttachmentSite.attachedOrAttachingMoleculeProperty.set( null );
     } );
+    this.promoterActiveProperty.reset();
   }
 
   /**
@@ -441,7 +479,7 @@ class Gene {
    * @public
    */
   getProteinPrototype() {
-    throw new Error( 'getProteinPrototype should be implemented in descendant classes of Gene .' );
+    return this.createProteinPrototype();
   }
 
   /**
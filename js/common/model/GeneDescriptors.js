@@ -0,0 +1,61 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Descriptors of the genes that are used in this sim, from which the genes are built by GeneFactory. These are kept as
+ * plain data in the JSON gene-descriptor format that is documented in GeneFactory so that they can be edited, copied
+ * or replaced by custom genes without writing any new code, e.g. with the genes and mRnaGene query parameters, see
+ * GEEQueryParameters.
+ *
+ * @author agent
+ */
+
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+const GeneDescriptors = {
+
+  GENE_A: {
+    regulatoryRegionLength: 16,
+    transcribedRegionLength: 100,
+    regulatoryRegionColor: [ 216, 191, 216 ],
+    transcribedRegionColor: [ 255, 165, 79 ],
+
+    // The negative factor overlaps, and thus blocks, the positive factor.
+    transcriptionFactorSites: [
+      { offset: 5, positive: true, color: [ 255, 255, 0 ], shapeSeed: 1014 },
+      { offset: 2, positive: false, color: [ 255, 0, 0 ], shapeSeed: 2000 }
+    ],
+    proteinType: 'ProteinA',
+    windingAlgorithmNumber: 4
+  },
+
+  GENE_B: {
+    regulatoryRegionLength: 28,
+    transcribedRegionLength: 150,
+    regulatoryRegionColor: [ 216, 191, 216 ],
+    transcribedRegionColor: [ 240, 246, 143 ],
+    transcriptionFactorSites: [
+      { offset: 5, positive: true, color: [ 255, 200, 0 ], shapeSeed: 3004 },
+      { offset: 16, positive: true, color: [ 0, 255, 127 ], shapeSeed: 1 },
+      { offset: 11, positive: false, color: [ 255, 255, 255 ], shapeSeed: 4000 }
+    ],
+    proteinType: 'ProteinB',
+    windingAlgorithmNumber: 4
+  },
+
+  GENE_C: {
+    regulatoryRegionLength: 28,
+    transcribedRegionLength: 200,
+    regulatoryRegionColor: [ 216, 191, 216 ],
+    transcribedRegionColor: [ 205, 255, 112 ],
+    transcriptionFactorSites: [
+      { offset: 5, positive: true, color: [ 255, 127, 0 ], shapeSeed: 58 },
+      { offset: 16, positive: true, color: [ 255, 99, 71 ], shapeSeed: 96 },
+      { offset: 11, positive: false, color: [ 255, 0, 255 ], shapeSeed: 40 }
+    ],
+    proteinType: 'ProteinC',
+    windingAlgorithmNumber: 4
+  }
+};
+
+geneExpressionEssentials.register( 'GeneDescriptors', GeneDescriptors );
+export default GeneDescriptors;
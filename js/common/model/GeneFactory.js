@@ -0,0 +1,267 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Factory that builds genes from gene descriptors, which allows models to be configured with custom genes without new
+ * subclasses of Gene. A gene descriptor is an object, or the JSON text of one, in the following format:
+ *
+ * {
+ *   regulatoryRegionLength: {number} - number of base pairs in the regulatory region
+ *   transcribedRegionLength: {number} - number of base pairs in the transcribed region, at least 5 so that there is
+ *     room for the start and stop codons
+ *   regulatoryRegionColor: {number[]} - [ red, green, blue ] or [ red, green, blue, alpha ]
+ *   transcribedRegionColor: {number[]} - same format as regulatoryRegionColor
+ *   transcriptionFactorSites: {Object[]} - sites where transcription factors attach, at most 8 of them, each one of
+ *     the form
+ *     {
+ *       offset: {number} - base pair offset of the site within the regulatory region
+ *       positive: {boolean} - true if the factor enhances transcription, false if it blocks it
+ *       color: {number[]} - color of the factor, same format as regulatoryRegionColor
+ *       shapeSeed: {number} - seed for the random shape of the factor
+ *     }
+ *   proteinType: {string} - type of the protein that the gene codes for, see PROTEIN_TYPES
+ *   windingAlgorithmNumber: {number} - parameter set used to wind the mRNA transcribed from the gene
+ *   promoterLogic: {Object} - optional, how the factors at the sites are combined, see PromoterLogic, of the form
+ *     {
+ *       type: {string} - name of a PromoterLogicType, defaults to AND
+ *       threshold: {number} - for THRESHOLD, the number of positive sites that must be occupied, defaulting to a
+ *         majority of them, and for WEIGHTED, the sum of the weights of the occupied sites that is needed
+ *       weights: {number[]} - for WEIGHTED, the weight of each site, in the same order as transcriptionFactorSites
+ *       outputs: {boolean[]} - for TRUTH_TABLE, whether the gene can be transcribed for each combination of occupied
+ *         sites, where bit i of the index is set when site i is occupied
+ *     }
+ * }
+ *
+ * See GeneDescriptors for the genes that are used in this sim.
+ *
+ * @author agent
+ */
+
+import Range from '../../../../dot/js/Range.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import ProteinA from '../../manual-gene-expression/model/ProteinA.js';
+import ProteinB from '../../manual-gene-expression/model/ProteinB.js';
+import ProteinC from '../../manual-gene-expression/model/ProteinC.js';
+import Gene from './Gene.js';
+import PromoterLogic from './PromoterLogic.js';
+import PromoterLogicType from './PromoterLogicType.js';
+import TranscriptionFactor from './TranscriptionFactor.js';
+import WindingBiomolecule from './WindingBiomolecule.js';
+
+// constants
+
+// minimum length of the transcribed region, which must have room for the start and stop codons of the coding sequence
+// that DnaMolecule puts in it
+const MIN_TRANSCRIBED_REGION_LENGTH = 5;
+
+// maximum number of transcription factor sites, which limits the number of combinations of sites that Gene searches
+// when it works out which sites are needed for transcription
+const MAX_TRANSCRIPTION_FACTOR_SITES = 8;
+
+// classes of the proteins that genes can code for, keyed by the proteinType value of the descriptors
+const PROTEIN_TYPES = {
+  ProteinA: ProteinA,
+  ProteinB: ProteinB,
+  ProteinC: ProteinC
+};
+
+const GeneFactory = {
+
+  // {string[]} - values that can be used for proteinType in a gene descriptor
+  PROTEIN_TYPES: Object.keys( PROTEIN_TYPES ),
+
+  /**
+   * Create a gene from a descriptor.
+   * @param {DnaMolecule} dnaMolecule - DNA molecule within which the gene exists
+   * @param {Object|string} descriptor - gene descriptor, or its JSON text
+   * @param {number} initialBasePair - position on the DNA strand where the gene starts
+   * @returns {Gene}
+   * @public
+   */
+  createGene( dnaMolecule, descriptor, initialBasePair ) {
+    descriptor = GeneFactory.parseDescriptor( descriptor );
+    const regulatoryRegionEnd = initialBasePair + descriptor.regulatoryRegionLength;
+    const ProteinType = PROTEIN_TYPES[ descriptor.proteinType ];
+    const gene = new Gene(
+      dnaMolecule,
+      new Range( initialBasePair, regulatoryRegionEnd ),
+      createColor( descriptor.regulatoryRegionColor ),
+      new Range( regulatoryRegionEnd + 1, regulatoryRegionEnd + 1 + descriptor.transcribedRegionLength ),
+      createColor( descriptor.transcribedRegionColor ),
+      descriptor.windingAlgorithmNumber,
+      () => new ProteinType(),
+      createPromoterLogic( descriptor.promoterLogic, descriptor.transcriptionFactorSites )
+    );
+    descriptor.transcriptionFactorSites.forEach( site => {
+      gene.addTranscriptionFactorPosition(
+        site.offset,
+        TranscriptionFactor.getConfig( site.shapeSeed, site.positive, createColor( site.color ) )
+      );
+    } );
+    return gene;
+  },
+
+  /**
+   * Get the number of base pairs that a gene built from the given descriptor spans on the DNA strand.
+   * @param {Object|string} descriptor - gene descriptor, or its JSON text
+   * @returns {number}
+   * @public
+   */
+  getNumberOfBasePairs( descriptor ) {
+    descriptor = GeneFactory.parseDescriptor( descriptor );
+    return descriptor.regulatoryRegionLength + descriptor.transcribedRegionLength;
+  },
+
+  /**
+   * Parse and validate a gene descriptor, throwing an error that describes the problem if it isn't valid.
+   * @param {Object|string} descriptor - gene descriptor, or its JSON text
+   * @returns {Object} - the descriptor as an object
+   * @public
+   */
+  parseDescriptor( descriptor ) {
+    if ( typeof descriptor === 'string' ) {
+      descriptor = JSON.parse( descriptor );
+    }
+    if ( !isPositiveInteger( descriptor.regulatoryRegionLength ) ) {
+      throw new Error( `invalid regulatoryRegionLength: ${descriptor.regulatoryRegionLength}` );
+    }
+    if ( !Number.isInteger( descriptor.transcribedRegionLength ) ||
+         descriptor.transcribedRegionLength < MIN_TRANSCRIBED_REGION_LENGTH ) {
+      throw new Error( `invalid transcribedRegionLength: ${descriptor.transcribedRegionLength}` );
+    }
+    validateColor( descriptor.regulatoryRegionColor, 'regulatoryRegionColor' );
+    validateColor( descriptor.transcribedRegionColor, 'transcribedRegionColor' );
+    if ( !Array.isArray( descriptor.transcriptionFactorSites ) ) {
+      throw new Error( 'transcriptionFactorSites must be an array' );
+    }
+    if ( descriptor.transcriptionFactorSites.length > MAX_TRANSCRIPTION_FACTOR_SITES ) {
+      throw new Error( `too many transcription factor sites: ${descriptor.transcriptionFactorSites.length}` );
+    }
+    descriptor.transcriptionFactorSites.forEach( ( site, index ) => {
+      if ( !Number.isInteger( site.offset ) || site.offset < 0 || site.offset > descriptor.regulatoryRegionLength ) {
+        throw new Error( `transcription factor site ${index} is outside of the regulatory region: ${site.offset}` );
+      }
+      if ( typeof site.positive !== 'boolean' ) {
+        throw new Error( `transcription factor site ${index} has an invalid polarity: ${site.positive}` );
+      }
+      validateColor( site.color, `color of transcription factor site ${index}` );
+      if ( !Number.isInteger( site.shapeSeed ) ) {
+        throw new Error( `transcription factor site ${index} has an invalid shapeSeed: ${site.shapeSeed}` );
+      }
+
+      // Genes keep track of their transcription factors by offset, so two sites at the same offset would lose one.
+      const previousSites = descriptor.transcriptionFactorSites.slice( 0, index );
+      if ( _.some( previousSites, previousSite => previousSite.offset === site.offset ) ) {
+        throw new Error( `transcription factor site ${index} has the same offset as another site: ${site.offset}` );
+      }
+    } );
+    if ( !PROTEIN_TYPES.hasOwnProperty( descriptor.proteinType ) ) {
+      throw new Error( `invalid proteinType: ${descriptor.proteinType}` );
+    }
+    if ( !Number.isInteger( descriptor.windingAlgorithmNumber ) ||
+         descriptor.windingAlgorithmNumber < 0 ||
+         descriptor.windingAlgorithmNumber >= WindingBiomolecule.NUMBER_OF_WINDING_PARAM_SETS ) {
+      throw new Error( `invalid windingAlgorithmNumber: ${descriptor.windingAlgorithmNumber}` );
+    }
+    if ( descriptor.promoterLogic !== undefined ) {
+      validatePromoterLogic( descriptor.promoterLogic, descriptor.transcriptionFactorSites.length );
+    }
+    return descriptor;
+  }
+};
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPositiveInteger( value ) {
+  return Number.isInteger( value ) && value > 0;
+}
+
+/**
+ * Throw an error if a color in a descriptor isn't an array of three color components with an optional alpha.
+ * @param {*} color
+ * @param {string} name - name of the color, used in the error message
+ */
+function validateColor( color, name ) {
+  const isColorComponent = component => Number.isInteger( component ) && component >= 0 && component <= 255;
+  const valid = Array.isArray( color ) &&
+                ( color.length === 3 || color.length === 4 ) &&
+                color.slice( 0, 3 ).every( isColorComponent ) &&
+                ( color.length === 3 || ( typeof color[ 3 ] === 'number' && color[ 3 ] >= 0 && color[ 3 ] <= 1 ) );
+  if ( !valid ) {
+    throw new Error( `invalid ${name}: ${JSON.stringify( color )}` );
+  }
+}
+
+/**
+ * Throw an error if the promoter logic in a descriptor isn't valid for a gene with the given number of sites.
+ * @param {*} promoterLogic
+ * @param {number} numberOfSites
+ */
+function validatePromoterLogic( promoterLogic, numberOfSites ) {
+  if ( typeof promoterLogic !== 'object' || promoterLogic === null ) {
+    throw new Error( `invalid promoterLogic: ${promoterLogic}` );
+  }
+  const type = promoterLogic.type === undefined ? PromoterLogicType.AND.name : promoterLogic.type;
+  if ( !PromoterLogicType.KEYS.includes( type ) ) {
+    throw new Error( `invalid promoter logic type: ${type}` );
+  }
+  if ( type === PromoterLogicType.THRESHOLD.name && promoterLogic.threshold !== undefined &&
+       !isPositiveInteger( promoterLogic.threshold ) ) {
+    throw new Error( `invalid promoter logic threshold: ${promoterLogic.threshold}` );
+  }
+  if ( type === PromoterLogicType.WEIGHTED.name ) {
+    if ( typeof promoterLogic.threshold !== 'number' || !isFinite( promoterLogic.threshold ) ) {
+      throw new Error( `invalid promoter logic threshold: ${promoterLogic.threshold}` );
+    }
+    if ( !Array.isArray( promoterLogic.weights ) || promoterLogic.weights.length !== numberOfSites ||
+         !promoterLogic.weights.every( weight => typeof weight === 'number' && isFinite( weight ) ) ) {
+      throw new Error( `promoter logic weights must be a number for each of the ${numberOfSites} sites` );
+    }
+  }
+  if ( type === PromoterLogicType.TRUTH_TABLE.name &&
+       ( !Array.isArray( promoterLogic.outputs ) || promoterLogic.outputs.length !== Math.pow( 2, numberOfSites ) ||
+         !promoterLogic.outputs.every( output => typeof output === 'boolean' ) ) ) {
+    throw new Error( `promoter logic outputs must be ${Math.pow( 2, numberOfSites )} booleans, one for each ` +
+                     'combination of occupied sites' );
+  }
+}
+
+/**
+ * @param {Object|undefined} promoterLogic - promoter logic from a validated descriptor
+ * @param {Object[]} transcriptionFactorSites - sites from the same descriptor
+ * @returns {PromoterLogic}
+ */
+function createPromoterLogic( promoterLogic, transcriptionFactorSites ) {
+  const type = promoterLogic && promoterLogic.type !== undefined ? promoterLogic.type : PromoterLogicType.AND.name;
+  if ( type === PromoterLogicType.OR.name ) {
+    return PromoterLogic.OR;
+  }
+  else if ( type === PromoterLogicType.THRESHOLD.name ) {
+
+    // By default, a majority of the positive sites must be occupied.
+    const numberOfPositiveSites = transcriptionFactorSites.filter( site => site.positive ).length;
+    return PromoterLogic.createThreshold(
+      promoterLogic.threshold === undefined ? Math.floor( numberOfPositiveSites / 2 ) + 1 : promoterLogic.threshold
+    );
+  }
+  else if ( type === PromoterLogicType.WEIGHTED.name ) {
+    return PromoterLogic.createWeighted( promoterLogic.weights, promoterLogic.threshold );
+  }
+  else if ( type === PromoterLogicType.TRUTH_TABLE.name ) {
+    return PromoterLogic.createTruthTable( promoterLogic.outputs );
+  }
+  return PromoterLogic.AND;
+}
+
+/**
+ * @param {number[]} color - [ red, green, blue ] or [ red, green, blue, alpha ]
+ * @returns {Color}
+ */
+function createColor( color ) {
+  return new Color( color[ 0 ], color[ 1 ], color[ 2 ], color.length > 3 ? color[ 3 ] : 1 );
+}
+
+geneExpressionEssentials.register( 'GeneFactory', GeneFactory );
+export default GeneFactory;
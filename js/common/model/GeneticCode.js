@@ -0,0 +1,117 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * The standard genetic code, which maps each codon of messenger RNA to the amino acid that it codes for, along with
+ * utilities for going from the sequence of a gene to the sequence of its mRNA and from a codon to the anticodon of the
+ * transfer RNA that reads it. Sequences are strings of the letters of the nucleotides, e.g. 'AUGGCA', and amino acids
+ * are their three-letter abbreviations, e.g. 'Met'.
+ *
+ * @author agent
+ */
+
+import dotRandom from '../../../../dot/js/dotRandom.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+// constants
+const START_CODON = 'AUG';
+const RNA_NUCLEOTIDES = [ 'U', 'C', 'A', 'G' ];
+const RNA_COMPLEMENTS = { A: 'U', U: 'A', G: 'C', C: 'G' };
+
+// One-letter abbreviations of the amino acids for every codon, with the nucleotides of the codons in the order of
+// RNA_NUCLEOTIDES, i.e. UUU, UUC, UUA, UUG, UCU and so on, and '*' for the stop codons. This is the usual compact form
+// of the table of the standard genetic code.
+const AMINO_ACID_LETTERS = 'FFLLSSSSYY**CC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG';
+const STOP_LETTER = '*';
+
+const THREE_LETTER_ABBREVIATIONS = {
+  A: 'Ala', R: 'Arg', N: 'Asn', D: 'Asp', C: 'Cys', Q: 'Gln', E: 'Glu', G: 'Gly', H: 'His', I: 'Ile',
+  L: 'Leu', K: 'Lys', M: 'Met', F: 'Phe', P: 'Pro', S: 'Ser', T: 'Thr', W: 'Trp', Y: 'Tyr', V: 'Val'
+};
+
+// {Object.<string, string|null>} - amino acid for each codon, null for the stop codons
+const CODON_TABLE = {};
+RNA_NUCLEOTIDES.forEach( ( first, i ) => {
+  RNA_NUCLEOTIDES.forEach( ( second, j ) => {
+    RNA_NUCLEOTIDES.forEach( ( third, k ) => {
+      const letter = AMINO_ACID_LETTERS.charAt( 16 * i + 4 * j + k );
+      CODON_TABLE[ first + second + third ] = letter === STOP_LETTER ? null : THREE_LETTER_ABBREVIATIONS[ letter ];
+    } );
+  } );
+} );
+
+// codons that code for an amino acid, written as DNA, used to make up coding sequences
+const SENSE_DNA_CODONS = Object.keys( CODON_TABLE ).filter( codon => CODON_TABLE[ codon ] !== null )
+  .map( codon => codon.replace( /U/g, 'T' ) );
+const STOP_DNA_CODONS = Object.keys( CODON_TABLE ).filter( codon => CODON_TABLE[ codon ] === null )
+  .map( codon => codon.replace( /U/g, 'T' ) );
+
+const GeneticCode = {
+
+  START_CODON: START_CODON,
+
+  /**
+   * Get the amino acid that a codon codes for.
+   * @param {string} codon - three nucleotides of mRNA, e.g. 'AUG'
+   * @returns {string|null} - three-letter abbreviation of the amino acid, null for a stop codon
+   * @public
+   */
+  getAminoAcid( codon ) {
+    assert && assert( CODON_TABLE.hasOwnProperty( codon ), `invalid codon: ${codon}` );
+    return CODON_TABLE[ codon ];
+  },
+
+  /**
+   * @param {string} codon - three nucleotides of mRNA
+   * @returns {boolean}
+   * @public
+   */
+  isStopCodon( codon ) {
+    return GeneticCode.getAminoAcid( codon ) === null;
+  },
+
+  /**
+   * Get the anticodon of the transfer RNA that pairs with a codon. It is written from its 3' end to its 5' end, so
+   * that each nucleotide is lined up with the nucleotide of the codon that it pairs with.
+   * @param {string} codon - three nucleotides of mRNA
+   * @returns {string}
+   * @public
+   */
+  getAnticodon( codon ) {
+    return codon.split( '' ).map( nucleotide => RNA_COMPLEMENTS[ nucleotide ] ).join( '' );
+  },
+
+  /**
+   * Get the sequence of the mRNA that is transcribed from a sequence of DNA. The DNA is that of the coding strand,
+   * which has the same sequence as the mRNA except that it has thymine (T) in place of uracil (U).
+   * @param {string} dnaSequence
+   * @returns {string}
+   * @public
+   */
+  transcribe( dnaSequence ) {
+    return dnaSequence.replace( /T/g, 'U' );
+  },
+
+  /**
+   * Create a random DNA sequence that codes for a protein, i.e. one that starts with the start codon and has as many
+   * codons for amino acids as will fit before a stop codon. Any nucleotides that are left over go after the stop codon.
+   * @param {number} length - number of nucleotides, at least enough for the start and stop codons
+   * @returns {string}
+   * @public
+   */
+  createCodingSequence( length ) {
+    assert && assert( length >= 6, `sequence too short for a start and a stop codon: ${length}` );
+    const numberOfSenseCodons = Math.floor( length / 3 ) - 2;
+    let sequence = START_CODON.replace( /U/g, 'T' );
+    for ( let i = 0; i < numberOfSenseCodons; i++ ) {
+      sequence += dotRandom.sample( SENSE_DNA_CODONS );
+    }
+    sequence += dotRandom.sample( STOP_DNA_CODONS );
+    while ( sequence.length < length ) {
+      sequence += dotRandom.sample( [ 'A', 'T', 'G', 'C' ] );
+    }
+    return sequence;
+  }
+};
+
+geneExpressionEssentials.register( 'GeneticCode', GeneticCode );
+export default GeneticCode;
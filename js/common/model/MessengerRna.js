@@ -10,6 +10,7 @@
  */
 
 import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Utils from '../../../../dot/js/Utils.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
 import Shape from '../../../../kite/js/Shape.js';
 import geneExpressionEssentials from '../../geneExpressionEssentials.js';
@@ -17,6 +18,7 @@ import GEEConstants from '../GEEConstants.js';
 import MessengerRnaAttachmentStateMachine from './attachment-state-machines/MessengerRnaAttachmentStateMachine.js';
 import AttachmentSite from './AttachmentSite.js';
 import FlatSegment from './FlatSegment.js';
+import GeneticCode from './GeneticCode.js';
 import MessengerRnaDestroyer from './MessengerRnaDestroyer.js';
 import PlacementHint from './PlacementHint.js';
 import Ribosome from './Ribosome.js';
@@ -53,6 +55,10 @@ class MessengerRna extends WindingBiomolecule {
     // strand of mRNA
     this.proteinPrototype = proteinPrototype;
 
+    // @public (read-only) {string} - nucleotides of this mRNA from its 5' end, which is the end that is synthesized
+    // first and translated first. Nucleotides are added as this mRNA is synthesized, so this grows along with it.
+    this.sequence = '';
+
     // @private - local reference to the non-generic state machine used by this molecule
     this.mRnaAttachmentStateMachine = this.attachmentStateMachine;
 
@@ -450,6 +456,64 @@ class MessengerRna extends WindingBiomolecule {
     return translatedLength;
   }
 
+  /**
+   * Add nucleotides to the 3' end of the sequence of this mRNA, which is done as it is synthesized.
+   * @param {string} nucleotides - e.g. 'AUG'
+   * @public
+   */
+  addNucleotides( nucleotides ) {
+    assert && assert( /^[AUGC]*$/.test( nucleotides ), `invalid nucleotides: ${nucleotides}` );
+    this.sequence += nucleotides;
+  }
+
+  /**
+   * Get the index in the sequence of the start codon where translation begins, which is the first one in the sequence.
+   * @returns {number} - -1 if there is no start codon, in which case nothing is translated
+   * @private
+   */
+  getStartCodonIndex() {
+    return this.sequence.indexOf( GeneticCode.START_CODON );
+  }
+
+  /**
+   * Get a codon of the reading frame that begins at the start codon.
+   * @param {number} codonIndex - index of the codon, 0 for the start codon
+   * @returns {string|null} - null if the sequence doesn't (yet) have all of the nucleotides of the codon
+   * @public
+   */
+  getCodon( codonIndex ) {
+    const startCodonIndex = this.getStartCodonIndex();
+    const codonStartIndex = startCodonIndex + 3 * codonIndex;
+    return startCodonIndex >= 0 && codonStartIndex + 3 <= this.sequence.length ?
+           this.sequence.substring( codonStartIndex, codonStartIndex + 3 ) :
+           null;
+  }
+
+  /**
+   * Get the number of complete codons in the reading frame that begins at the start codon.
+   * @returns {number}
+   * @public
+   */
+  getNumberOfCodons() {
+    const startCodonIndex = this.getStartCodonIndex();
+    return startCodonIndex >= 0 ? Math.floor( ( this.sequence.length - startCodonIndex ) / 3 ) : 0;
+  }
+
+  /**
+   * Get the number of codons in the reading frame that have been pulled all of the way through the given ribosome.
+   * @param {Ribosome} ribosome
+   * @returns {number}
+   * @public
+   */
+  getNumberOfCodonsTranslated( ribosome ) {
+    const startCodonIndex = this.getStartCodonIndex();
+    if ( startCodonIndex < 0 ) {
+      return 0;
+    }
+    const numberOfNucleotidesTranslated = Math.floor( this.getProportionOfRnaTranslated( ribosome ) * this.sequence.length );
+    return Utils.clamp( Math.floor( ( numberOfNucleotidesTranslated - startCodonIndex ) / 3 ), 0, this.getNumberOfCodons() );
+  }
+
   /**
    * returns true if this messenger RNA is in a state where attachments can occur
    * @returns {boolean}
@@ -0,0 +1,130 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * The logic with which the promoter of a gene decides whether the transcription factors that are attached to its
+ * binding sites allow RNA polymerase to start transcribing the gene. The logic is evaluated from the states of the
+ * binding sites, in the order in which they were added to the gene, so that combinatorial regulation can be modeled,
+ * e.g. genes that need only one of several activators, or enhancers that cooperate. Use the static creation methods for
+ * the kinds of logic in PromoterLogicType.
+ *
+ * @author agent
+ */
+
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import PromoterLogicType from './PromoterLogicType.js';
+
+class PromoterLogic {
+
+  /**
+   * @param {PromoterLogicType} type
+   * @param {function(Array.<{positive:boolean, occupied:boolean}>):boolean} evaluate - returns true if the binding
+   * sites in the given states allow transcription
+   * @param {number|null} threshold - number of positive sites or weighted sum that is needed, for the kinds of logic
+   * that have one
+   */
+  constructor( type, evaluate, threshold ) {
+
+    // @public (read-only) {PromoterLogicType}
+    this.type = type;
+
+    // @public (read-only) {number|null}
+    this.threshold = threshold;
+
+    // @private {function(Array.<{positive:boolean, occupied:boolean}>):boolean}
+    this.evaluateSiteStates = evaluate;
+  }
+
+  /**
+   * Returns true if the transcription factor binding sites, in the given states, allow transcription.
+   * @param {Array.<{positive:boolean, occupied:boolean}>} siteStates - one for each binding site of the gene
+   * @returns {boolean}
+   * @public
+   */
+  evaluate( siteStates ) {
+    return this.evaluateSiteStates( siteStates );
+  }
+
+  /**
+   * Create logic that needs at least the given number of positive sites to be occupied and no negative site to be.
+   * @param {number} threshold
+   * @returns {PromoterLogic}
+   * @public
+   */
+  static createThreshold( threshold ) {
+    return new PromoterLogic(
+      PromoterLogicType.THRESHOLD,
+      siteStates => !isRepressed( siteStates ) && getNumberOfOccupiedPositiveSites( siteStates ) >= threshold,
+      threshold
+    );
+  }
+
+  /**
+   * Create logic that adds up the weights of the occupied sites and needs the sum to be at least the threshold.
+   * Repressors are given negative weights, and cooperating enhancers can be given weights that only add up to the
+   * threshold when they are all occupied.
+   * @param {number[]} weights - one for each binding site
+   * @param {number} threshold
+   * @returns {PromoterLogic}
+   * @public
+   */
+  static createWeighted( weights, threshold ) {
+    return new PromoterLogic(
+      PromoterLogicType.WEIGHTED,
+      siteStates => {
+        const occupiedWeights = siteStates.map( ( siteState, index ) => siteState.occupied ? weights[ index ] : 0 );
+        return _.sum( occupiedWeights ) >= threshold;
+      },
+      threshold
+    );
+  }
+
+  /**
+   * Create logic that looks up the outcome for the combination of occupied sites in a truth table.
+   * @param {boolean[]} outputs - outcome for each combination of sites, where bit i of the index is set when site i is
+   * occupied, so it has 2^n entries for n sites
+   * @returns {PromoterLogic}
+   * @public
+   */
+  static createTruthTable( outputs ) {
+    return new PromoterLogic(
+      PromoterLogicType.TRUTH_TABLE,
+      siteStates => outputs[ _.sum( siteStates.map( ( siteState, index ) => siteState.occupied ? 1 << index : 0 ) ) ],
+      null
+    );
+  }
+}
+
+/**
+ * @param {Array.<{positive:boolean, occupied:boolean}>} siteStates
+ * @returns {boolean} - true if any negative site is occupied
+ */
+function isRepressed( siteStates ) {
+  return _.some( siteStates, siteState => !siteState.positive && siteState.occupied );
+}
+
+/**
+ * @param {Array.<{positive:boolean, occupied:boolean}>} siteStates
+ * @returns {number}
+ */
+function getNumberOfOccupiedPositiveSites( siteStates ) {
+  return siteStates.filter( siteState => siteState.positive && siteState.occupied ).length;
+}
+
+// statics
+
+// @public {PromoterLogic} - every positive site and no negative site must be occupied, which is the default
+PromoterLogic.AND = new PromoterLogic(
+  PromoterLogicType.AND,
+  siteStates => _.every( siteStates, siteState => siteState.occupied === siteState.positive ),
+  null
+);
+
+// @public {PromoterLogic} - any positive site and no negative site must be occupied
+PromoterLogic.OR = new PromoterLogic(
+  PromoterLogicType.OR,
+  siteStates => !isRepressed( siteStates ) && getNumberOfOccupiedPositiveSites( siteStates ) > 0,
+  null
+);
+
+geneExpressionEssentials.register( 'PromoterLogic', PromoterLogic );
+export default PromoterLogic;
@@ -0,0 +1,23 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Enumeration of the kinds of logic with which the promoter of a gene combines the transcription factors that are
+ * attached to its binding sites in order to decide whether RNA polymerase can start transcribing it, see PromoterLogic.
+ *
+ * AND - every positive site must be occupied and no negative site may be occupied
+ * OR - at least one positive site must be occupied and no negative site may be occupied
+ * THRESHOLD - at least a given number of positive sites must be occupied and no negative site may be occupied, which
+ * is majority logic when the number is more than half of the positive sites
+ * WEIGHTED - the weights of the occupied sites, which are negative for repressors, must add up to at least a threshold
+ * TRUTH_TABLE - the outcome is listed for every combination of occupied sites
+ *
+ * @author agent
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+const PromoterLogicType = Enumeration.byKeys( [ 'AND', 'OR', 'THRESHOLD', 'WEIGHTED', 'TRUTH_TABLE' ] );
+
+geneExpressionEssentials.register( 'PromoterLogicType', PromoterLogicType );
+export default PromoterLogicType;
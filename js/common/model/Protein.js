@@ -10,6 +10,7 @@
 
 
 //modules
+import createObservableArray from '../../../../axon/js/createObservableArray.js';
 import Property from '../../../../axon/js/Property.js';
 import geneExpressionEssentials from '../../geneExpressionEssentials.js';
 import GenericUnattachedAndAvailableState from './attachment-state-machines/GenericUnattachedAndAvailableState.js';
@@ -34,6 +35,19 @@ class Protein extends MobileBiomolecule {
 
     // A value between 0 and 1 that defines how fully developed, or "grown"  this protein is.
     this.fullSizeProportion = 0; // @private
+
+    // @public (read-only) {ObservableArrayDef.<string>} - three-letter abbreviations of the amino acids of this protein,
+    // in the order in which they were added during translation
+    this.aminoAcidChain = createObservableArray();
+  }
+
+  /**
+   * Add an amino acid to the end of the chain of this protein, which is done as the codons of the mRNA are read.
+   * @param {string} aminoAcid - three-letter abbreviation of the amino acid
+   * @public
+   */
+  addAminoAcid( aminoAcid ) {
+    this.aminoAcidChain.push( aminoAcid );
   }
 
   /**
@@ -10,11 +10,13 @@
 
 
 //modules
+import Property from '../../../../axon/js/Property.js';
 import Matrix3 from '../../../../dot/js/Matrix3.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
 import Color from '../../../../scenery/js/util/Color.js';
 import geneExpressionEssentials from '../../geneExpressionEssentials.js';
 import RibosomeAttachmentStateMachine from './attachment-state-machines/RibosomeAttachmentStateMachine.js';
+import GeneticCode from './GeneticCode.js';
 import MobileBiomolecule from './MobileBiomolecule.js';
 import ShapeUtils from './ShapeUtils.js';
 
@@ -53,6 +55,18 @@ class Ribosome extends MobileBiomolecule {
 
     // @public (read-only) {String} - unique ID for this instance
     this.id = `ribosome-${instanceCounter++}`;
+
+    // @public (read-only) {Property.<string|null>} - codon of the mRNA that is currently being read, null if none
+    this.currentCodonProperty = new Property( null );
+
+    // @public (read-only) {Property.<Protein|null>} - protein that is being synthesized, null if none
+    this.proteinBeingSynthesizedProperty = new Property( null );
+
+    // @private {number} - number of codons of the mRNA that have been read since translation started
+    this.numberOfCodonsRead = 0;
+
+    // @private {boolean} - whether a stop codon has been read, after which no more amino acids are added
+    this.stopCodonReached = false;
   }
 
   /**
@@ -94,6 +108,59 @@ class Ribosome extends MobileBiomolecule {
   releaseMessengerRna() {
     this.messengerRnaBeingTranslated.releaseFromRibosome( this );
     this.messengerRnaBeingTranslated = null;
+    this.currentCodonProperty.set( null );
+    this.proteinBeingSynthesizedProperty.set( null );
+  }
+
+  /**
+   * Start reading the codons of the mRNA being translated, adding an amino acid to the given protein for each one.
+   * @param {Protein} protein
+   * @public
+   */
+  startReadingCodons( protein ) {
+    this.numberOfCodonsRead = 0;
+    this.stopCodonReached = false;
+    this.proteinBeingSynthesizedProperty.set( protein );
+    this.readCodons();
+  }
+
+  /**
+   * Read the codons that have passed through this ribosome since they were last read, which is done as translation
+   * advances.
+   * @public
+   */
+  readCodons() {
+    this.readCodonsTo( this.messengerRnaBeingTranslated.getNumberOfCodonsTranslated( this ) );
+  }
+
+  /**
+   * Read all of the remaining codons of the mRNA, which is done when translation is complete.
+   * @public
+   */
+  finishReadingCodons() {
+    this.readCodonsTo( this.messengerRnaBeingTranslated.getNumberOfCodons() );
+  }
+
+  /**
+   * Read codons up to, but not including, the given codon, adding the amino acid that each codes for to the protein,
+   * and then update the current codon.
+   * @param {number} numberOfCodons
+   * @private
+   */
+  readCodonsTo( numberOfCodons ) {
+    const messengerRna = this.messengerRnaBeingTranslated;
+    const protein = this.proteinBeingSynthesizedProperty.get();
+    while ( this.numberOfCodonsRead < numberOfCodons && !this.stopCodonReached ) {
+      const aminoAcid = GeneticCode.getAminoAcid( messengerRna.getCodon( this.numberOfCodonsRead ) );
+      if ( aminoAcid === null ) {
+        this.stopCodonReached = true;
+      }
+      else {
+        protein && protein.addAminoAcid( aminoAcid );
+      }
+      this.numberOfCodonsRead++;
+    }
+    this.currentCodonProperty.set( this.stopCodonReached ? null : messengerRna.getCodon( this.numberOfCodonsRead ) );
   }
 
   /**
@@ -13,7 +13,6 @@
 import Dimension2 from '../../../../dot/js/Dimension2.js';
 import dotRandom from '../../../../dot/js/dotRandom.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
-import Color from '../../../../scenery/js/util/Color.js';
 import geneExpressionEssentials from '../../geneExpressionEssentials.js';
 import TranscriptionFactorAttachmentStateMachine from './attachment-state-machines/TranscriptionFactorAttachmentStateMachine.js';
 import BioShapeUtils from './BioShapeUtils.js';
@@ -26,6 +25,10 @@ const WIDTH = 325;   // In nanometers.
 const HEIGHT = 240;  // In nanometers.
 const SIZE = new Dimension2( WIDTH, HEIGHT );
 
+// {Map.<string, TranscriptionFactorConfig>} - configurations that have been created, keyed by the values that define
+// them, so that transcription factors that are described in the same way are treated as the same kind of factor
+const configCache = new Map();
+
 class TranscriptionFactor extends MobileBiomolecule {
 
   /**
@@ -115,51 +118,28 @@ class TranscriptionFactor extends MobileBiomolecule {
     return this.config;
   }
 
+  /**
+   * Get the configuration for transcription factors with the given shape, polarity and color, creating it the first
+   * time that it is asked for. Configurations are compared by identity, so this should be used rather than creating
+   * them directly.
+   * @param {number} shapeSeed - seed for the random shape of the transcription factor
+   * @param {boolean} positive - true for a factor that enhances transcription, false for one that blocks it
+   * @param {Color} baseColor
+   * @returns {TranscriptionFactorConfig}
+   * @public
+   */
+  static getConfig( shapeSeed, positive, baseColor ) {
+    const key = `${shapeSeed}-${positive}-${baseColor.toCSS()}`;
+    if ( !configCache.has( key ) ) {
+      configCache.set(
+        key,
+        new TranscriptionFactorConfig( BioShapeUtils.createRandomShape( SIZE, shapeSeed ), positive, baseColor )
+      );
+    }
+    return configCache.get( key );
+  }
 }
 
-
-// static definitions of all the transcription factor configurations that are used by this sim
-TranscriptionFactor.TRANSCRIPTION_FACTOR_CONFIG_GENE_1_POS = new TranscriptionFactorConfig(
-  BioShapeUtils.createRandomShape( SIZE, 1014 ),
-  true,
-  Color.yellow
-);
-TranscriptionFactor.TRANSCRIPTION_FACTOR_CONFIG_GENE_1_NEG = new TranscriptionFactorConfig(
-  BioShapeUtils.createRandomShape( SIZE, 2000 ),
-  false,
-  Color.red
-);
-TranscriptionFactor.TRANSCRIPTION_FACTOR_CONFIG_GENE_2_POS_1 = new TranscriptionFactorConfig(
-  BioShapeUtils.createRandomShape( SIZE, 3004 ),
-  true,
-  Color.orange
-);
-TranscriptionFactor.TRANSCRIPTION_FACTOR_CONFIG_GENE_2_POS_2 = new TranscriptionFactorConfig(
-  BioShapeUtils.createRandomShape( SIZE, 1 ),
-  true,
-  new Color( 0, 255, 127 )
-);
-TranscriptionFactor.TRANSCRIPTION_FACTOR_CONFIG_GENE_2_NEG = new TranscriptionFactorConfig(
-  BioShapeUtils.createRandomShape( SIZE, 4000 ),
-  false,
-  new Color( 255, 255, 255 )
-);
-TranscriptionFactor.TRANSCRIPTION_FACTOR_CONFIG_GENE_3_POS_1 = new TranscriptionFactorConfig(
-  BioShapeUtils.createRandomShape( SIZE, 58 ),
-  true,
-  new Color( 255, 127, 0 )
-);
-TranscriptionFactor.TRANSCRIPTION_FACTOR_CONFIG_GENE_3_POS_2 = new TranscriptionFactorConfig(
-  BioShapeUtils.createRandomShape( SIZE, 96 ),
-  true,
-  new Color( 255, 99, 71 )
-);
-TranscriptionFactor.TRANSCRIPTION_FACTOR_CONFIG_GENE_3_NEG = new TranscriptionFactorConfig(
-  BioShapeUtils.createRandomShape( SIZE, 40 ),
-  false,
-  Color.magenta
-);
-
 geneExpressionEssentials.register( 'TranscriptionFactor', TranscriptionFactor );
 
 export default TranscriptionFactor;
\ No newline at end of file
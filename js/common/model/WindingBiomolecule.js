@@ -718,6 +718,9 @@ class WindingBiomolecule extends MobileBiomolecule {
   }
 }
 
+// statics
+WindingBiomolecule.NUMBER_OF_WINDING_PARAM_SETS = WINDING_PARAMS.length;
+
 geneExpressionEssentials.register( 'WindingBiomolecule', WindingBiomolecule );
 
 export default WindingBiomolecule;
@@ -10,9 +10,11 @@
  */
 
 import Property from '../../../../../axon/js/Property.js';
+import Utils from '../../../../../dot/js/Utils.js';
 import Vector2 from '../../../../../dot/js/Vector2.js';
 import geneExpressionEssentials from '../../../geneExpressionEssentials.js';
 import GEEConstants from '../../GEEConstants.js';
+import GeneticCode from '../GeneticCode.js';
 import MessengerRna from '../MessengerRna.js';
 import MoveDirectlyToDestinationMotionStrategy from '../motion-strategies/MoveDirectlyToDestinationMotionStrategy.js';
 import AttachmentState from './AttachmentState.js';
@@ -37,6 +39,13 @@ class AttachedAndTranscribingState extends AttachmentState {
     // @private
     this.endOfGene = null;
     this.messengerRna = null;
+
+    // @private {string|null} - sequence of the mRNA when it is complete, which is added to it as the polymerase moves
+    // along the gene
+    this.messengerRnaSequence = null;
+
+    // @private {number} - x position at which transcription started
+    this.transcriptionStartX = 0;
   }
 
   /**
@@ -63,6 +72,14 @@ class AttachedAndTranscribingState extends AttachmentState {
       rnaPolymerase.getPosition().y + rnaPolymerase.messengerRnaGenerationOffset.y
     );
 
+    // Add the nucleotides that have been transcribed to the sequence of the mRNA.
+    const proportionTranscribed = Utils.clamp(
+      ( rnaPolymerase.getPosition().x - this.transcriptionStartX ) / ( this.endOfGene.x - this.transcriptionStartX ),
+      0,
+      1
+    );
+    this.addTranscribedNucleotides( Utils.roundSymmetric( proportionTranscribed * this.messengerRnaSequence.length ) );
+
     // Move the DNA strand separator.
     dnaStrandSeparation.setXPosition( rnaPolymerase.getPosition().x );
 
@@ -81,13 +98,27 @@ class AttachedAndTranscribingState extends AttachmentState {
     if ( biomolecule.getPosition().equalsEpsilon( this.endOfGene, BIO_MOLECULE_POSITION_COMPARISON_EPSILON ) ) {
       attachedState = attachedAndDeconformingState;
       this.rnaPolymeraseAttachmentStateMachine.setState( attachedState );
+      this.addTranscribedNucleotides( this.messengerRnaSequence.length );
       this.messengerRna.releaseFromPolymerase();
       this.messengerRna.movableByUserProperty.set( true );
       this.messengerRna = null;
+      this.messengerRnaSequence = null;
       this.endOfGene = null;
     }
   }
 
+  /**
+   * Add nucleotides to the mRNA so that it has the given number of the nucleotides of its sequence.
+   * @param {number} numberOfNucleotides
+   * @private
+   */
+  addTranscribedNucleotides( numberOfNucleotides ) {
+    const currentLength = this.messengerRna.sequence.length;
+    if ( numberOfNucleotides > currentLength ) {
+      this.messengerRna.addNucleotides( this.messengerRnaSequence.substring( currentLength, numberOfNucleotides ) );
+    }
+  }
+
   /**
    * @override
    * @param {AttachmentStateMachine} asm
@@ -107,6 +138,8 @@ class AttachedAndTranscribingState extends AttachmentState {
 
     // Set up the motion strategy to move to the end of the transcribed region of the gene.
     this.endOfGene = new Vector2( geneToTranscribe.getEndX(), GEEConstants.DNA_MOLECULE_Y_POS );
+    this.transcriptionStartX = biomolecule.getPosition().x;
+    this.messengerRnaSequence = GeneticCode.transcribe( geneToTranscribe.getTranscribedSequence() );
 
     asm.biomolecule.setMotionStrategy( new MoveDirectlyToDestinationMotionStrategy(
       new Property( this.endOfGene.copy() ),
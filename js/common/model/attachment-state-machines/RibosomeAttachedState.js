@@ -67,7 +67,15 @@ class RibosomeAttachedState extends AttachmentState {
     // look good and to cause minimal "jumpiness" when translation and trnascription occur simultaneously.
     const translationRate = mRna.beingSynthesizedProperty.get() ? RNA_TRANSLATION_RATE * 0.4 : RNA_TRANSLATION_RATE;
     const translationComplete = ribosome.advanceMessengerRnaTranslation( translationRate * dt );
-    if ( translationComplete ) {
+    if ( !translationComplete ) {
+
+      // read the codons that have passed through the ribosome
+      ribosome.readCodons();
+    }
+    else {
+
+      // read any codons that are left
+      ribosome.finishReadingCodons();
 
       // release the mRNA
       ribosome.releaseMessengerRna();
@@ -94,6 +102,7 @@ class RibosomeAttachedState extends AttachmentState {
     this.ribosomeAttachmentStateMachine.proteinBeingSynthesized = proteinBeingSynthesized;
     proteinBeingSynthesized.setAttachmentPointPosition( ribosome.getProteinAttachmentPoint() );
     ribosome.getModel().addMobileBiomolecule( proteinBeingSynthesized );
+    ribosome.startReadingCodons( proteinBeingSynthesized );
 
     // Prevent user interaction while translating.
     asm.biomolecule.movableByUserProperty.set( false );
@@ -1,22 +1,39 @@
 // Copyright 2017-2020, University of Colorado Boulder
 
 /**
- * A DNA Backbone Layer rendered on canvas. This exists for performance reasons.
+ * A DNA Backbone Layer rendered on canvas. This exists for performance reasons. The base pairs can optionally be colored
+ * by their nucleotides, in which case each half of a base pair is shown in the color of the nucleotide on that side,
+ * and the nucleotides are labeled with their letters when the DNA is zoomed in far enough for the letters to be read.
  *
  * @author Aadish Gupta
  */
 
 import Utils from '../../../../dot/js/Utils.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
+import merge from '../../../../phet-core/js/merge.js';
 import CanvasNode from '../../../../scenery/js/nodes/CanvasNode.js';
 import Color from '../../../../scenery/js/util/Color.js';
 import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import GEEConstants from '../GEEConstants.js';
+import BasePair from '../model/BasePair.js';
 import ShapeUtils from '../model/ShapeUtils.js';
 
 // constants
 const STRAND_1_COLOR = new Color( 31, 163, 223 );
 const STRAND_2_COLOR = new Color( 214, 87, 107 );
 const BASE_PAIR_COLOR = Color.DARK_GRAY.computeCSS();
+const NUCLEOTIDE_COLORS = {
+  A: new Color( 80, 180, 80 ).computeCSS(),
+  T: new Color( 220, 70, 70 ).computeCSS(),
+  G: new Color( 240, 180, 30 ).computeCSS(),
+  C: new Color( 60, 120, 220 ).computeCSS()
+};
+const NUCLEOTIDE_LETTER_COLOR = Color.BLACK.computeCSS();
+
+// size of the letters of the nucleotides, in model units, and the smallest distance between base pairs on the screen,
+// in pixels, at which the letters are shown
+const NUCLEOTIDE_FONT_SIZE = GEEConstants.DISTANCE_BETWEEN_BASE_PAIRS * 0.6;
+const MIN_LETTER_SPACING = 14;
 
 class DnaMoleculeCanvasNode extends CanvasNode {
 
@@ -27,7 +44,14 @@ class DnaMoleculeCanvasNode extends CanvasNode {
    * @param {Object} [options]
    */
   constructor( model, modelViewTransform, backboneStrokeWidth, options ) {
-    super( options );
+
+    options = merge( {
+
+      // {Property.<boolean>|null} - whether the base pairs are colored and labeled by their nucleotides
+      nucleotidesShownProperty: null
+    }, options );
+
+    super( _.omit( options, 'nucleotidesShownProperty' ) );
     this.model = model; // @private
     this.modelViewTransform = modelViewTransform; // @private
     this.backboneStrokeWidth = modelViewTransform.viewToModelDeltaX( backboneStrokeWidth ); // @private
@@ -44,6 +68,14 @@ class DnaMoleculeCanvasNode extends CanvasNode {
     this.strand1ArrayFront = new Array( longerArrayLength );
     this.strand2ArrayFront = new Array( shorterArrayLength );
 
+    // @private {Property.<boolean>|null}
+    this.nucleotidesShownProperty = options.nucleotidesShownProperty;
+    this.nucleotidesShownProperty && this.nucleotidesShownProperty.lazyLink( () => this.invalidatePaint() );
+
+    // @private {number} - 1 if the y axis is in the same direction in the model and view, -1 if it is inverted, used
+    // to keep the letters upright
+    this.yDirection = Math.sign( modelViewTransform.modelToViewDeltaY( 1 ) );
+
     this.invalidatePaint();
   }
 
@@ -77,6 +109,74 @@ class DnaMoleculeCanvasNode extends CanvasNode {
     context.lineWidth = basePair.width;
   }
 
+  /**
+   * Draws the halves of the base pairs that are at the top or bottom position and have a given nucleotide. If the
+   * strands aren't separated, each half goes to the middle of the base pair.
+   * @param {CanvasRenderingContext2D} context
+   * @param {string} nucleotide
+   * @param {boolean} top - whether the halves at the top position are drawn, otherwise the ones at the bottom are
+   * @private
+   */
+  drawBasePairHalves( context, nucleotide, top ) {
+    const dividedBasePairHeight = this.model.maxBasePairHeight / 2;
+    for ( let i = 0; i < this.model.basePairs.length; i++ ) {
+      const basePair = this.model.basePairs[ i ];
+      if ( ( top ? basePair.getTopNucleotide() : basePair.getBottomNucleotide() ) === nucleotide ) {
+        const endOffset = basePair.width / 2;
+        const separated = basePair.topYPosition - basePair.bottomYPosition > this.model.maxBasePairHeight;
+        const middleYPosition = ( basePair.topYPosition + basePair.bottomYPosition ) / 2;
+        if ( top ) {
+          context.moveTo( basePair.x, basePair.topYPosition + endOffset );
+          context.lineTo( basePair.x, separated ? basePair.topYPosition - dividedBasePairHeight : middleYPosition );
+        }
+        else {
+          context.moveTo( basePair.x, basePair.bottomYPosition - endOffset );
+          context.lineTo( basePair.x, separated ? basePair.bottomYPosition + dividedBasePairHeight : middleYPosition );
+        }
+      }
+    }
+  }
+
+  /**
+   * Draws the letters of the nucleotides of the base pairs, near the ends of each base pair. The letters are left out
+   * where the base pair is too short for the two of them to fit, i.e. where the strands cross, and for the base pairs
+   * that are outside of the given range of x.
+   * @param {CanvasRenderingContext2D} context
+   * @param {number} minX - in model coordinates
+   * @param {number} maxX - in model coordinates
+   * @private
+   */
+  drawNucleotideLetters( context, minX, maxX ) {
+    context.font = `bold ${NUCLEOTIDE_FONT_SIZE}px sans-serif`;
+    context.fillStyle = NUCLEOTIDE_LETTER_COLOR;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    for ( let i = 0; i < this.model.basePairs.length; i++ ) {
+      const basePair = this.model.basePairs[ i ];
+      const height = basePair.bottomYPosition - basePair.topYPosition;
+      if ( basePair.x >= minX && basePair.x <= maxX && Math.abs( height ) >= NUCLEOTIDE_FONT_SIZE * 2.5 ) {
+        const letterOffset = Math.sign( height ) * Math.min( Math.abs( height ) / 4, NUCLEOTIDE_FONT_SIZE * 1.5 );
+        this.drawLetter( context, basePair.getTopNucleotide(), basePair.x, basePair.topYPosition + letterOffset );
+        this.drawLetter( context, basePair.getBottomNucleotide(), basePair.x, basePair.bottomYPosition - letterOffset );
+      }
+    }
+  }
+
+  /**
+   * @param {CanvasRenderingContext2D} context
+   * @param {string} letter
+   * @param {number} x - in model coordinates
+   * @param {number} y - in model coordinates
+   * @private
+   */
+  drawLetter( context, letter, x, y ) {
+    context.save();
+    context.translate( x, y );
+    context.scale( 1, this.yDirection );
+    context.fillText( letter, 0, 0 );
+    context.restore();
+  }
+
   /**
    * Draws the strand segments
    * @param {CanvasRenderingContext2D} context
@@ -169,15 +269,52 @@ class DnaMoleculeCanvasNode extends CanvasNode {
     this.drawStrandSegments( context, this.strand1ArrayBehind, STRAND_1_COLOR );
     this.drawStrandSegments( context, this.strand2ArrayBehind, STRAND_2_COLOR );
 
-    // draw the base pairs
+    // draw the base pairs, with one path for each color
     context.lineCap = 'butt';
-    context.beginPath();
-    context.strokeStyle = BASE_PAIR_COLOR;
-    for ( let i = 0; i < this.model.basePairs.length; i++ ) {
-      const basePair = this.model.basePairs[ i ];
-      this.drawBasePair( context, basePair );
+    const nucleotidesShown = this.nucleotidesShownProperty && this.nucleotidesShownProperty.get();
+    if ( nucleotidesShown ) {
+      context.lineWidth = this.model.basePairs[ 0 ].width;
+      BasePair.Nucleotides.forEach( nucleotide => {
+        context.beginPath();
+        context.strokeStyle = NUCLEOTIDE_COLORS[ nucleotide ];
+        this.drawBasePairHalves( context, nucleotide, true );
+        this.drawBasePairHalves( context, nucleotide, false );
+        context.stroke();
+      } );
+
+      // Label the nucleotides if the base pairs are far enough apart on the screen, which takes into account any
+      // zooming of the whole sim.
+      const transform = context.getTransform();
+      const pixelsPerModelUnit = Math.sqrt( transform.a * transform.a + transform.b * transform.b );
+      if ( GEEConstants.DISTANCE_BETWEEN_BASE_PAIRS * pixelsPerModelUnit >= MIN_LETTER_SPACING ) {
+
+        // Only the letters that are on the canvas are drawn, since there can be thousands of them when zoomed in. The
+        // corners of the canvas are transformed into model coordinates to find the range of x that is visible.
+        const inverseTransform = transform.inverse();
+        const canvas = context.canvas;
+        const corners = [
+          new window.DOMPoint( 0, 0 ),
+          new window.DOMPoint( canvas.width, 0 ),
+          new window.DOMPoint( 0, canvas.height ),
+          new window.DOMPoint( canvas.width, canvas.height )
+        ];
+        const visibleXValues = corners.map( corner => inverseTransform.transformPoint( corner ).x );
+        this.drawNucleotideLetters(
+          context,
+          _.min( visibleXValues ) - NUCLEOTIDE_FONT_SIZE,
+          _.max( visibleXValues ) + NUCLEOTIDE_FONT_SIZE
+        );
+      }
+    }
+    else {
+      context.beginPath();
+      context.strokeStyle = BASE_PAIR_COLOR;
+      for ( let i = 0; i < this.model.basePairs.length; i++ ) {
+        const basePair = this.model.basePairs[ i ];
+        this.drawBasePair( context, basePair );
+      }
+      context.stroke();
     }
-    context.stroke();
 
     // draw the front portions of the DNA strand
     context.lineCap = 'round';
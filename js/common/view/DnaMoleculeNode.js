@@ -9,6 +9,7 @@
  */
 
 import Bounds2 from '../../../../dot/js/Bounds2.js';
+import merge from '../../../../phet-core/js/merge.js';
 import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
 import geneExpressionEssentials from '../../geneExpressionEssentials.js';
@@ -25,8 +26,16 @@ class DnaMoleculeNode extends Node {
    * @param {ModelViewTransform2} modelViewTransform
    * @param {number} backboneStrokeWidth
    * @param {boolean} showGeneBracketLabels
+   * @param {Object} [options]
    */
-  constructor( dnaMolecule, modelViewTransform, backboneStrokeWidth, showGeneBracketLabels ) {
+  constructor( dnaMolecule, modelViewTransform, backboneStrokeWidth, showGeneBracketLabels, options ) {
+
+    options = merge( {
+
+      // {Property.<boolean>|null} - whether the base pairs are colored and labeled by their nucleotides
+      nucleotidesShownProperty: null
+    }, options );
+
     super();
 
     // Add the layers onto which the various nodes that represent parts of the dna, the hints, etc. are placed.
@@ -41,7 +50,8 @@ class DnaMoleculeNode extends Node {
         dnaMolecule.getRightEdgeXPosition(),
         dnaMolecule.getTopEdgeYPosition() - modelViewTransform.viewToModelDeltaY( 10 )
       ),
-      matrix: modelViewTransform.getMatrix()
+      matrix: modelViewTransform.getMatrix(),
+      nucleotidesShownProperty: options.nucleotidesShownProperty
     } );
 
     this.addChild( this.dnaBackboneLayer );
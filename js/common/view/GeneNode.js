@@ -10,24 +10,43 @@
  */
 
 import Shape from '../../../../kite/js/Shape.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
 import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
 import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
 import RichText from '../../../../scenery/js/nodes/RichText.js';
 import Text from '../../../../scenery/js/nodes/Text.js';
 import Color from '../../../../scenery/js/util/Color.js';
 import geneExpressionEssentials from '../../geneExpressionEssentials.js';
 import geneExpressionEssentialsStrings from '../../geneExpressionEssentialsStrings.js';
 import GEEConstants from '../GEEConstants.js';
+import PromoterLogicType from '../model/PromoterLogicType.js';
 
+const logicOrString = geneExpressionEssentialsStrings.logicOr;
+const logicThresholdPatternString = geneExpressionEssentialsStrings.logicThresholdPattern;
+const logicTruthTableString = geneExpressionEssentialsStrings.logicTruthTable;
+const logicWeightedPatternString = geneExpressionEssentialsStrings.logicWeightedPattern;
 const regulatoryRegionString = geneExpressionEssentialsStrings.regulatoryRegion;
 const transcribedRegionString = geneExpressionEssentialsStrings.transcribedRegion;
 
 // constants
 const REGION_LABEL_FONT = new PhetFont( { size: 12, weight: 'bold' } );
 const GENE_LABEL_FONT = new PhetFont( { size: 18, weight: 'bold' } );
+const LOGIC_LABEL_FONT = new PhetFont( { size: 10, weight: 'bold' } );
 const BRACKET_DEPTH = 30;
 const RECT_ROUNDING = 15;
+const LOGIC_INDICATOR_ACTIVE_FILL = new Color( 0, 220, 0 );
+const LOGIC_INDICATOR_INACTIVE_FILL = new Color( 200, 200, 200 );
+
+// functions that create the labels of the promoter logic indicator, keyed by the name of the type of the logic, for
+// all but the default AND logic, which isn't indicated
+const PROMOTER_LOGIC_LABEL_CREATORS = {
+  OR: () => logicOrString,
+  THRESHOLD: promoterLogic => StringUtils.fillIn( logicThresholdPatternString, { threshold: promoterLogic.threshold } ),
+  WEIGHTED: promoterLogic => StringUtils.fillIn( logicWeightedPatternString, { threshold: promoterLogic.threshold } ),
+  TRUTH_TABLE: () => logicTruthTableString
+};
 
 class GeneNode extends Node {
 
@@ -65,6 +84,26 @@ class GeneNode extends Node {
     } );
     this.addChild( regulatoryRegionCaption );
 
+    // Add the indicator that shows the promoter logic of the gene and lights up when the logic is satisfied. Genes
+    // with the default logic don't have one, so that the logic is only pointed out when it is something different.
+    let logicIndicator = null;
+    if ( gene.promoterLogic.type !== PromoterLogicType.AND ) {
+      const createLogicLabel = PROMOTER_LOGIC_LABEL_CREATORS[ gene.promoterLogic.type.name ];
+      const logicLabel = new Text( createLogicLabel( gene.promoterLogic ), { font: LOGIC_LABEL_FONT, maxWidth: 60 } );
+      logicIndicator = new Rectangle( 0, 0, logicLabel.width + 8, logicLabel.height + 4, 4, 4, {
+        stroke: Color.BLACK,
+        lineWidth: 1,
+        centerX: regulatoryRegionNode.bounds.getCenterX(),
+        top: regulatoryRegionCaption.bounds.getMaxY() + 2
+      } );
+      logicLabel.center = logicIndicator.localBounds.center;
+      logicIndicator.addChild( logicLabel );
+      this.addChild( logicIndicator );
+      gene.promoterActiveProperty.link( promoterActive => {
+        logicIndicator.fill = promoterActive ? LOGIC_INDICATOR_ACTIVE_FILL : LOGIC_INDICATOR_INACTIVE_FILL;
+      } );
+    }
+
     // Add the highlight for the transcribed region.
     const transcribedRegionHighlightStartX = modelViewTransform.modelToViewX(
       dnaMolecule.getBasePairXOffsetByIndex( gene.getTranscribedRegion().min )
@@ -89,12 +128,16 @@ class GeneNode extends Node {
 
     // Add the bracket.  This is a portion (the non-textual part) of the  label for the gene.
     if ( showBracketLabel ) {
+      // The bracket starts below the logic indicator, if there is one, and is kept level.
+      const regulatoryRegionLabelBottom = logicIndicator ?
+                                          logicIndicator.bounds.getMaxY() :
+                                          regulatoryRegionCaption.bounds.getMaxY();
       const bracketPath = new Shape();
-      bracketPath.moveTo( regulatoryRegionNode.bounds.getMinX(), regulatoryRegionCaption.bounds.getMaxY() );
+      bracketPath.moveTo( regulatoryRegionNode.bounds.getMinX(), regulatoryRegionLabelBottom );
       bracketPath.lineToRelative( BRACKET_DEPTH, BRACKET_DEPTH );
       bracketPath.lineTo(
         transcribedRegionNode.bounds.getMaxX() - BRACKET_DEPTH,
-        transcribedRegionCaption.bounds.getMaxY() + BRACKET_DEPTH
+        Math.max( regulatoryRegionLabelBottom, transcribedRegionCaption.bounds.getMaxY() ) + BRACKET_DEPTH
       );
       bracketPath.lineToRelative( BRACKET_DEPTH, -BRACKET_DEPTH );
       this.addChild( new Path( bracketPath, { lineWidth: 2, stroke: Color.BLACK } ) );
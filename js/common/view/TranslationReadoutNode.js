@@ -0,0 +1,121 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Readout that floats above a ribosome while it is translating mRNA and shows the codon that it is reading, the
+ * anticodon of the transfer RNA that pairs with that codon, and the chain of amino acids of the protein that has been
+ * synthesized so far.
+ *
+ * @author agent
+ */
+
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import Panel from '../../../../sun/js/Panel.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import geneExpressionEssentialsStrings from '../../geneExpressionEssentialsStrings.js';
+import GEEConstants from '../GEEConstants.js';
+import GeneticCode from '../model/GeneticCode.js';
+
+// constants
+const FONT = new PhetFont( 12 );
+const MAX_TEXT_WIDTH = 220;
+const MAX_AMINO_ACIDS_SHOWN = 6; // earlier amino acids in the chain are elided so that the readout stays small
+const NO_VALUE = '-';
+const SPACING_FROM_RIBOSOME = 5; // in screen coordinates
+
+const anticodonPatternString = geneExpressionEssentialsStrings.anticodonPattern;
+const codonPatternString = geneExpressionEssentialsStrings.codonPattern;
+const polypeptidePatternString = geneExpressionEssentialsStrings.polypeptidePattern;
+
+class TranslationReadoutNode extends Panel {
+
+  /**
+   * @param {ModelViewTransform2} modelViewTransform
+   * @param {Ribosome} ribosome
+   */
+  constructor( modelViewTransform, ribosome ) {
+
+    const codonText = new Text( '', { font: FONT, maxWidth: MAX_TEXT_WIDTH } );
+    const anticodonText = new Text( '', { font: FONT, maxWidth: MAX_TEXT_WIDTH } );
+    const polypeptideText = new Text( '', { font: FONT, maxWidth: MAX_TEXT_WIDTH } );
+
+    super( new VBox( { spacing: 2, align: 'left', children: [ codonText, anticodonText, polypeptideText ] } ), {
+      cornerRadius: GEEConstants.CORNER_RADIUS,
+      fill: new Color( 255, 255, 255, 0.85 ),
+      lineWidth: 1,
+      xMargin: 6,
+      yMargin: 4,
+      pickable: false
+    } );
+
+    const updatePosition = () => {
+      const ribosomeBounds = modelViewTransform.modelToViewShape( ribosome.shapeProperty.get() ).bounds;
+      this.centerX = modelViewTransform.modelToViewX( ribosome.getPosition().x );
+      this.bottom = modelViewTransform.modelToViewY( ribosome.getPosition().y ) + ribosomeBounds.minY -
+                    SPACING_FROM_RIBOSOME;
+    };
+
+    const updateCodon = codon => {
+      codonText.text = StringUtils.fillIn( codonPatternString, { codon: codon || NO_VALUE } );
+      anticodonText.text = StringUtils.fillIn( anticodonPatternString, {
+        anticodon: codon ? GeneticCode.getAnticodon( codon ) : NO_VALUE
+      } );
+      updatePosition();
+    };
+
+    const updatePolypeptide = () => {
+      const protein = ribosome.proteinBeingSynthesizedProperty.get();
+      const aminoAcids = protein ? protein.aminoAcidChain.slice() : [];
+      let chain = aminoAcids.slice( -MAX_AMINO_ACIDS_SHOWN ).join( '-' );
+      if ( aminoAcids.length > MAX_AMINO_ACIDS_SHOWN ) {
+        chain = `...-${chain}`;
+      }
+      polypeptideText.text = StringUtils.fillIn( polypeptidePatternString, {
+        polypeptide: chain.length > 0 ? chain : NO_VALUE
+      } );
+      updatePosition();
+    };
+
+    // Follow the amino acid chain of the protein that is being synthesized, which changes as translation proceeds.
+    const updateProtein = ( protein, previousProtein ) => {
+      if ( previousProtein ) {
+        previousProtein.aminoAcidChain.lengthProperty.unlink( updatePolypeptide );
+      }
+      if ( protein ) {
+        protein.aminoAcidChain.lengthProperty.link( updatePolypeptide );
+      }
+      else {
+        updatePolypeptide();
+      }
+      this.visible = protein !== null;
+    };
+
+    ribosome.positionProperty.link( updatePosition );
+    ribosome.currentCodonProperty.link( updateCodon );
+    ribosome.proteinBeingSynthesizedProperty.link( updateProtein );
+
+    // @private
+    this.disposeTranslationReadoutNode = () => {
+      ribosome.positionProperty.unlink( updatePosition );
+      ribosome.currentCodonProperty.unlink( updateCodon );
+      ribosome.proteinBeingSynthesizedProperty.unlink( updateProtein );
+      const protein = ribosome.proteinBeingSynthesizedProperty.get();
+      protein && protein.aminoAcidChain.lengthProperty.unlink( updatePolypeptide );
+    };
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    this.disposeTranslationReadoutNode();
+    super.dispose();
+  }
+}
+
+geneExpressionEssentials.register( 'TranslationReadoutNode', TranslationReadoutNode );
+export default TranslationReadoutNode;
@@ -0,0 +1,53 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * main screen type for the 'Gene Editor' screen
+ *
+ * @author agent
+ */
+
+import Property from '../../../axon/js/Property.js';
+import Screen from '../../../joist/js/Screen.js';
+import ScreenIcon from '../../../joist/js/ScreenIcon.js';
+import HBox from '../../../scenery/js/nodes/HBox.js';
+import GEEConstants from '../common/GEEConstants.js';
+import geneExpressionEssentials from '../geneExpressionEssentials.js';
+import geneExpressionEssentialsStrings from '../geneExpressionEssentialsStrings.js';
+import GeneEditorModel from './model/GeneEditorModel.js';
+import GeneElementType from './model/GeneElementType.js';
+import GeneEditorScreenView from './view/GeneEditorScreenView.js';
+import GeneElementNode from './view/GeneElementNode.js';
+
+class GeneEditorScreen extends Screen {
+
+  constructor() {
+
+    // The icon is a gene built from the elements that the user works with on this screen.
+    const iconNode = new HBox( {
+      children: [
+        GeneElementNode.createIcon( GeneElementType.POSITIVE_SITE, 30 ),
+        GeneElementNode.createIcon( GeneElementType.NEGATIVE_SITE, 30 ),
+        GeneElementNode.createIcon( GeneElementType.PROMOTER, 30 ),
+        GeneElementNode.createIcon( GeneElementType.CODING_REGION, 120 )
+      ]
+    } );
+
+    const options = {
+      name: geneExpressionEssentialsStrings.screen.geneEditor,
+      backgroundColorProperty: new Property( '#ABCBDB' ),
+      homeScreenIcon: new ScreenIcon( iconNode, {
+        fill: '#ABCBDB'
+      } ),
+      maxDT: GEEConstants.MAX_DT
+    };
+
+    super(
+      () => new GeneEditorModel(),
+      model => new GeneEditorScreenView( model ),
+      options
+    );
+  }
+}
+
+geneExpressionEssentials.register( 'GeneEditorScreen', GeneEditorScreen );
+export default GeneEditorScreen;
@@ -0,0 +1,27 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Enumeration of the problems that can keep a gene that the user has built in the Gene Editor screen from being tested.
+ *
+ * NO_PROMOTER - there is no promoter on the DNA strand
+ * NO_CODING_REGION - there is no coding region on the DNA strand
+ * CODING_REGION_NOT_AFTER_PROMOTER - the coding region doesn't start right after the promoter
+ * OVERLAPPING_ELEMENTS - elements on the DNA strand overlap, e.g. two binding sites that are at the same base pairs
+ * BINDING_SITE_DOWNSTREAM - a transcription factor binding site is downstream of the promoter
+ *
+ * @author agent
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+const GeneConstructProblem = Enumeration.byKeys( [
+  'NO_PROMOTER',
+  'NO_CODING_REGION',
+  'CODING_REGION_NOT_AFTER_PROMOTER',
+  'OVERLAPPING_ELEMENTS',
+  'BINDING_SITE_DOWNSTREAM'
+] );
+
+geneExpressionEssentials.register( 'GeneConstructProblem', GeneConstructProblem );
+export default GeneConstructProblem;
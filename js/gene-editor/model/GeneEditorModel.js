@@ -0,0 +1,423 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Model for the 'Gene Editor' screen, where the user builds a gene by dragging promoters, transcription factor binding
+ * sites and a coding region onto an empty DNA strand and choosing the protein that it codes for. The gene is then
+ * tested by building a descriptor for it (see GeneFactory) and putting it into a model like the one for the Expression
+ * screen, where it is expressed using the same biomolecules.
+ *
+ * @author agent
+ */
+
+import createObservableArray from '../../../../axon/js/createObservableArray.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
+import GEEConstants from '../../common/GEEConstants.js';
+import DnaMolecule from '../../common/model/DnaMolecule.js';
+import GeneFactory from '../../common/model/GeneFactory.js';
+import PromoterLogicType from '../../common/model/PromoterLogicType.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import ManualGeneExpressionModel from '../../manual-gene-expression/model/ManualGeneExpressionModel.js';
+import GeneConstructProblem from './GeneConstructProblem.js';
+import GeneElement from './GeneElement.js';
+import GeneElementType from './GeneElementType.js';
+
+// constants
+
+// size of the DNA strand on which the gene is built
+const NUM_BASE_PAIRS_ON_DNA_STRAND = 300;
+
+// lengths of the elements, in base pairs, keyed by the name of their type
+const ELEMENT_LENGTHS = {
+  PROMOTER: 8,
+  POSITIVE_SITE: 10,
+  NEGATIVE_SITE: 10
+};
+const CODING_REGION_LENGTH_RANGE = new Range( 50, 200 );
+
+// maximum number of binding sites, which is limited by the room for transcription factors in the biomolecule toolbox
+const MAX_BINDING_SITES = 3;
+
+// vertical distance from the DNA strand within which an element that is released is put on the strand, in picometers
+const CAPTURE_DISTANCE = 1000;
+
+// distance, in base pairs, within which the coding region and the promoter snap together
+const SNAP_DISTANCE = 10;
+
+// colors of the regions of the gene that is built
+const REGULATORY_REGION_COLOR = [ 216, 191, 216 ];
+const TRANSCRIBED_REGION_COLOR = [ 255, 165, 79 ];
+
+// Colors and shapes of the transcription factors for the binding sites, from left to right. These are those of the
+// genes in the Expression screen, so that the factors look familiar.
+const POSITIVE_TRANSCRIPTION_FACTORS = [
+  { color: [ 255, 255, 0 ], shapeSeed: 1014 },
+  { color: [ 255, 200, 0 ], shapeSeed: 3004 },
+  { color: [ 0, 255, 127 ], shapeSeed: 1 }
+];
+const NEGATIVE_TRANSCRIPTION_FACTORS = [
+  { color: [ 255, 0, 0 ], shapeSeed: 2000 },
+  { color: [ 255, 255, 255 ], shapeSeed: 4000 },
+  { color: [ 255, 0, 255 ], shapeSeed: 40 }
+];
+
+const MRNA_WINDING_ALGORITHM_NUMBER = 4;
+
+// kinds of promoter logic that the user can choose from, which are those that need no parameters other than the
+// binding sites, see createPromoterLogicDescriptor
+const PROMOTER_LOGIC_TYPES = [
+  PromoterLogicType.AND,
+  PromoterLogicType.OR,
+  PromoterLogicType.THRESHOLD,
+  PromoterLogicType.WEIGHTED
+];
+
+class GeneEditorModel {
+
+  constructor() {
+
+    // @public (read-only) {DnaMolecule} - the empty DNA strand on which the gene is built
+    this.dnaMolecule = new DnaMolecule(
+      null,
+      NUM_BASE_PAIRS_ON_DNA_STRAND,
+      -NUM_BASE_PAIRS_ON_DNA_STRAND * GEEConstants.DISTANCE_BETWEEN_BASE_PAIRS / 2,
+      false
+    );
+
+    // @public (read-only) {ObservableArrayDef.<GeneElement>} - elements that the user has taken out of the palette
+    this.elements = createObservableArray();
+
+    // @public {NumberProperty} - length of the coding region, in base pairs
+    this.codingRegionLengthProperty = new NumberProperty( 100, { range: CODING_REGION_LENGTH_RANGE } );
+
+    // @public {Property.<string>} - type of the protein that the gene codes for
+    this.proteinTypeProperty = new Property( GeneFactory.PROTEIN_TYPES[ 0 ], {
+      validValues: GeneFactory.PROTEIN_TYPES
+    } );
+
+    // @public {Property.<PromoterLogicType>} - how the promoter of the gene combines the factors at its binding sites
+    this.promoterLogicTypeProperty = new Property( PromoterLogicType.AND, { validValues: PROMOTER_LOGIC_TYPES } );
+
+    // @public (read-only) {Property.<GeneConstructProblem|null>} - what keeps the gene from being tested, null if it
+    // can be tested
+    this.constructProblemProperty = new Property( GeneConstructProblem.NO_PROMOTER );
+
+    // @public (read-only) {Property.<ManualGeneExpressionModel|null>} - model in which the gene is being tested, null
+    // when the gene is being edited
+    this.testModelProperty = new Property( null );
+
+    // Keep the problem up to date as elements come and go.
+    this.elements.lengthProperty.link( () => this.updateConstructProblem() );
+
+    // Change the length of the coding region, if there is one, when the length is changed.
+    this.codingRegionLengthProperty.link( length => {
+      const codingRegion = this.getElementOfType( GeneElementType.CODING_REGION );
+      if ( codingRegion ) {
+        codingRegion.lengthProperty.set( length );
+        if ( codingRegion.isOnStrand() ) {
+          this.placeElement( codingRegion, codingRegion.basePairIndexProperty.get() );
+        }
+      }
+    } );
+  }
+
+  /**
+   * Whether another element of the given type can be taken from the palette. There can only be one promoter and one
+   * coding region, and the number of binding sites is limited.
+   * @param {GeneElementType} type
+   * @returns {boolean}
+   * @public
+   */
+  canAddElement( type ) {
+    if ( type === GeneElementType.PROMOTER || type === GeneElementType.CODING_REGION ) {
+      return this.getElementOfType( type ) === null;
+    }
+    return this.getBindingSites().length < MAX_BINDING_SITES;
+  }
+
+  /**
+   * Create an element and add it to the model. It isn't on the strand until it is released there.
+   * @param {GeneElementType} type
+   * @param {Vector2} position
+   * @returns {GeneElement}
+   * @public
+   */
+  createElement( type, position ) {
+    assert && assert( this.canAddElement( type ), `no more elements of this type can be added: ${type.name}` );
+    const length = type === GeneElementType.CODING_REGION ?
+                   this.codingRegionLengthProperty.get() :
+                   ELEMENT_LENGTHS[ type.name ];
+    const element = new GeneElement( type, length, position );
+    element.basePairIndexProperty.lazyLink( () => this.updateConstructProblem() );
+    element.lengthProperty.lazyLink( () => this.updateConstructProblem() );
+    this.elements.push( element );
+    return element;
+  }
+
+  /**
+   * Take an element off of the strand so that it can be moved by the user.
+   * @param {GeneElement} element
+   * @public
+   */
+  grabElement( element ) {
+    element.basePairIndexProperty.set( null );
+  }
+
+  /**
+   * Release an element that the user was moving. If it is near the DNA strand it is put on the nearest base pair,
+   * snapping the coding region and the promoter together if they are close, and nudged to the nearest place where it
+   * doesn't overlap any other element. Otherwise, or if there is no such place, it is removed.
+   * @param {GeneElement} element
+   * @public
+   */
+  releaseElement( element ) {
+    const position = element.positionProperty.get();
+    const onStrand = Math.abs( position.y - GEEConstants.DNA_MOLECULE_Y_POS ) < CAPTURE_DISTANCE &&
+                     position.x + element.lengthProperty.get() * GEEConstants.DISTANCE_BETWEEN_BASE_PAIRS >
+                     this.dnaMolecule.getLeftEdgeXPosition() &&
+                     position.x < this.dnaMolecule.getRightEdgeXPosition();
+    if ( !onStrand ) {
+      this.elements.remove( element );
+      return;
+    }
+
+    let basePairIndex = Utils.roundSymmetric(
+      ( position.x - this.dnaMolecule.getBasePairXOffsetByIndex( 0 ) ) / GEEConstants.DISTANCE_BETWEEN_BASE_PAIRS
+    );
+    const promoter = this.getElementOfType( GeneElementType.PROMOTER );
+    const codingRegion = this.getElementOfType( GeneElementType.CODING_REGION );
+    if ( element === codingRegion && promoter && promoter.isOnStrand() &&
+         Math.abs( basePairIndex - promoter.getEndBasePairIndex() ) <= SNAP_DISTANCE ) {
+      basePairIndex = promoter.getEndBasePairIndex();
+    }
+    else if ( element === promoter && codingRegion && codingRegion.isOnStrand() &&
+              Math.abs( basePairIndex + promoter.lengthProperty.get() - codingRegion.basePairIndexProperty.get() ) <=
+              SNAP_DISTANCE ) {
+      basePairIndex = codingRegion.basePairIndexProperty.get() - promoter.lengthProperty.get();
+    }
+
+    const freeBasePairIndex = this.getNearestFreeBasePairIndex( element, basePairIndex );
+    if ( freeBasePairIndex === null ) {
+      this.elements.remove( element );
+    }
+    else {
+      this.placeElement( element, freeBasePairIndex );
+    }
+  }
+
+  /**
+   * Get the base pair nearest to the given one at which the element can be put on the strand without going off of the
+   * strand or overlapping any of the other elements that are on it.
+   * @param {GeneElement} element
+   * @param {number} basePairIndex
+   * @returns {number|null} - null if there is no room for the element
+   * @private
+   */
+  getNearestFreeBasePairIndex( element, basePairIndex ) {
+    const maxBasePairIndex = NUM_BASE_PAIRS_ON_DNA_STRAND - element.lengthProperty.get();
+    basePairIndex = Utils.clamp( basePairIndex, 0, maxBasePairIndex );
+    for ( let distance = 0; distance <= maxBasePairIndex; distance++ ) {
+      const candidates = [ basePairIndex - distance, basePairIndex + distance ].filter(
+        index => index >= 0 && index <= maxBasePairIndex && !this.overlapsOtherElements( element, index )
+      );
+      if ( candidates.length > 0 ) {
+        return candidates[ 0 ];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether the element would overlap any of the other elements that are on the strand if it started at the given
+   * base pair.
+   * @param {GeneElement} element
+   * @param {number} basePairIndex
+   * @returns {boolean}
+   * @private
+   */
+  overlapsOtherElements( element, basePairIndex ) {
+    const endBasePairIndex = basePairIndex + element.lengthProperty.get();
+    return _.some( this.elements, otherElement => otherElement !== element && otherElement.isOnStrand() &&
+                                                  basePairIndex < otherElement.getEndBasePairIndex() &&
+                                                  otherElement.basePairIndexProperty.get() < endBasePairIndex );
+  }
+
+  /**
+   * Put an element on the strand at the given base pair, moving it as needed to keep it all on the strand.
+   * @param {GeneElement} element
+   * @param {number} basePairIndex
+   * @private
+   */
+  placeElement( element, basePairIndex ) {
+    element.placeOnStrand(
+      Utils.clamp( basePairIndex, 0, NUM_BASE_PAIRS_ON_DNA_STRAND - element.lengthProperty.get() ),
+      this.dnaMolecule
+    );
+  }
+
+  /**
+   * Whether any of the elements that are on the strand overlap, which can happen when the coding region is lengthened.
+   * @returns {boolean}
+   * @private
+   */
+  hasOverlappingElements() {
+    return _.some(
+      this.elements,
+      element => element.isOnStrand() && this.overlapsOtherElements( element, element.basePairIndexProperty.get() )
+    );
+  }
+
+  /**
+   * @param {GeneElementType} type
+   * @returns {GeneElement|null}
+   * @private
+   */
+  getElementOfType( type ) {
+    return _.find( this.elements, element => element.type === type ) || null;
+  }
+
+  /**
+   * @returns {GeneElement[]}
+   * @private
+   */
+  getBindingSites() {
+    return this.elements.filter( element => element.type === GeneElementType.POSITIVE_SITE ||
+                                            element.type === GeneElementType.NEGATIVE_SITE );
+  }
+
+  /**
+   * @private
+   */
+  updateConstructProblem() {
+    const promoter = this.getElementOfType( GeneElementType.PROMOTER );
+    const codingRegion = this.getElementOfType( GeneElementType.CODING_REGION );
+    let problem = null;
+    if ( !promoter || !promoter.isOnStrand() ) {
+      problem = GeneConstructProblem.NO_PROMOTER;
+    }
+    else if ( !codingRegion || !codingRegion.isOnStrand() ) {
+      problem = GeneConstructProblem.NO_CODING_REGION;
+    }
+    else if ( codingRegion.basePairIndexProperty.get() !== promoter.getEndBasePairIndex() ) {
+      problem = GeneConstructProblem.CODING_REGION_NOT_AFTER_PROMOTER;
+    }
+    else if ( this.hasOverlappingElements() ) {
+      problem = GeneConstructProblem.OVERLAPPING_ELEMENTS;
+    }
+    else if ( _.some( this.getBindingSites(),
+      site => site.isOnStrand() && site.getCenterBasePairIndex() > promoter.getEndBasePairIndex() ) ) {
+      problem = GeneConstructProblem.BINDING_SITE_DOWNSTREAM;
+    }
+    this.constructProblemProperty.set( problem );
+  }
+
+  /**
+   * Create the descriptor of the gene that the user has built, in the format used by GeneFactory. The regulatory
+   * region extends from the leftmost binding site, or the promoter if there are no binding sites, to the end of the
+   * promoter, where RNA polymerase attaches, and the transcribed region is the coding region.
+   * @returns {Object}
+   * @public
+   */
+  createGeneDescriptor() {
+    assert && assert( this.constructProblemProperty.get() === null, 'gene is not complete' );
+    const promoter = this.getElementOfType( GeneElementType.PROMOTER );
+    const codingRegion = this.getElementOfType( GeneElementType.CODING_REGION );
+    const bindingSites = _.sortBy(
+      this.getBindingSites().filter( site => site.isOnStrand() ),
+      site => site.basePairIndexProperty.get()
+    );
+    const regulatoryRegionStart = _.min( [
+      promoter.basePairIndexProperty.get(),
+      ...bindingSites.map( site => site.basePairIndexProperty.get() )
+    ] );
+
+    let numberOfPositiveSites = 0;
+    let numberOfNegativeSites = 0;
+    const transcriptionFactorSites = bindingSites.map( site => {
+      const positive = site.type === GeneElementType.POSITIVE_SITE;
+      const transcriptionFactor = positive ?
+                                  POSITIVE_TRANSCRIPTION_FACTORS[ numberOfPositiveSites++ ] :
+                                  NEGATIVE_TRANSCRIPTION_FACTORS[ numberOfNegativeSites++ ];
+      return {
+        offset: site.getCenterBasePairIndex() - regulatoryRegionStart,
+        positive: positive,
+        color: transcriptionFactor.color,
+        shapeSeed: transcriptionFactor.shapeSeed
+      };
+    } );
+
+    return {
+      regulatoryRegionLength: promoter.getEndBasePairIndex() - regulatoryRegionStart,
+      transcribedRegionLength: codingRegion.lengthProperty.get(),
+      regulatoryRegionColor: REGULATORY_REGION_COLOR,
+      transcribedRegionColor: TRANSCRIBED_REGION_COLOR,
+      transcriptionFactorSites: transcriptionFactorSites,
+      proteinType: this.proteinTypeProperty.get(),
+      windingAlgorithmNumber: MRNA_WINDING_ALGORITHM_NUMBER,
+      promoterLogic: this.createPromoterLogicDescriptor( transcriptionFactorSites )
+    };
+  }
+
+  /**
+   * Create the promoter logic for the gene descriptor. For THRESHOLD logic, a majority of the positive sites must be
+   * occupied, which is the default for descriptors. For WEIGHTED logic, each positive site counts for one and each
+   * negative site against one, so more activators than repressors must be attached.
+   * @param {Object[]} transcriptionFactorSites - the sites in the gene descriptor
+   * @returns {Object}
+   * @private
+   */
+  createPromoterLogicDescriptor( transcriptionFactorSites ) {
+    const type = this.promoterLogicTypeProperty.get();
+    const promoterLogic = { type: type.name };
+    if ( type === PromoterLogicType.WEIGHTED ) {
+      promoterLogic.weights = transcriptionFactorSites.map( site => site.positive ? 1 : -1 );
+      promoterLogic.threshold = 1;
+    }
+    return promoterLogic;
+  }
+
+  /**
+   * Test the gene that the user has built by putting it into a model where it can be expressed.
+   * @public
+   */
+  testGene() {
+    this.testModelProperty.set( new ManualGeneExpressionModel( { geneDescriptors: [ this.createGeneDescriptor() ] } ) );
+  }
+
+  /**
+   * Stop testing the gene and go back to editing it.
+   * @public
+   */
+  editGene() {
+    this.testModelProperty.set( null );
+  }
+
+  /**
+   * @param {number} dt
+   * @public
+   */
+  step( dt ) {
+    const testModel = this.testModelProperty.get();
+    testModel && testModel.step( dt );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.editGene();
+    this.elements.clear();
+    this.codingRegionLengthProperty.reset();
+    this.proteinTypeProperty.reset();
+    this.promoterLogicTypeProperty.reset();
+  }
+}
+
+// statics
+GeneEditorModel.CODING_REGION_LENGTH_RANGE = CODING_REGION_LENGTH_RANGE;
+GeneEditorModel.PROMOTER_LOGIC_TYPES = PROMOTER_LOGIC_TYPES;
+
+geneExpressionEssentials.register( 'GeneEditorModel', GeneEditorModel );
+export default GeneEditorModel;
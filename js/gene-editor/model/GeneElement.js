@@ -0,0 +1,82 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * An element of a gene, such as a promoter or a binding site, that the user drags onto the DNA strand in the Gene
+ * Editor screen. Its position is that of the left end of the element on the vertical center of the element.
+ *
+ * @author agent
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Vector2Property from '../../../../dot/js/Vector2Property.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+class GeneElement {
+
+  /**
+   * @param {GeneElementType} type
+   * @param {number} length - in base pairs
+   * @param {Vector2} initialPosition
+   */
+  constructor( type, length, initialPosition ) {
+
+    // @public (read-only) {GeneElementType}
+    this.type = type;
+
+    // @public {NumberProperty} - length of this element in base pairs, which only changes for coding regions
+    this.lengthProperty = new NumberProperty( length );
+
+    // @public {Vector2Property} - position in model space
+    this.positionProperty = new Vector2Property( initialPosition );
+
+    // @public {Property.<number|null>} - index of the first base pair of the DNA strand that this element is on, null
+    // if it isn't on the strand, e.g. while it is being dragged
+    this.basePairIndexProperty = new Property( null );
+  }
+
+  /**
+   * @returns {boolean}
+   * @public
+   */
+  isOnStrand() {
+    return this.basePairIndexProperty.get() !== null;
+  }
+
+  /**
+   * Get the index of the base pair just past the end of this element, which is only meaningful when it is on the
+   * strand.
+   * @returns {number}
+   * @public
+   */
+  getEndBasePairIndex() {
+    return this.basePairIndexProperty.get() + this.lengthProperty.get();
+  }
+
+  /**
+   * Get the index of the base pair at the center of this element, which is where a binding site binds.
+   * @returns {number}
+   * @public
+   */
+  getCenterBasePairIndex() {
+    return this.basePairIndexProperty.get() + Math.floor( this.lengthProperty.get() / 2 );
+  }
+
+  /**
+   * Put this element on the DNA strand starting at the given base pair.
+   * @param {number} basePairIndex
+   * @param {DnaMolecule} dnaMolecule
+   * @public
+   */
+  placeOnStrand( basePairIndex, dnaMolecule ) {
+    this.basePairIndexProperty.set( basePairIndex );
+    this.positionProperty.set( new Vector2(
+      dnaMolecule.getBasePairXOffsetByIndex( basePairIndex ),
+      dnaMolecule.getLeftEdgePosition().y
+    ) );
+  }
+}
+
+geneExpressionEssentials.register( 'GeneElement', GeneElement );
+export default GeneElement;
@@ -0,0 +1,20 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Enumeration of the kinds of elements from which the user builds a gene in the Gene Editor screen.
+ *
+ * PROMOTER - where RNA polymerase attaches, at the end of the regulatory region
+ * POSITIVE_SITE - binding site for a transcription factor that enhances transcription
+ * NEGATIVE_SITE - binding site for a transcription factor that blocks transcription
+ * CODING_REGION - the region that is transcribed into mRNA, which starts right after the promoter
+ *
+ * @author agent
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+const GeneElementType = Enumeration.byKeys( [ 'PROMOTER', 'POSITIVE_SITE', 'NEGATIVE_SITE', 'CODING_REGION' ] );
+
+geneExpressionEssentials.register( 'GeneElementType', GeneElementType );
+export default GeneElementType;
@@ -0,0 +1,98 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Panel with the controls for the coding region of the gene that is being built in the Gene Editor screen, which are
+ * its length and the protein that it codes for.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Matrix3 from '../../../../dot/js/Matrix3.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import HorizontalAquaRadioButtonGroup from '../../../../sun/js/HorizontalAquaRadioButtonGroup.js';
+import NumberSpinner from '../../../../sun/js/NumberSpinner.js';
+import Panel from '../../../../sun/js/Panel.js';
+import GEEConstants from '../../common/GEEConstants.js';
+import GradientUtils from '../../common/util/GradientUtils.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import geneExpressionEssentialsStrings from '../../geneExpressionEssentialsStrings.js';
+import ProteinA from '../../manual-gene-expression/model/ProteinA.js';
+import ProteinB from '../../manual-gene-expression/model/ProteinB.js';
+import ProteinC from '../../manual-gene-expression/model/ProteinC.js';
+import GeneEditorModel from '../model/GeneEditorModel.js';
+
+// constants
+const TITLE_FONT = new PhetFont( { size: 16, weight: 'bold' } );
+const PROTEIN_ICON_SCALE = 0.05;
+const CODING_REGION_LENGTH_STEP = 10; // in base pairs
+
+const codingRegionLengthString = geneExpressionEssentialsStrings.codingRegionLength;
+const proteinProductString = geneExpressionEssentialsStrings.proteinProduct;
+
+const proteinStringConstructorMap = {
+  ProteinA: ProteinA,
+  ProteinB: ProteinB,
+  ProteinC: ProteinC
+};
+
+class CodingRegionControlPanel extends Panel {
+
+  /**
+   * @param {GeneEditorModel} model
+   */
+  constructor( model ) {
+
+    const codingRegionLengthSpinner = new NumberSpinner(
+      model.codingRegionLengthProperty,
+      new Property( GeneEditorModel.CODING_REGION_LENGTH_RANGE ),
+      {
+        arrowsPosition: 'leftRight',
+        deltaValue: CODING_REGION_LENGTH_STEP
+      }
+    );
+
+    // radio buttons for the protein, labeled with its shape
+    const proteinRadioButtonGroup = new HorizontalAquaRadioButtonGroup(
+      model.proteinTypeProperty,
+      Object.keys( proteinStringConstructorMap ).map( proteinType => {
+        const protein = new proteinStringConstructorMap[ proteinType ]();
+        const proteinShape = protein.getFullyGrownShape().transformed(
+          Matrix3.scaling( PROTEIN_ICON_SCALE, -PROTEIN_ICON_SCALE )
+        );
+        return {
+          node: new Path( proteinShape, {
+            fill: GradientUtils.createGradientPaint( proteinShape, protein.colorProperty.get() ),
+            stroke: 'black',
+            lineWidth: 0.5
+          } ),
+          value: proteinType
+        };
+      } ),
+      { spacing: 15 }
+    );
+
+    super( new VBox( {
+      spacing: 10,
+      children: [
+        new Text( codingRegionLengthString, { font: TITLE_FONT, maxWidth: 200 } ),
+        codingRegionLengthSpinner,
+        new Text( proteinProductString, { font: TITLE_FONT, maxWidth: 200 } ),
+        proteinRadioButtonGroup
+      ]
+    } ), {
+      cornerRadius: GEEConstants.CORNER_RADIUS,
+      xMargin: 10,
+      yMargin: 10,
+      fill: new Color( 250, 250, 250 ),
+      lineWidth: 1
+    } );
+  }
+}
+
+geneExpressionEssentials.register( 'CodingRegionControlPanel', CodingRegionControlPanel );
+export default CodingRegionControlPanel;
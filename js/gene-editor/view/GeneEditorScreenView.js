@@ -0,0 +1,206 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Main view for the 'Gene Editor' screen. While the gene is being edited, this shows the DNA strand, the palette of
+ * gene elements and the controls for the coding region. While it is being tested, it shows a view like that of the
+ * Expression screen for the test model, along with a button for going back to editing.
+ *
+ * @author agent
+ */
+
+import Vector2 from '../../../../dot/js/Vector2.js';
+import ScreenView from '../../../../joist/js/ScreenView.js';
+import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
+import ResetAllButton from '../../../../scenery-phet/js/buttons/ResetAllButton.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import RectangularPushButton from '../../../../sun/js/buttons/RectangularPushButton.js';
+import GEEConstants from '../../common/GEEConstants.js';
+import DnaMoleculeNode from '../../common/view/DnaMoleculeNode.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import geneExpressionEssentialsStrings from '../../geneExpressionEssentialsStrings.js';
+import ManualGeneExpressionScreenView from '../../manual-gene-expression/view/ManualGeneExpressionScreenView.js';
+import CodingRegionControlPanel from './CodingRegionControlPanel.js';
+import GeneElementNode from './GeneElementNode.js';
+import GeneElementPaletteNode from './GeneElementPaletteNode.js';
+import PromoterLogicControlPanel from './PromoterLogicControlPanel.js';
+
+// constants
+const INSET = 15; // inset for several of the controls, in view coordinates
+const BUTTON_FONT = new PhetFont( 18 );
+const STATUS_FONT = new PhetFont( 16 );
+
+const addCodingRegionString = geneExpressionEssentialsStrings.addCodingRegion;
+const addPromoterString = geneExpressionEssentialsStrings.addPromoter;
+const connectCodingRegionString = geneExpressionEssentialsStrings.connectCodingRegion;
+const editGeneString = geneExpressionEssentialsStrings.editGene;
+const geneEditorInstructionsString = geneExpressionEssentialsStrings.geneEditorInstructions;
+const geneReadyString = geneExpressionEssentialsStrings.geneReady;
+const moveBindingSitesUpstreamString = geneExpressionEssentialsStrings.moveBindingSitesUpstream;
+const moveElementsApartString = geneExpressionEssentialsStrings.moveElementsApart;
+const testGeneString = geneExpressionEssentialsStrings.testGene;
+
+// messages that describe the problems with the gene, keyed by the name of the problem
+const PROBLEM_MESSAGES = {
+  NO_PROMOTER: addPromoterString,
+  NO_CODING_REGION: addCodingRegionString,
+  CODING_REGION_NOT_AFTER_PROMOTER: connectCodingRegionString,
+  OVERLAPPING_ELEMENTS: moveElementsApartString,
+  BINDING_SITE_DOWNSTREAM: moveBindingSitesUpstreamString
+};
+
+class GeneEditorScreenView extends ScreenView {
+
+  /**
+   * @param {GeneEditorModel} model
+   */
+  constructor( model ) {
+
+    super( { preventFit: true } );
+
+    // Scale the model so that the DNA strand spans most of the width of the screen.
+    const dnaMolecule = model.dnaMolecule;
+    const dnaLength = dnaMolecule.getRightEdgeXPosition() - dnaMolecule.getLeftEdgeXPosition();
+    const modelViewTransform = ModelViewTransform2.createSinglePointScaleInvertedYMapping(
+      Vector2.ZERO,
+      new Vector2( this.layoutBounds.centerX, this.layoutBounds.height * 0.6 ),
+      ( this.layoutBounds.width - 4 * INSET ) / dnaLength
+    );
+
+    // layer for everything that is shown while the gene is being edited
+    const editingLayer = new Node();
+    this.addChild( editingLayer );
+
+    // layer for the view of the test model
+    const testingLayer = new Node();
+    this.addChild( testingLayer );
+
+    // @private
+    this.dnaMoleculeNode = new DnaMoleculeNode( dnaMolecule, modelViewTransform, 3, false );
+    editingLayer.addChild( this.dnaMoleculeNode );
+
+    editingLayer.addChild( new Text( geneEditorInstructionsString, {
+      font: STATUS_FONT,
+      maxWidth: this.layoutBounds.width - 2 * INSET,
+      centerX: this.layoutBounds.centerX,
+      bottom: modelViewTransform.modelToViewY( GEEConstants.DNA_MOLECULE_Y_POS ) - 60
+    } ) );
+
+    // Add and remove the nodes for the gene elements as they come and go.
+    const elementLayer = new Node();
+    const elementToNodeMap = new Map();
+    model.elements.addItemAddedListener( element => {
+      const elementNode = new GeneElementNode( element, model, modelViewTransform );
+      elementLayer.addChild( elementNode );
+      elementToNodeMap.set( element, elementNode );
+    } );
+    model.elements.addItemRemovedListener( element => {
+      elementLayer.removeChild( elementToNodeMap.get( element ) );
+      elementToNodeMap.delete( element );
+    } );
+
+    // palette from which new elements are dragged, centered on the pointer
+    const paletteNode = new GeneElementPaletteNode( model, ( type, event ) => {
+      const pointerPosition = modelViewTransform.viewToModelPosition( this.globalToLocalPoint( event.pointer.point ) );
+      const element = model.createElement( type, pointerPosition );
+      element.positionProperty.set( pointerPosition.minusXY(
+        element.lengthProperty.get() * GEEConstants.DISTANCE_BETWEEN_BASE_PAIRS / 2,
+        0
+      ) );
+      const elementNode = elementToNodeMap.get( element );
+      elementNode.dragListener.press( event, elementNode );
+    } );
+    paletteNode.left = INSET;
+    paletteNode.top = INSET;
+    editingLayer.addChild( paletteNode );
+
+    const codingRegionControlPanel = new CodingRegionControlPanel( model );
+    codingRegionControlPanel.right = this.layoutBounds.maxX - INSET;
+    codingRegionControlPanel.top = INSET;
+    editingLayer.addChild( codingRegionControlPanel );
+
+    const promoterLogicControlPanel = new PromoterLogicControlPanel( model );
+    promoterLogicControlPanel.right = this.layoutBounds.maxX - INSET;
+    promoterLogicControlPanel.top = codingRegionControlPanel.bottom + 10;
+    editingLayer.addChild( promoterLogicControlPanel );
+
+    // message that tells the user what needs to be done before the gene can be tested, and the button for testing it
+    const statusText = new Text( '', { font: STATUS_FONT, maxWidth: 500 } );
+    editingLayer.addChild( statusText );
+    const testGeneButton = new RectangularPushButton( {
+      content: new Text( testGeneString, { font: BUTTON_FONT, maxWidth: 150 } ),
+      listener: () => {
+        this.interruptSubtreeInput();
+        model.testGene();
+      },
+      baseColor: 'yellow',
+      stroke: 'black',
+      lineWidth: 1,
+      centerX: this.layoutBounds.centerX,
+      top: modelViewTransform.modelToViewY( GEEConstants.DNA_MOLECULE_Y_POS ) + 100
+    } );
+    editingLayer.addChild( testGeneButton );
+    model.constructProblemProperty.link( problem => {
+      statusText.text = problem ? PROBLEM_MESSAGES[ problem.name ] : geneReadyString;
+      statusText.centerX = this.layoutBounds.centerX;
+      statusText.bottom = testGeneButton.top - 10;
+      testGeneButton.enabled = problem === null;
+    } );
+
+    // The elements go in front of everything else that is shown while editing so that they are dragged over it.
+    editingLayer.addChild( elementLayer );
+
+    const resetAllButton = new ResetAllButton( {
+      listener: () => {
+        this.interruptSubtreeInput(); // cancel user interactions
+        model.reset();
+      },
+      right: this.layoutBounds.maxX - 10,
+      bottom: this.layoutBounds.maxY - 10
+    } );
+    editingLayer.addChild( resetAllButton );
+
+    // button for going back to editing the gene while it is being tested
+    const editGeneButton = new RectangularPushButton( {
+      content: new Text( editGeneString, { font: BUTTON_FONT, maxWidth: 150 } ),
+      listener: () => {
+        this.interruptSubtreeInput();
+        model.editGene();
+      },
+      baseColor: 'yellow',
+      stroke: 'black',
+      lineWidth: 1,
+      centerX: this.layoutBounds.centerX,
+      bottom: this.layoutBounds.maxY - 10
+    } );
+
+    // @private {ManualGeneExpressionScreenView|null} - view of the model in which the gene is being tested
+    this.testScreenView = null;
+
+    // Show the test model, using the same view as the Expression screen, while the gene is being tested. Each test has
+    // a new model, so the view of the previous one is disposed.
+    model.testModelProperty.link( testModel => {
+      testingLayer.removeAllChildren();
+      this.testScreenView && this.testScreenView.dispose();
+      this.testScreenView = testModel ? new ManualGeneExpressionScreenView( testModel ) : null;
+      if ( this.testScreenView ) {
+        testingLayer.addChild( this.testScreenView );
+        testingLayer.addChild( editGeneButton );
+      }
+      editingLayer.visible = testModel === null;
+    } );
+  }
+
+  /**
+   * @param {number} dt
+   * @public
+   */
+  step( dt ) {
+    this.dnaMoleculeNode.step();
+    this.testScreenView && this.testScreenView.step( dt );
+  }
+}
+
+geneExpressionEssentials.register( 'GeneEditorScreenView', GeneEditorScreenView );
+export default GeneEditorScreenView;
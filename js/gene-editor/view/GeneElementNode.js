@@ -0,0 +1,109 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Node that represents an element of a gene in the Gene Editor screen, which the user can drag onto, along and off of
+ * the DNA strand.
+ *
+ * @author agent
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import DragListener from '../../../../scenery/js/listeners/DragListener.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import GEEConstants from '../../common/GEEConstants.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import geneExpressionEssentialsStrings from '../../geneExpressionEssentialsStrings.js';
+
+// constants
+const HEIGHT = 36; // in screen coordinates
+const LABEL_FONT = new PhetFont( { size: 14, weight: 'bold' } );
+
+const codingRegionString = geneExpressionEssentialsStrings.codingRegion;
+
+// fill colors and labels of the elements, keyed by the name of their type
+const ELEMENT_COLORS = {
+  PROMOTER: new Color( 150, 80, 200, 0.8 ),
+  POSITIVE_SITE: new Color( 255, 255, 0, 0.8 ),
+  NEGATIVE_SITE: new Color( 255, 0, 0, 0.8 ),
+  CODING_REGION: new Color( 255, 165, 79, 0.8 )
+};
+const ELEMENT_LABELS = {
+  PROMOTER: 'P',
+  POSITIVE_SITE: '+',
+  NEGATIVE_SITE: '−',
+  CODING_REGION: codingRegionString
+};
+
+class GeneElementNode extends Node {
+
+  /**
+   * @param {GeneElement} element
+   * @param {GeneEditorModel} model
+   * @param {ModelViewTransform2} modelViewTransform
+   */
+  constructor( element, model, modelViewTransform ) {
+
+    super( { cursor: 'pointer' } );
+
+    const rectangle = new Rectangle( 0, 0, 1, HEIGHT, {
+      fill: ELEMENT_COLORS[ element.type.name ],
+      stroke: 'black',
+      lineWidth: 1,
+      cornerRadius: GEEConstants.CORNER_RADIUS
+    } );
+    this.addChild( rectangle );
+    const label = new Text( ELEMENT_LABELS[ element.type.name ], { font: LABEL_FONT } );
+    this.addChild( label );
+
+    element.lengthProperty.link( length => {
+      rectangle.rectWidth = modelViewTransform.modelToViewDeltaX( length * GEEConstants.DISTANCE_BETWEEN_BASE_PAIRS );
+      label.maxWidth = Math.max( rectangle.rectWidth - 4, 1 );
+      label.center = rectangle.center;
+    } );
+
+    element.positionProperty.link( position => {
+      this.left = modelViewTransform.modelToViewX( position.x );
+      this.centerY = modelViewTransform.modelToViewY( position.y );
+    } );
+
+    // @public (read-only) {DragListener} - also used to start dragging new elements that are taken from the palette
+    this.dragListener = new DragListener( {
+      positionProperty: element.positionProperty,
+      transform: modelViewTransform,
+      allowTouchSnag: true,
+      start: () => model.grabElement( element ),
+      end: () => model.releaseElement( element )
+    } );
+    this.addInputListener( this.dragListener );
+  }
+
+  /**
+   * Create an icon that looks like an element of the given type, used in the palette from which they are taken.
+   * @param {GeneElementType} type
+   * @param {number} width - in screen coordinates
+   * @param {Object} [options]
+   * @returns {Node}
+   * @public
+   */
+  static createIcon( type, width, options ) {
+    const rectangle = new Rectangle( 0, 0, width, HEIGHT, {
+      fill: ELEMENT_COLORS[ type.name ],
+      stroke: 'black',
+      lineWidth: 1,
+      cornerRadius: GEEConstants.CORNER_RADIUS
+    } );
+    const label = new Text( ELEMENT_LABELS[ type.name ], {
+      font: LABEL_FONT,
+      maxWidth: width - 4,
+      center: rectangle.center
+    } );
+    return new Node( merge( { children: [ rectangle, label ] }, options ) );
+  }
+}
+
+geneExpressionEssentials.register( 'GeneElementNode', GeneElementNode );
+export default GeneElementNode;
@@ -0,0 +1,90 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Panel from which the user drags the elements of a gene onto the DNA strand in the Gene Editor screen. Each kind of
+ * element is shown faded out when no more elements of that kind can be added.
+ *
+ * @author agent
+ */
+
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import DragListener from '../../../../scenery/js/listeners/DragListener.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import SceneryConstants from '../../../../scenery/js/SceneryConstants.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import Panel from '../../../../sun/js/Panel.js';
+import GEEConstants from '../../common/GEEConstants.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import geneExpressionEssentialsStrings from '../../geneExpressionEssentialsStrings.js';
+import GeneElementType from '../model/GeneElementType.js';
+import GeneElementNode from './GeneElementNode.js';
+
+// constants
+const TITLE_FONT = new PhetFont( { size: 18, weight: 'bold' } );
+const LABEL_FONT = new PhetFont( 14 );
+const ICON_WIDTH = 50;
+
+const codingRegionString = geneExpressionEssentialsStrings.codingRegion;
+const geneElementsString = geneExpressionEssentialsStrings.geneElements;
+const negativeBindingSiteString = geneExpressionEssentialsStrings.negativeBindingSite;
+const positiveBindingSiteString = geneExpressionEssentialsStrings.positiveBindingSite;
+const promoterString = geneExpressionEssentialsStrings.promoter;
+
+// labels of the kinds of elements, keyed by the name of their type
+const ELEMENT_NAMES = {
+  PROMOTER: promoterString,
+  POSITIVE_SITE: positiveBindingSiteString,
+  NEGATIVE_SITE: negativeBindingSiteString,
+  CODING_REGION: codingRegionString
+};
+
+class GeneElementPaletteNode extends Panel {
+
+  /**
+   * @param {GeneEditorModel} model
+   * @param {function(GeneElementType, SceneryEvent)} startDraggingNewElement - called when the user presses on one of
+   * the kinds of elements, and should create an element of that kind and start dragging it
+   */
+  constructor( model, startDraggingNewElement ) {
+
+    const rows = GeneElementType.VALUES.map( type => {
+      const icon = GeneElementNode.createIcon( type, ICON_WIDTH, { cursor: 'pointer' } );
+      icon.addInputListener( DragListener.createForwardingListener( event => {
+        if ( model.canAddElement( type ) ) {
+          startDraggingNewElement( type, event );
+        }
+      } ) );
+
+      // Fade out the icon when no more elements of this kind can be added.
+      model.elements.lengthProperty.link( () => {
+        const canAddElement = model.canAddElement( type );
+        icon.opacity = canAddElement ? 1 : SceneryConstants.DISABLED_OPACITY;
+        icon.pickable = canAddElement;
+      } );
+
+      return new HBox( {
+        spacing: 10,
+        children: [ icon, new Text( ELEMENT_NAMES[ type.name ], { font: LABEL_FONT, maxWidth: 140 } ) ]
+      } );
+    } );
+
+    const contentNode = new VBox( {
+      spacing: 10,
+      align: 'left',
+      children: [ new Text( geneElementsString, { font: TITLE_FONT, maxWidth: 200 } ), ...rows ]
+    } );
+
+    super( contentNode, {
+      cornerRadius: GEEConstants.CORNER_RADIUS,
+      xMargin: 10,
+      yMargin: 10,
+      fill: new Color( 250, 250, 250 ),
+      lineWidth: 1
+    } );
+  }
+}
+
+geneExpressionEssentials.register( 'GeneElementPaletteNode', GeneElementPaletteNode );
+export default GeneElementPaletteNode;
@@ -0,0 +1,75 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Panel with the control for the logic with which the promoter of the gene that is being built in the Gene Editor
+ * screen combines the transcription factors that are attached to its binding sites.
+ *
+ * @author agent
+ */
+
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import Panel from '../../../../sun/js/Panel.js';
+import VerticalAquaRadioButtonGroup from '../../../../sun/js/VerticalAquaRadioButtonGroup.js';
+import GEEConstants from '../../common/GEEConstants.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import geneExpressionEssentialsStrings from '../../geneExpressionEssentialsStrings.js';
+import GeneEditorModel from '../model/GeneEditorModel.js';
+
+// constants
+const TITLE_FONT = new PhetFont( { size: 16, weight: 'bold' } );
+const LABEL_FONT = new PhetFont( 14 );
+
+const allActivatorsString = geneExpressionEssentialsStrings.allActivators;
+const anyActivatorString = geneExpressionEssentialsStrings.anyActivator;
+const moreActivatorsThanRepressorsString = geneExpressionEssentialsStrings.moreActivatorsThanRepressors;
+const mostActivatorsString = geneExpressionEssentialsStrings.mostActivators;
+const promoterLogicString = geneExpressionEssentialsStrings.promoterLogic;
+
+// labels of the kinds of promoter logic, keyed by the name of their type
+const PROMOTER_LOGIC_LABELS = {
+  AND: allActivatorsString,
+  OR: anyActivatorString,
+  THRESHOLD: mostActivatorsString,
+  WEIGHTED: moreActivatorsThanRepressorsString
+};
+
+class PromoterLogicControlPanel extends Panel {
+
+  /**
+   * @param {GeneEditorModel} model
+   */
+  constructor( model ) {
+
+    const promoterLogicRadioButtonGroup = new VerticalAquaRadioButtonGroup(
+      model.promoterLogicTypeProperty,
+      GeneEditorModel.PROMOTER_LOGIC_TYPES.map( type => {
+        return {
+          node: new Text( PROMOTER_LOGIC_LABELS[ type.name ], { font: LABEL_FONT, maxWidth: 200 } ),
+          value: type
+        };
+      } ),
+      { spacing: 5 }
+    );
+
+    super( new VBox( {
+      spacing: 10,
+      align: 'left',
+      children: [
+        new Text( promoterLogicString, { font: TITLE_FONT, maxWidth: 200 } ),
+        promoterLogicRadioButtonGroup
+      ]
+    } ), {
+      cornerRadius: GEEConstants.CORNER_RADIUS,
+      xMargin: 10,
+      yMargin: 10,
+      fill: new Color( 250, 250, 250 ),
+      lineWidth: 1
+    } );
+  }
+}
+
+geneExpressionEssentials.register( 'PromoterLogicControlPanel', PromoterLogicControlPanel );
+export default PromoterLogicControlPanel;
@@ -8,6 +8,7 @@
 
 import Sim from '../../joist/js/Sim.js';
 import simLauncher from '../../joist/js/simLauncher.js';
+import GeneEditorScreen from './gene-editor/GeneEditorScreen.js';
 import geneExpressionEssentialsStrings from './geneExpressionEssentialsStrings.js';
 import ManualGeneExpressionScreen from './manual-gene-expression/ManualGeneExpressionScreen.js';
 import MessengerRnaProductionScreen from './mrna-production/MessengerRnaProductionScreen.js';
@@ -30,7 +31,8 @@ simLauncher.launch( () => {
     [
       new ManualGeneExpressionScreen(),
       new MessengerRnaProductionScreen(),
-      new MultipleCellsScreen()
+      new MultipleCellsScreen(),
+      new GeneEditorScreen()
     ], simOptions );
   sim.start();
 } );
\ No newline at end of file
@@ -17,15 +17,16 @@ import createObservableArray from '../../../../axon/js/createObservableArray.js'
 import Property from '../../../../axon/js/Property.js';
 import Bounds2 from '../../../../dot/js/Bounds2.js';
 import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
 import GEEConstants from '../../common/GEEConstants.js';
+import GEEQueryParameters from '../../common/GEEQueryParameters.js';
 import DnaMolecule from '../../common/model/DnaMolecule.js';
-import GeneA from '../../common/model/GeneA.js';
+import GeneDescriptors from '../../common/model/GeneDescriptors.js';
 import GeneExpressionModel from '../../common/model/GeneExpressionModel.js';
+import GeneFactory from '../../common/model/GeneFactory.js';
 import MotionBounds from '../../common/model/motion-strategies/MotionBounds.js';
 import Protein from '../../common/model/Protein.js';
 import geneExpressionEssentials from '../../geneExpressionEssentials.js';
-import GeneB from './GeneB.js';
-import GeneC from './GeneC.js';
 import ProteinA from './ProteinA.js';
 import ProteinB from './ProteinB.js';
 import ProteinC from './ProteinC.js';
@@ -42,8 +43,19 @@ const NUM_BASE_PAIRS_ON_DNA_STRAND = 2000;
 class ManualGeneExpressionModel extends GeneExpressionModel {
 
   /**
+   * @param {Object} [options]
    */
-  constructor() {
+  constructor( options ) {
+
+    options = merge( {
+
+      // {Array.<Object|string>} - descriptors of the genes on the DNA strand, in order from left to right, see
+      // GeneFactory for the format. The genes of the sim can be replaced with the genes query parameter.
+      geneDescriptors: GEEQueryParameters.genes ?
+                       JSON.parse( GEEQueryParameters.genes ) :
+                       [ GeneDescriptors.GENE_A, GeneDescriptors.GENE_B, GeneDescriptors.GENE_C ]
+    }, options );
+
     super();
 
     // @private {DnaMolecule} - the DNA strand, which is where the genes reside and where the polymerase does its
@@ -54,9 +66,14 @@ class ManualGeneExpressionModel extends GeneExpressionModel {
       -NUM_BASE_PAIRS_ON_DNA_STRAND * GEEConstants.DISTANCE_BETWEEN_BASE_PAIRS / 4,
       false
     );
-    this.dnaMolecule.addGene( new GeneA( this.dnaMolecule, NUM_BASE_PAIRS_ON_DNA_STRAND / 4 - GeneA.NUM_BASE_PAIRS / 2 ) );
-    this.dnaMolecule.addGene( new GeneB( this.dnaMolecule, NUM_BASE_PAIRS_ON_DNA_STRAND / 2 - GeneB.NUM_BASE_PAIRS / 2 ) );
-    this.dnaMolecule.addGene( new GeneC( this.dnaMolecule, NUM_BASE_PAIRS_ON_DNA_STRAND * 3 / 4 - GeneC.NUM_BASE_PAIRS / 2 ) );
+
+    // Space the genes evenly along the DNA strand.
+    const numberOfGenes = options.geneDescriptors.length;
+    options.geneDescriptors.forEach( ( geneDescriptor, index ) => {
+      const geneCenter = NUM_BASE_PAIRS_ON_DNA_STRAND * ( index + 1 ) / ( numberOfGenes + 1 );
+      const initialBasePair = Utils.roundSymmetric( geneCenter - GeneFactory.getNumberOfBasePairs( geneDescriptor ) / 2 );
+      this.dnaMolecule.addGene( GeneFactory.createGene( this.dnaMolecule, geneDescriptor, initialBasePair ) );
+    } );
 
     // list of mobile biomolecules in the model, excluding mRNA
     this.mobileBiomoleculeList = createObservableArray(); // @public
@@ -7,6 +7,7 @@
  * @author Aadish Gupta
  */
 
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
 import ScreenView from '../../../../joist/js/ScreenView.js';
 import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
@@ -17,12 +18,15 @@ import HBox from '../../../../scenery/js/nodes/HBox.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
 import Text from '../../../../scenery/js/nodes/Text.js';
 import RectangularPushButton from '../../../../sun/js/buttons/RectangularPushButton.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
 import Animation from '../../../../twixt/js/Animation.js';
 import Easing from '../../../../twixt/js/Easing.js';
+import Ribosome from '../../common/model/Ribosome.js';
 import DnaMoleculeNode from '../../common/view/DnaMoleculeNode.js';
 import MessengerRnaNode from '../../common/view/MessengerRnaNode.js';
 import MobileBiomoleculeNode from '../../common/view/MobileBiomoleculeNode.js';
 import PlacementHintNode from '../../common/view/PlacementHintNode.js';
+import TranslationReadoutNode from '../../common/view/TranslationReadoutNode.js';
 import geneExpressionEssentials from '../../geneExpressionEssentials.js';
 import geneExpressionEssentialsStrings from '../../geneExpressionEssentialsStrings.js';
 import BiomoleculeToolboxNode from './BiomoleculeToolboxNode.js';
@@ -34,6 +38,7 @@ const INSET = 15; // inset for several of the controls, in view coordinates
 
 const nextGeneString = geneExpressionEssentialsStrings.nextGene;
 const previousGeneString = geneExpressionEssentialsStrings.previousGene;
+const showNucleotidesString = geneExpressionEssentialsStrings.showNucleotides;
 
 class ManualGeneExpressionScreenView extends ScreenView {
 
@@ -76,14 +81,21 @@ class ManualGeneExpressionScreenView extends ScreenView {
     this.modelRootNode.addChild( topBiomoleculeLayer );
     const placementHintLayer = new Node();
     this.modelRootNode.addChild( placementHintLayer );
+    const translationReadoutLayer = new Node();
+    this.modelRootNode.addChild( translationReadoutLayer );
 
     // Set up the node where all controls that need to be above the biomolecules should be placed. This node and its
     // children will stay in one place and not scroll.
     const frontControlsLayer = new Node();
     this.addChild( frontControlsLayer );
 
+    // @private - whether the base pairs of the DNA are colored and labeled by their nucleotides
+    this.nucleotidesShownProperty = new BooleanProperty( false );
+
     // Add the representation of the DNA strand.
-    this.dnaMoleculeNode = new DnaMoleculeNode( model.getDnaMolecule(), this.modelViewTransform, 3, true );
+    this.dnaMoleculeNode = new DnaMoleculeNode( model.getDnaMolecule(), this.modelViewTransform, 3, true, {
+      nucleotidesShownProperty: this.nucleotidesShownProperty
+    } );
     dnaLayer.addChild( this.dnaMoleculeNode );
 
     // Add the placement hints that go on the DNA molecule. These exist on their own layer so that they can be seen
@@ -118,10 +130,21 @@ class ManualGeneExpressionScreenView extends ScreenView {
       topBiomoleculeLayer.addChild( biomoleculeNode );
       this.mobileBiomoleculeToNodeMap.set( addedBiomolecule, biomoleculeNode );
 
+      // Ribosomes get a readout of the codons that they read and the protein that they make while translating.
+      let translationReadoutNode = null;
+      if ( addedBiomolecule instanceof Ribosome ) {
+        translationReadoutNode = new TranslationReadoutNode( this.modelViewTransform, addedBiomolecule );
+        translationReadoutLayer.addChild( translationReadoutNode );
+      }
+
       // Handle removal of the mobile biomolecule.
       const removeItemListener = removedBiomolecule => {
         if ( removedBiomolecule === addedBiomolecule ) {
           topBiomoleculeLayer.removeChild( biomoleculeNode );
+          if ( translationReadoutNode ) {
+            translationReadoutLayer.removeChild( translationReadoutNode );
+            translationReadoutNode.dispose();
+          }
           this.mobileBiomoleculeToNodeMap.delete( addedBiomolecule );
           model.mobileBiomoleculeList.removeItemRemovedListener( removeItemListener );
         }
@@ -262,11 +285,22 @@ class ManualGeneExpressionScreenView extends ScreenView {
     frontControlsLayer.addChild( nextGeneButton );
     frontControlsLayer.addChild( previousGeneButton );
 
+    // checkbox for showing the nucleotides of the DNA, whose letters can be read when the sim is zoomed in
+    const nucleotidesCheckbox = new Checkbox(
+      new Text( showNucleotidesString, { font: new PhetFont( 16 ), maxWidth: 200 } ),
+      this.nucleotidesShownProperty,
+      { boxWidth: 18 }
+    );
+    nucleotidesCheckbox.left = INSET;
+    nucleotidesCheckbox.bottom = this.layoutBounds.maxY - INSET;
+    frontControlsLayer.addChild( nucleotidesCheckbox );
+
     // Create and add the Reset All Button in the bottom right, which resets the model
     const resetAllButton = new ResetAllButton( {
       listener: () => {
         this.interruptSubtreeInput(); // cancel user interactions
         model.reset();
+        this.nucleotidesShownProperty.reset();
         biomoleculeToolboxNodeList.forEach( biomoleculeToolboxNode => {
           biomoleculeToolboxNode.reset();
         } );
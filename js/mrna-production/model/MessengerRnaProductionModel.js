@@ -15,9 +15,12 @@ import dotRandom from '../../../../dot/js/dotRandom.js';
 import Utils from '../../../../dot/js/Utils.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
 import Vector3 from '../../../../dot/js/Vector3.js';
+import merge from '../../../../phet-core/js/merge.js';
 import GEEConstants from '../../common/GEEConstants.js';
+import GEEQueryParameters from '../../common/GEEQueryParameters.js';
 import DnaMolecule from '../../common/model/DnaMolecule.js';
-import GeneA from '../../common/model/GeneA.js';
+import GeneDescriptors from '../../common/model/GeneDescriptors.js';
+import GeneFactory from '../../common/model/GeneFactory.js';
 import MotionBounds from '../../common/model/motion-strategies/MotionBounds.js';
 import RnaPolymerase from '../../common/model/RnaPolymerase.js';
 import TranscriptionFactor from '../../common/model/TranscriptionFactor.js';
@@ -31,10 +34,6 @@ const SHUFFLE_TIME = 1; // seconds
 // Length, in terms of base pairs, of the DNA molecule.
 const NUM_BASE_PAIRS_ON_DNA_STRAND = 500;
 
-// Configurations for the transcriptions factors used within this model.
-const POSITIVE_TRANSCRIPTION_FACTOR_CONFIG = TranscriptionFactor.TRANSCRIPTION_FACTOR_CONFIG_GENE_1_POS;
-const NEGATIVE_TRANSCRIPTION_FACTOR_CONFIG = TranscriptionFactor.TRANSCRIPTION_FACTOR_CONFIG_GENE_1_NEG;
-
 // Maximum number of transcription factor molecules.  The pertains to both positive and negative transcription factors.
 const MAX_TRANSCRIPTION_FACTOR_COUNT = 8;
 
@@ -43,7 +42,19 @@ const RNA_POLYMERASE_COUNT = 7;
 
 class MessengerRnaProductionModel {
 
-  constructor() {
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    options = merge( {
+
+      // {Object|string} - descriptor of the gene on the DNA strand, see GeneFactory for the format. It must have at
+      // least one positive and one negative transcription factor site, since the user controls both kinds of factor.
+      // The gene of the sim can be replaced with the mRnaGene query parameter.
+      geneDescriptor: GEEQueryParameters.mRnaGene || GeneDescriptors.GENE_A
+    }, options );
+
     const self = this;
     this.clockRunningProperty = new Property( true ); //@public
 
@@ -58,9 +69,23 @@ class MessengerRnaProductionModel {
     );
 
     // @private {Gene} The one gene that is on this DNA strand in this model.
-    this.gene = new GeneA( this.dnaMolecule, Utils.roundSymmetric( NUM_BASE_PAIRS_ON_DNA_STRAND * 0.4 ) );
+    this.gene = GeneFactory.createGene(
+      this.dnaMolecule,
+      options.geneDescriptor,
+      Utils.roundSymmetric( NUM_BASE_PAIRS_ON_DNA_STRAND * 0.4 )
+    );
     this.dnaMolecule.addGene( this.gene );
 
+    // @public (read-only) {TranscriptionFactorConfig} - configurations of the transcription factors that the user
+    // controls, which are the first positive and the first negative factors of the gene
+    const transcriptionFactorConfigs = this.gene.getTranscriptionFactorConfigs();
+    this.positiveTranscriptionFactorConfig = _.find( transcriptionFactorConfigs, config => config.isPositive );
+    this.negativeTranscriptionFactorConfig = _.find( transcriptionFactorConfigs, config => !config.isPositive );
+    assert && assert(
+      this.positiveTranscriptionFactorConfig && this.negativeTranscriptionFactorConfig,
+      'gene must have both positive and negative transcription factor sites'
+    );
+
     // List of mobile biomolecules in the model, excluding mRNA.
     this.mobileBiomoleculeList = createObservableArray(); // @public
     this.positiveTranscriptionFactorList = []; // @private
@@ -74,7 +99,7 @@ class MessengerRnaProductionModel {
     this.positiveTranscriptionFactorCountProperty = new Property( 0 ); // @public
     this.positiveTranscriptionFactorCountProperty.link( count => {
       this.setTranscriptionFactorCount(
-        TranscriptionFactor.TRANSCRIPTION_FACTOR_CONFIG_GENE_1_POS,
+        this.positiveTranscriptionFactorConfig,
         Utils.roundSymmetric( count ),
         this.positiveTranscriptionFactorList
       );
@@ -83,7 +108,7 @@ class MessengerRnaProductionModel {
     this.negativeTranscriptionFactorCountProperty = new Property( 0 ); // @public
     this.negativeTranscriptionFactorCountProperty.link( count => {
       this.setTranscriptionFactorCount(
-        TranscriptionFactor.TRANSCRIPTION_FACTOR_CONFIG_GENE_1_NEG,
+        this.negativeTranscriptionFactorConfig,
         Utils.roundSymmetric( count ),
         this.negativeTranscriptionFactorList
       );
@@ -321,8 +346,8 @@ class MessengerRnaProductionModel {
     this.dnaMolecule.reset();
     this.gene.getPolymeraseAffinityProperty().reset();
     this.clockRunningProperty.reset();
-    this.gene.getTranscriptionFactorAffinityProperty( POSITIVE_TRANSCRIPTION_FACTOR_CONFIG ).reset();
-    this.gene.getTranscriptionFactorAffinityProperty( NEGATIVE_TRANSCRIPTION_FACTOR_CONFIG ).reset();
+    this.gene.getTranscriptionFactorAffinityProperty( this.positiveTranscriptionFactorConfig ).reset();
+    this.gene.getTranscriptionFactorAffinityProperty( this.negativeTranscriptionFactorConfig ).reset();
 
     // Add the polymerase molecules. These don't come and go, the concentration of these remains constant in this
     // model.
@@ -384,8 +409,6 @@ class MessengerRnaProductionModel {
 
 // statics
 MessengerRnaProductionModel.MAX_TRANSCRIPTION_FACTOR_COUNT = MAX_TRANSCRIPTION_FACTOR_COUNT;
-MessengerRnaProductionModel.POSITIVE_TRANSCRIPTION_FACTOR_CONFIG = POSITIVE_TRANSCRIPTION_FACTOR_CONFIG;
-MessengerRnaProductionModel.NEGATIVE_TRANSCRIPTION_FACTOR_CONFIG = NEGATIVE_TRANSCRIPTION_FACTOR_CONFIG;
 
 geneExpressionEssentials.register( 'MessengerRnaProductionModel', MessengerRnaProductionModel );
 
@@ -23,7 +23,6 @@ import MessengerRnaNode from '../../common/view/MessengerRnaNode.js';
 import MobileBiomoleculeNode from '../../common/view/MobileBiomoleculeNode.js';
 import geneExpressionEssentials from '../../geneExpressionEssentials.js';
 import geneExpressionEssentialsStrings from '../../geneExpressionEssentialsStrings.js';
-import MessengerRnaProductionModel from '../model/MessengerRnaProductionModel.js';
 import PolymeraseAffinityControlPanel from './PolymeraseAffinityControlPanel.js';
 import TranscriptionFactorControlPanel from './TranscriptionFactorControlPanel.js';
 
@@ -85,13 +84,13 @@ class MessengerRnaProductionScreenView extends ScreenView {
     // Add the nodes that allow the user to control the concentrations and affinities.
     const positiveTranscriptionFactorControlPanel = new TranscriptionFactorControlPanel(
       model,
-      MessengerRnaProductionModel.POSITIVE_TRANSCRIPTION_FACTOR_CONFIG,
-      gene.getTranscriptionFactorAffinityProperty( MessengerRnaProductionModel.POSITIVE_TRANSCRIPTION_FACTOR_CONFIG )
+      model.positiveTranscriptionFactorConfig,
+      gene.getTranscriptionFactorAffinityProperty( model.positiveTranscriptionFactorConfig )
     );
     controlsNode.addChild( positiveTranscriptionFactorControlPanel );
 
     const polymeraseAffinityControlPanel = new PolymeraseAffinityControlPanel(
-      MessengerRnaProductionModel.POSITIVE_TRANSCRIPTION_FACTOR_CONFIG,
+      model.positiveTranscriptionFactorConfig,
       positiveTranscriptionFactorControlPanel.bounds.height,
       gene.getPolymeraseAffinityProperty()
     );
@@ -99,8 +98,8 @@ class MessengerRnaProductionScreenView extends ScreenView {
 
     const negativeTranscriptionFactorControlPanel = new TranscriptionFactorControlPanel(
       model,
-      MessengerRnaProductionModel.NEGATIVE_TRANSCRIPTION_FACTOR_CONFIG,
-      gene.getTranscriptionFactorAffinityProperty( MessengerRnaProductionModel.NEGATIVE_TRANSCRIPTION_FACTOR_CONFIG )
+      model.negativeTranscriptionFactorConfig,
+      gene.getTranscriptionFactorAffinityProperty( model.negativeTranscriptionFactorConfig )
     );
     controlsNode.addChild( negativeTranscriptionFactorControlPanel );
 
@@ -45,12 +45,12 @@ class TranscriptionFactorControlPanel extends Panel {
     let titleText;
     let tfLevelProperty;
     if ( transcriptionFactorConfig.isPositive ) {
-      transcriptionFactorConfig = MessengerRnaProductionModel.POSITIVE_TRANSCRIPTION_FACTOR_CONFIG;
+      transcriptionFactorConfig = model.positiveTranscriptionFactorConfig;
       titleText = positiveTranscriptionFactorHtmlString;
       tfLevelProperty = model.positiveTranscriptionFactorCountProperty;
     }
     else {
-      transcriptionFactorConfig = MessengerRnaProductionModel.NEGATIVE_TRANSCRIPTION_FACTOR_CONFIG;
+      transcriptionFactorConfig = model.negativeTranscriptionFactorConfig;
       titleText = negativeTranscriptionFactorHtmlString;
       tfLevelProperty = model.negativeTranscriptionFactorCountProperty;
     }
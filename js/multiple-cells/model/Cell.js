@@ -2,15 +2,21 @@
 
 /**
  * Model element that represents a cell on the "Multiple Cells" screen. The cell has a shape, a protein level, and a
- * number of parameters that control how it synthesizes protein molecules. Only one protein is synthesized.
+ * number of parameters that control how it synthesizes protein molecules. Only one protein is synthesized, unless the
+ * cell is running a genetic circuit, in which case there is one protein for each gene of the circuit.
  *
  * @author John Blanco
  * @author Aadish Gupta
  */
 
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
 import Property from '../../../../axon/js/Property.js';
 import Dimension2 from '../../../../dot/js/Dimension2.js';
 import Matrix3 from '../../../../dot/js/Matrix3.js';
+import Random from '../../../../dot/js/Random.js';
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
 import BioShapeUtils from '../../common/model/BioShapeUtils.js';
 import ShapeChangingModelElement from '../../common/model/ShapeChangingModelElement.js';
 import geneExpressionEssentials from '../../geneExpressionEssentials.js';
@@ -26,25 +32,118 @@ const PROTEIN_LEVEL_WHERE_COLOR_CHANGE_STARTS = 50;
 // Protein level at which the color change (towards the florescent color) is complete.
 const PROTEIN_LEVEL_WHERE_COLOR_CHANGE_COMPLETES = 150;
 
+// Protein level at which the color change is complete for each protein of a genetic circuit with more than one gene.
+// The proteins of these circuits repress each other and share the resources of the cell, so they don't reach the levels
+// that a single protein can, and their color change starts at zero so that the state of the circuit is visible.
+const CIRCUIT_PROTEIN_LEVEL_WHERE_COLOR_CHANGE_COMPLETES = 40;
+
 // Default E-Coli like shape for performance improvement and we make copy of it and rotate for different instances
 const E_COLI_LLIKE_SHAPE = BioShapeUtils.createEColiLikeShape( DEFAULT_CELL_SIZE.width, DEFAULT_CELL_SIZE.height );
 
+// Relative variation in the age at which cells divide. Real cells don't all divide at exactly the same age, and without
+// this variation the cells of a population that started out together would stay synchronized.
+const DIVISION_AGE_VARIATION = 0.1;
+
+// number of ribosomes in a cell that has the nominal parameter values
+const DEFAULT_RIBOSOME_COUNT = 100;
+
+// names of the parameters that can vary from cell to cell
+const VARIABLE_PARAMETER_NAMES = [ 'transcriptionFactorLevel', 'ribosomeCount' ];
+
 class Cell extends ShapeChangingModelElement {
 
   /**
    * @param {number} rotationAngle rotation for the cell in model space
+   * @param {Object} [options]
    */
-  constructor( rotationAngle ) {
+  constructor( rotationAngle, options ) {
     super( Cell.createShape( rotationAngle ) );
 
+    // @public (read-only) {number} - rotation for the cell in model space
+    this.rotationAngle = rotationAngle;
+
+    options = merge( {
+
+      // {Random|null} - source of random numbers used in the protein synthesis simulation, seed it to make the behavior
+      // of the cell reproducible, a randomly seeded one is created if not provided
+      random: null,
+
+      // {Object.<string, number>|null} - standard normal deviates, keyed by the names in VARIABLE_PARAMETER_NAMES, that
+      // set where this cell lies in the distribution of each of the parameters that vary from cell to cell, zero for all
+      // if not provided
+      parameterDeviates: null
+    }, options );
+
+    // @private {Random} - owned by this cell so that each cell produces its own reproducible stream of random values
+    this.random = options.random || new Random();
+
     // This is a separate object in which the protein synthesis is simulated. The reason that this is broken out into a
     // separate class is that it was supplied by someone outside of the PhET project, and this keeps it encapsulated and
     // thus easier for the original author to help maintain.
-    this.proteinSynthesisSimulator = new CellProteinSynthesisSimulator( 100 ); // @private
+    this.proteinSynthesisSimulator = new CellProteinSynthesisSimulator( DEFAULT_RIBOSOME_COUNT, this.random ); // @private
+
+    // A second simulator for an identically regulated reporter protein, used in dual-reporter experiments. The two
+    // reporters share the parameters of the cell, so differences between them are due to intrinsic noise alone. It is
+    // only stepped when the dual reporter is enabled.
+    // @private
+    this.secondReporterSimulator = new CellProteinSynthesisSimulator( DEFAULT_RIBOSOME_COUNT, this.random );
+    this.dualReporterEnabled = false;
 
     // Property that indicates the current protein count in the cell. This should not be set by external users, only
     // monitored.
     this.proteinCount = new Property( 0 ); // @public
+
+    // @public (read-only) - protein count of the second reporter, which stays at zero unless the dual reporter is enabled
+    this.secondReporterProteinCount = new Property( 0 );
+
+    // @public (read-only) {Array.<Property.<number>>} - protein count for each of the genes of the genetic circuit, the
+    // first of which is proteinCount. There is one for the largest circuit, and those for genes that aren't in the
+    // current circuit stay at zero.
+    this.proteinCounts = [ this.proteinCount ];
+    while ( this.proteinCounts.length < CellProteinSynthesisSimulator.MaxNumberOfGenes ) {
+      this.proteinCounts.push( new Property( 0 ) );
+    }
+
+    // @public (read-only) {Object.<string, Property.<number>>} - Properties that indicate the current count of each of
+    // the species in the cell, keyed by species name, e.g. speciesCountProperties.mRNA. Like proteinCount, these should
+    // only be monitored by external users.
+    this.speciesCountProperties = {};
+    this.proteinSynthesisSimulator.getSpeciesNames().forEach( name => {
+      this.speciesCountProperties[ name ] = new Property( this.proteinSynthesisSimulator.getSpeciesCount( name ) );
+    } );
+
+    // @public (read-only) - size of the cell relative to its size just after division, grows from 1 to 2 over the
+    // cell cycle when growth is enabled
+    this.growthFactorProperty = new NumberProperty( 1, { range: new Range( 1, 2 ) } );
+
+    // @private {number} - time since the cell was born, only advanced while the cell is growing
+    this.age = 0;
+
+    // @private {number|null} - age at which the cell divides, null if the cell isn't growing
+    this.divisionAge = null;
+
+    // Parameters that vary from cell to cell are log-normally distributed around their nominal values. The deviates set
+    // where this cell lies in each distribution, and the spreads are the standard deviations of the logarithms of the
+    // parameters across the population, so a spread of zero means that every cell has the nominal value.
+    // @private {Object.<string, number>}
+    this.initialParameterDeviates = {};
+    this.parameterDeviates = {};
+    this.parameterSpreads = {};
+    VARIABLE_PARAMETER_NAMES.forEach( name => {
+      this.initialParameterDeviates[ name ] = options.parameterDeviates ? options.parameterDeviates[ name ] : 0;
+      this.parameterDeviates[ name ] = this.initialParameterDeviates[ name ];
+      this.parameterSpreads[ name ] = 0;
+    } );
+
+    // @private {number} - transcription factor level set for the population, before the variation for this cell
+    this.nominalTranscriptionFactorCount = CellProteinSynthesisSimulator.DefaultTranscriptionFactorCount;
+
+    // @private {number} - rate at which the transcription factor associates with the gene when it is fully activated
+    this.nominalTranscriptionFactorAssociationRate = CellProteinSynthesisSimulator.DefaultTFAssociationProbability;
+
+    // @private {number} - proportion of the transcription factor that is activated, which is less than one when the
+    // activation depends on a signal, e.g. in quorum sensing
+    this.transcriptionFactorActivation = 1;
   }
 
   /**
@@ -54,7 +153,275 @@ class Cell extends ShapeChangingModelElement {
   step( dt ) {
     // NOTE: The time step is multiplied in order to get the model to run at the desired rate.
     this.proteinSynthesisSimulator.step( dt * 1000 );
-    this.proteinCount.set( this.proteinSynthesisSimulator.getProteinCount() );
+    this.updateProteinCounts();
+    this.updateSpeciesCountProperties();
+    if ( this.dualReporterEnabled ) {
+      this.stepSecondReporter( dt );
+    }
+  }
+
+  /**
+   * Step only the second reporter, e.g. to bring it to steady state after it is enabled.
+   * @param {number} dt
+   * @public
+   */
+  stepSecondReporter( dt ) {
+    assert && assert( this.dualReporterEnabled, 'the second reporter is not enabled' );
+    this.secondReporterSimulator.step( dt * 1000 );
+    this.secondReporterProteinCount.set( this.secondReporterSimulator.getProteinCount() );
+  }
+
+  /**
+   * Set whether the second reporter is simulated. It starts out with no mRNA or protein when it is enabled.
+   * @param {boolean} dualReporterEnabled
+   * @public
+   */
+  setDualReporterEnabled( dualReporterEnabled ) {
+    this.dualReporterEnabled = dualReporterEnabled;
+    this.secondReporterSimulator.reset();
+    this.secondReporterProteinCount.set( this.secondReporterSimulator.getProteinCount() );
+  }
+
+  /**
+   * Call a function for each of the simulators, so that settings are applied to both reporters.
+   * @param {function(CellProteinSynthesisSimulator)} callback
+   * @private
+   */
+  forEachSimulator( callback ) {
+    callback( this.proteinSynthesisSimulator );
+    callback( this.secondReporterSimulator );
+  }
+
+  /**
+   * Set how widely one of the variable parameters is spread across the population.
+   * @param {string} name - one of the names in Cell.VariableParameterNames
+   * @param {number} spread - standard deviation of the logarithm of the parameter
+   * @public
+   */
+  setParameterSpread( name, spread ) {
+    assert && assert( VARIABLE_PARAMETER_NAMES.includes( name ), `invalid parameter name: ${name}` );
+    this.parameterSpreads[ name ] = spread;
+    this.applyParameterVariation( name );
+  }
+
+  /**
+   * Get the factor by which one of the variable parameters of this cell differs from its nominal value.
+   * @param {string} name - one of the names in Cell.VariableParameterNames
+   * @returns {number}
+   * @public
+   */
+  getParameterMultiplier( name ) {
+    return Math.exp( this.parameterSpreads[ name ] * this.parameterDeviates[ name ] );
+  }
+
+  /**
+   * Set the value of a variable parameter in the simulator, taking the variation for this cell into account.
+   * @param {string} name - one of the names in Cell.VariableParameterNames
+   * @private
+   */
+  applyParameterVariation( name ) {
+    const multiplier = this.getParameterMultiplier( name );
+    if ( name === 'transcriptionFactorLevel' ) {
+
+      // The level is kept within the range that the simulator supports.
+      const transcriptionFactorCount = CellProteinSynthesisSimulator.TranscriptionFactorCountRange.constrainValue(
+        this.nominalTranscriptionFactorCount * multiplier
+      );
+      this.forEachSimulator( simulator => simulator.setTranscriptionFactorCount( transcriptionFactorCount ) );
+    }
+    else {
+      const ribosomeCount = Math.max( Utils.roundSymmetric( DEFAULT_RIBOSOME_COUNT * multiplier ), 1 );
+      this.forEachSimulator( simulator => simulator.setRibosomeCount( ribosomeCount ) );
+    }
+  }
+
+  /**
+   * Set the proportion of the transcription factor that is activated, e.g. by the signaling molecule of quorum sensing.
+   * Only activated transcription factor associates with the gene, so this scales the association rate.
+   * @param {number} transcriptionFactorActivation - from 0 to 1
+   * @public
+   */
+  setTranscriptionFactorActivation( transcriptionFactorActivation ) {
+    this.transcriptionFactorActivation = transcriptionFactorActivation;
+    this.applyTranscriptionFactorAssociationRate();
+  }
+
+  /**
+   * @returns {number} - proportion of the transcription factor that is activated
+   * @public
+   */
+  getTranscriptionFactorActivation() {
+    return this.transcriptionFactorActivation;
+  }
+
+  /**
+   * Set the rate at which the transcription factor associates with the gene in the simulators, which is kept within the
+   * range that the simulator supports.
+   * @private
+   */
+  applyTranscriptionFactorAssociationRate() {
+    const rate = CellProteinSynthesisSimulator.TFAssociationProbabilityRange.constrainValue(
+      this.nominalTranscriptionFactorAssociationRate * this.transcriptionFactorActivation
+    );
+    this.forEachSimulator( simulator => simulator.setGeneTranscriptionFactorAssociationRate( rate ) );
+  }
+
+  /**
+   * Start the growth of the cell towards division. The cell grows exponentially, doubling in size by the time that it
+   * divides, and the age at which it divides varies a bit around the doubling time.
+   * @param {number} doublingTime - average time between divisions, in seconds
+   * @param {number} [initialAge] - age of the cell, used to stagger the cell cycles of a population
+   * @public
+   */
+  startGrowthCycle( doublingTime, initialAge = 0 ) {
+    this.divisionAge = doublingTime * Utils.clamp(
+      1 + DIVISION_AGE_VARIATION * this.random.nextGaussian(),
+      1 - 5 * DIVISION_AGE_VARIATION,
+      1 + 5 * DIVISION_AGE_VARIATION
+    );
+    this.age = Math.min( initialAge, this.divisionAge );
+    this.updateGrowthFactor();
+  }
+
+  /**
+   * Stop the growth of the cell, returning it to the size that it has just after division.
+   * @public
+   */
+  stopGrowth() {
+    this.divisionAge = null;
+    this.age = 0;
+    this.growthFactorProperty.reset();
+  }
+
+  /**
+   * Advance the growth of the cell, if it is growing.
+   * @param {number} dt
+   * @returns {boolean} - true if the cell has reached the age at which it divides
+   * @public
+   */
+  grow( dt ) {
+    if ( this.divisionAge === null ) {
+      return false;
+    }
+    this.age += dt;
+    this.updateGrowthFactor();
+    return this.age >= this.divisionAge;
+  }
+
+  /**
+   * @private
+   */
+  updateGrowthFactor() {
+    this.growthFactorProperty.set( Math.min( Math.pow( 2, this.age / this.divisionAge ), 2 ) );
+  }
+
+  /**
+   * Divide the cell, partitioning its molecules between itself and a daughter cell. Both cells then start a new growth
+   * cycle. Differences in the parameters are inherited, as they largely are in real cells, so the daughter takes on the
+   * parameter values of this cell.
+   * @param {Cell|null} daughter - the cell that becomes the daughter, null if the daughter is not kept
+   * @param {number} doublingTime - average time between divisions, in seconds
+   * @public
+   */
+  divide( daughter, doublingTime ) {
+    this.proteinSynthesisSimulator.divide( daughter && daughter.proteinSynthesisSimulator );
+    if ( this.dualReporterEnabled ) {
+      this.secondReporterSimulator.divide( daughter && daughter.secondReporterSimulator );
+    }
+    if ( daughter ) {
+      daughter.parameterDeviates = merge( {}, this.parameterDeviates );
+    }
+    [ this, daughter ].forEach( cell => {
+      if ( cell ) {
+        cell.startGrowthCycle( doublingTime );
+        cell.updateProteinCounts();
+        cell.secondReporterProteinCount.set( cell.secondReporterSimulator.getProteinCount() );
+        cell.updateSpeciesCountProperties();
+      }
+    } );
+  }
+
+  /**
+   * Update the protein count Properties to match the state of the simulator.
+   * @private
+   */
+  updateProteinCounts() {
+    const proteinCounts = this.proteinSynthesisSimulator.getProteinCounts();
+    this.proteinCounts.forEach( ( proteinCount, index ) => {
+      proteinCount.set( index < proteinCounts.length ? proteinCounts[ index ] : 0 );
+    } );
+  }
+
+  /**
+   * Set the genetic circuit that the cell runs. The second reporter runs its own copy of the circuit. The molecules
+   * that are specific to the genes start over from their initial counts.
+   * @param {GeneticCircuit} circuit
+   * @public
+   */
+  setCircuit( circuit ) {
+    this.forEachSimulator( simulator => simulator.setCircuit( circuit ) );
+    this.updateProteinCounts();
+    this.secondReporterProteinCount.set( this.secondReporterSimulator.getProteinCount() );
+    this.updateSpeciesCountProperties();
+  }
+
+  /**
+   * Get the number of proteins that are synthesized in the cell, which is the number of genes in its circuit.
+   * @returns {number}
+   * @public
+   */
+  getNumberOfProteins() {
+    return this.proteinSynthesisSimulator.getNumberOfGenes();
+  }
+
+  /**
+   * Update the species count Properties to match the state of the simulator.
+   * @private
+   */
+  updateSpeciesCountProperties() {
+    for ( const name in this.speciesCountProperties ) {
+      this.speciesCountProperties[ name ].set( this.proteinSynthesisSimulator.getSpeciesCount( name ) );
+    }
+  }
+
+  /**
+   * Get the names of the species that are simulated in this cell.
+   * @returns {Array.<string>}
+   * @public
+   */
+  getSpeciesNames() {
+    return Object.keys( this.speciesCountProperties );
+  }
+
+  /**
+   * Get a snapshot of the count of every species in the cell.
+   * @returns {Object.<string, number>} - keyed by species name
+   * @public
+   */
+  getSpeciesCounts() {
+    const speciesCounts = {};
+    for ( const name in this.speciesCountProperties ) {
+      speciesCounts[ name ] = this.speciesCountProperties[ name ].get();
+    }
+    return speciesCounts;
+  }
+
+  /**
+   * Restore the cell's molecule counts and parameter variation to their initial state and restart its random number
+   * stream from the seed, so that the behavior that follows a reset is the same as the behavior following construction.
+   * @public
+   */
+  reset() {
+    this.proteinSynthesisSimulator.reset();
+    this.setDualReporterEnabled( false );
+    VARIABLE_PARAMETER_NAMES.forEach( name => {
+      this.parameterDeviates[ name ] = this.initialParameterDeviates[ name ];
+      this.applyParameterVariation( name );
+    } );
+    this.random.setSeed( this.random.getSeed() );
+    this.stopGrowth();
+    this.updateProteinCounts();
+    this.updateSpeciesCountProperties();
   }
 
   /**
@@ -71,7 +438,7 @@ class Cell extends ShapeChangingModelElement {
   }
 
   /*-----------------------------------------------------------------------------------------------------------------
-   * The following methods are essentially "pass through" methods to the protein synthesis simulator. This is done to
+   * The following methods are essentially "pass through" methods to the protein synthesis simulators. This is done to
    * allow proteinSynthesisSimulator to be a separate type.
    *---------------------------------------------------------------------------------------------------------------*/
 
@@ -80,7 +447,8 @@ class Cell extends ShapeChangingModelElement {
    * @public
    */
   setTranscriptionFactorCount( tfCount ) {
-    this.proteinSynthesisSimulator.setTranscriptionFactorCount( tfCount );
+    this.nominalTranscriptionFactorCount = tfCount;
+    this.applyParameterVariation( 'transcriptionFactorLevel' );
   }
 
   /**
@@ -88,15 +456,26 @@ class Cell extends ShapeChangingModelElement {
    * @public
    */
   setPolymeraseCount( polymeraseCount ) {
-    this.proteinSynthesisSimulator.setPolymeraseCount( polymeraseCount );
+    this.forEachSimulator( simulator => simulator.setPolymeraseCount( polymeraseCount ) );
   }
 
   /**
-   * @param {number} newRate
+   * @param {number} newRate - rate when the transcription factor is fully activated
    * @public
    */
   setGeneTranscriptionFactorAssociationRate( newRate ) {
-    this.proteinSynthesisSimulator.setGeneTranscriptionFactorAssociationRate( newRate );
+    this.nominalTranscriptionFactorAssociationRate = newRate;
+    this.applyTranscriptionFactorAssociationRate();
+  }
+
+  /**
+   * @param {FeedbackType} feedbackType
+   * @param {number} hillCoefficient
+   * @param {number} threshold
+   * @public
+   */
+  setFeedback( feedbackType, hillCoefficient, threshold ) {
+    this.forEachSimulator( simulator => simulator.setFeedback( feedbackType, hillCoefficient, threshold ) );
   }
 
   /**
@@ -104,7 +483,7 @@ class Cell extends ShapeChangingModelElement {
    * @public
    */
   setPolymeraseAssociationRate( newRate ) {
-    this.proteinSynthesisSimulator.setPolymeraseAssociationRate( newRate );
+    this.forEachSimulator( simulator => simulator.setPolymeraseAssociationRate( newRate ) );
   }
 
   /**
@@ -112,7 +491,7 @@ class Cell extends ShapeChangingModelElement {
    * @public
    */
   setRNARibosomeAssociationRate( newRate ) {
-    this.proteinSynthesisSimulator.setRNARibosomeAssociationRate( newRate );
+    this.forEachSimulator( simulator => simulator.setRNARibosomeAssociationRate( newRate ) );
   }
 
   /**
@@ -120,7 +499,7 @@ class Cell extends ShapeChangingModelElement {
    * @public
    */
   setProteinDegradationRate( newRate ) {
-    this.proteinSynthesisSimulator.setProteinDegradationRate( newRate );
+    this.forEachSimulator( simulator => simulator.setProteinDegradationRate( newRate ) );
   }
 
   /**
@@ -128,7 +507,23 @@ class Cell extends ShapeChangingModelElement {
    * @public
    */
   setMRnaDegradationRate( mRnaDegradationRate ) {
-    this.proteinSynthesisSimulator.setMrnaDegradationRate( mRnaDegradationRate );
+    this.forEachSimulator( simulator => simulator.setMrnaDegradationRate( mRnaDegradationRate ) );
+  }
+
+  /**
+   * @param {ReactionSolverType} reactionSolverType
+   * @public
+   */
+  setReactionSolverType( reactionSolverType ) {
+    this.forEachSimulator( simulator => simulator.setReactionSolverType( reactionSolverType ) );
+  }
+
+  /**
+   * @param {number} errorTolerance
+   * @public
+   */
+  setTauLeapingErrorTolerance( errorTolerance ) {
+    this.forEachSimulator( simulator => simulator.setTauLeapingErrorTolerance( errorTolerance ) );
   }
 
 }
@@ -138,6 +533,8 @@ class Cell extends ShapeChangingModelElement {
 Cell.DefaultCellSize = DEFAULT_CELL_SIZE;
 Cell.ProteinLevelWhereColorChangeStarts = PROTEIN_LEVEL_WHERE_COLOR_CHANGE_STARTS;
 Cell.ProteinLevelWhereColorChangeCompletes = PROTEIN_LEVEL_WHERE_COLOR_CHANGE_COMPLETES;
+Cell.CircuitProteinLevelWhereColorChangeCompletes = CIRCUIT_PROTEIN_LEVEL_WHERE_COLOR_CHANGE_COMPLETES;
+Cell.VariableParameterNames = VARIABLE_PARAMETER_NAMES;
 
 geneExpressionEssentials.register( 'Cell', Cell );
 
@@ -4,7 +4,12 @@
  * This class defines a synthetic cell. The central dogma is simulated as a Markov process for a single protein.
  *  Transcription    Translation
  * DNA   ->    RNA       ->    Protein
- * Simulated using the algorithm from Gillespie, 1977
+ * Simulated by default using the algorithm from Gillespie, 1977, but other solvers can be selected. The species and
+ * reactions are defined declaratively in a ReactionNetwork, which the solvers consume generically.
+ *
+ * The cell can also run a genetic circuit of several genes, each with its own copy of the central dogma species and
+ * reactions, in which the protein of one gene represses another. The species and reactions of the first gene keep the
+ * names that are used for the single gene, and those of the other genes have the gene number appended, e.g. 'protein2'.
  *
  * @Author George A. Emanuel
  * @Author Aadish Gupta
@@ -13,6 +18,14 @@
 import dotRandom from '../../../../dot/js/dotRandom.js';
 import Range from '../../../../dot/js/Range.js';
 import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import FeedbackType from './FeedbackType.js';
+import GeneticCircuit from './GeneticCircuit.js';
+import DirectMethodSolver from './reaction-solvers/DirectMethodSolver.js';
+import MassActionSolver from './reaction-solvers/MassActionSolver.js';
+import NextReactionMethodSolver from './reaction-solvers/NextReactionMethodSolver.js';
+import ReactionSolverType from './reaction-solvers/ReactionSolverType.js';
+import TauLeapingSolver from './reaction-solvers/TauLeapingSolver.js';
+import ReactionNetwork from './ReactionNetwork.js';
 
 const DEFAULT_TRANSCRIPTION_FACTOR_COUNT = 2000;
 const TRANSCRIPTION_FACTOR_COUNT_RANGE = new Range( DEFAULT_TRANSCRIPTION_FACTOR_COUNT / 10, DEFAULT_TRANSCRIPTION_FACTOR_COUNT * 10 );
@@ -24,39 +37,383 @@ const DEFAULT_PROTEIN_DEGRADATION_RATE = 0.0004;
 const PROTEIN_DEGRADATION_RANGE = new Range( DEFAULT_PROTEIN_DEGRADATION_RATE * 0.7, DEFAULT_PROTEIN_DEGRADATION_RATE * 1.3 );
 const DEFAULT_MRNA_DEGRADATION_RATE = 0.01;
 const MRNA_DEGRADATION_RATE_RANGE = new Range( DEFAULT_MRNA_DEGRADATION_RATE / 1000, DEFAULT_MRNA_DEGRADATION_RATE * 1000 );
+const DEFAULT_HILL_COEFFICIENT = 2;
+const HILL_COEFFICIENT_RANGE = new Range( 1, 4 );
+const DEFAULT_FEEDBACK_THRESHOLD = 25;
+const FEEDBACK_THRESHOLD_RANGE = new Range( 10, 150 );
+
+// Fraction of the transcription factor association that occurs without the protein when there is positive feedback.
+// Without this, a cell with no protein could never start making any.
+const POSITIVE_FEEDBACK_BASAL_FRACTION = 0.01;
+
+// The chemical species and reactions that make up the simulated central dogma. Reactions are conducted using mass-action
+// kinetics, so, for example, the propensity of the gene/TF association reaction is the rate times the gene count times
+// the free transcription factor count.
+const SPECIES = [
+  { name: 'gene', initialCount: 20 },
+  { name: 'transcriptionFactor', initialCount: DEFAULT_TRANSCRIPTION_FACTOR_COUNT }, // free transcription factors
+  { name: 'polymerase', initialCount: 5000 },
+  { name: 'geneTFComplex', initialCount: 0 },
+  { name: 'geneTFPolymeraseComplex', initialCount: 0 },
+  { name: 'mRNA', initialCount: 0 },
+  { name: 'ribosome', initialCount: 2000 },
+  { name: 'mRNARibosomeComplex', initialCount: 0 },
+  { name: 'protein', initialCount: 0 }
+];
+const REACTIONS = [
+  {
+    name: 'geneTFAssociation',
+    reactants: { gene: 1, transcriptionFactor: 1 },
+    products: { geneTFComplex: 1 },
+    rate: DEFAULT_TF_ASSOCIATION_PROBABILITY
+  },
+  {
+    name: 'geneTFDissociation',
+    reactants: { geneTFComplex: 1 },
+    products: { gene: 1, transcriptionFactor: 1 },
+    rate: 0.0009
+  },
+  {
+    name: 'polymeraseAssociation',
+    reactants: { geneTFComplex: 1, polymerase: 1 },
+    products: { geneTFPolymeraseComplex: 1 },
+    rate: DEFAULT_POLYMERASE_ASSOCIATION_PROBABILITY
+  },
+  {
+    name: 'polymeraseDissociation',
+    reactants: { geneTFPolymeraseComplex: 1 },
+    products: { geneTFComplex: 1, polymerase: 1 },
+    rate: 0.00085
+  },
+  {
+    name: 'transcription',
+    reactants: { geneTFPolymeraseComplex: 1 },
+    products: { gene: 1, transcriptionFactor: 1, polymerase: 1, mRNA: 1 },
+    rate: 0.003
+  },
+  {
+    name: 'mRNARibosomeAssociation',
+    reactants: { mRNA: 1, ribosome: 1 },
+    products: { mRNARibosomeComplex: 1 },
+    rate: 0.001
+  },
+  {
+    name: 'mRNARibosomeDissociation',
+    reactants: { mRNARibosomeComplex: 1 },
+    products: { mRNA: 1, ribosome: 1 },
+    rate: 0.0009
+  },
+  {
+    name: 'translation',
+    reactants: { mRNARibosomeComplex: 1 },
+    products: { ribosome: 1, protein: 1 },
+    rate: 0.0009
+  },
+  {
+    name: 'proteinDegradation',
+    reactants: { protein: 1 },
+    products: {},
+    rate: DEFAULT_PROTEIN_DEGRADATION_RATE
+  },
+  {
+    name: 'mRNADegradation',
+    reactants: { mRNA: 1 },
+    products: {},
+    rate: DEFAULT_MRNA_DEGRADATION_RATE
+  }
+];
+
+// species that are shared by all of the genes in a cell, rather than each gene having its own
+const SHARED_SPECIES_NAMES = [ 'transcriptionFactor', 'polymerase', 'ribosome' ];
+
+// species whose molecules are divided between the daughter cells when a cell divides
+const PARTITIONED_SPECIES = [ 'mRNA', 'mRNARibosomeComplex', 'protein' ];
+
+// Regulation of the genes of a circuit by their repressors. The repression has to be steep and strong for the toggle
+// switch to be bistable and for the repressilator to oscillate.
+const CIRCUIT_HILL_COEFFICIENT = 3;
+const CIRCUIT_REPRESSION_THRESHOLD = 10;
+
+// Definitions of the genetic circuits, keyed by name. The repressors are the index of the gene whose protein represses
+// each of the genes, or null if the gene isn't repressed by another one, so their length is the number of genes. The
+// repressilator starts with some of the first protein, since the state in which all of the proteins are at the same
+// level doesn't oscillate, and this also starts the cells of a population oscillating in phase with each other. The
+// toggle switch starts out even, so that the cells of a population settle into either state.
+const CIRCUITS = {
+  SINGLE_GENE: { repressors: [ null ], initialProteinCount: 0 },
+  TOGGLE_SWITCH: { repressors: [ 1, 0 ], initialProteinCount: 0 },
+  REPRESSILATOR: { repressors: [ 2, 0, 1 ], initialProteinCount: 4 * CIRCUIT_REPRESSION_THRESHOLD }
+};
+const MAX_NUMBER_OF_GENES = 3;
 
 class CellProteinSynthesisSimulator {
 
   /**
    * @param {number} ribosomeCount
+   * @param {Random} [random] - source of random numbers for the stochastic simulation, injectable so that runs can be
+   * reproduced by seeding it
+   * @param {ReactionNetwork} [reactionNetwork] - the species and reactions to simulate, defaults to the standard
+   * central dogma network
+   */
+  constructor( ribosomeCount, random = dotRandom, reactionNetwork = CellProteinSynthesisSimulator.createReactionNetwork() ) {
+
+    // @private {Random}
+    this.random = random;
+
+    // @private {ReactionNetwork}
+    this.reactionNetwork = reactionNetwork;
+
+    // @private {GeneticCircuit}
+    this.circuit = GeneticCircuit.SINGLE_GENE;
+
+    // @private {{feedbackType:FeedbackType, hillCoefficient:number, threshold:number}} - the feedback of the first gene
+    // on itself, retained so that it can be applied again when the circuit changes
+    this.feedback = {
+      feedbackType: FeedbackType.NONE,
+      hillCoefficient: DEFAULT_HILL_COEFFICIENT,
+      threshold: DEFAULT_FEEDBACK_THRESHOLD
+    };
+
+    // @private {number}
+    this.ribosomeCount = ribosomeCount;
+    this.reactionNetwork.setSpeciesCount( 'ribosome', ribosomeCount );
+
+    // @private {number}
+    this.tauLeapingErrorTolerance = TauLeapingSolver.DefaultErrorTolerance;
+
+    // @private {ReactionSolverType} and {ReactionSolver} - the algorithm used to advance the reactions through time
+    this.reactionSolverType = ReactionSolverType.DIRECT;
+    this.reactionSolver = this.createReactionSolver( this.reactionSolverType );
+  }
+
+  /**
+   * Create a reaction network containing the species and reactions of the standard central dogma model, i.e.
+   * transcription factor and polymerase binding, transcription, translation and degradation of mRNA and protein, for
+   * each of the genes of a genetic circuit, along with the repression of the genes by each other.
+   * @param {GeneticCircuit} [circuit]
+   * @returns {ReactionNetwork}
+   * @public
+   */
+  static createReactionNetwork( circuit = GeneticCircuit.SINGLE_GENE ) {
+    assert && assert( GeneticCircuit.includes( circuit ), `invalid circuit: ${circuit}` );
+    const repressors = CIRCUITS[ circuit.name ].repressors;
+
+    const species = SPECIES.map( definition => definition.name === 'protein' ?
+      { name: definition.name, initialCount: CIRCUITS[ circuit.name ].initialProteinCount } :
+      definition
+    );
+    const reactions = [];
+    const renameSpecies = ( speciesMap, geneIndex ) => {
+      const renamedSpeciesMap = {};
+      Object.keys( speciesMap ).forEach( name => {
+        renamedSpeciesMap[ getGeneSpeciesName( name, geneIndex ) ] = speciesMap[ name ];
+      } );
+      return renamedSpeciesMap;
+    };
+    repressors.forEach( ( repressor, geneIndex ) => {
+      if ( geneIndex > 0 ) {
+        SPECIES.filter( definition => !SHARED_SPECIES_NAMES.includes( definition.name ) ).forEach( definition => {
+          species.push( { name: getGeneSpeciesName( definition.name, geneIndex ), initialCount: definition.initialCount } );
+        } );
+      }
+      REACTIONS.forEach( definition => {
+        reactions.push( {
+          name: getGeneReactionName( definition.name, geneIndex ),
+          reactants: renameSpecies( definition.reactants, geneIndex ),
+          products: renameSpecies( definition.products, geneIndex ),
+          rate: definition.rate
+        } );
+      } );
+    } );
+
+    const reactionNetwork = new ReactionNetwork( species, reactions );
+    repressors.forEach( ( repressor, geneIndex ) => {
+      if ( repressor !== null ) {
+        reactionNetwork.setRegulation( getGeneReactionName( 'geneTFAssociation', geneIndex ), {
+          speciesName: getGeneSpeciesName( 'protein', repressor ),
+          activating: false,
+          hillCoefficient: CIRCUIT_HILL_COEFFICIENT,
+          halfMaximalCount: CIRCUIT_REPRESSION_THRESHOLD,
+          basalFraction: 0
+        } );
+      }
+    } );
+    return reactionNetwork;
+  }
+
+  /**
+   * Restores the molecule counts to their initial values. The transcription factor level and the reaction rates are
+   * considered to be settings, and are retained.
+   * @public
    */
-  constructor( ribosomeCount ) {
-    this.objectCounts = [
-      20, //gene count
-      DEFAULT_TRANSCRIPTION_FACTOR_COUNT, //free transcription factor count
-      5000, //polymerase count
-      0, //gene, transcription factor complex count
-      0, //gene, TF, polymerase count
-      0, //mRNA count
-      2000, //ribosome count
-      0, //mRNA, ribosome complex count
-      0 //protein count
-    ];
-
-    this.reactionProbabilities = [
-      DEFAULT_TF_ASSOCIATION_PROBABILITY, //gene, TF association
-      0.0009, //gene-TF degradation
-      DEFAULT_POLYMERASE_ASSOCIATION_PROBABILITY, //gene-TF-polymerase association
-      0.00085, //gene-TF-polymerase degradation
-      0.003, //transcription
-      0.001, //mRNA-ribosome association
-      0.0009, //mRNA-ribosome degradation
-      0.0009, //translation
-      DEFAULT_PROTEIN_DEGRADATION_RATE, //protein degradation
-      DEFAULT_MRNA_DEGRADATION_RATE //mRNA degradation
-    ];
-
-    this.objectCounts[ 6 ] = ribosomeCount;
+  reset() {
+    const transcriptionFactorCount = this.getTotalTranscriptionFactorCount();
+    this.reactionNetwork.reset();
+    this.reactionNetwork.setSpeciesCount( 'ribosome', this.ribosomeCount );
+    this.reactionNetwork.setSpeciesCount( 'transcriptionFactor', transcriptionFactorCount );
+  }
+
+  /**
+   * Divide the molecules of this cell between itself and a daughter cell, as happens when a cell divides. The mRNA and
+   * protein molecules are partitioned binomially, i.e. each goes to either cell with equal probability, which is a
+   * source of noise in the protein levels. The genes are replicated before division, and the transcription factors,
+   * polymerases and ribosomes are treated as being maintained at constant levels, so each cell gets the same amount of
+   * these as this one had. The mRNA that is bound to ribosomes is partitioned along with the free mRNA, and the free
+   * ribosomes are adjusted so that each cell has the same total number of ribosomes as this one.
+   * @param {CellProteinSynthesisSimulator|null} daughter - receives the molecules that don't stay in this cell, null if
+   * they are lost, e.g. because the daughter is not part of the population
+   * @public
+   */
+  divide( daughter ) {
+    if ( daughter ) {
+      assert && assert( daughter.circuit === this.circuit, 'the daughter must have the same circuit' );
+      this.getSpeciesNames().forEach( name => {
+        daughter.reactionNetwork.setSpeciesCount( name, this.getSpeciesCount( name ) );
+      } );
+      daughter.ribosomeCount = this.ribosomeCount;
+    }
+
+    this.forEachGene( geneIndex => {
+      PARTITIONED_SPECIES.forEach( partitionedSpeciesName => {
+        const name = getGeneSpeciesName( partitionedSpeciesName, geneIndex );
+        const count = this.getSpeciesCount( name );
+        const retainedCount = this.nextBinomial( count, 0.5 );
+        this.reactionNetwork.setSpeciesCount( name, retainedCount );
+        daughter && daughter.reactionNetwork.setSpeciesCount( name, count - retainedCount );
+      } );
+    } );
+
+    [ this, daughter ].forEach( simulator => {
+      simulator && simulator.setRibosomeCount( this.ribosomeCount );
+    } );
+  }
+
+  /**
+   * Draw a value from a binomial distribution, i.e. the number of successes in a number of trials. The counts that
+   * this is used for are small enough that the trials can simply be simulated.
+   * @param {number} numberOfTrials
+   * @param {number} probability - probability of success for each trial
+   * @returns {number}
+   * @private
+   */
+  nextBinomial( numberOfTrials, probability ) {
+    let successes = 0;
+    for ( let i = 0; i < numberOfTrials; i++ ) {
+      if ( this.random.nextDouble() < probability ) {
+        successes++;
+      }
+    }
+    return successes;
+  }
+
+  /**
+   * Get the current count of the species with the specified name, e.g. 'mRNA'.
+   * @param {string} name
+   * @returns {number}
+   * @public
+   */
+  getSpeciesCount( name ) {
+    return this.reactionNetwork.getSpeciesCount( name );
+  }
+
+  /**
+   * Get the names of all species in the simulated reaction network.
+   * @returns {Array.<string>}
+   * @public
+   */
+  getSpeciesNames() {
+    return this.reactionNetwork.getSpeciesNames();
+  }
+
+  /**
+   * @returns {number}
+   * @public
+   */
+  getNumberOfGenes() {
+    return CellProteinSynthesisSimulator.getNumberOfGenes( this.circuit );
+  }
+
+  /**
+   * @param {GeneticCircuit} circuit
+   * @returns {number}
+   * @public
+   */
+  static getNumberOfGenes( circuit ) {
+    return CIRCUITS[ circuit.name ].repressors.length;
+  }
+
+  /**
+   * Call a function with the index of each of the genes in the circuit.
+   * @param {function(number)} callback
+   * @private
+   */
+  forEachGene( callback ) {
+    for ( let geneIndex = 0; geneIndex < this.getNumberOfGenes(); geneIndex++ ) {
+      callback( geneIndex );
+    }
+  }
+
+  /**
+   * Get the total count of a species, including the molecules that are bound in complexes with the genes.
+   * @param {string} name
+   * @param {Array.<string>} complexNames - names of the gene complexes that contain one of the molecules
+   * @returns {number}
+   * @private
+   */
+  getTotalCount( name, complexNames ) {
+    let totalCount = this.getSpeciesCount( name );
+    this.forEachGene( geneIndex => {
+      complexNames.forEach( complexName => {
+        totalCount += this.getSpeciesCount( getGeneSpeciesName( complexName, geneIndex ) );
+      } );
+    } );
+    return totalCount;
+  }
+
+  /**
+   * @returns {number}
+   * @private
+   */
+  getTotalTranscriptionFactorCount() {
+    return this.getTotalCount( 'transcriptionFactor', [ 'geneTFComplex', 'geneTFPolymeraseComplex' ] );
+  }
+
+  /**
+   * Set the genetic circuit that is simulated. The molecules that are specific to the genes start over from their
+   * initial counts, while the settings, i.e. the reaction rates and the levels of the shared molecules, are retained.
+   * @param {GeneticCircuit} circuit
+   * @public
+   */
+  setCircuit( circuit ) {
+    if ( circuit === this.circuit ) {
+      return;
+    }
+    const transcriptionFactorCount = this.getTotalTranscriptionFactorCount();
+    const polymeraseCount = this.getTotalCount( 'polymerase', [ 'geneTFPolymeraseComplex' ] );
+    const previousReactionNetwork = this.reactionNetwork;
+
+    this.circuit = circuit;
+    this.reactionNetwork = CellProteinSynthesisSimulator.createReactionNetwork( circuit );
+    REACTIONS.forEach( definition => {
+      this.setRateForAllGenes( definition.name, previousReactionNetwork.getRate( definition.name ) );
+    } );
+    this.reactionNetwork.setSpeciesCount( 'transcriptionFactor', transcriptionFactorCount );
+    this.reactionNetwork.setSpeciesCount( 'polymerase', polymeraseCount );
+    this.reactionNetwork.setSpeciesCount( 'ribosome', this.ribosomeCount );
+    this.applyFeedback();
+    this.reactionSolver = this.createReactionSolver( this.reactionSolverType );
+  }
+
+  /**
+   * Set the rate of one of the reactions of the central dogma for all of the genes in the circuit.
+   * @param {string} reactionName - name of the reaction for the first gene
+   * @param {number} rate
+   * @private
+   */
+  setRateForAllGenes( reactionName, rate ) {
+    this.forEachGene( geneIndex => {
+      this.reactionNetwork.setRate( getGeneReactionName( reactionName, geneIndex ), rate );
+    } );
   }
 
   /**
@@ -67,7 +424,7 @@ class CellProteinSynthesisSimulator {
   setTranscriptionFactorCount( tfCount ) {
     // Parameter checking.
     assert && assert( TRANSCRIPTION_FACTOR_COUNT_RANGE.contains( tfCount ) );
-    this.objectCounts[ 1 ] = tfCount;
+    this.reactionNetwork.setSpeciesCount( 'transcriptionFactor', tfCount );
   }
 
   /**
@@ -76,7 +433,22 @@ class CellProteinSynthesisSimulator {
    * @public
    */
   setPolymeraseCount( polymeraseCount ) {
-    this.objectCounts[ 2 ] = polymeraseCount;
+    this.reactionNetwork.setSpeciesCount( 'polymerase', polymeraseCount );
+  }
+
+  /**
+   * Sets the total number of ribosomes. The ribosomes that are bound to mRNA stay bound, and the number of free
+   * ribosomes is adjusted to make up the total.
+   * @param {number} ribosomeCount
+   * @public
+   */
+  setRibosomeCount( ribosomeCount ) {
+    assert && assert( Number.isInteger( ribosomeCount ) && ribosomeCount >= 0, `invalid ribosome count: ${ribosomeCount}` );
+    this.ribosomeCount = ribosomeCount;
+    this.reactionNetwork.setSpeciesCount(
+      'ribosome',
+      Math.max( ribosomeCount - this.getSpeciesCount( 'mRNARibosomeComplex' ), 0 )
+    );
   }
 
   /**
@@ -86,7 +458,42 @@ class CellProteinSynthesisSimulator {
    */
   setGeneTranscriptionFactorAssociationRate( newRate ) {
     assert && assert( TF_ASSOCIATION_PROBABILITY_RANGE.contains( newRate ) );
-    this.reactionProbabilities[ 0 ] = newRate;
+    this.setRateForAllGenes( 'geneTFAssociation', newRate );
+  }
+
+  /**
+   * Sets the feedback of the protein on its own gene, which regulates the association of transcription factors with
+   * the gene with Hill function kinetics. Positive feedback only produces two stable protein levels when the response is
+   * steep, i.e. when the Hill coefficient is about 3 or more. The feedback only applies to the single gene circuit, since
+   * the genes of the other circuits are regulated by each other, but it is retained for when that circuit is in use.
+   * @param {FeedbackType} feedbackType
+   * @param {number} hillCoefficient - steepness of the response of the gene to the protein level
+   * @param {number} threshold - protein level at which the response of the gene is half of its maximum
+   * @public
+   */
+  setFeedback( feedbackType, hillCoefficient, threshold ) {
+    assert && assert( FeedbackType.includes( feedbackType ), `invalid feedback type: ${feedbackType}` );
+    assert && assert( HILL_COEFFICIENT_RANGE.contains( hillCoefficient ) );
+    assert && assert( FEEDBACK_THRESHOLD_RANGE.contains( threshold ) );
+    this.feedback = { feedbackType: feedbackType, hillCoefficient: hillCoefficient, threshold: threshold };
+    this.applyFeedback();
+  }
+
+  /**
+   * Apply the feedback to the reaction network, if the circuit is the single gene.
+   * @private
+   */
+  applyFeedback() {
+    if ( this.circuit === GeneticCircuit.SINGLE_GENE ) {
+      const feedbackType = this.feedback.feedbackType;
+      this.reactionNetwork.setRegulation( 'geneTFAssociation', feedbackType === FeedbackType.NONE ? null : {
+        speciesName: 'protein',
+        activating: feedbackType === FeedbackType.POSITIVE,
+        hillCoefficient: this.feedback.hillCoefficient,
+        halfMaximalCount: this.feedback.threshold,
+        basalFraction: feedbackType === FeedbackType.POSITIVE ? POSITIVE_FEEDBACK_BASAL_FRACTION : 0
+      } );
+    }
   }
 
   /**
@@ -96,7 +503,7 @@ class CellProteinSynthesisSimulator {
    */
   setPolymeraseAssociationRate( newRate ) {
     assert && assert( POLYMERASE_ASSOCIATION_PROBABILITY_RANGE.contains( newRate ) );
-    this.reactionProbabilities[ 2 ] = newRate;
+    this.setRateForAllGenes( 'polymeraseAssociation', newRate );
   }
 
   /**
@@ -105,7 +512,7 @@ class CellProteinSynthesisSimulator {
    * @public
    */
   setRNARibosomeAssociationRate( newRate ) {
-    this.reactionProbabilities[ 5 ] = newRate;
+    this.setRateForAllGenes( 'mRNARibosomeAssociation', newRate );
   }
 
   /**
@@ -114,7 +521,7 @@ class CellProteinSynthesisSimulator {
    */
   setProteinDegradationRate( proteinDegradationRate ) {
     assert && assert( PROTEIN_DEGRADATION_RANGE.contains( proteinDegradationRate ) );
-    this.reactionProbabilities[ 8 ] = proteinDegradationRate;
+    this.setRateForAllGenes( 'proteinDegradation', proteinDegradationRate );
   }
 
   /**
@@ -123,148 +530,64 @@ class CellProteinSynthesisSimulator {
    */
   setMrnaDegradationRate( mrnaDegradationRate ) {
     assert && assert( MRNA_DEGRADATION_RATE_RANGE.contains( mrnaDegradationRate ) );
-    this.reactionProbabilities[ 9 ] = mrnaDegradationRate;
+    this.setRateForAllGenes( 'mRNADegradation', mrnaDegradationRate );
   }
 
   /**
-   * Moves forward one time step of specified length
-   *
-   * @param {number} dt the length of this step through time
+   * Sets the algorithm used to advance the reaction network through time. The counts are retained, so this can be
+   * changed at any time.
+   * @param {ReactionSolverType} reactionSolverType
    * @public
    */
-  step( dt ) {
-    let accumulatedTime = 0.0;
-    let timeIncrement = -1.0;
-    while ( accumulatedTime < dt && timeIncrement !== 0.0 ) {
-      timeIncrement = this.simulateOneReaction( dt - accumulatedTime );
-      accumulatedTime += timeIncrement;
-    }
+  setReactionSolverType( reactionSolverType ) {
+    this.reactionSolverType = reactionSolverType;
+    this.reactionSolver = this.createReactionSolver( reactionSolverType );
   }
 
   /**
-   * Simulates one reaction if the wait time before that reaction occurs is less than maxTime
-   *
-   * @param maxTime the maximum of time to wait for this reaction to occur
-   * @returns {number} the amount of time evolved in the system
-   * @private
+   * Sets the error tolerance used when the tau-leaping solver is in use.
+   * @param {number} errorTolerance
+   * @public
    */
-  simulateOneReaction( maxTime ) {
-    const a = this.calculateA();
-    const a0 = this.sum( a );
-
-    const r1 = dotRandom.nextDouble();
-    const r2 = dotRandom.nextDouble();
-    const tau = ( 1 / a0 ) * Math.log( 1 / r1 );
-    if ( tau > maxTime ) {
-      return 0.0;
-    }
-
-    let mu = 0;
-    let sumSoFar = a[ 0 ];
-    while ( sumSoFar < r2 * a0 ) {
-      mu++;
-      sumSoFar += a[ mu ];
+  setTauLeapingErrorTolerance( errorTolerance ) {
+    assert && assert( errorTolerance > 0 && errorTolerance < 1, `invalid error tolerance: ${errorTolerance}` );
+    this.tauLeapingErrorTolerance = errorTolerance;
+    if ( this.reactionSolver instanceof TauLeapingSolver ) {
+      this.reactionSolver.errorTolerance = errorTolerance;
     }
-    this.conductReaction( mu );
-    return tau;
   }
 
   /**
-   * Calculates sum of the array elements
-   * @param {Array.<number>} array
-   * @returns {number}
+   * @param {ReactionSolverType} reactionSolverType
+   * @returns {ReactionSolver}
    * @private
    */
-  sum( array ) {
-    let total = 0;
-    for ( let i = 0; i < array.length; i++ ) {
-      total += array[ i ];
+  createReactionSolver( reactionSolverType ) {
+    if ( reactionSolverType === ReactionSolverType.NEXT_REACTION ) {
+      return new NextReactionMethodSolver( this.reactionNetwork, this.random );
     }
-    return total;
-  }
-
-  /**
-   * @returns {Array.<number>}
-   * @private
-   */
-  calculateA() {
-    const h = [
-      this.objectCounts[ 0 ] * this.objectCounts[ 1 ],
-      this.objectCounts[ 3 ],
-      this.objectCounts[ 2 ] * this.objectCounts[ 3 ],
-      this.objectCounts[ 4 ],
-      this.objectCounts[ 4 ],
-      this.objectCounts[ 5 ] * this.objectCounts[ 6 ],
-      this.objectCounts[ 7 ],
-      this.objectCounts[ 7 ],
-      this.objectCounts[ 8 ],
-      this.objectCounts[ 5 ]
-    ];
-
-    for ( let i = 0; i < h.length; i++ ) {
-      h[ i ] *= this.reactionProbabilities[ i ];
+    else if ( reactionSolverType === ReactionSolverType.TAU_LEAPING ) {
+      return new TauLeapingSolver( this.reactionNetwork, this.random, {
+        errorTolerance: this.tauLeapingErrorTolerance
+      } );
+    }
+    else if ( reactionSolverType === ReactionSolverType.DETERMINISTIC ) {
+      return new MassActionSolver( this.reactionNetwork, this.random );
+    }
+    else {
+      assert && assert( reactionSolverType === ReactionSolverType.DIRECT, `unhandled solver type: ${reactionSolverType}` );
+      return new DirectMethodSolver( this.reactionNetwork, this.random );
     }
-    return h;
   }
 
   /**
-   * @param {number} mu
-   * @private
+   * Moves forward one time step of specified length
+   *
+   * @param {number} dt the length of this step through time
+   * @public
    */
-  conductReaction( mu ) {
-    switch( mu ) {
-      case 0:
-        this.objectCounts[ 0 ]--;
-        this.objectCounts[ 1 ]--;
-        this.objectCounts[ 3 ]++;
-        break;
-      case 1:
-        this.objectCounts[ 0 ]++;
-        this.objectCounts[ 1 ]++;
-        this.objectCounts[ 3 ]--;
-        break;
-      case 2:
-        this.objectCounts[ 3 ]--;
-        this.objectCounts[ 2 ]--;
-        this.objectCounts[ 4 ]++;
-        break;
-      case 3:
-        this.objectCounts[ 3 ]++;
-        this.objectCounts[ 2 ]++;
-        this.objectCounts[ 4 ]--;
-        break;
-      case 4:
-        this.objectCounts[ 0 ]++;
-        this.objectCounts[ 1 ]++;
-        this.objectCounts[ 2 ]++;
-        this.objectCounts[ 4 ]--;
-        this.objectCounts[ 5 ]++;
-        break;
-      case 5:
-        this.objectCounts[ 5 ]--;
-        this.objectCounts[ 6 ]--;
-        this.objectCounts[ 7 ]++;
-        break;
-      case 6:
-        this.objectCounts[ 5 ]++;
-        this.objectCounts[ 6 ]++;
-        this.objectCounts[ 7 ]--;
-        break;
-      case 7:
-        this.objectCounts[ 6 ]++;
-        this.objectCounts[ 7 ]--;
-        this.objectCounts[ 8 ]++;
-        break;
-      case 8:
-        this.objectCounts[ 8 ]--;
-        break;
-      case 9:
-        this.objectCounts[ 5 ]--;
-        break;
-      default:
-        assert && assert( false, 'Unhandled mu value' );
-        break;
-    }
+  step( dt ) {
+    this.reactionSolver.step( dt );
   }
 
   /**
@@ -273,11 +596,42 @@ class CellProteinSynthesisSimulator {
    * @public
    */
   getProteinCount() {
-    return this.objectCounts[ 8 ];
+    return this.getSpeciesCount( 'protein' );
+  }
+
+  /**
+   * Get the number of proteins of each of the genes in the circuit.
+   * @returns {Array.<number>} - indexed by gene
+   * @public
+   */
+  getProteinCounts() {
+    const proteinCounts = [];
+    this.forEachGene( geneIndex => proteinCounts.push( this.getSpeciesCount( getGeneSpeciesName( 'protein', geneIndex ) ) ) );
+    return proteinCounts;
   }
 
 }
 
+/**
+ * Get the name of a species for one of the genes in a circuit. The species that are shared by the genes, and those of
+ * the first gene, keep their names, and those of the other genes have the gene number appended.
+ * @param {string} name - name of the species for the single gene
+ * @param {number} geneIndex
+ * @returns {string}
+ */
+function getGeneSpeciesName( name, geneIndex ) {
+  return geneIndex === 0 || SHARED_SPECIES_NAMES.includes( name ) ? name : `${name}${geneIndex + 1}`;
+}
+
+/**
+ * Get the name of a reaction for one of the genes in a circuit.
+ * @param {string} name - name of the reaction for the single gene
+ * @param {number} geneIndex
+ * @returns {string}
+ */
+function getGeneReactionName( name, geneIndex ) {
+  return geneIndex === 0 ? name : `${name}${geneIndex + 1}`;
+}
 
 // statics
 CellProteinSynthesisSimulator.DefaultTranscriptionFactorCount = DEFAULT_TRANSCRIPTION_FACTOR_COUNT;
@@ -290,6 +644,11 @@ CellProteinSynthesisSimulator.PolymeraseAssociationProbabilityRange = POLYMERASE
 CellProteinSynthesisSimulator.ProteinDegradationRange = PROTEIN_DEGRADATION_RANGE;
 CellProteinSynthesisSimulator.TFAssociationProbabilityRange = TF_ASSOCIATION_PROBABILITY_RANGE;
 CellProteinSynthesisSimulator.TranscriptionFactorCountRange = TRANSCRIPTION_FACTOR_COUNT_RANGE;
+CellProteinSynthesisSimulator.DefaultHillCoefficient = DEFAULT_HILL_COEFFICIENT;
+CellProteinSynthesisSimulator.HillCoefficientRange = HILL_COEFFICIENT_RANGE;
+CellProteinSynthesisSimulator.DefaultFeedbackThreshold = DEFAULT_FEEDBACK_THRESHOLD;
+CellProteinSynthesisSimulator.FeedbackThresholdRange = FEEDBACK_THRESHOLD_RANGE;
+CellProteinSynthesisSimulator.MaxNumberOfGenes = MAX_NUMBER_OF_GENES;
 
 geneExpressionEssentials.register( 'CellProteinSynthesisSimulator', CellProteinSynthesisSimulator );
 export default CellProteinSynthesisSimulator;
\ No newline at end of file
@@ -0,0 +1,21 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Enumeration of the kinds of feedback that the protein synthesized in a cell can have on its own gene.
+ *
+ * NONE - the protein has no effect on the gene
+ * NEGATIVE - the protein represses the association of transcription factors with the gene, i.e. negative
+ * autoregulation, which reduces noise and speeds up the response to changes
+ * POSITIVE - the protein activates the association of transcription factors with the gene, which can make the cell
+ * bistable, i.e. able to settle at either a low or a high protein level
+ *
+ * @author agent
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+const FeedbackType = Enumeration.byKeys( [ 'NONE', 'NEGATIVE', 'POSITIVE' ] );
+
+geneExpressionEssentials.register( 'FeedbackType', FeedbackType );
+export default FeedbackType;
@@ -0,0 +1,20 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Enumeration of the genetic circuits that can be simulated in a cell. The genes of a circuit share the transcription
+ * factors, polymerases and ribosomes of the cell, and the protein of each gene can repress another gene.
+ *
+ * SINGLE_GENE - one gene, which is only regulated by its own protein if feedback is enabled
+ * TOGGLE_SWITCH - two genes that repress each other, so that a cell settles with one protein high and the other low
+ * REPRESSILATOR - three genes that each repress the next one in a ring, which makes the protein levels oscillate
+ *
+ * @author agent
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+const GeneticCircuit = Enumeration.byKeys( [ 'SINGLE_GENE', 'TOGGLE_SWITCH', 'REPRESSILATOR' ] );
+
+geneExpressionEssentials.register( 'GeneticCircuit', GeneticCircuit );
+export default GeneticCircuit;
@@ -7,18 +7,47 @@
  * @author Aadish Gupta
  */
 
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
 import createObservableArray from '../../../../axon/js/createObservableArray.js';
+import EnumerationProperty from '../../../../axon/js/EnumerationProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
 import Property from '../../../../axon/js/Property.js';
 import Bounds2 from '../../../../dot/js/Bounds2.js';
 import Random from '../../../../dot/js/Random.js';
+import Range from '../../../../dot/js/Range.js';
+import GEEQueryParameters from '../../common/GEEQueryParameters.js';
 import geneExpressionEssentials from '../../geneExpressionEssentials.js';
 import Cell from './Cell.js';
 import CellProteinSynthesisSimulator from './CellProteinSynthesisSimulator.js';
+import FeedbackType from './FeedbackType.js';
+import GeneticCircuit from './GeneticCircuit.js';
+import ParameterScheduler from './ParameterScheduler.js';
+import ParameterSweep from './ParameterSweep.js';
+import ReactionSolverType from './reaction-solvers/ReactionSolverType.js';
+import SignalingField from './SignalingField.js';
+import SteadyStateDetector from './SteadyStateDetector.js';
+import TimeSeriesRecorder from './TimeSeriesRecorder.js';
 
 // constants
 const MAX_CELLS = 90;
 const NOMINAL_TIME_STEP = 1 / 60; // standard frame rate of browsers
 
+// The longest that the model is stepped in order to reach steady state, in seconds. This limits the time spent on
+// parameters that take a long time to settle, in which case detection continues as the model runs.
+const MAX_TIME_TO_STEADY_STATE = 30;
+
+// Time for which the model is stepped when the circuit is one that oscillates, in seconds. Such a circuit never reaches
+// steady state, so it is only stepped for long enough to get past the transient at the start.
+const OSCILLATOR_START_UP_TIME = 10;
+const DOUBLING_TIME_RANGE = new Range( 2, 60 ); // in seconds
+const DEFAULT_DOUBLING_TIME = 10; // in seconds
+const PARAMETER_SPREAD_RANGE = new Range( 0, 1 ); // standard deviation of the logarithm of a parameter
+const TAU_LEAPING_ERROR_TOLERANCE_RANGE = new Range( 0.003, 0.3 );
+
+// Time over which the protein level of each cell is averaged in order to separate the intrinsic and extrinsic noise, in
+// seconds. This needs to be long compared to the time that the protein level of a cell takes to fluctuate.
+const NOISE_AVERAGING_TIME = 10;
+
 const boundingShapeWidth = Cell.DefaultCellSize.width * 20;
 const boundingShapeHeight = boundingShapeWidth * 0.35;
 const bounds = new Bounds2(
@@ -28,10 +57,29 @@ const bounds = new Bounds2(
   -boundingShapeHeight / 2 + boundingShapeHeight
 );
 
+// Quorum sensing. Each cell secretes a signaling molecule, and the molecule activates the transcription factor of the
+// cells, so that the transcription factor only associates with the gene at a small fraction of its full rate when there
+// is no signal. The cells secrete the molecule at a rate that rises with their activation, as bacteria that synthesize
+// the molecule under the control of the same transcription factor do, and this positive feedback makes the population
+// switch on collectively once the cells are dense enough. The values were chosen empirically so that the switch happens
+// at about twenty cells.
+const SIGNAL_SECRETION_RATE = 15; // in the concentration units of the signaling field per second, when fully activated
+const SIGNAL_THRESHOLD = 1; // concentration at which half of the transcription factor that can be activated is
+const SIGNAL_HILL_COEFFICIENT = 2;
+const UNSIGNALED_ACTIVATION = 0.1; // proportion of the transcription factor that is activated without any signal
+
 // Seeds for the random number generators.  Values chosen empirically.
 const POSITION_RANDOMIZER_SEED = 226;
 const SIZE_AND_ORIENTATION_RANDOMIZER_SEED = 25214903912;
 
+// map of the values of the 'solver' query parameter to the solver types
+const SOLVER_TYPES = {
+  direct: ReactionSolverType.DIRECT,
+  nextReaction: ReactionSolverType.NEXT_REACTION,
+  tauLeaping: ReactionSolverType.TAU_LEAPING,
+  deterministic: ReactionSolverType.DETERMINISTIC
+};
+
 class MultipleCellsModel {
 
   /**
@@ -67,9 +115,181 @@ class MultipleCellsModel {
     );
     this.mRnaDegradationRateProperty = new Property( CellProteinSynthesisSimulator.DefaultMRNADegradationRate, { reentrant: true } );
 
+    // Descriptions of the parameters that control the cells, keyed by name, with the Property that sets each, the range
+    // of values that it can take, whether that range is best explored on a logarithmic scale, and a function that
+    // applies a value to a cell. These allow clients such as parameter sweeps to work with any of the parameters.
+    // @public (read-only) {Object.<string, {property:Property.<number>, range:Range, logScale:boolean,
+    // setOnCell:function(Cell, number)}>}
+    this.cellParameters = {
+      transcriptionFactorLevel: {
+        property: this.transcriptionFactorLevelProperty,
+        range: CellProteinSynthesisSimulator.TranscriptionFactorCountRange,
+        logScale: true,
+        setOnCell: ( cell, value ) => cell.setTranscriptionFactorCount( value )
+      },
+      transcriptionFactorAssociationProbability: {
+        property: this.transcriptionFactorAssociationProbabilityProperty,
+        range: CellProteinSynthesisSimulator.TFAssociationProbabilityRange,
+        logScale: true,
+        setOnCell: ( cell, value ) => cell.setGeneTranscriptionFactorAssociationRate( value )
+      },
+      polymeraseAssociationProbability: {
+        property: this.polymeraseAssociationProbabilityProperty,
+        range: CellProteinSynthesisSimulator.PolymeraseAssociationProbabilityRange,
+        logScale: false,
+        setOnCell: ( cell, value ) => cell.setPolymeraseAssociationRate( value )
+      },
+      mRnaDegradationRate: {
+        property: this.mRnaDegradationRateProperty,
+        range: CellProteinSynthesisSimulator.MRNADegradationRateRange,
+        logScale: true,
+        setOnCell: ( cell, value ) => cell.setMRnaDegradationRate( value )
+      },
+      proteinDegradationRate: {
+        property: this.proteinDegradationRateProperty,
+        range: CellProteinSynthesisSimulator.ProteinDegradationRange,
+        logScale: false,
+        setOnCell: ( cell, value ) => cell.setProteinDegradationRate( value )
+      }
+    };
+
+    // Properties that control the feedback of the protein on its own gene, in which the protein represses or activates
+    // the association of transcription factors with the gene. The Hill coefficient sets how steeply the gene responds
+    // to the protein level, and the threshold is the protein level at which the response is half of its maximum.
+    // @public
+    this.feedbackTypeProperty = new EnumerationProperty( FeedbackType, FeedbackType.NONE );
+    this.hillCoefficientProperty = new NumberProperty( CellProteinSynthesisSimulator.DefaultHillCoefficient, {
+      range: CellProteinSynthesisSimulator.HillCoefficientRange
+    } );
+    this.feedbackThresholdProperty = new NumberProperty( CellProteinSynthesisSimulator.DefaultFeedbackThreshold, {
+      range: CellProteinSynthesisSimulator.FeedbackThresholdRange
+    } );
+
+    // @public - the genetic circuit that runs in each of the cells
+    this.geneticCircuitProperty = new EnumerationProperty( GeneticCircuit, GeneticCircuit.SINGLE_GENE );
+
+    // @public (read-only) {Property.<number>} - number of proteins that are synthesized in each cell, i.e. the number of
+    // genes in the circuit
+    this.numberOfProteinsProperty = new Property( 1 );
+
+    // Properties that control the algorithm used to simulate the reactions in the cells. The exact solvers are the most
+    // accurate, while tau-leaping is much faster when the population is large.
+    // @public
+    this.reactionSolverTypeProperty = new EnumerationProperty(
+      ReactionSolverType,
+      SOLVER_TYPES[ GEEQueryParameters.solver ]
+    );
+    this.tauLeapingErrorToleranceProperty = new NumberProperty( GEEQueryParameters.tauLeapingTolerance, {
+      range: TAU_LEAPING_ERROR_TOLERANCE_RANGE
+    } );
+
     // Property that tracks the average protein level of all the cells.
     this.averageProteinLevelProperty = new Property( 0.0 ); // @public( read-only )
 
+    // @public (read-only) {Array.<Property.<number>>} - average level of each of the proteins of the genetic circuit, the
+    // first of which is averageProteinLevelProperty, and those for genes that aren't in the circuit stay at zero
+    this.averageProteinLevelProperties = [ this.averageProteinLevelProperty ];
+    while ( this.averageProteinLevelProperties.length < CellProteinSynthesisSimulator.MaxNumberOfGenes ) {
+      this.averageProteinLevelProperties.push( new Property( 0.0 ) );
+    }
+
+    // @private - detects when the average protein level has settled, and is restarted whenever the parameters change
+    this.steadyStateDetector = new SteadyStateDetector();
+
+    // @public (read-only) {Property.<number|null>} - time that it took the average protein level to reach steady state
+    // after the most recent change to the parameters, in seconds, null if it hasn't reached steady state since then
+    this.timeToSteadyStateProperty = new Property( null );
+
+    // @public - controls whether the chart is marked when the average protein level reaches steady state
+    this.steadyStateMarkerEnabledProperty = new BooleanProperty( false );
+
+    // Properties that track the spread of the protein level across the visible cells, used to quantify the noise in
+    // gene expression. The coefficient of variation is the standard deviation divided by the mean, and the Fano factor
+    // is the variance divided by the mean. Both are zero when the mean is zero.
+    // @public (read-only)
+    this.proteinLevelStandardDeviationProperty = new Property( 0.0 );
+    this.proteinLevelCoefficientOfVariationProperty = new Property( 0.0 );
+    this.proteinLevelFanoFactorProperty = new Property( 0.0 );
+    this.minProteinLevelProperty = new Property( 0.0 );
+    this.maxProteinLevelProperty = new Property( 0.0 );
+
+    // Properties that separate the noise in the protein levels into its intrinsic and extrinsic parts, each expressed as
+    // a squared coefficient of variation so that the two add up to the total. The intrinsic part is the variation of
+    // the level of each cell over time, and the extrinsic part is the variation from cell to cell of the time-averaged
+    // levels, e.g. due to differences in the parameters of the cells. These are estimated from running averages, so they
+    // are approximate and take some time to settle after a change.
+    // @public (read-only)
+    this.intrinsicNoiseProperty = new Property( 0.0 );
+    this.extrinsicNoiseProperty = new Property( 0.0 );
+
+    // @private {Array.<number>} - running averages of the protein level and its square for each of the cells in cellList
+    this.proteinLevelRunningAverages = new Array( MAX_CELLS ).fill( 0 );
+    this.squaredProteinLevelRunningAverages = new Array( MAX_CELLS ).fill( 0 );
+
+    // @private {number} - number of samples in the running averages, so that they start out as plain averages
+    this.numberOfNoiseSamples = 0;
+
+    // Properties that track the average and the variance of the count of each species across the visible cells, keyed by
+    // species name, e.g. averageSpeciesCountProperties.mRNA.
+    // @public (read-only) {Object.<string, Property.<number>>}
+    this.averageSpeciesCountProperties = {};
+    this.speciesCountVarianceProperties = {};
+
+    // A cell whose reactions are integrated deterministically using the same parameters as the other cells. Its protein
+    // level is the mean-field prediction, i.e. the level that the average would converge to with an infinite number of
+    // cells, and it is not part of the population.
+    // @private
+    this.deterministicCell = new Cell( 0 );
+    this.deterministicCell.setReactionSolverType( ReactionSolverType.DETERMINISTIC );
+
+    // @public - controls whether the deterministic prediction is shown along with the stochastic average
+    this.deterministicTraceEnabledProperty = new BooleanProperty( false );
+
+    // @public (read-only) - protein level of the deterministically simulated cell
+    this.deterministicProteinLevelProperty = new Property( 0.0 );
+
+    // @public {Object.<string, NumberProperty>} - Properties that control how widely each of the parameters that can vary
+    // from cell to cell is spread across the population, keyed by the names in Cell.VariableParameterNames. Each is the
+    // standard deviation of the logarithm of the parameter, so the parameters are log-normally distributed around their
+    // nominal values. Variation in the parameters is a source of extrinsic noise.
+    this.parameterSpreadProperties = {};
+    Cell.VariableParameterNames.forEach( name => {
+      this.parameterSpreadProperties[ name ] = new NumberProperty( 0, { range: PARAMETER_SPREAD_RANGE } );
+    } );
+
+    // @public - controls whether each cell has a second, identically regulated reporter protein. Comparing the two
+    // reporters separates the intrinsic and extrinsic noise, since the reporters share the parameters of their cell.
+    this.dualReporterEnabledProperty = new BooleanProperty( false );
+
+    // Properties that quantify the noise across the visible cells using the two reporters, each as a squared
+    // coefficient of variation. The intrinsic noise is from the differences between the reporters in the same cell, and
+    // the extrinsic noise is from how the reporters vary together from cell to cell. Zero unless the dual reporter is
+    // enabled.
+    // @public (read-only)
+    this.dualReporterIntrinsicNoiseProperty = new Property( 0.0 );
+    this.dualReporterExtrinsicNoiseProperty = new Property( 0.0 );
+
+    // @public - controls whether the cells grow and divide. Growth dilutes the molecules in the cells, and division
+    // partitions them randomly between the daughter cells, both of which affect the protein levels.
+    this.growthEnabledProperty = new BooleanProperty( false );
+
+    // @public - average time that it takes a cell to double in size and divide, in seconds. Changes take effect at the
+    // start of the next cell cycle.
+    this.doublingTimeProperty = new NumberProperty( DEFAULT_DOUBLING_TIME, { range: DOUBLING_TIME_RANGE } );
+
+    // @public - controls whether the cells communicate by quorum sensing, in which the visible cells secrete a signaling
+    // molecule that activates the transcription factor of the cells around them
+    this.quorumSensingEnabledProperty = new BooleanProperty( false );
+
+    // @public (read-only) - concentration of the signaling molecule in the medium, over an ellipse that passes through
+    // the corners of the bounds of the cells so that it encloses all of them
+    this.signalingField = new SignalingField(
+      bounds.centerX,
+      bounds.centerY,
+      bounds.width / 2 * Math.SQRT2,
+      bounds.height / 2 * Math.SQRT2
+    );
+
     // Random number generators, used to vary the shape and position of the cells. Seeds are chosen empirically.
     // @private
     this.sizeAndRotationRandomizer = new Random( {
@@ -79,61 +299,173 @@ class MultipleCellsModel {
       seed: POSITION_RANDOMIZER_SEED
     } );
 
+    // Random number generator used to create the seeds for the random number generators owned by each cell. If the
+    // 'seed' query parameter is provided, the protein synthesis in the cells will be the same from one run to the next.
+    // @private
+    this.cellSeedRandomizer = new Random( {
+      seed: GEEQueryParameters.seed
+    } );
+
     // Add the max number of cells to the list of invisible cells.
     while ( this.cellList.length < MAX_CELLS ) {
       let newCell;
       if ( this.cellList.length === 0 ) {
         // The first cell is centered and level.
-        newCell = new Cell( 0 );
+        newCell = new Cell( 0, {
+          random: this.createCellRandom(),
+          parameterDeviates: this.createParameterDeviates()
+        } );
         newCell.positionX = 0;
         newCell.positionY = 0;
       }
       else {
-        newCell = new Cell( Math.PI * 2 * this.sizeAndRotationRandomizer.nextDouble() );
+        newCell = new Cell( Math.PI * 2 * this.sizeAndRotationRandomizer.nextDouble(), {
+          random: this.createCellRandom(),
+          parameterDeviates: this.createParameterDeviates()
+        } );
         this.placeCellInOpenPosition( newCell );
       }
       this.cellList.push( newCell );
     }
 
+    // The seed randomizer is also used after the cells are created, e.g. for the starting points of their growth cycles,
+    // so it is given a new seed from which it can be restarted on reset, which reproduces a seeded run.
+    this.cellSeedRandomizer.setSeed( this.cellSeedRandomizer.nextDouble() );
+
+    this.cellList[ 0 ].getSpeciesNames().forEach( name => {
+      this.averageSpeciesCountProperties[ name ] = new Property( 0 );
+      this.speciesCountVarianceProperties[ name ] = new Property( 0 );
+    } );
+
+    // @public (read-only) - records the time series of the protein levels and species counts so that they can be
+    // exported
+    this.timeSeriesRecorder = new TimeSeriesRecorder( this.cellList[ 0 ].getSpeciesNames() );
+
     // Hook up the property that controls the number of visible cells.
     this.numberOfVisibleCellsProperty.link( numVisibleCells => {
       assert && assert( numVisibleCells >= 1 && numVisibleCells <= MAX_CELLS );
       this.setNumVisibleCells( Math.floor( numVisibleCells ) );
+
+      // The visible cells are the ones that secrete the signaling molecule, so they change the steady state.
+      if ( this.quorumSensingEnabledProperty.get() ) {
+        this.restartSteadyStateDetection();
+      }
     } );
 
     // Hook up the cell property parameters to the individual cells so that changes are propagated.
-    this.transcriptionFactorLevelProperty.link( transcriptionFactorLevel => {
-      this.cellList.forEach( cell => {
-        cell.setTranscriptionFactorCount( transcriptionFactorLevel );
+    for ( const name in this.cellParameters ) {
+      const cellParameter = this.cellParameters[ name ];
+      cellParameter.property.link( value => {
+        this.cellList.forEach( cell => {
+          cellParameter.setOnCell( cell, value );
+        } );
+        cellParameter.setOnCell( this.deterministicCell, value );
+        this.restartSteadyStateDetection();
       } );
-    } );
+    }
 
-    this.polymeraseAssociationProbabilityProperty.link( polymeraseAssociationProbability => {
-      this.cellList.forEach( cell => {
-        cell.setPolymeraseAssociationRate( polymeraseAssociationProbability );
+    Property.multilink(
+      [ this.feedbackTypeProperty, this.hillCoefficientProperty, this.feedbackThresholdProperty ],
+      ( feedbackType, hillCoefficient, threshold ) => {
+        this.cellList.forEach( cell => {
+          cell.setFeedback( feedbackType, hillCoefficient, threshold );
+        } );
+        this.deterministicCell.setFeedback( feedbackType, hillCoefficient, threshold );
+        this.restartSteadyStateDetection();
+      }
+    );
+
+    Cell.VariableParameterNames.forEach( name => {
+      this.parameterSpreadProperties[ name ].link( spread => {
+        this.cellList.forEach( cell => {
+          cell.setParameterSpread( name, spread );
+        } );
+        this.restartSteadyStateDetection();
       } );
     } );
 
-    this.transcriptionFactorAssociationProbabilityProperty.link( transcriptionFactorAssociationProbability => {
+    // The molecules of the genes start over when the circuit changes, which shows the circuit settling into its behavior.
+    this.geneticCircuitProperty.lazyLink( circuit => {
+      this.cellList.forEach( cell => cell.setCircuit( circuit ) );
+      this.deterministicCell.setCircuit( circuit );
+      this.numberOfProteinsProperty.set( CellProteinSynthesisSimulator.getNumberOfGenes( circuit ) );
+      this.resetNoiseDecomposition();
+      this.restartSteadyStateDetection();
+    } );
+
+    this.reactionSolverTypeProperty.link( reactionSolverType => {
       this.cellList.forEach( cell => {
-        cell.setGeneTranscriptionFactorAssociationRate( transcriptionFactorAssociationProbability );
+        cell.setReactionSolverType( reactionSolverType );
       } );
     } );
 
-    this.proteinDegradationRateProperty.link( proteinDegradationRate => {
+    this.tauLeapingErrorToleranceProperty.link( errorTolerance => {
       this.cellList.forEach( cell => {
-        cell.setProteinDegradationRate( proteinDegradationRate );
+        cell.setTauLeapingErrorTolerance( errorTolerance );
       } );
     } );
 
-    this.mRnaDegradationRateProperty.link( mRnaDegradationRate => {
+    // The second reporters start out with no protein, so they are brought to steady state when they are enabled.
+    this.dualReporterEnabledProperty.lazyLink( dualReporterEnabled => {
+      this.cellList.forEach( cell => cell.setDualReporterEnabled( dualReporterEnabled ) );
+      if ( dualReporterEnabled ) {
+        const secondReporterSteadyStateDetector = new SteadyStateDetector();
+        const maxSteps = this.getMaxTimeToSteadyState() / NOMINAL_TIME_STEP;
+        for ( let i = 0; i < maxSteps && !secondReporterSteadyStateDetector.isSteadyState(); i++ ) {
+          this.cellList.forEach( cell => cell.stepSecondReporter( NOMINAL_TIME_STEP ) );
+          secondReporterSteadyStateDetector.addSample(
+            NOMINAL_TIME_STEP,
+            this.visibleCellList.reduce( ( total, cell ) => total + cell.secondReporterProteinCount.get(), 0 ) / this.visibleCellList.length
+          );
+        }
+      }
+      this.updateDualReporterStatistics();
+    } );
+
+    // When growth is enabled, the cells start out at random points in their cycles so that they don't all divide at
+    // once. The cells that aren't visible are included so that they are ready to grow if they are made visible.
+    this.growthEnabledProperty.lazyLink( growthEnabled => {
       this.cellList.forEach( cell => {
-        cell.setMRnaDegradationRate( mRnaDegradationRate );
+        growthEnabled ?
+        cell.startGrowthCycle( this.doublingTimeProperty.value, this.cellSeedRandomizer.nextDouble() * this.doublingTimeProperty.value ) :
+        cell.stopGrowth();
       } );
+      this.restartSteadyStateDetection();
+    } );
+
+    // The signaling molecule starts out cleared from the medium, so the cells start out unactivated.
+    this.quorumSensingEnabledProperty.lazyLink( quorumSensingEnabled => {
+      this.signalingField.reset();
+      const transcriptionFactorActivation = quorumSensingEnabled ? UNSIGNALED_ACTIVATION : 1;
+      this.cellList.forEach( cell => cell.setTranscriptionFactorActivation( transcriptionFactorActivation ) );
+      this.deterministicCell.setTranscriptionFactorActivation( transcriptionFactorActivation );
+      this.restartSteadyStateDetection();
     } );
 
+    // Dilution by growth depends on the doubling time, so a change to it disturbs the steady state once it takes effect.
+    this.doublingTimeProperty.lazyLink( () => {
+      if ( this.growthEnabledProperty.value ) {
+        this.restartSteadyStateDetection();
+      }
+    } );
+
+    // @public - drives the cell parameters over time according to schedules, such as a pulse of transcription factor
+    this.parameterScheduler = new ParameterScheduler();
+
+    // The deterministic cell isn't stepped while its trace is hidden, so it is brought up to date when the trace is shown.
+    this.deterministicTraceEnabledProperty.lazyLink( deterministicTraceEnabled => {
+      if ( deterministicTraceEnabled ) {
+        this.stepDeterministicCellToSteadyState();
+      }
+    } );
+
+    // @public - runs the cells across a range of parameter values to produce a dose-response curve
+    this.parameterSweep = new ParameterSweep( this, NOMINAL_TIME_STEP, GEEQueryParameters.seed );
+
     // Get the protein levels to steady state before depicting them to the user so that they don't start at zero.
     this.stepToSteadyState();
+    this.timeSeriesRecorder.reset();
+    this.resetNoiseDecomposition();
   }
 
   /**
@@ -141,6 +473,10 @@ class MultipleCellsModel {
    * @public
    */
   step( dt ) {
+
+    // The parameter sweep runs on its own cells, so it proceeds whether or not the clock is running.
+    this.parameterSweep.step();
+
     if ( this.clockRunningProperty.get() ) {
       this.stepInTime( dt );
     }
@@ -151,18 +487,266 @@ class MultipleCellsModel {
    * @public
    */
   stepInTime( dt ) {
+
+    // Update any scheduled parameters before stepping the cells, so that the cells see the values for this time.
+    this.parameterScheduler.step( dt );
+
+    if ( this.growthEnabledProperty.get() ) {
+      this.growCells( dt );
+    }
+
+    if ( this.quorumSensingEnabledProperty.get() ) {
+      this.stepSignaling( dt );
+    }
+
     // Step each of the cells.
     // Update the average protein level. Note that only the visible cells are used for this calculation. This helps
     // convey the concept that the more cells there are, the more even the average level is.
 
     let totalProteinCount = 0;
+    let totalSquaredProteinCount = 0;
+    let minProteinCount = Number.POSITIVE_INFINITY;
+    let maxProteinCount = Number.NEGATIVE_INFINITY;
     this.cellList.forEach( cell => {
       cell.step( dt );
       if ( this.visibleCellList.includes( cell ) ) {
-        totalProteinCount += cell.proteinCount.get();
+        const proteinCount = cell.proteinCount.get();
+        totalProteinCount += proteinCount;
+        totalSquaredProteinCount += proteinCount * proteinCount;
+        minProteinCount = Math.min( minProteinCount, proteinCount );
+        maxProteinCount = Math.max( maxProteinCount, proteinCount );
+      }
+    } );
+    const averageProteinLevel = totalProteinCount / this.visibleCellList.length;
+    this.averageProteinLevelProperty.set( averageProteinLevel );
+    this.steadyStateDetector.addSample( dt, averageProteinLevel );
+    this.timeToSteadyStateProperty.set( this.steadyStateDetector.getTimeToSteadyState() );
+
+    // Update the noise statistics. The variance is clamped to prevent tiny negative values caused by floating point
+    // error.
+    const variance = Math.max( totalSquaredProteinCount / this.visibleCellList.length - averageProteinLevel * averageProteinLevel, 0 );
+    const standardDeviation = Math.sqrt( variance );
+    this.proteinLevelStandardDeviationProperty.set( standardDeviation );
+    this.proteinLevelCoefficientOfVariationProperty.set( averageProteinLevel > 0 ? standardDeviation / averageProteinLevel : 0 );
+    this.proteinLevelFanoFactorProperty.set( averageProteinLevel > 0 ? variance / averageProteinLevel : 0 );
+    this.minProteinLevelProperty.set( minProteinCount );
+    this.maxProteinLevelProperty.set( maxProteinCount );
+    for ( let i = 1; i < this.averageProteinLevelProperties.length; i++ ) {
+      this.averageProteinLevelProperties[ i ].set(
+        this.visibleCellList.reduce( ( total, cell ) => total + cell.proteinCounts[ i ].get(), 0 ) / this.visibleCellList.length
+      );
+    }
+    this.updateSpeciesStatistics();
+    this.updateNoiseDecomposition( dt );
+    this.updateDualReporterStatistics();
+
+    // The deterministic cell is only needed for its trace, so it is only stepped while the trace is shown.
+    if ( this.deterministicTraceEnabledProperty.get() ) {
+      this.deterministicCell.step( dt );
+      this.deterministicProteinLevelProperty.set( this.deterministicCell.proteinCount.get() );
+    }
+
+    this.recordSample( dt );
+  }
+
+  /**
+   * Grow the visible cells, dividing any that have reached the end of their cycles. The daughter of a dividing cell is
+   * the next cell that isn't visible, which was placed in an open position when the cells were created, so the
+   * population grows until it reaches the maximum number of cells. After that, one daughter of each division is
+   * discarded, as though it was washed out of the population, which keeps the population at a constant size.
+   * @param {number} dt
+   * @private
+   */
+  growCells( dt ) {
+
+    // Iterate over a copy, since division changes the list of visible cells.
+    this.visibleCellList.slice().forEach( cell => {
+      if ( cell.grow( dt ) ) {
+        const numberOfVisibleCells = this.visibleCellList.length;
+        const daughter = numberOfVisibleCells < MAX_CELLS ? this.cellList[ numberOfVisibleCells ] : null;
+        cell.divide( daughter, this.doublingTimeProperty.get() );
+        if ( daughter ) {
+          this.numberOfVisibleCellsProperty.set( numberOfVisibleCells + 1 );
+        }
       }
     } );
-    this.averageProteinLevelProperty.set( totalProteinCount / this.visibleCellList.length );
+  }
+
+  /**
+   * Advance the signaling molecule in the medium and update the activation of the transcription factor of each cell to
+   * match the concentration of the molecule around it. Only the visible cells secrete the molecule, but all of the cells
+   * respond to it so that they are ready if they are made visible. The deterministic cell has the average activation of
+   * the visible cells, since the rate of association of the transcription factor is proportional to the activation.
+   * @param {number} dt
+   * @private
+   */
+  stepSignaling( dt ) {
+    this.signalingField.step( dt, this.visibleCellList.map( cell => {
+      return {
+        x: cell.positionX,
+        y: cell.positionY,
+        secretionRate: SIGNAL_SECRETION_RATE * cell.getTranscriptionFactorActivation()
+      };
+    } ) );
+    this.cellList.forEach( cell => {
+      const concentration = this.signalingField.getConcentration( cell.positionX, cell.positionY );
+      const response = Math.pow( concentration, SIGNAL_HILL_COEFFICIENT ) /
+                       ( Math.pow( SIGNAL_THRESHOLD, SIGNAL_HILL_COEFFICIENT ) + Math.pow( concentration, SIGNAL_HILL_COEFFICIENT ) );
+      cell.setTranscriptionFactorActivation( UNSIGNALED_ACTIVATION + ( 1 - UNSIGNALED_ACTIVATION ) * response );
+    } );
+    this.deterministicCell.setTranscriptionFactorActivation(
+      this.visibleCellList.reduce( ( total, cell ) => total + cell.getTranscriptionFactorActivation(), 0 ) / this.visibleCellList.length
+    );
+  }
+
+  /**
+   * Record the current protein levels and average species counts.
+   * @param {number} dt
+   * @private
+   */
+  recordSample( dt ) {
+    const averageSpeciesCounts = {};
+    for ( const name in this.averageSpeciesCountProperties ) {
+      averageSpeciesCounts[ name ] = this.averageSpeciesCountProperties[ name ].get();
+    }
+    this.timeSeriesRecorder.record(
+      dt,
+      this.averageProteinLevelProperty.get(),
+      this.visibleCellList.map( cell => cell.proteinCount.get() ),
+      averageSpeciesCounts
+    );
+  }
+
+  /**
+   * Get the current values of the parameters that control the cells, keyed by name, e.g. for inclusion in exported
+   * data.
+   * @returns {Object.<string, number|string|boolean>}
+   * @public
+   */
+  getParameterValues() {
+    return {
+      numberOfVisibleCells: this.numberOfVisibleCellsProperty.get(),
+      transcriptionFactorLevel: this.transcriptionFactorLevelProperty.get(),
+      proteinDegradationRate: this.proteinDegradationRateProperty.get(),
+      transcriptionFactorAssociationProbability: this.transcriptionFactorAssociationProbabilityProperty.get(),
+      polymeraseAssociationProbability: this.polymeraseAssociationProbabilityProperty.get(),
+      mRnaDegradationRate: this.mRnaDegradationRateProperty.get(),
+      feedbackType: this.feedbackTypeProperty.get().name,
+      hillCoefficient: this.hillCoefficientProperty.get(),
+      feedbackThreshold: this.feedbackThresholdProperty.get(),
+      geneticCircuit: this.geneticCircuitProperty.get().name,
+      dualReporterEnabled: this.dualReporterEnabledProperty.get(),
+      growthEnabled: this.growthEnabledProperty.get(),
+      doublingTime: this.doublingTimeProperty.get(),
+      quorumSensingEnabled: this.quorumSensingEnabledProperty.get(),
+      transcriptionFactorLevelSpread: this.parameterSpreadProperties.transcriptionFactorLevel.get(),
+      ribosomeCountSpread: this.parameterSpreadProperties.ribosomeCount.get(),
+      reactionSolverType: this.reactionSolverTypeProperty.get().name,
+      tauLeapingErrorTolerance: this.tauLeapingErrorToleranceProperty.get()
+    };
+  }
+
+  /**
+   * Update the running averages of the protein levels of the cells, and use them to separate the noise across the
+   * visible cells into its intrinsic and extrinsic parts.
+   * @param {number} dt
+   * @private
+   */
+  updateNoiseDecomposition( dt ) {
+    this.numberOfNoiseSamples++;
+    const weight = Math.max( dt / NOISE_AVERAGING_TIME, 1 / this.numberOfNoiseSamples );
+    this.cellList.forEach( ( cell, index ) => {
+      const proteinCount = cell.proteinCount.get();
+      this.proteinLevelRunningAverages[ index ] += weight * ( proteinCount - this.proteinLevelRunningAverages[ index ] );
+      this.squaredProteinLevelRunningAverages[ index ] +=
+        weight * ( proteinCount * proteinCount - this.squaredProteinLevelRunningAverages[ index ] );
+    } );
+
+    // The intrinsic variance is the average of the variances of the cells over time, and the extrinsic variance is the
+    // variance of their averages over time. The clamps prevent tiny negative values caused by floating point error.
+    // The visible cells are always the first ones in cellList.
+    const numberOfCells = this.visibleCellList.length;
+    let sum = 0;
+    let sumOfSquares = 0;
+    let intrinsicVarianceSum = 0;
+    for ( let i = 0; i < numberOfCells; i++ ) {
+      const average = this.proteinLevelRunningAverages[ i ];
+      sum += average;
+      sumOfSquares += average * average;
+      intrinsicVarianceSum += Math.max( this.squaredProteinLevelRunningAverages[ i ] - average * average, 0 );
+    }
+    const mean = sum / numberOfCells;
+    const extrinsicVariance = Math.max( sumOfSquares / numberOfCells - mean * mean, 0 );
+    const squaredMean = mean * mean;
+    this.intrinsicNoiseProperty.set( squaredMean > 0 ? intrinsicVarianceSum / numberOfCells / squaredMean : 0 );
+    this.extrinsicNoiseProperty.set( squaredMean > 0 ? extrinsicVariance / squaredMean : 0 );
+  }
+
+  /**
+   * Update the intrinsic and extrinsic noise that are measured using the two reporters. These are calculated as in the
+   * dual-reporter experiments of Elowitz et al., 2002.
+   * @private
+   */
+  updateDualReporterStatistics() {
+    let intrinsicNoise = 0;
+    let extrinsicNoise = 0;
+    if ( this.dualReporterEnabledProperty.get() ) {
+      const numberOfCells = this.visibleCellList.length;
+      let sum1 = 0;
+      let sum2 = 0;
+      let sumOfProducts = 0;
+      let sumOfSquaredDifferences = 0;
+      this.visibleCellList.forEach( cell => {
+        const proteinCount1 = cell.proteinCount.get();
+        const proteinCount2 = cell.secondReporterProteinCount.get();
+        sum1 += proteinCount1;
+        sum2 += proteinCount2;
+        sumOfProducts += proteinCount1 * proteinCount2;
+        sumOfSquaredDifferences += ( proteinCount1 - proteinCount2 ) * ( proteinCount1 - proteinCount2 );
+      } );
+      const productOfMeans = ( sum1 / numberOfCells ) * ( sum2 / numberOfCells );
+      if ( productOfMeans > 0 ) {
+        intrinsicNoise = sumOfSquaredDifferences / numberOfCells / ( 2 * productOfMeans );
+
+        // The covariance can be slightly negative due to sampling error, but the noise can't.
+        extrinsicNoise = Math.max( sumOfProducts / numberOfCells - productOfMeans, 0 ) / productOfMeans;
+      }
+    }
+    this.dualReporterIntrinsicNoiseProperty.set( intrinsicNoise );
+    this.dualReporterExtrinsicNoiseProperty.set( extrinsicNoise );
+  }
+
+  /**
+   * Get the protein level of a cell averaged over the recent past, which removes most of the intrinsic noise.
+   * @param {Cell} cell
+   * @returns {number}
+   * @public
+   */
+  getTimeAveragedProteinLevel( cell ) {
+    return this.proteinLevelRunningAverages[ this.cellList.indexOf( cell ) ];
+  }
+
+  /**
+   * Update the average and variance of the count of each species across the visible cells.
+   * @private
+   */
+  updateSpeciesStatistics() {
+    const numberOfCells = this.visibleCellList.length;
+    for ( const name in this.averageSpeciesCountProperties ) {
+      let sum = 0;
+      let sumOfSquares = 0;
+      this.visibleCellList.forEach( cell => {
+        const count = cell.speciesCountProperties[ name ].get();
+        sum += count;
+        sumOfSquares += count * count;
+      } );
+      const average = sum / numberOfCells;
+      this.averageSpeciesCountProperties[ name ].set( average );
+
+      // This is the population variance, since the visible cells are the entire population of interest. The clamp
+      // prevents tiny negative values that can result from floating point error.
+      this.speciesCountVarianceProperties[ name ].set( Math.max( sumOfSquares / numberOfCells - average * average, 0 ) );
+    }
   }
 
   /**
@@ -170,6 +754,14 @@ class MultipleCellsModel {
    */
   reset() {
 
+    // Restart the cells and the seed randomizer from their initial state so that a seeded run is reproduced after reset.
+    this.cellList.forEach( cell => cell.reset() );
+    this.cellSeedRandomizer.setSeed( this.cellSeedRandomizer.getSeed() );
+    this.deterministicCell.reset();
+
+    // Stop any schedules so that they don't change the parameters after they are reset.
+    this.parameterScheduler.reset();
+
     // Reset all the cell control parameters.
     this.numberOfVisibleCellsProperty.reset();
     this.transcriptionFactorLevelProperty.reset();
@@ -177,24 +769,114 @@ class MultipleCellsModel {
     this.transcriptionFactorAssociationProbabilityProperty.reset();
     this.polymeraseAssociationProbabilityProperty.reset();
     this.mRnaDegradationRateProperty.reset();
+    this.feedbackTypeProperty.reset();
+    this.hillCoefficientProperty.reset();
+    this.feedbackThresholdProperty.reset();
+    this.geneticCircuitProperty.reset();
+    this.reactionSolverTypeProperty.reset();
+    this.tauLeapingErrorToleranceProperty.reset();
     this.clockRunningProperty.reset();
+    this.deterministicTraceEnabledProperty.reset();
+    this.steadyStateMarkerEnabledProperty.reset();
+    this.dualReporterEnabledProperty.reset();
+    this.growthEnabledProperty.reset();
+    this.doublingTimeProperty.reset();
+    this.quorumSensingEnabledProperty.reset();
+    Cell.VariableParameterNames.forEach( name => this.parameterSpreadProperties[ name ].reset() );
+    this.parameterSweep.reset();
     this.setNumVisibleCells( this.numberOfVisibleCellsProperty.get() );
 
     this.stepToSteadyState();
+    this.timeSeriesRecorder.reset();
+    this.resetNoiseDecomposition();
   }
 
   /**
-   * Step the model a number of times in order to allow it to reach a steady state.
+   * Clear the running averages that are used to separate the intrinsic and extrinsic noise. This is done once the cells
+   * have reached steady state, so that the approach to it isn't counted as noise.
    * @private
    */
-  stepToSteadyState() {
+  resetNoiseDecomposition() {
+    this.proteinLevelRunningAverages.fill( 0 );
+    this.squaredProteinLevelRunningAverages.fill( 0 );
+    this.numberOfNoiseSamples = 0;
+  }
+
+  /**
+   * Create a random number generator for a cell, seeded from this model's cell seed randomizer.
+   * @returns {Random}
+   * @private
+   */
+  createCellRandom() {
+    return new Random( {
+      seed: this.cellSeedRandomizer.nextDouble()
+    } );
+  }
+
+  /**
+   * Create the deviates that set where a cell lies in the distribution of each of the parameters that vary from cell to
+   * cell. These are drawn from the same generator as the cell seeds, so they are reproducible when the seed is provided.
+   * @returns {Object.<string, number>}
+   * @private
+   */
+  createParameterDeviates() {
+    const parameterDeviates = {};
+    Cell.VariableParameterNames.forEach( name => {
+      parameterDeviates[ name ] = this.cellSeedRandomizer.nextGaussian();
+    } );
+    return parameterDeviates;
+  }
 
-    // The number of times that are needed for the model to reach steady state was empirically determined.
-    for ( let i = 0; i < 1000; i++ ) {
+  /**
+   * Step the model until the average protein level reaches steady state, or until the maximum time has passed. If
+   * steady state isn't reached, detection continues as the model runs.
+   * @private
+   */
+  stepToSteadyState() {
+    this.restartSteadyStateDetection();
+    const maxSteps = this.getMaxTimeToSteadyState() / NOMINAL_TIME_STEP;
+    for ( let i = 0; i < maxSteps && !this.steadyStateDetector.isSteadyState(); i++ ) {
       this.step( NOMINAL_TIME_STEP );
     }
   }
 
+  /**
+   * Get the longest time for which the model is stepped in order to reach steady state, which is shorter for circuits
+   * that never reach it.
+   * @returns {number} - in seconds
+   * @private
+   */
+  getMaxTimeToSteadyState() {
+    return this.geneticCircuitProperty.get() === GeneticCircuit.REPRESSILATOR ?
+           OSCILLATOR_START_UP_TIME :
+           MAX_TIME_TO_STEADY_STATE;
+  }
+
+  /**
+   * Start the deterministic cell over and step it until its protein level reaches steady state, or until the maximum
+   * time has passed, so that its trace starts out where the population is.
+   * @private
+   */
+  stepDeterministicCellToSteadyState() {
+    this.deterministicCell.reset();
+    const steadyStateDetector = new SteadyStateDetector();
+    const maxSteps = this.getMaxTimeToSteadyState() / NOMINAL_TIME_STEP;
+    for ( let i = 0; i < maxSteps && !steadyStateDetector.isSteadyState(); i++ ) {
+      this.deterministicCell.step( NOMINAL_TIME_STEP );
+      steadyStateDetector.addSample( NOMINAL_TIME_STEP, this.deterministicCell.proteinCount.get() );
+    }
+    this.deterministicProteinLevelProperty.set( this.deterministicCell.proteinCount.get() );
+  }
+
+  /**
+   * Start detecting steady state over again, because something has changed that disturbs it.
+   * @private
+   */
+  restartSteadyStateDetection() {
+    this.steadyStateDetector.restart();
+    this.timeToSteadyStateProperty.set( null );
+  }
+
   /**
    * Set the number of cells that should be visible to the user and that are included in the calculation of average
    * protein level.
@@ -261,6 +943,7 @@ class MultipleCellsModel {
 
 // statics
 MultipleCellsModel.MaxCells = MAX_CELLS;
+MultipleCellsModel.SignalThreshold = SIGNAL_THRESHOLD;
 
 geneExpressionEssentials.register( 'MultipleCellsModel', MultipleCellsModel );
 export default MultipleCellsModel;
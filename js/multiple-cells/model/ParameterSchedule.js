@@ -0,0 +1,92 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * A schedule that drives one of the cell parameter Properties over simulated time, following a step, pulse, ramp or
+ * sinusoidal profile between an initial and a final value. Schedules are used to demonstrate experiments such as the
+ * induction and washout of a transcription factor, and the time that the protein level takes to respond.
+ *
+ * For parameters that are best explored on a logarithmic scale, values between the initial and final ones are
+ * interpolated logarithmically.
+ *
+ * @author agent
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import ScheduleProfile from './ScheduleProfile.js';
+
+class ParameterSchedule {
+
+  /**
+   * @param {Property.<number>} property - the parameter Property that is driven
+   * @param {ScheduleProfile} profile
+   * @param {number} initialValue
+   * @param {number} finalValue
+   * @param {number} duration - duration of the pulse or ramp, or the period of the sine, in seconds of simulated time
+   * @param {Object} [options]
+   */
+  constructor( property, profile, initialValue, finalValue, duration, options ) {
+    assert && assert( ScheduleProfile.includes( profile ), `invalid profile: ${profile}` );
+    assert && assert( duration > 0, `duration must be positive: ${duration}` );
+
+    options = merge( {
+
+      // {boolean} - whether intermediate values are interpolated logarithmically
+      logScale: false
+    }, options );
+
+    // @public (read-only)
+    this.property = property;
+    this.profile = profile;
+    this.initialValue = initialValue;
+    this.finalValue = finalValue;
+    this.duration = duration;
+
+    // @private
+    this.logScale = options.logScale && initialValue > 0 && finalValue > 0;
+  }
+
+  /**
+   * Get the value of the parameter at the given time since the start of the schedule.
+   * @param {number} time
+   * @returns {number}
+   * @public
+   */
+  getValue( time ) {
+    let fraction;
+    if ( this.profile === ScheduleProfile.STEP ) {
+      fraction = 1;
+    }
+    else if ( this.profile === ScheduleProfile.PULSE ) {
+      fraction = time < this.duration ? 1 : 0;
+    }
+    else if ( this.profile === ScheduleProfile.RAMP ) {
+      fraction = Utils.clamp( time / this.duration, 0, 1 );
+    }
+    else {
+
+      // Start at the initial value and rise smoothly, so that there is no discontinuity when the schedule starts.
+      fraction = ( 1 - Math.cos( 2 * Math.PI * time / this.duration ) ) / 2;
+    }
+
+    return this.logScale ?
+           this.initialValue * Math.pow( this.finalValue / this.initialValue, fraction ) :
+           this.initialValue + fraction * ( this.finalValue - this.initialValue );
+  }
+
+  /**
+   * Whether the schedule has run its course, after which the parameter no longer changes. Sinusoidal schedules never
+   * complete.
+   * @param {number} time - time since the start of the schedule
+   * @returns {boolean}
+   * @public
+   */
+  isComplete( time ) {
+    return this.profile === ScheduleProfile.STEP ||
+           ( this.profile !== ScheduleProfile.SINE && time >= this.duration );
+  }
+}
+
+geneExpressionEssentials.register( 'ParameterSchedule', ParameterSchedule );
+export default ParameterSchedule;
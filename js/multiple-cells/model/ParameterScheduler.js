@@ -0,0 +1,88 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Runs parameter schedules over simulated time. Each schedule drives its parameter Property from the time that it is
+ * added until it completes or is removed, so that the same experiment is reproduced each time it is run. Only one
+ * schedule can drive a given Property at a time.
+ *
+ * @author agent
+ */
+
+import createObservableArray from '../../../../axon/js/createObservableArray.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+class ParameterScheduler {
+
+  constructor() {
+
+    // @public (read-only) {ObservableArrayDef.<ParameterSchedule>} - schedules that are running
+    this.schedules = createObservableArray();
+
+    // @private {number} - simulated time, used to track the time since each schedule started
+    this.time = 0;
+
+    // @private {Map.<ParameterSchedule, number>} - time at which each schedule was started
+    this.startTimes = new Map();
+  }
+
+  /**
+   * Start running a schedule, replacing any schedule that is driving the same Property.
+   * @param {ParameterSchedule} schedule
+   * @public
+   */
+  addSchedule( schedule ) {
+    this.getSchedulesFor( schedule.property ).forEach( existingSchedule => this.removeSchedule( existingSchedule ) );
+    this.startTimes.set( schedule, this.time );
+    this.schedules.push( schedule );
+    schedule.property.set( schedule.getValue( 0 ) );
+  }
+
+  /**
+   * Stop running a schedule. The Property keeps its current value.
+   * @param {ParameterSchedule} schedule
+   * @public
+   */
+  removeSchedule( schedule ) {
+    this.startTimes.delete( schedule );
+    this.schedules.remove( schedule );
+  }
+
+  /**
+   * @param {Property.<number>} property
+   * @returns {Array.<ParameterSchedule>}
+   * @public
+   */
+  getSchedulesFor( property ) {
+    return this.schedules.filter( schedule => schedule.property === property );
+  }
+
+  /**
+   * Advance the schedules, setting the Properties that they drive.
+   * @param {number} dt
+   * @public
+   */
+  step( dt ) {
+    this.time += dt;
+
+    // Iterate over a copy, since completed schedules are removed.
+    this.schedules.slice().forEach( schedule => {
+      const scheduleTime = this.time - this.startTimes.get( schedule );
+      schedule.property.set( schedule.getValue( scheduleTime ) );
+      if ( schedule.isComplete( scheduleTime ) ) {
+        this.removeSchedule( schedule );
+      }
+    } );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.schedules.clear();
+    this.startTimes.clear();
+    this.time = 0;
+  }
+}
+
+geneExpressionEssentials.register( 'ParameterScheduler', ParameterScheduler );
+export default ParameterScheduler;
@@ -0,0 +1,281 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Runs a population of cells across a range of values of one of the cell parameters, bringing the population to steady
+ * state at each value and recording the mean and the spread of the protein levels. The result is a dose-response
+ * curve, e.g. the steady-state protein level as a function of the transcription factor level.
+ *
+ * The sweep is run headlessly, i.e. on its own set of cells that are never shown, so that the visible population is not
+ * disturbed. The work is divided up and done a bit at a time on each call to step, so that the sim remains responsive
+ * while a sweep is in progress.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import createObservableArray from '../../../../axon/js/createObservableArray.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Random from '../../../../dot/js/Random.js';
+import Range from '../../../../dot/js/Range.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import Cell from './Cell.js';
+import SteadyStateDetector from './SteadyStateDetector.js';
+
+// constants
+
+// maximum number of steps taken to bring the cells to steady state at each parameter value, after which the statistics
+// are gathered anyway, since some circuits, such as oscillators, never settle
+const MAX_EQUILIBRATION_STEPS = 3000;
+
+// number of steps, following equilibration, over which the statistics are gathered
+const SAMPLING_STEPS = 100;
+
+// number of cell steps, i.e. the number of steps times the number of cells, taken on each call to step, chosen to keep
+// the sim responsive
+const CELL_STEPS_PER_FRAME = 500;
+
+const NUMBER_OF_POINTS_RANGE = new Range( 3, 20 );
+const DEFAULT_NUMBER_OF_POINTS = 10;
+
+class ParameterSweep {
+
+  /**
+   * @param {MultipleCellsModel} model - the model whose parameters are swept
+   * @param {number} timeStep - the time step used to advance the cells
+   * @param {number|null} seed - seed for the random number generators of the cells, null for a random seed
+   */
+  constructor( model, timeStep, seed ) {
+
+    // @private
+    this.model = model;
+    this.timeStep = timeStep;
+    this.seedRandomizer = new Random( { seed: seed } );
+
+    // @public - name of the parameter to sweep, one of the keys of model.cellParameters
+    this.parameterNameProperty = new Property( 'transcriptionFactorLevel', {
+      validValues: Object.keys( model.cellParameters )
+    } );
+
+    // @public - number of parameter values at which the steady state is found
+    this.numberOfPointsProperty = new NumberProperty( DEFAULT_NUMBER_OF_POINTS, {
+      range: NUMBER_OF_POINTS_RANGE,
+      numberType: 'Integer'
+    } );
+
+    // @public (read-only) - whether a sweep is in progress
+    this.runningProperty = new BooleanProperty( false );
+
+    // @public (read-only) - fraction of the sweep that has been completed
+    this.progressProperty = new NumberProperty( 0, { range: new Range( 0, 1 ) } );
+
+    // @public (read-only) {ObservableArrayDef.<{parameterValue:number, mean:number, standardDeviation:number}>} - the
+    // steady-state statistics at each parameter value that has been completed, in order of increasing value
+    this.results = createObservableArray();
+
+    // @private {Array.<Cell>} - cells used for the sweep, created when a sweep is started
+    this.cells = [];
+
+    // @private {Array.<number>} - parameter values for the sweep that is in progress
+    this.parameterValues = [];
+
+    // @private {number|null} - doubling time of the cells for the sweep that is in progress, null if they don't grow
+    this.doublingTime = null;
+
+    // @private - detects when the mean protein level of the cells has reached steady state at each parameter value
+    this.steadyStateDetector = new SteadyStateDetector();
+
+    // @private - state of the sweep that is in progress
+    this.pointIndex = 0;
+    this.equilibrating = true;
+    this.stepCount = 0;
+    this.meanSum = 0;
+    this.varianceSum = 0;
+
+    // The results are only meaningful for the parameter that was swept.
+    this.parameterNameProperty.lazyLink( () => this.results.clear() );
+  }
+
+  /**
+   * Start a sweep of the selected parameter across its full range. The values are spaced evenly, or logarithmically if
+   * the parameter is best explored on a logarithmic scale. The cells are set up with the current values of the other
+   * parameters, their spread across the population and the growth of the cells, and the number of cells is the number
+   * currently visible. Quorum sensing isn't included, since it depends on the positions of the cells in the visible
+   * population, and neither is the second reporter, since it doesn't affect the level of the protein that is recorded.
+   * @public
+   */
+  start() {
+    const cellParameter = this.model.cellParameters[ this.parameterNameProperty.value ];
+    const numberOfPoints = this.numberOfPointsProperty.value;
+    const range = cellParameter.range;
+
+    this.parameterValues = [];
+    for ( let i = 0; i < numberOfPoints; i++ ) {
+      const fraction = i / ( numberOfPoints - 1 );
+
+      // A logarithmic range can't include zero, so the minimum is raised to a small fraction of the maximum if needed.
+      const min = cellParameter.logScale ? Math.max( range.min, range.max / 1000 ) : range.min;
+      this.parameterValues.push( cellParameter.logScale ?
+                                 min * Math.pow( range.max / min, fraction ) :
+                                 min + fraction * ( range.max - min ) );
+    }
+
+    this.doublingTime = this.model.growthEnabledProperty.value ? this.model.doublingTimeProperty.value : null;
+
+    this.cells = [];
+    for ( let i = 0; i < this.model.numberOfVisibleCellsProperty.value; i++ ) {
+      const parameterDeviates = {};
+      Cell.VariableParameterNames.forEach( name => {
+        parameterDeviates[ name ] = this.seedRandomizer.nextGaussian();
+      } );
+      const cell = new Cell( 0, {
+        random: new Random( { seed: this.seedRandomizer.nextDouble() } ),
+        parameterDeviates: parameterDeviates
+      } );
+      cell.setReactionSolverType( this.model.reactionSolverTypeProperty.value );
+      cell.setTauLeapingErrorTolerance( this.model.tauLeapingErrorToleranceProperty.value );
+      cell.setCircuit( this.model.geneticCircuitProperty.value );
+      cell.setFeedback(
+        this.model.feedbackTypeProperty.value,
+        this.model.hillCoefficientProperty.value,
+        this.model.feedbackThresholdProperty.value
+      );
+      for ( const name in this.model.cellParameters ) {
+        const otherCellParameter = this.model.cellParameters[ name ];
+        otherCellParameter.setOnCell( cell, otherCellParameter.property.value );
+      }
+      Cell.VariableParameterNames.forEach( name => {
+        cell.setParameterSpread( name, this.model.parameterSpreadProperties[ name ].value );
+      } );
+
+      // The cells start out at random points in their cycles so that they don't all divide at once.
+      if ( this.doublingTime !== null ) {
+        cell.startGrowthCycle( this.doublingTime, this.seedRandomizer.nextDouble() * this.doublingTime );
+      }
+      this.cells.push( cell );
+    }
+
+    this.results.clear();
+    this.progressProperty.reset();
+    this.startPoint( 0 );
+    this.runningProperty.set( true );
+  }
+
+  /**
+   * Set up the cells for the given point in the sweep. The cells are not reset between points, since starting from the
+   * previous steady state is as good as any other starting point.
+   * @param {number} pointIndex
+   * @private
+   */
+  startPoint( pointIndex ) {
+    this.pointIndex = pointIndex;
+    this.equilibrating = true;
+    this.stepCount = 0;
+    this.steadyStateDetector.restart();
+    this.meanSum = 0;
+    this.varianceSum = 0;
+    const cellParameter = this.model.cellParameters[ this.parameterNameProperty.value ];
+    this.cells.forEach( cell => cellParameter.setOnCell( cell, this.parameterValues[ pointIndex ] ) );
+  }
+
+  /**
+   * Do some of the work of the sweep, if one is in progress.
+   * @public
+   */
+  step() {
+    if ( !this.runningProperty.value ) {
+      return;
+    }
+
+    const stepsPerFrame = Math.max( Math.floor( CELL_STEPS_PER_FRAME / this.cells.length ), 1 );
+    for ( let i = 0; i < stepsPerFrame; i++ ) {
+      this.cells.forEach( cell => {
+
+        // As in the visible population once it is full, one daughter of each division is discarded.
+        if ( this.doublingTime !== null && cell.grow( this.timeStep ) ) {
+          cell.divide( null, this.doublingTime );
+        }
+        cell.step( this.timeStep );
+      } );
+      this.stepCount++;
+
+      // Get the mean and variance across the cells.
+      let sum = 0;
+      let sumOfSquares = 0;
+      this.cells.forEach( cell => {
+        const proteinCount = cell.proteinCount.get();
+        sum += proteinCount;
+        sumOfSquares += proteinCount * proteinCount;
+      } );
+      const mean = sum / this.cells.length;
+
+      if ( this.equilibrating ) {
+        this.steadyStateDetector.addSample( this.timeStep, mean );
+        if ( this.steadyStateDetector.isSteadyState() || this.stepCount >= MAX_EQUILIBRATION_STEPS ) {
+          this.equilibrating = false;
+          this.stepCount = 0;
+        }
+        continue;
+      }
+
+      // The statistics are averaged over the sampling steps to reduce noise.
+      this.meanSum += mean;
+      this.varianceSum += Math.max( sumOfSquares / this.cells.length - mean * mean, 0 );
+
+      if ( this.stepCount === SAMPLING_STEPS ) {
+        this.results.push( {
+          parameterValue: this.parameterValues[ this.pointIndex ],
+          mean: this.meanSum / SAMPLING_STEPS,
+          standardDeviation: Math.sqrt( this.varianceSum / SAMPLING_STEPS )
+        } );
+        if ( this.pointIndex === this.parameterValues.length - 1 ) {
+          this.finish();
+          break;
+        }
+        this.startPoint( this.pointIndex + 1 );
+      }
+    }
+
+    // The progress through a point assumes that equilibration takes the maximum number of steps, so it jumps ahead
+    // when steady state is detected sooner.
+    if ( this.runningProperty.value ) {
+      const stepsPerPoint = MAX_EQUILIBRATION_STEPS + SAMPLING_STEPS;
+      const pointStepCount = this.equilibrating ? this.stepCount : MAX_EQUILIBRATION_STEPS + this.stepCount;
+      this.progressProperty.set(
+        ( this.pointIndex * stepsPerPoint + pointStepCount ) / ( this.parameterValues.length * stepsPerPoint )
+      );
+    }
+  }
+
+  /**
+   * @private
+   */
+  finish() {
+    this.runningProperty.set( false );
+    this.progressProperty.set( 1 );
+    this.cells = [];
+  }
+
+  /**
+   * Stop the sweep that is in progress, keeping the results that have been completed.
+   * @public
+   */
+  cancel() {
+    this.runningProperty.set( false );
+    this.cells = [];
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.cancel();
+    this.results.clear();
+    this.parameterNameProperty.reset();
+    this.numberOfPointsProperty.reset();
+    this.progressProperty.reset();
+  }
+}
+
+geneExpressionEssentials.register( 'ParameterSweep', ParameterSweep );
+export default ParameterSweep;
@@ -0,0 +1,364 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * A declarative definition of a set of chemical reactions between named species, along with the current count of
+ * each species. The reactions are defined in terms of the stoichiometry of their reactants and products and a rate
+ * constant, and their propensities are calculated using mass-action kinetics. This is intended to be consumed by a
+ * stochastic simulation algorithm, which uses the propensities to choose which reaction to conduct next.
+ *
+ * A reaction can also be regulated by a species that is not one of its reactants, in which case its propensity is
+ * scaled by a Hill function of the count of that species. This is used to model feedback, e.g. a protein that represses
+ * or activates the transcription of its own gene.
+ *
+ * Species and reactions are looked up by name by clients, but are stored internally in arrays so that the
+ * propensity calculation, which is performed very frequently, is fast.
+ *
+ * @author agent
+ */
+
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+class ReactionNetwork {
+
+  /**
+   * @param {Array.<{name:string, initialCount:number}>} speciesDefinitions
+   * @param {Array.<{name:string, reactants:Object, products:Object, rate:number}>} reactionDefinitions - reactants and
+   * products are maps of species names to stoichiometric coefficients, e.g. { gene: 1, transcriptionFactor: 1 }
+   */
+  constructor( speciesDefinitions, reactionDefinitions ) {
+
+    // @private {Array.<string>}
+    this.speciesNames = speciesDefinitions.map( speciesDefinition => speciesDefinition.name );
+
+    // @private {Object} - map of species names to their indices in the counts array
+    this.speciesIndices = {};
+    this.speciesNames.forEach( ( name, index ) => {
+      assert && assert( !this.speciesIndices.hasOwnProperty( name ), `duplicate species name: ${name}` );
+      this.speciesIndices[ name ] = index;
+    } );
+
+    // @private {Array.<number>}
+    this.initialCounts = speciesDefinitions.map( speciesDefinition => speciesDefinition.initialCount );
+
+    // @public (read-only) {Array.<number>} - current count of each species, indexed in the order of definition
+    this.counts = this.initialCounts.slice();
+
+    // @private {Array.<string>}
+    this.reactionNames = reactionDefinitions.map( reactionDefinition => reactionDefinition.name );
+
+    // @private {Object} - map of reaction names to their indices
+    this.reactionIndices = {};
+    this.reactionNames.forEach( ( name, index ) => {
+      assert && assert( !this.reactionIndices.hasOwnProperty( name ), `duplicate reaction name: ${name}` );
+      this.reactionIndices[ name ] = index;
+    } );
+
+    // @public (read-only) {Array.<number>} - rate constant for each reaction, indexed in the order of definition
+    this.rates = reactionDefinitions.map( reactionDefinition => reactionDefinition.rate );
+
+    // @private {Array.<Array.<{index:number, stoichiometry:number}>>} - reactants of each reaction, by species index
+    this.reactants = reactionDefinitions.map( reactionDefinition => this.toIndexedTerms( reactionDefinition.reactants ) );
+
+    // @private {Array.<Array.<{index:number, change:number}>>} - net change in each affected species for each reaction
+    this.netChanges = reactionDefinitions.map( reactionDefinition => {
+      const changes = {};
+      this.toIndexedTerms( reactionDefinition.reactants ).forEach( term => {
+        changes[ term.index ] = ( changes[ term.index ] || 0 ) - term.stoichiometry;
+      } );
+      this.toIndexedTerms( reactionDefinition.products ).forEach( term => {
+        changes[ term.index ] = ( changes[ term.index ] || 0 ) + term.stoichiometry;
+      } );
+      return Object.keys( changes )
+        .filter( index => changes[ index ] !== 0 )
+        .map( index => ( { index: Number( index ), change: changes[ index ] } ) );
+    } );
+
+    // @private {Array.<{index:number, activating:boolean, hillCoefficient:number, halfMaximalCount:number,
+    // basalFraction:number}|null>} - regulation of each reaction, null for those that aren't regulated, see
+    // setRegulation
+    this.regulations = new Array( this.rates.length ).fill( null );
+
+    // @private {Array.<Array.<number>>} - for each reaction, the indices of the reactions whose propensities change when
+    // it is conducted, i.e. those that have a reactant or a regulator whose count is changed by it, including itself if
+    // applicable
+    this.dependentReactions = [];
+    this.updateDependentReactions();
+
+    // @public (read-only) {number} - incremented whenever a count or rate is changed by something other than the
+    // conducting of a reaction, so that solvers that cache propensities know when they need to recalculate
+    this.externalChangeCount = 0;
+  }
+
+  /**
+   * Find the reactions that depend on each reaction.
+   * @private
+   */
+  updateDependentReactions() {
+    this.dependentReactions = this.netChanges.map( netChanges => {
+      const dependents = [];
+      this.reactants.forEach( ( reactants, reactionIndex ) => {
+        const regulation = this.regulations[ reactionIndex ];
+        const isChanged = speciesIndex => netChanges.some( netChange => netChange.index === speciesIndex );
+        if ( reactants.some( reactant => isChanged( reactant.index ) ) || ( regulation && isChanged( regulation.index ) ) ) {
+          dependents.push( reactionIndex );
+        }
+      } );
+      return dependents;
+    } );
+  }
+
+  /**
+   * Convert a map of species names to stoichiometric coefficients into a list of terms that use species indices.
+   * @param {Object} [speciesMap]
+   * @returns {Array.<{index:number, stoichiometry:number}>}
+   * @private
+   */
+  toIndexedTerms( speciesMap ) {
+    return Object.keys( speciesMap || {} ).map( name => ( {
+      index: this.getSpeciesIndex( name ),
+      stoichiometry: speciesMap[ name ]
+    } ) );
+  }
+
+  /**
+   * @param {string} name
+   * @returns {number}
+   * @public
+   */
+  getSpeciesIndex( name ) {
+    assert && assert( this.speciesIndices.hasOwnProperty( name ), `unknown species: ${name}` );
+    return this.speciesIndices[ name ];
+  }
+
+  /**
+   * @param {string} name
+   * @returns {number}
+   * @public
+   */
+  getReactionIndex( name ) {
+    assert && assert( this.reactionIndices.hasOwnProperty( name ), `unknown reaction: ${name}` );
+    return this.reactionIndices[ name ];
+  }
+
+  /**
+   * @returns {Array.<string>}
+   * @public
+   */
+  getSpeciesNames() {
+    return this.speciesNames.slice();
+  }
+
+  /**
+   * @returns {Array.<string>}
+   * @public
+   */
+  getReactionNames() {
+    return this.reactionNames.slice();
+  }
+
+  /**
+   * @returns {number}
+   * @public
+   */
+  getNumberOfReactions() {
+    return this.rates.length;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {number}
+   * @public
+   */
+  getSpeciesCount( name ) {
+    return this.counts[ this.getSpeciesIndex( name ) ];
+  }
+
+  /**
+   * @param {string} name
+   * @param {number} count
+   * @public
+   */
+  setSpeciesCount( name, count ) {
+    assert && assert( count >= 0, `count must be non-negative: ${count}` );
+    this.counts[ this.getSpeciesIndex( name ) ] = count;
+    this.externalChangeCount++;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {number}
+   * @public
+   */
+  getRate( name ) {
+    return this.rates[ this.getReactionIndex( name ) ];
+  }
+
+  /**
+   * @param {string} name
+   * @param {number} rate
+   * @public
+   */
+  setRate( name, rate ) {
+    this.rates[ this.getReactionIndex( name ) ] = rate;
+    this.externalChangeCount++;
+  }
+
+  /**
+   * Set the species that regulates a reaction. The propensity of the reaction is scaled by a Hill function of the count
+   * of the regulator, which rises from zero to one as the count rises for an activator, and falls from one to zero for
+   * a repressor. The basal fraction is the part of the propensity that isn't regulated, i.e. the scale factor is
+   * basalFraction + ( 1 - basalFraction ) * hillFunction.
+   * @param {string} reactionName
+   * @param {{speciesName:string, activating:boolean, hillCoefficient:number, halfMaximalCount:number,
+   * basalFraction:number}|null} regulation - null if the reaction is not regulated
+   * @public
+   */
+  setRegulation( reactionName, regulation ) {
+    assert && regulation && assert( regulation.hillCoefficient > 0 && regulation.halfMaximalCount > 0,
+      'the Hill coefficient and the half-maximal count must be positive' );
+    assert && regulation && assert( regulation.basalFraction >= 0 && regulation.basalFraction <= 1,
+      `invalid basal fraction: ${regulation.basalFraction}` );
+    this.regulations[ this.getReactionIndex( reactionName ) ] = regulation && {
+      index: this.getSpeciesIndex( regulation.speciesName ),
+      activating: regulation.activating,
+      hillCoefficient: regulation.hillCoefficient,
+      halfMaximalCount: regulation.halfMaximalCount,
+      basalFraction: regulation.basalFraction
+    };
+    this.updateDependentReactions();
+    this.externalChangeCount++;
+  }
+
+  /**
+   * Get the reactants of the specified reaction in terms of species indices.
+   * @param {number} reactionIndex
+   * @returns {Array.<{index:number, stoichiometry:number}>}
+   * @public
+   */
+  getReactants( reactionIndex ) {
+    return this.reactants[ reactionIndex ];
+  }
+
+  /**
+   * Get the net change in the count of each species that is affected when the specified reaction is conducted.
+   * @param {number} reactionIndex
+   * @returns {Array.<{index:number, change:number}>}
+   * @public
+   */
+  getNetChanges( reactionIndex ) {
+    return this.netChanges[ reactionIndex ];
+  }
+
+  /**
+   * Get the indices of the reactions whose propensities may change when the specified reaction is conducted.
+   * @param {number} reactionIndex
+   * @returns {Array.<number>}
+   * @public
+   */
+  getDependentReactions( reactionIndex ) {
+    return this.dependentReactions[ reactionIndex ];
+  }
+
+  /**
+   * Calculate the propensity of the specified reaction given the current species counts. The propensity is the rate
+   * constant multiplied by the number of distinct combinations of reactant molecules, and by the Hill function of the
+   * regulator if the reaction is regulated.
+   * @param {number} reactionIndex
+   * @param {Array.<number>} [counts] - species counts to use instead of the current ones, which may be non-integer, as
+   * is the case when the network is being integrated deterministically
+   * @returns {number}
+   * @public
+   */
+  getPropensity( reactionIndex, counts = this.counts ) {
+    let propensity = this.rates[ reactionIndex ];
+    const reactants = this.reactants[ reactionIndex ];
+    for ( let i = 0; i < reactants.length; i++ ) {
+      const count = counts[ reactants[ i ].index ];
+      for ( let j = 0; j < reactants[ i ].stoichiometry; j++ ) {
+        propensity *= Math.max( count - j, 0 ) / ( j + 1 );
+      }
+    }
+    const regulation = this.regulations[ reactionIndex ];
+    if ( regulation ) {
+
+      // The count is clamped because the stages of the deterministic integration can make it slightly negative, and a
+      // negative number to a non-integer power is NaN.
+      const count = Math.max( counts[ regulation.index ], 0 );
+      const ratio = Math.pow( count / regulation.halfMaximalCount, regulation.hillCoefficient );
+      const hillFunction = regulation.activating ? ratio / ( 1 + ratio ) : 1 / ( 1 + ratio );
+      propensity *= regulation.basalFraction + ( 1 - regulation.basalFraction ) * hillFunction;
+    }
+    return propensity;
+  }
+
+  /**
+   * Calculate the propensities of all reactions.
+   * @returns {Array.<number>}
+   * @public
+   */
+  calculatePropensities() {
+    const propensities = [];
+    for ( let i = 0; i < this.rates.length; i++ ) {
+      propensities.push( this.getPropensity( i ) );
+    }
+    return propensities;
+  }
+
+  /**
+   * Calculate the rate of change of each species count given the specified counts, treating the reactions as mass-action
+   * ordinary differential equations.
+   * @param {Array.<number>} counts
+   * @returns {Array.<number>}
+   * @public
+   */
+  calculateDerivatives( counts ) {
+    const derivatives = new Array( counts.length ).fill( 0 );
+    for ( let i = 0; i < this.rates.length; i++ ) {
+      const propensity = this.getPropensity( i, counts );
+      const netChanges = this.netChanges[ i ];
+      for ( let j = 0; j < netChanges.length; j++ ) {
+        derivatives[ netChanges[ j ].index ] += netChanges[ j ].change * propensity;
+      }
+    }
+    return derivatives;
+  }
+
+  /**
+   * Conduct the specified reaction the specified number of times, updating the species counts accordingly.
+   * @param {number} reactionIndex
+   * @param {number} [numberOfTimes]
+   * @public
+   */
+  conductReaction( reactionIndex, numberOfTimes = 1 ) {
+    assert && assert( reactionIndex >= 0 && reactionIndex < this.rates.length, `Unhandled reaction index: ${reactionIndex}` );
+    const netChanges = this.netChanges[ reactionIndex ];
+    for ( let i = 0; i < netChanges.length; i++ ) {
+      this.counts[ netChanges[ i ].index ] += netChanges[ i ].change * numberOfTimes;
+    }
+  }
+
+  /**
+   * Set the counts of all species at once. This is intended for use by solvers that need to roll back a tentative
+   * change, so it is not considered an external change.
+   * @param {Array.<number>} counts - indexed in the order of definition
+   * @public
+   */
+  setCounts( counts ) {
+    assert && assert( counts.length === this.counts.length, 'counts must be provided for all species' );
+    for ( let i = 0; i < counts.length; i++ ) {
+      this.counts[ i ] = counts[ i ];
+    }
+  }
+
+  /**
+   * Restore all species counts to their initial values. Rates are not affected.
+   * @public
+   */
+  reset() {
+    this.counts = this.initialCounts.slice();
+    this.externalChangeCount++;
+  }
+}
+
+geneExpressionEssentials.register( 'ReactionNetwork', ReactionNetwork );
+export default ReactionNetwork;
@@ -0,0 +1,20 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Enumeration of the profiles that a parameter schedule can follow over time.
+ *
+ * STEP - changes from the initial value to the final value at the start of the schedule and stays there
+ * PULSE - changes to the final value at the start, then back to the initial value when the duration has elapsed
+ * RAMP - changes linearly from the initial value to the final value over the duration
+ * SINE - oscillates smoothly between the initial and final values, with a period equal to the duration
+ *
+ * @author agent
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+const ScheduleProfile = Enumeration.byKeys( [ 'STEP', 'PULSE', 'RAMP', 'SINE' ] );
+
+geneExpressionEssentials.register( 'ScheduleProfile', ScheduleProfile );
+export default ScheduleProfile;
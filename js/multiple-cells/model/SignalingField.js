@@ -0,0 +1,167 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * The concentration of a signaling molecule in the medium around a population of cells, such as the autoinducer that
+ * bacteria use for quorum sensing. The cells secrete the molecule, which diffuses through the medium and decays, and the
+ * local concentration tells each cell how many other cells are around it.
+ *
+ * The concentration is held on a regular grid that covers an ellipse, and diffusion is integrated with an explicit
+ * finite difference scheme. The medium outside of the ellipse is taken to be so large that the molecule is lost once
+ * it gets there, so the concentration is held at zero outside of the ellipse. Concentrations are in arbitrary units,
+ * and each secreting cell adds to the concentration at the grid point that is nearest to it.
+ *
+ * @author agent
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+// The largest proportion of the difference between a grid point and its neighbors that can be made up in one step of
+// the diffusion. Beyond 0.25 the explicit scheme is unstable.
+const MAX_DIFFUSION_NUMBER = 0.2;
+
+class SignalingField {
+
+  /**
+   * @param {number} centerX - center of the ellipse, in meters
+   * @param {number} centerY
+   * @param {number} radiusX - semi-axis of the ellipse along x, in meters
+   * @param {number} radiusY - semi-axis of the ellipse along y, in meters
+   * @param {Object} [options]
+   */
+  constructor( centerX, centerY, radiusX, radiusY, options ) {
+
+    options = merge( {
+
+      // {number} - distance between the points of the grid, in meters
+      gridSpacing: 1E-6,
+
+      // {number} - diffusion coefficient of the signaling molecule, in square meters per second
+      diffusionCoefficient: 2E-11,
+
+      // {number} - rate at which the signaling molecule decays, per second
+      decayRate: 0.2
+    }, options );
+
+    // @public (read-only) - geometry of the grid, which has a point at the minimum x and y of the ellipse's bounds
+    this.gridSpacing = options.gridSpacing;
+    this.minX = centerX - radiusX;
+    this.minY = centerY - radiusY;
+    this.numberOfColumns = Math.ceil( 2 * radiusX / this.gridSpacing ) + 1;
+    this.numberOfRows = Math.ceil( 2 * radiusY / this.gridSpacing ) + 1;
+
+    // @private
+    this.diffusionCoefficient = options.diffusionCoefficient;
+    this.decayRate = options.decayRate;
+
+    // @private {Array.<boolean>} - whether each grid point is inside of the ellipse, indexed by row, then column
+    this.inside = [];
+    for ( let row = 0; row < this.numberOfRows; row++ ) {
+      for ( let column = 0; column < this.numberOfColumns; column++ ) {
+        const normalizedX = ( this.minX + column * this.gridSpacing - centerX ) / radiusX;
+        const normalizedY = ( this.minY + row * this.gridSpacing - centerY ) / radiusY;
+        this.inside.push( normalizedX * normalizedX + normalizedY * normalizedY < 1 );
+      }
+    }
+
+    // @public (read-only) {Float64Array} - concentration at each grid point, indexed by row, then column
+    this.concentrations = new Float64Array( this.numberOfRows * this.numberOfColumns );
+
+    // @private {Float64Array} - concentrations for the next step of the diffusion, kept to avoid reallocating them
+    this.nextConcentrations = new Float64Array( this.concentrations.length );
+
+    // @public (read-only) {number} - highest concentration on the grid, e.g. for scaling a depiction of the field
+    this.maxConcentration = 0;
+  }
+
+  /**
+   * Advance the field, adding the molecules that are secreted by the sources, e.g. cells. The step is divided into as
+   * many substeps as are needed for the diffusion to be stable.
+   * @param {number} dt - in seconds
+   * @param {Array.<{x:number, y:number, secretionRate:number}>} sources - position of each source, in meters, and the
+   * rate at which it secretes the molecule, in concentration units per second
+   * @public
+   */
+  step( dt, sources ) {
+    const maxSubstepDuration = MAX_DIFFUSION_NUMBER * this.gridSpacing * this.gridSpacing / this.diffusionCoefficient;
+    const numberOfSubsteps = Math.ceil( dt / maxSubstepDuration );
+    const substepDuration = dt / numberOfSubsteps;
+    const diffusionNumber = this.diffusionCoefficient * substepDuration / ( this.gridSpacing * this.gridSpacing );
+    const decayFactor = Math.exp( -this.decayRate * substepDuration );
+    const sourceIndices = sources.map( source => this.getNearestIndex( source.x, source.y ) );
+
+    for ( let substep = 0; substep < numberOfSubsteps; substep++ ) {
+      sources.forEach( ( source, sourceIndex ) => {
+        const index = sourceIndices[ sourceIndex ];
+        if ( this.inside[ index ] ) {
+          this.concentrations[ index ] += source.secretionRate * substepDuration;
+        }
+      } );
+      for ( let row = 0; row < this.numberOfRows; row++ ) {
+        for ( let column = 0; column < this.numberOfColumns; column++ ) {
+          const index = row * this.numberOfColumns + column;
+          if ( this.inside[ index ] ) {
+
+            // The points outside of the ellipse, which include all of the edges of the grid, are always zero.
+            const concentration = this.concentrations[ index ];
+            const laplacian = this.concentrations[ index - 1 ] + this.concentrations[ index + 1 ] +
+                              this.concentrations[ index - this.numberOfColumns ] +
+                              this.concentrations[ index + this.numberOfColumns ] - 4 * concentration;
+            this.nextConcentrations[ index ] = ( concentration + diffusionNumber * laplacian ) * decayFactor;
+          }
+        }
+      }
+      const concentrations = this.concentrations;
+      this.concentrations = this.nextConcentrations;
+      this.nextConcentrations = concentrations;
+    }
+
+    this.maxConcentration = this.concentrations.reduce( ( max, concentration ) => Math.max( max, concentration ), 0 );
+  }
+
+  /**
+   * Get the concentration at a position, which is interpolated from the surrounding grid points.
+   * @param {number} x - in meters
+   * @param {number} y - in meters
+   * @returns {number}
+   * @public
+   */
+  getConcentration( x, y ) {
+    const columnPosition = Utils.clamp( ( x - this.minX ) / this.gridSpacing, 0, this.numberOfColumns - 1 );
+    const rowPosition = Utils.clamp( ( y - this.minY ) / this.gridSpacing, 0, this.numberOfRows - 1 );
+    const column = Math.min( Math.floor( columnPosition ), this.numberOfColumns - 2 );
+    const row = Math.min( Math.floor( rowPosition ), this.numberOfRows - 2 );
+    const columnFraction = columnPosition - column;
+    const rowFraction = rowPosition - row;
+    const index = row * this.numberOfColumns + column;
+    return ( 1 - rowFraction ) * ( ( 1 - columnFraction ) * this.concentrations[ index ] +
+                                   columnFraction * this.concentrations[ index + 1 ] ) +
+           rowFraction * ( ( 1 - columnFraction ) * this.concentrations[ index + this.numberOfColumns ] +
+                           columnFraction * this.concentrations[ index + this.numberOfColumns + 1 ] );
+  }
+
+  /**
+   * @param {number} x - in meters
+   * @param {number} y - in meters
+   * @returns {number} - index of the grid point that is nearest to the position
+   * @private
+   */
+  getNearestIndex( x, y ) {
+    const column = Utils.clamp( Utils.roundSymmetric( ( x - this.minX ) / this.gridSpacing ), 0, this.numberOfColumns - 1 );
+    const row = Utils.clamp( Utils.roundSymmetric( ( y - this.minY ) / this.gridSpacing ), 0, this.numberOfRows - 1 );
+    return row * this.numberOfColumns + column;
+  }
+
+  /**
+   * Clear the signaling molecule from the medium.
+   * @public
+   */
+  reset() {
+    this.concentrations.fill( 0 );
+    this.maxConcentration = 0;
+  }
+}
+
+geneExpressionEssentials.register( 'SignalingField', SignalingField );
+export default SignalingField;
@@ -0,0 +1,191 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Detects when a noisy value, such as the average protein level of a population of cells, has reached steady state.
+ * The samples in a moving window of time are split into an earlier and a later half, and the value is considered to be
+ * steady when the means of the two halves agree to within a tolerance and their variances are comparable, i.e. when the
+ * value is neither drifting nor settling down from a larger fluctuation. The test has to pass continuously for a while
+ * before steady state is detected, since a value that is changing, such as one that oscillates, can pass it briefly.
+ * Once steady state is detected, it stays detected until the detector is restarted, which is done when something
+ * changes that would disturb the steady state.
+ *
+ * @author agent
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+class SteadyStateDetector {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    options = merge( {
+
+      // {number} - duration of the moving window, in seconds, which should be long compared to the time over which the
+      // value fluctuates
+      windowDuration: 6,
+
+      // {number} - time for which the test has to pass continuously, in seconds
+      confirmationDuration: 3,
+
+      // {number} - maximum difference between the means of the halves of the window, as a proportion of the mean
+      relativeTolerance: 0.02,
+
+      // {number} - additional difference between the means that is allowed, so that values near zero can be steady
+      absoluteTolerance: 0.5,
+
+      // {number} - additional difference between the means that is allowed in proportion to the standard deviation of
+      // the samples, since the means of noisy values differ by chance
+      noiseTolerance: 1,
+
+      // {number} - maximum ratio of the larger to the smaller of the variances of the halves of the window
+      maxVarianceRatio: 4
+    }, options );
+
+    // @private
+    this.windowDuration = options.windowDuration;
+    this.confirmationDuration = options.confirmationDuration;
+    this.relativeTolerance = options.relativeTolerance;
+    this.absoluteTolerance = options.absoluteTolerance;
+    this.noiseTolerance = options.noiseTolerance;
+    this.maxVarianceRatio = options.maxVarianceRatio;
+
+    // @private {Array.<{time:number, value:number}>} - samples, oldest first, of which those from the start index on
+    // are within the window. The samples that have left the window are only removed from the array once there are as
+    // many of them as there are in the window, so that the others don't have to be moved each time.
+    this.samples = [];
+    this.windowStartIndex = 0;
+
+    // @private {number} - time since the detector was restarted
+    this.elapsedTime = 0;
+
+    // @private {number|null} - time since the restart at which the test started passing continuously, null if it isn't
+    // passing
+    this.passingStartTime = null;
+
+    // @private {number|null} - time since the restart at which steady state was detected, null if it hasn't been
+    this.timeToSteadyState = null;
+  }
+
+  /**
+   * Add a sample of the value, and check whether it has reached steady state.
+   * @param {number} dt - time since the previous sample, in seconds
+   * @param {number} value
+   * @returns {boolean} - whether the value is at steady state
+   * @public
+   */
+  addSample( dt, value ) {
+    this.elapsedTime += dt;
+    this.samples.push( { time: this.elapsedTime, value: value } );
+    while ( this.samples[ this.windowStartIndex ].time < this.elapsedTime - this.windowDuration ) {
+      this.windowStartIndex++;
+    }
+    if ( this.windowStartIndex >= this.samples.length - this.windowStartIndex ) {
+      this.samples.splice( 0, this.windowStartIndex );
+      this.windowStartIndex = 0;
+    }
+
+    if ( this.timeToSteadyState === null ) {
+      if ( !this.isWindowSteady() ) {
+        this.passingStartTime = null;
+      }
+      else if ( this.passingStartTime === null ) {
+        this.passingStartTime = this.elapsedTime;
+      }
+      if ( this.passingStartTime !== null && this.elapsedTime - this.passingStartTime >= this.confirmationDuration ) {
+        this.timeToSteadyState = this.elapsedTime;
+      }
+    }
+    return this.isSteadyState();
+  }
+
+  /**
+   * Test the samples in the window for steady state, which requires a full window of samples.
+   * @returns {boolean}
+   * @private
+   */
+  isWindowSteady() {
+    if ( this.elapsedTime < this.windowDuration ) {
+      return false;
+    }
+
+    // Each half needs at least two samples for its variance to mean anything.
+    const middleTime = this.elapsedTime - this.windowDuration / 2;
+    let middleIndex = this.windowStartIndex;
+    while ( middleIndex < this.samples.length && this.samples[ middleIndex ].time <= middleTime ) {
+      middleIndex++;
+    }
+    if ( middleIndex - this.windowStartIndex < 2 || this.samples.length - middleIndex < 2 ) {
+      return false;
+    }
+    const earlierStatistics = getStatistics( this.samples, this.windowStartIndex, middleIndex );
+    const laterStatistics = getStatistics( this.samples, middleIndex, this.samples.length );
+
+    const meanTolerance = this.relativeTolerance * Math.max( Math.abs( earlierStatistics.mean ), Math.abs( laterStatistics.mean ) ) +
+                          this.absoluteTolerance +
+                          this.noiseTolerance * Math.sqrt( ( earlierStatistics.variance + laterStatistics.variance ) / 2 );
+
+    // The tolerance is added to the variances so that the ratio is well behaved when there is little or no noise.
+    const squaredTolerance = this.absoluteTolerance * this.absoluteTolerance;
+    const earlierVariance = earlierStatistics.variance + squaredTolerance;
+    const laterVariance = laterStatistics.variance + squaredTolerance;
+
+    return Math.abs( laterStatistics.mean - earlierStatistics.mean ) <= meanTolerance &&
+           Math.max( earlierVariance, laterVariance ) <= this.maxVarianceRatio * Math.min( earlierVariance, laterVariance );
+  }
+
+  /**
+   * @returns {boolean}
+   * @public
+   */
+  isSteadyState() {
+    return this.timeToSteadyState !== null;
+  }
+
+  /**
+   * Get the time that it took to reach steady state after the detector was restarted.
+   * @returns {number|null} - in seconds, null if steady state hasn't been reached
+   * @public
+   */
+  getTimeToSteadyState() {
+    return this.timeToSteadyState;
+  }
+
+  /**
+   * Start over, discarding the samples, e.g. because something changed that disturbs the steady state.
+   * @public
+   */
+  restart() {
+    this.samples.length = 0;
+    this.windowStartIndex = 0;
+    this.elapsedTime = 0;
+    this.passingStartTime = null;
+    this.timeToSteadyState = null;
+  }
+}
+
+/**
+ * @param {Array.<{time:number, value:number}>} samples
+ * @param {number} startIndex - index of the first sample to include
+ * @param {number} endIndex - index after the last sample to include
+ * @returns {{mean:number, variance:number}}
+ */
+function getStatistics( samples, startIndex, endIndex ) {
+  let sum = 0;
+  let sumOfSquares = 0;
+  for ( let i = startIndex; i < endIndex; i++ ) {
+    sum += samples[ i ].value;
+    sumOfSquares += samples[ i ].value * samples[ i ].value;
+  }
+  const numberOfSamples = endIndex - startIndex;
+  const mean = sum / numberOfSamples;
+
+  // The clamp prevents tiny negative values that can result from floating point error.
+  return { mean: mean, variance: Math.max( sumOfSquares / numberOfSamples - mean * mean, 0 ) };
+}
+
+geneExpressionEssentials.register( 'SteadyStateDetector', SteadyStateDetector );
+export default SteadyStateDetector;
@@ -0,0 +1,147 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Records the time series produced by the Multiple Cells model so that it can be exported for analysis outside of the
+ * sim. Each sample contains the time, the average protein level, the protein level of each visible cell, and the
+ * average count of each of the species in the cells. The number of samples is bounded, and the oldest samples are
+ * discarded once the limit is reached.
+ *
+ * @author agent
+ */
+
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+// constants
+const DEFAULT_MAX_SAMPLES = 18000; // five minutes at the nominal frame rate
+
+class TimeSeriesRecorder {
+
+  /**
+   * @param {Array.<string>} speciesNames - names of the species whose average counts are recorded
+   * @param {number} [maxSamples]
+   */
+  constructor( speciesNames, maxSamples = DEFAULT_MAX_SAMPLES ) {
+
+    // @private
+    this.speciesNames = speciesNames;
+    this.maxSamples = maxSamples;
+
+    // @private {Array.<{time:number, averageProteinLevel:number, cellProteinLevels:Array.<number>,
+    // averageSpeciesCounts:Object.<string, number>}>} - used as a ring buffer once the limit is reached, so that the
+    // oldest sample can be replaced without moving the others
+    this.samples = [];
+
+    // @private {number} - index of the oldest sample in the ring buffer
+    this.oldestSampleIndex = 0;
+
+    // @private {number} - total time that has been recorded
+    this.time = 0;
+  }
+
+  /**
+   * Record a sample.
+   * @param {number} dt - time since the previous sample
+   * @param {number} averageProteinLevel
+   * @param {Array.<number>} cellProteinLevels - protein level of each visible cell
+   * @param {Object.<string, number>} averageSpeciesCounts - average count of each species, keyed by species name
+   * @public
+   */
+  record( dt, averageProteinLevel, cellProteinLevels, averageSpeciesCounts ) {
+    this.time += dt;
+    const sample = {
+      time: this.time,
+      averageProteinLevel: averageProteinLevel,
+      cellProteinLevels: cellProteinLevels,
+      averageSpeciesCounts: averageSpeciesCounts
+    };
+    if ( this.samples.length < this.maxSamples ) {
+      this.samples.push( sample );
+    }
+    else {
+      this.samples[ this.oldestSampleIndex ] = sample;
+      this.oldestSampleIndex = ( this.oldestSampleIndex + 1 ) % this.maxSamples;
+    }
+  }
+
+  /**
+   * Get the samples in the order in which they were recorded.
+   * @returns {Array.<{time:number, averageProteinLevel:number, cellProteinLevels:Array.<number>,
+   * averageSpeciesCounts:Object.<string, number>}>}
+   * @private
+   */
+  getOrderedSamples() {
+    return this.samples.slice( this.oldestSampleIndex ).concat( this.samples.slice( 0, this.oldestSampleIndex ) );
+  }
+
+  /**
+   * @returns {number}
+   * @public
+   */
+  getNumberOfSamples() {
+    return this.samples.length;
+  }
+
+  /**
+   * Get the recorded data and the given parameter values as comma-separated values. The parameter values are written
+   * first, each on a line that starts with '#' so that most tools will treat them as comments, followed by a header row
+   * and a row for each sample. A cell that was not visible when a sample was taken has an empty entry in that row.
+   * @param {Object.<string, number|string|boolean>} parameterValues
+   * @returns {string}
+   * @public
+   */
+  getCSVString( parameterValues ) {
+    const lines = [];
+    for ( const name in parameterValues ) {
+      lines.push( `# ${name},${parameterValues[ name ]}` );
+    }
+
+    const samples = this.getOrderedSamples();
+    const numberOfCells = samples.reduce(
+      ( maxNumberOfCells, sample ) => Math.max( maxNumberOfCells, sample.cellProteinLevels.length ),
+      0
+    );
+    const header = [ 'time', 'averageProtein' ];
+    this.speciesNames.forEach( name => header.push( `average_${name}` ) );
+    for ( let i = 0; i < numberOfCells; i++ ) {
+      header.push( `cell${i + 1}_protein` );
+    }
+    lines.push( header.join( ',' ) );
+
+    samples.forEach( sample => {
+      const row = [ sample.time, sample.averageProteinLevel ];
+      this.speciesNames.forEach( name => row.push( sample.averageSpeciesCounts[ name ] ) );
+      for ( let i = 0; i < numberOfCells; i++ ) {
+        row.push( i < sample.cellProteinLevels.length ? sample.cellProteinLevels[ i ] : '' );
+      }
+      lines.push( row.join( ',' ) );
+    } );
+
+    return lines.join( '\n' ) + '\n';
+  }
+
+  /**
+   * Get the recorded data and the given parameter values as JSON.
+   * @param {Object.<string, number|string|boolean>} parameterValues
+   * @returns {string}
+   * @public
+   */
+  getJSONString( parameterValues ) {
+    return JSON.stringify( {
+      parameters: parameterValues,
+      speciesNames: this.speciesNames,
+      samples: this.getOrderedSamples()
+    }, null, 2 );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.samples.length = 0;
+    this.oldestSampleIndex = 0;
+    this.time = 0;
+  }
+}
+
+geneExpressionEssentials.register( 'TimeSeriesRecorder', TimeSeriesRecorder );
+export default TimeSeriesRecorder;
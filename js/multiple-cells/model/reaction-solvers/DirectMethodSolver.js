@@ -0,0 +1,77 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Solver that uses the direct method from Gillespie, 1977. Every reaction event is simulated exactly, and all
+ * propensities are recalculated after each event.
+ *
+ * @author George A. Emanuel
+ * @author Aadish Gupta
+ * @author agent
+ */
+
+import geneExpressionEssentials from '../../../geneExpressionEssentials.js';
+import ReactionSolver from './ReactionSolver.js';
+
+class DirectMethodSolver extends ReactionSolver {
+
+  /**
+   * Moves forward one time step of specified length
+   *
+   * @param {number} dt the length of this step through time
+   * @public
+   * @override
+   */
+  step( dt ) {
+    let accumulatedTime = 0.0;
+    let timeIncrement = -1.0;
+    while ( accumulatedTime < dt && timeIncrement !== 0.0 ) {
+      timeIncrement = this.simulateOneReaction( dt - accumulatedTime );
+      accumulatedTime += timeIncrement;
+    }
+  }
+
+  /**
+   * Simulates one reaction if the wait time before that reaction occurs is less than maxTime
+   *
+   * @param maxTime the maximum of time to wait for this reaction to occur
+   * @returns {number} the amount of time evolved in the system
+   * @public
+   */
+  simulateOneReaction( maxTime ) {
+    const a = this.reactionNetwork.calculatePropensities();
+    const a0 = this.sum( a );
+
+    const r1 = this.random.nextDouble();
+    const r2 = this.random.nextDouble();
+    const tau = ( 1 / a0 ) * Math.log( 1 / r1 );
+    if ( tau > maxTime ) {
+      return 0.0;
+    }
+
+    let mu = 0;
+    let sumSoFar = a[ 0 ];
+    while ( sumSoFar < r2 * a0 ) {
+      mu++;
+      sumSoFar += a[ mu ];
+    }
+    this.reactionNetwork.conductReaction( mu );
+    return tau;
+  }
+
+  /**
+   * Calculates sum of the array elements
+   * @param {Array.<number>} array
+   * @returns {number}
+   * @private
+   */
+  sum( array ) {
+    let total = 0;
+    for ( let i = 0; i < array.length; i++ ) {
+      total += array[ i ];
+    }
+    return total;
+  }
+}
+
+geneExpressionEssentials.register( 'DirectMethodSolver', DirectMethodSolver );
+export default DirectMethodSolver;
@@ -0,0 +1,145 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Solver that treats the reaction network as a set of mass-action ordinary differential equations and integrates them
+ * deterministically. The species counts become continuous values that follow the mean-field behavior of the
+ * network, i.e. what would be seen if an infinite number of identical cells were averaged together.
+ *
+ * Integration is done using the adaptive Runge-Kutta method of Dormand and Prince, 1980, which uses an embedded fourth
+ * order solution to estimate the error of the fifth order one and adjust the internal step size accordingly.
+ *
+ * @author agent
+ */
+
+import geneExpressionEssentials from '../../../geneExpressionEssentials.js';
+import ReactionSolver from './ReactionSolver.js';
+
+// Dormand-Prince tableau
+const A = [
+  [],
+  [ 1 / 5 ],
+  [ 3 / 40, 9 / 40 ],
+  [ 44 / 45, -56 / 15, 32 / 9 ],
+  [ 19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729 ],
+  [ 9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656 ],
+  [ 35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84 ]
+];
+
+// weights of the fifth order solution, which are the same as the last row of A
+const B = A[ 6 ].concat( [ 0 ] );
+
+// weights of the embedded fourth order solution
+const B_STAR = [ 5179 / 57600, 0, 7571 / 16695, 393 / 640, -92097 / 339200, 187 / 2100, 1 / 40 ];
+
+// error tolerances, in molecules
+const ABSOLUTE_TOLERANCE = 1E-4;
+const RELATIVE_TOLERANCE = 1E-4;
+
+// bounds and safety factor for the adjustment of the internal step size
+const SAFETY_FACTOR = 0.9;
+const MIN_STEP_SIZE_FACTOR = 0.2;
+const MAX_STEP_SIZE_FACTOR = 5;
+
+class MassActionSolver extends ReactionSolver {
+
+  /**
+   * @param {ReactionNetwork} reactionNetwork
+   * @param {Random} random - unused, since this solver is deterministic, but accepted for consistency
+   */
+  constructor( reactionNetwork, random ) {
+    super( reactionNetwork, random );
+
+    // @private {number} - internal step size, retained between steps so that it doesn't need to be rediscovered
+    this.stepSize = Number.POSITIVE_INFINITY;
+  }
+
+  /**
+   * @param {number} dt
+   * @public
+   * @override
+   */
+  step( dt ) {
+    let state = this.reactionNetwork.counts.slice();
+    let elapsedTime = 0;
+    let stepSize = Math.min( this.stepSize, dt );
+    while ( elapsedTime < dt ) {
+      const remainingTime = dt - elapsedTime;
+      const finalStep = stepSize >= remainingTime;
+      const h = finalStep ? remainingTime : stepSize;
+      const result = this.attemptStep( state, h );
+
+      // A non-finite error would be carried into the step size, and the loop would then never finish, so give up on
+      // this step, keeping the previous counts, and start over with a fresh step size on the next one.
+      if ( !isFinite( result.error ) ) {
+        this.stepSize = Number.POSITIVE_INFINITY;
+        return;
+      }
+      if ( result.error <= 1 ) {
+        state = result.state;
+        elapsedTime = finalStep ? dt : elapsedTime + h;
+      }
+
+      // Adjust the step size based on the error estimate, see Hairer, Norsett and Wanner, Solving Ordinary Differential
+      // Equations I, section II.4.
+      const factor = result.error === 0 ?
+                     MAX_STEP_SIZE_FACTOR :
+                     SAFETY_FACTOR * Math.pow( result.error, -1 / 5 );
+      const newStepSize = h * Math.min( Math.max( factor, MIN_STEP_SIZE_FACTOR ), MAX_STEP_SIZE_FACTOR );
+
+      // A final step that was shortened to land on the end of the interval says little about the appropriate step size,
+      // so don't let it shrink the step size.
+      stepSize = finalStep && result.error <= 1 ? Math.max( stepSize, newStepSize ) : newStepSize;
+      if ( !( stepSize > 0 ) || !isFinite( stepSize ) ) {
+        this.stepSize = Number.POSITIVE_INFINITY;
+        return;
+      }
+    }
+    this.stepSize = stepSize;
+
+    // Counts can't be negative, but integration error can make a depleted species slightly so.
+    this.reactionNetwork.setCounts( state.map( count => Math.max( count, 0 ) ) );
+  }
+
+  /**
+   * Take a single Dormand-Prince step.
+   * @param {Array.<number>} state
+   * @param {number} h - step size
+   * @returns {{state:Array.<number>, error:number}} - the new state and the normalized error, which is acceptable if
+   * not more than one
+   * @private
+   */
+  attemptStep( state, h ) {
+    const k = [];
+    for ( let stage = 0; stage < 7; stage++ ) {
+      const stageState = state.slice();
+      for ( let j = 0; j < stage; j++ ) {
+        if ( A[ stage ][ j ] !== 0 ) {
+          for ( let i = 0; i < stageState.length; i++ ) {
+            stageState[ i ] += h * A[ stage ][ j ] * k[ j ][ i ];
+          }
+        }
+      }
+      k.push( this.reactionNetwork.calculateDerivatives( stageState ) );
+    }
+
+    const newState = state.slice();
+    let sumOfSquaredErrors = 0;
+    for ( let i = 0; i < state.length; i++ ) {
+      let errorEstimate = 0;
+      for ( let stage = 0; stage < 7; stage++ ) {
+        newState[ i ] += h * B[ stage ] * k[ stage ][ i ];
+        errorEstimate += h * ( B[ stage ] - B_STAR[ stage ] ) * k[ stage ][ i ];
+      }
+      const scale = ABSOLUTE_TOLERANCE + RELATIVE_TOLERANCE * Math.max( Math.abs( state[ i ] ), Math.abs( newState[ i ] ) );
+      sumOfSquaredErrors += ( errorEstimate / scale ) * ( errorEstimate / scale );
+    }
+
+    return {
+      state: newState,
+      error: Math.sqrt( sumOfSquaredErrors / state.length )
+    };
+  }
+}
+
+geneExpressionEssentials.register( 'MassActionSolver', MassActionSolver );
+export default MassActionSolver;
@@ -0,0 +1,119 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Solver that uses the next reaction method from Gibson and Bruck, 2000. This is exact, like the direct method, but
+ * each reaction keeps an absolute putative firing time, and when a reaction is conducted only the propensities of the
+ * reactions that depend on it are recalculated. The putative times of the affected reactions are rescaled rather than
+ * redrawn, so only one random number is used per event.
+ *
+ * The networks simulated in this sim are small enough that the next reaction is found with a linear search rather than
+ * the indexed priority queue described in the paper.
+ *
+ * @author agent
+ */
+
+import geneExpressionEssentials from '../../../geneExpressionEssentials.js';
+import ReactionSolver from './ReactionSolver.js';
+
+class NextReactionMethodSolver extends ReactionSolver {
+
+  /**
+   * @param {ReactionNetwork} reactionNetwork
+   * @param {Random} random
+   */
+  constructor( reactionNetwork, random ) {
+    super( reactionNetwork, random );
+
+    // @private {number} - the amount of time that this solver has simulated
+    this.time = 0;
+
+    // @private {Array.<number>} - current propensity of each reaction
+    this.propensities = [];
+
+    // @private {Array.<number>} - absolute time at which each reaction will next occur
+    this.putativeTimes = [];
+
+    // @private {number} - value of the network's external change count when the putative times were last calculated,
+    // null to force initialization
+    this.externalChangeCount = null;
+  }
+
+  /**
+   * Recalculate all propensities and draw new putative times. Since the waiting times are memoryless, this can be done
+   * at any point without biasing the simulation.
+   * @private
+   */
+  initializePutativeTimes() {
+    this.propensities = this.reactionNetwork.calculatePropensities();
+    this.putativeTimes = this.propensities.map( propensity => this.time + this.nextWaitingTime( propensity ) );
+    this.externalChangeCount = this.reactionNetwork.externalChangeCount;
+  }
+
+  /**
+   * @param {number} dt
+   * @public
+   * @override
+   */
+  step( dt ) {
+
+    // Counts or rates that were changed by some other means, such as the user moving a slider, invalidate the putative
+    // times.
+    if ( this.externalChangeCount !== this.reactionNetwork.externalChangeCount ) {
+      this.initializePutativeTimes();
+    }
+
+    const endTime = this.time + dt;
+
+    // Conduct reactions until the next one is beyond the end of this step. The putative times are absolute, so they
+    // remain valid for the next step.
+    let mu = this.getNextReactionIndex();
+    while ( this.putativeTimes[ mu ] <= endTime ) {
+      this.time = this.putativeTimes[ mu ];
+      this.reactionNetwork.conductReaction( mu );
+
+      // Update the reactions whose propensities are affected by the one that was just conducted.
+      const dependentReactions = this.reactionNetwork.getDependentReactions( mu );
+      for ( let i = 0; i < dependentReactions.length; i++ ) {
+        const reactionIndex = dependentReactions[ i ];
+        if ( reactionIndex !== mu ) {
+          const oldPropensity = this.propensities[ reactionIndex ];
+          const newPropensity = this.reactionNetwork.getPropensity( reactionIndex );
+          if ( oldPropensity > 0 && newPropensity > 0 ) {
+            this.putativeTimes[ reactionIndex ] = this.time +
+                                                  ( oldPropensity / newPropensity ) *
+                                                  ( this.putativeTimes[ reactionIndex ] - this.time );
+          }
+          else {
+            this.putativeTimes[ reactionIndex ] = this.time + this.nextWaitingTime( newPropensity );
+          }
+          this.propensities[ reactionIndex ] = newPropensity;
+        }
+      }
+
+      // The reaction that occurred always gets a new putative time.
+      this.propensities[ mu ] = this.reactionNetwork.getPropensity( mu );
+      this.putativeTimes[ mu ] = this.time + this.nextWaitingTime( this.propensities[ mu ] );
+
+      mu = this.getNextReactionIndex();
+    }
+    this.time = endTime;
+  }
+
+  /**
+   * Find the reaction that will occur next.
+   * @returns {number} - index of the reaction with the earliest putative time
+   * @private
+   */
+  getNextReactionIndex() {
+    let mu = 0;
+    for ( let i = 1; i < this.putativeTimes.length; i++ ) {
+      if ( this.putativeTimes[ i ] < this.putativeTimes[ mu ] ) {
+        mu = i;
+      }
+    }
+    return mu;
+  }
+}
+
+geneExpressionEssentials.register( 'NextReactionMethodSolver', NextReactionMethodSolver );
+export default NextReactionMethodSolver;
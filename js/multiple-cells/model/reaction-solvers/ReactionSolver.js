@@ -0,0 +1,44 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Base class for solvers that advance the state of a reaction network through time. Subclasses implement different
+ * stochastic simulation algorithms, which trade off exactness against computational cost.
+ *
+ * @author agent
+ */
+
+import geneExpressionEssentials from '../../../geneExpressionEssentials.js';
+
+class ReactionSolver {
+
+  /**
+   * @param {ReactionNetwork} reactionNetwork
+   * @param {Random} random
+   */
+  constructor( reactionNetwork, random ) {
+    this.reactionNetwork = reactionNetwork; // @protected
+    this.random = random; // @protected
+  }
+
+  /**
+   * Advance the reaction network forward in time.
+   * @param {number} dt
+   * @public
+   */
+  step( dt ) {
+    throw new Error( 'step should be implemented in descendant classes of ReactionSolver.' );
+  }
+
+  /**
+   * Draw an exponentially distributed waiting time for a process with the given total propensity.
+   * @param {number} propensity
+   * @returns {number} - infinite if the propensity is zero
+   * @protected
+   */
+  nextWaitingTime( propensity ) {
+    return propensity > 0 ? ( 1 / propensity ) * Math.log( 1 / this.random.nextDouble() ) : Number.POSITIVE_INFINITY;
+  }
+}
+
+geneExpressionEssentials.register( 'ReactionSolver', ReactionSolver );
+export default ReactionSolver;
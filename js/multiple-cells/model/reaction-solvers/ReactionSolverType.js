@@ -0,0 +1,20 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Enumeration of the algorithms that can be used to solve the reaction network of a cell.
+ *
+ * DIRECT - Gillespie's direct method, exact
+ * NEXT_REACTION - Gibson and Bruck's next reaction method, exact and cheaper when there are many reactions
+ * TAU_LEAPING - adaptive tau-leaping, approximate, but much cheaper when molecule counts are large
+ * DETERMINISTIC - integration of the mass-action ODEs, which gives the mean-field behavior with no noise
+ *
+ * @author agent
+ */
+
+import Enumeration from '../../../../../phet-core/js/Enumeration.js';
+import geneExpressionEssentials from '../../../geneExpressionEssentials.js';
+
+const ReactionSolverType = Enumeration.byKeys( [ 'DIRECT', 'NEXT_REACTION', 'TAU_LEAPING', 'DETERMINISTIC' ] );
+
+geneExpressionEssentials.register( 'ReactionSolverType', ReactionSolverType );
+export default ReactionSolverType;
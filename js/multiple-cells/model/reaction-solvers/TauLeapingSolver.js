@@ -0,0 +1,317 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Solver that uses adaptive tau-leaping. Rather than simulating every reaction event, the number of times that each
+ * reaction occurs during a leap of length tau is drawn from a Poisson distribution. The leap size is chosen so that
+ * the relative change in any propensity is bounded by the error tolerance, see Cao, Gillespie and Petzold, "Efficient
+ * step size selection for the tau-leaping simulation method", 2006. Reactions that are close to exhausting one of their
+ * reactants are treated as "critical" and are allowed to occur at most once per leap, which prevents counts from going
+ * negative, see Cao, Gillespie and Petzold, "Avoiding negative populations in explicit Poisson tau-leaping", 2005.
+ *
+ * When the chosen leap is not much longer than the expected time to the next event, exact direct method steps are
+ * taken instead, since leaping would provide no benefit.
+ *
+ * @author agent
+ */
+
+import merge from '../../../../../phet-core/js/merge.js';
+import geneExpressionEssentials from '../../../geneExpressionEssentials.js';
+import DirectMethodSolver from './DirectMethodSolver.js';
+import ReactionSolver from './ReactionSolver.js';
+
+// constants
+const DEFAULT_ERROR_TOLERANCE = 0.03;
+
+// A reaction that can occur fewer than this many more times before exhausting a reactant is considered critical.
+const CRITICAL_REACTION_THRESHOLD = 10;
+
+// If the leap is less than this many times the expected time to the next event, exact steps are taken instead.
+const EXACT_STEP_THRESHOLD = 10;
+
+// number of exact steps that are taken when leaping is not worthwhile
+const NUMBER_OF_EXACT_STEPS = 100;
+
+// Poisson values for means above this are approximated with a normal distribution.
+const POISSON_NORMAL_APPROXIMATION_THRESHOLD = 30;
+
+class TauLeapingSolver extends ReactionSolver {
+
+  /**
+   * @param {ReactionNetwork} reactionNetwork
+   * @param {Random} random
+   * @param {Object} [options]
+   */
+  constructor( reactionNetwork, random, options ) {
+    super( reactionNetwork, random );
+
+    options = merge( {
+
+      // {number} - the maximum relative change in any propensity allowed during a leap, smaller values are more
+      // accurate and slower
+      errorTolerance: DEFAULT_ERROR_TOLERANCE
+    }, options );
+
+    // @public {number}
+    this.errorTolerance = options.errorTolerance;
+
+    // @private {DirectMethodSolver} - used for the exact steps that are taken when leaping is not worthwhile
+    this.directMethodSolver = new DirectMethodSolver( reactionNetwork, random );
+
+    const numberOfSpecies = reactionNetwork.getSpeciesNames().length;
+    const numberOfReactions = reactionNetwork.getNumberOfReactions();
+
+    // @private {Array.<number>} - For each species, the highest order of any reaction in which it is a reactant, and
+    // the highest stoichiometry with which it appears in a reaction of that order. These are used in the calculation
+    // of the leap size.
+    this.highestOrders = new Array( numberOfSpecies ).fill( 0 );
+    this.highestOrderStoichiometries = new Array( numberOfSpecies ).fill( 0 );
+    for ( let i = 0; i < numberOfReactions; i++ ) {
+      const reactants = reactionNetwork.getReactants( i );
+      let order = 0;
+      reactants.forEach( reactant => { order += reactant.stoichiometry; } );
+      reactants.forEach( reactant => {
+        if ( order > this.highestOrders[ reactant.index ] ) {
+          this.highestOrders[ reactant.index ] = order;
+          this.highestOrderStoichiometries[ reactant.index ] = reactant.stoichiometry;
+        }
+        else if ( order === this.highestOrders[ reactant.index ] ) {
+          this.highestOrderStoichiometries[ reactant.index ] = Math.max(
+            this.highestOrderStoichiometries[ reactant.index ],
+            reactant.stoichiometry
+          );
+        }
+      } );
+    }
+  }
+
+  /**
+   * @param {number} dt
+   * @public
+   * @override
+   */
+  step( dt ) {
+    let remainingTime = dt;
+    while ( remainingTime > 0 ) {
+      const timeIncrement = this.leap( remainingTime );
+      if ( timeIncrement === 0 ) {
+        break;
+      }
+      remainingTime -= timeIncrement;
+    }
+  }
+
+  /**
+   * Perform a single leap, or a batch of exact steps if leaping is not worthwhile.
+   * @param {number} maxTime
+   * @returns {number} - the amount of time evolved, zero if nothing else will happen before maxTime
+   * @private
+   */
+  leap( maxTime ) {
+    const network = this.reactionNetwork;
+    const propensities = network.calculatePropensities();
+    let totalPropensity = 0;
+    for ( let i = 0; i < propensities.length; i++ ) {
+      totalPropensity += propensities[ i ];
+    }
+    if ( totalPropensity === 0 ) {
+      return 0;
+    }
+
+    // Identify the critical reactions.
+    const critical = propensities.map( ( propensity, reactionIndex ) =>
+      propensity > 0 && this.getMaximumFirings( reactionIndex ) < CRITICAL_REACTION_THRESHOLD
+    );
+
+    let tau = this.calculateNonCriticalLeap( propensities, critical );
+
+    if ( tau < EXACT_STEP_THRESHOLD / totalPropensity ) {
+
+      // Leaping would not save much over simulating each event, so simulate them exactly.
+      let elapsedTime = 0;
+      for ( let i = 0; i < NUMBER_OF_EXACT_STEPS && elapsedTime < maxTime; i++ ) {
+        const timeIncrement = this.directMethodSolver.simulateOneReaction( maxTime - elapsedTime );
+        if ( timeIncrement === 0 ) {
+
+          // No more reactions occur before maxTime.
+          return maxTime;
+        }
+        elapsedTime += timeIncrement;
+      }
+      return elapsedTime;
+    }
+
+    let criticalPropensity = 0;
+    for ( let i = 0; i < propensities.length; i++ ) {
+      if ( critical[ i ] ) {
+        criticalPropensity += propensities[ i ];
+      }
+    }
+
+    // Leap, halving the leap size and trying again whenever a count would go negative.
+    const savedCounts = network.counts.slice();
+    let leapAccepted = false;
+    let leapTime;
+    while ( !leapAccepted ) {
+      const timeToCriticalReaction = this.nextWaitingTime( criticalPropensity );
+      let criticalReactionIndex = -1;
+      leapTime = tau;
+      if ( timeToCriticalReaction <= tau ) {
+        leapTime = timeToCriticalReaction;
+        criticalReactionIndex = this.chooseCriticalReaction( propensities, critical, criticalPropensity );
+      }
+      if ( leapTime > maxTime ) {
+        leapTime = maxTime;
+        criticalReactionIndex = -1;
+      }
+
+      for ( let i = 0; i < propensities.length; i++ ) {
+        if ( !critical[ i ] && propensities[ i ] > 0 ) {
+          const firings = this.nextPoisson( propensities[ i ] * leapTime );
+          if ( firings > 0 ) {
+            network.conductReaction( i, firings );
+          }
+        }
+      }
+      if ( criticalReactionIndex >= 0 ) {
+        network.conductReaction( criticalReactionIndex );
+      }
+
+      leapAccepted = network.counts.every( count => count >= 0 );
+      if ( !leapAccepted ) {
+
+        // Restore the counts and retry with a smaller leap.
+        network.setCounts( savedCounts );
+        tau = tau / 2;
+      }
+    }
+    return leapTime;
+  }
+
+  /**
+   * Calculate the largest leap for which the expected relative change in the propensities of the non-critical
+   * reactions is bounded by the error tolerance.
+   * @param {Array.<number>} propensities
+   * @param {Array.<boolean>} critical
+   * @returns {number}
+   * @private
+   */
+  calculateNonCriticalLeap( propensities, critical ) {
+    const network = this.reactionNetwork;
+    const counts = network.counts;
+    const means = new Array( counts.length ).fill( 0 );
+    const variances = new Array( counts.length ).fill( 0 );
+    for ( let i = 0; i < propensities.length; i++ ) {
+      if ( !critical[ i ] ) {
+        network.getNetChanges( i ).forEach( netChange => {
+          means[ netChange.index ] += netChange.change * propensities[ i ];
+          variances[ netChange.index ] += netChange.change * netChange.change * propensities[ i ];
+        } );
+      }
+    }
+
+    let tau = Number.POSITIVE_INFINITY;
+    for ( let i = 0; i < counts.length; i++ ) {
+      if ( this.highestOrders[ i ] > 0 ) {
+        const bound = Math.max( this.errorTolerance * counts[ i ] / this.getRelativeChangeFactor( i ), 1 );
+        if ( means[ i ] !== 0 ) {
+          tau = Math.min( tau, bound / Math.abs( means[ i ] ) );
+        }
+        if ( variances[ i ] !== 0 ) {
+          tau = Math.min( tau, bound * bound / variances[ i ] );
+        }
+      }
+    }
+    return tau;
+  }
+
+  /**
+   * Get the factor that relates the relative change in a species count to the relative change in the propensities of
+   * the reactions in which it is a reactant, denoted g in the paper.
+   * @param {number} speciesIndex
+   * @returns {number}
+   * @private
+   */
+  getRelativeChangeFactor( speciesIndex ) {
+    const order = this.highestOrders[ speciesIndex ];
+    const stoichiometry = this.highestOrderStoichiometries[ speciesIndex ];
+    const count = this.reactionNetwork.counts[ speciesIndex ];
+    let factor = order;
+    if ( stoichiometry > 1 && count > stoichiometry - 1 ) {
+      for ( let j = 1; j < stoichiometry; j++ ) {
+        factor += ( order / stoichiometry ) * j / ( count - j );
+      }
+    }
+    return factor;
+  }
+
+  /**
+   * Get the number of times that the specified reaction could occur before exhausting one of its reactants.
+   * @param {number} reactionIndex
+   * @returns {number}
+   * @private
+   */
+  getMaximumFirings( reactionIndex ) {
+    let maximumFirings = Number.POSITIVE_INFINITY;
+    this.reactionNetwork.getNetChanges( reactionIndex ).forEach( netChange => {
+      if ( netChange.change < 0 ) {
+        maximumFirings = Math.min(
+          maximumFirings,
+          Math.floor( this.reactionNetwork.counts[ netChange.index ] / -netChange.change )
+        );
+      }
+    } );
+    return maximumFirings;
+  }
+
+  /**
+   * Choose one of the critical reactions with probability proportional to its propensity.
+   * @param {Array.<number>} propensities
+   * @param {Array.<boolean>} critical
+   * @param {number} criticalPropensity - sum of the propensities of the critical reactions
+   * @returns {number}
+   * @private
+   */
+  chooseCriticalReaction( propensities, critical, criticalPropensity ) {
+    const threshold = this.random.nextDouble() * criticalPropensity;
+    let sumSoFar = 0;
+    let lastCriticalReactionIndex = -1;
+    for ( let i = 0; i < propensities.length; i++ ) {
+      if ( critical[ i ] ) {
+        sumSoFar += propensities[ i ];
+        lastCriticalReactionIndex = i;
+        if ( sumSoFar >= threshold ) {
+          return i;
+        }
+      }
+    }
+    return lastCriticalReactionIndex;
+  }
+
+  /**
+   * Draw a value from a Poisson distribution with the given mean.
+   * @param {number} mean
+   * @returns {number}
+   * @private
+   */
+  nextPoisson( mean ) {
+    if ( mean > POISSON_NORMAL_APPROXIMATION_THRESHOLD ) {
+      return Math.max( Math.round( mean + Math.sqrt( mean ) * this.random.nextGaussian() ), 0 );
+    }
+
+    // Knuth's algorithm, which is efficient for small means.
+    const limit = Math.exp( -mean );
+    let product = this.random.nextDouble();
+    let value = 0;
+    while ( product > limit ) {
+      product *= this.random.nextDouble();
+      value++;
+    }
+    return value;
+  }
+}
+
+// statics
+TauLeapingSolver.DefaultErrorTolerance = DEFAULT_ERROR_TOLERANCE;
+
+geneExpressionEssentials.register( 'TauLeapingSolver', TauLeapingSolver );
+export default TauLeapingSolver;
@@ -0,0 +1,127 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Accordion box with controls for how the protein levels of the cells are mapped to their colors and for the palette
+ * that they are shown in, along with a key that shows the protein level at points along the range of colors. The key
+ * updates as the mapping changes, including as an auto-scaled or percentile mapping follows the population.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Utils from '../../../../dot/js/Utils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import LinearGradient from '../../../../scenery/js/util/LinearGradient.js';
+import AccordionBox from '../../../../sun/js/AccordionBox.js';
+import VerticalAquaRadioButtonGroup from '../../../../sun/js/VerticalAquaRadioButtonGroup.js';
+import GEEConstants from '../../common/GEEConstants.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import geneExpressionEssentialsStrings from '../../geneExpressionEssentialsStrings.js';
+import CellColorMappingType from './CellColorMappingType.js';
+import CellColorPalette from './CellColorPalette.js';
+
+// constants
+const FONT = new PhetFont( 12 );
+const HEADING_FONT = new PhetFont( { size: 12, weight: 'bold' } );
+const RADIO_BUTTON_TEXT_OPTIONS = { font: FONT, maxWidth: 120 };
+const KEY_WIDTH = 140;
+const KEY_HEIGHT = 14;
+
+// amounts of fluorescence at which the key is labeled with the protein level
+const KEY_LABEL_AMOUNTS = [ 0, 0.5, 1 ];
+
+const autoScaledString = geneExpressionEssentialsStrings.autoScaled;
+const cellColorsString = geneExpressionEssentialsStrings.cellColors;
+const colorblindSafeString = geneExpressionEssentialsStrings.colorblindSafe;
+const colorScaleString = geneExpressionEssentialsStrings.colorScale;
+const fixedRangeString = geneExpressionEssentialsStrings.fixedRange;
+const grayscaleString = geneExpressionEssentialsStrings.grayscale;
+const logarithmicString = geneExpressionEssentialsStrings.logarithmic;
+const paletteString = geneExpressionEssentialsStrings.palette;
+const percentileString = geneExpressionEssentialsStrings.percentile;
+const proteinLevelString = geneExpressionEssentialsStrings.proteinLevel;
+const standardString = geneExpressionEssentialsStrings.standard;
+
+class CellColorAccordionBox extends AccordionBox {
+
+  /**
+   * @param {CellColorMapping} colorMapping
+   */
+  constructor( colorMapping ) {
+
+    const mappingTypeRadioButtonGroup = new VerticalAquaRadioButtonGroup( colorMapping.mappingTypeProperty, [
+      { node: new Text( fixedRangeString, RADIO_BUTTON_TEXT_OPTIONS ), value: CellColorMappingType.FIXED },
+      { node: new Text( autoScaledString, RADIO_BUTTON_TEXT_OPTIONS ), value: CellColorMappingType.AUTO_SCALED },
+      { node: new Text( logarithmicString, RADIO_BUTTON_TEXT_OPTIONS ), value: CellColorMappingType.LOGARITHMIC },
+      { node: new Text( percentileString, RADIO_BUTTON_TEXT_OPTIONS ), value: CellColorMappingType.PERCENTILE }
+    ], { spacing: 5 } );
+
+    const paletteRadioButtonGroup = new VerticalAquaRadioButtonGroup( colorMapping.paletteProperty, [
+      { node: new Text( standardString, RADIO_BUTTON_TEXT_OPTIONS ), value: CellColorPalette.STANDARD },
+      { node: new Text( colorblindSafeString, RADIO_BUTTON_TEXT_OPTIONS ), value: CellColorPalette.COLORBLIND_SAFE },
+      { node: new Text( grayscaleString, RADIO_BUTTON_TEXT_OPTIONS ), value: CellColorPalette.GRAYSCALE }
+    ], { spacing: 5 } );
+
+    // key that shows the color of the first protein from none to full fluorescence, labeled with the protein levels
+    const keyRectangle = new Rectangle( 0, 0, KEY_WIDTH, KEY_HEIGHT, { stroke: 'black', lineWidth: 1 } );
+    const keyLabelNodes = KEY_LABEL_AMOUNTS.map( amount => new Text( '', { font: FONT, maxWidth: KEY_WIDTH / 3 } ) );
+    const keyNode = new Node( { children: [ keyRectangle, ...keyLabelNodes ] } );
+    const updateKey = () => {
+      const paletteColors = colorMapping.getPaletteColors();
+      keyRectangle.fill = new LinearGradient( 0, 0, KEY_WIDTH, 0 )
+        .addColorStop( 0, paletteColors.nominalColor )
+        .addColorStop( 1, paletteColors.florescentColors[ 0 ] );
+      KEY_LABEL_AMOUNTS.forEach( ( amount, index ) => {
+        const keyLabelNode = keyLabelNodes[ index ];
+        keyLabelNode.text = Utils.toFixed( colorMapping.getProteinLevelAtAmount( amount ), 0 );
+        keyLabelNode.centerX = amount * KEY_WIDTH;
+        keyLabelNode.top = keyRectangle.bottom + 2;
+      } );
+    };
+    updateKey();
+    colorMapping.changedEmitter.addListener( updateKey );
+
+    const contentNode = new VBox( {
+      spacing: 6,
+      align: 'left',
+      children: [
+        new Text( colorScaleString, { font: HEADING_FONT, maxWidth: 150 } ),
+        mappingTypeRadioButtonGroup,
+        new Text( paletteString, { font: HEADING_FONT, maxWidth: 150 } ),
+        paletteRadioButtonGroup,
+        new Text( proteinLevelString, { font: HEADING_FONT, maxWidth: 150 } ),
+        keyNode
+      ]
+    } );
+
+    super( contentNode, {
+      titleNode: new Text( cellColorsString, {
+        font: new PhetFont( { size: 16, weight: 'bold' } ),
+        maxWidth: 100
+      } ),
+
+      // collapsed initially, since the default colors are those of a microscope with a fixed exposure
+      expandedProperty: new BooleanProperty( false ),
+      cornerRadius: GEEConstants.CORNER_RADIUS,
+      titleAlignX: 'left',
+      contentAlign: 'left',
+      fill: new Color( 220, 236, 255 ),
+      buttonXMargin: 6,
+      buttonYMargin: 6,
+      contentXMargin: 8,
+      contentYMargin: 8,
+      expandCollapseButtonOptions: {
+        touchAreaXDilation: 8,
+        touchAreaYDilation: 8
+      }
+    } );
+  }
+}
+
+geneExpressionEssentials.register( 'CellColorAccordionBox', CellColorAccordionBox );
+export default CellColorAccordionBox;
@@ -0,0 +1,301 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Maps the protein levels of a cell to the color that it is shown in. Each protein, and the second reporter, fluoresces
+ * in its own color from the selected palette, and how far the color of the cell changes towards each fluorescent color
+ * depends on the selected mapping of protein levels to amounts of fluorescence. Some of the mappings depend on the
+ * levels across the visible population, so this keeps statistics of the population, which need to be updated as the
+ * model runs.
+ *
+ * @author agent
+ */
+
+import Emitter from '../../../../axon/js/Emitter.js';
+import EnumerationProperty from '../../../../axon/js/EnumerationProperty.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import Cell from '../model/Cell.js';
+import CellProteinSynthesisSimulator from '../model/CellProteinSynthesisSimulator.js';
+import GeneticCircuit from '../model/GeneticCircuit.js';
+import CellColorMappingType from './CellColorMappingType.js';
+import CellColorPalette from './CellColorPalette.js';
+
+// The proteins of a genetic circuit are the first channels, and the second reporter is the last one.
+const SECOND_REPORTER_CHANNEL = CellProteinSynthesisSimulator.MaxNumberOfGenes;
+const NUMBER_OF_CHANNELS = SECOND_REPORTER_CHANNEL + 1;
+
+// range of protein levels that are mapped logarithmically
+const LOGARITHMIC_MIN_PROTEIN_LEVEL = 1;
+const LOGARITHMIC_MAX_PROTEIN_LEVEL = 1000;
+
+// Time constant with which the auto-scaled range follows the range of the population, in seconds, so that the colors
+// don't flicker as the lowest and highest cells fluctuate.
+const AUTO_SCALE_TIME_CONSTANT = 1;
+
+// Smallest range of protein levels that is auto-scaled to, so that a population with almost no spread isn't shown with
+// exaggerated differences.
+const MIN_AUTO_SCALE_SPAN = 10;
+
+// nominal color and fluorescent color of each channel for each palette
+const CYAN_BLUE = new Color( 64, 140, 255 ); // like Cyan Fluorescent Protein, or CFP
+const SKY_BLUE = new Color( 86, 180, 233 );
+const PALETTES = {
+  STANDARD: {
+    nominalColor: new Color( 30, 30, 40 ), // Blue Gray
+    florescentColors: [ new Color( 200, 255, 58 ), CYAN_BLUE, new Color( 255, 70, 90 ), CYAN_BLUE ]
+  },
+  COLORBLIND_SAFE: {
+    nominalColor: new Color( 30, 30, 40 ),
+    florescentColors: [ new Color( 240, 228, 66 ), SKY_BLUE, new Color( 204, 121, 167 ), SKY_BLUE ]
+  },
+  GRAYSCALE: {
+    nominalColor: new Color( 20, 20, 20 ),
+    florescentColors: [ Color.WHITE, Color.WHITE, Color.WHITE, Color.WHITE ]
+  }
+};
+
+class CellColorMapping {
+
+  /**
+   * @param {MultipleCellsModel} model
+   */
+  constructor( model ) {
+
+    // @public
+    this.mappingTypeProperty = new EnumerationProperty( CellColorMappingType, CellColorMappingType.FIXED );
+    this.paletteProperty = new EnumerationProperty( CellColorPalette, CellColorPalette.STANDARD );
+
+    // @public - emits when the colors of the cells may have changed for a reason other than a change to their levels
+    this.changedEmitter = new Emitter();
+
+    // @private
+    this.visibleCellList = model.visibleCellList;
+    this.geneticCircuitProperty = model.geneticCircuitProperty;
+
+    // @private {Array.<Array.<number>>} - levels of each channel in the visible population, in ascending order
+    this.sortedProteinLevels = [];
+
+    // @private {Array.<{min:number, max:number}|null>} - range that each channel is auto-scaled to, null until the
+    // population has been seen
+    this.autoScaledRanges = [];
+
+    for ( let channel = 0; channel < NUMBER_OF_CHANNELS; channel++ ) {
+      this.sortedProteinLevels.push( [] );
+      this.autoScaledRanges.push( null );
+    }
+
+    // The auto-scaled range starts over from the range of the population whenever it is selected.
+    this.mappingTypeProperty.lazyLink( () => {
+      this.autoScaledRanges.fill( null );
+      this.update( 0 );
+      this.changedEmitter.emit();
+    } );
+    this.paletteProperty.lazyLink( () => this.changedEmitter.emit() );
+    this.geneticCircuitProperty.lazyLink( () => this.changedEmitter.emit() );
+  }
+
+  /**
+   * Update the statistics of the visible population. This should be called on every step, even if the model is paused,
+   * since the set of visible cells can still change.
+   * @param {number} dt - in seconds
+   * @public
+   */
+  update( dt ) {
+    const mappingType = this.mappingTypeProperty.get();
+    if ( mappingType !== CellColorMappingType.AUTO_SCALED && mappingType !== CellColorMappingType.PERCENTILE ) {
+
+      // The other mappings don't depend on the population.
+      return;
+    }
+
+    const smoothingProportion = 1 - Math.exp( -dt / AUTO_SCALE_TIME_CONSTANT );
+    for ( let channel = 0; channel < NUMBER_OF_CHANNELS; channel++ ) {
+      const proteinLevels = [];
+      this.visibleCellList.forEach( cell => {
+        const proteinLevel = getProteinLevel( cell, channel );
+        if ( proteinLevel !== null ) {
+          proteinLevels.push( proteinLevel );
+        }
+      } );
+      proteinLevels.sort( ( a, b ) => a - b );
+      this.sortedProteinLevels[ channel ] = proteinLevels;
+
+      if ( proteinLevels.length > 0 ) {
+        const min = proteinLevels[ 0 ];
+        const max = proteinLevels[ proteinLevels.length - 1 ];
+        const range = this.autoScaledRanges[ channel ];
+        if ( range === null ) {
+          this.autoScaledRanges[ channel ] = { min: min, max: max };
+        }
+        else {
+          range.min += ( min - range.min ) * smoothingProportion;
+          range.max += ( max - range.max ) * smoothingProportion;
+        }
+      }
+    }
+    this.changedEmitter.emit();
+  }
+
+  /**
+   * Get the color of a cell, adding the fluorescence of each of its proteins to the nominal color.
+   * @param {Cell} cell
+   * @returns {Color}
+   * @public
+   */
+  getFillColor( cell ) {
+    const palette = PALETTES[ this.paletteProperty.get().name ];
+    const florescenceAmounts = [];
+    for ( let channel = 0; channel < NUMBER_OF_CHANNELS; channel++ ) {
+      const proteinLevel = getProteinLevel( cell, channel );
+
+      // The second reporter has the fixed range of a single gene, since its level is compared to that of the first one.
+      const isCircuit = cell.getNumberOfProteins() > 1 && channel !== SECOND_REPORTER_CHANNEL;
+      florescenceAmounts.push( proteinLevel === null ? 0 : this.getFlorescenceAmount( proteinLevel, channel, isCircuit ) );
+    }
+
+    const getComponent = name => Utils.clamp( Utils.roundSymmetric( florescenceAmounts.reduce(
+      ( component, florescenceAmount, channel ) => {
+        return component + florescenceAmount * ( palette.florescentColors[ channel ][ name ] - palette.nominalColor[ name ] );
+      },
+      palette.nominalColor[ name ]
+    ) ), 0, 255 );
+    return new Color( getComponent( 'r' ), getComponent( 'g' ), getComponent( 'b' ) );
+  }
+
+  /**
+   * Get how far the color of a cell has changed towards the fluorescent color of a channel for a protein level.
+   * @param {number} proteinLevel
+   * @param {number} channel
+   * @param {boolean} isCircuit - whether the protein is one of those of a genetic circuit with more than one gene
+   * @returns {number} - from 0 to 1
+   * @private
+   */
+  getFlorescenceAmount( proteinLevel, channel, isCircuit ) {
+    const mappingType = this.mappingTypeProperty.get();
+    let amount = 0;
+    if ( mappingType === CellColorMappingType.FIXED ) {
+      const fixedRange = getFixedRange( isCircuit );
+      amount = ( proteinLevel - fixedRange.min ) / ( fixedRange.max - fixedRange.min );
+    }
+    else if ( mappingType === CellColorMappingType.AUTO_SCALED ) {
+      const range = this.autoScaledRanges[ channel ];
+      if ( range !== null ) {
+        amount = ( proteinLevel - range.min ) / Math.max( range.max - range.min, MIN_AUTO_SCALE_SPAN );
+      }
+    }
+    else if ( mappingType === CellColorMappingType.LOGARITHMIC ) {
+      if ( proteinLevel > 0 ) {
+        amount = Math.log( proteinLevel / LOGARITHMIC_MIN_PROTEIN_LEVEL ) /
+                 Math.log( LOGARITHMIC_MAX_PROTEIN_LEVEL / LOGARITHMIC_MIN_PROTEIN_LEVEL );
+      }
+    }
+    else {
+
+      // The percentile is that of the middle of any cells that have the same level, and none of the cells fluoresce if
+      // none of them has any of the protein, e.g. when the second reporter isn't enabled.
+      const sortedProteinLevels = this.sortedProteinLevels[ channel ];
+      const numberOfLevels = sortedProteinLevels.length;
+      if ( numberOfLevels > 0 && sortedProteinLevels[ numberOfLevels - 1 ] > 0 ) {
+        const numberBelow = countLevelsBelow( sortedProteinLevels, proteinLevel, false );
+        const numberNotAbove = countLevelsBelow( sortedProteinLevels, proteinLevel, true );
+        amount = ( numberBelow + numberNotAbove ) / ( 2 * numberOfLevels );
+      }
+    }
+    return Utils.clamp( amount, 0, 1 );
+  }
+
+  /**
+   * Get the level of the first protein at which a cell has changed a given amount towards its fluorescent color, which
+   * is the inverse of the mapping and is used for labeling a key of the colors.
+   * @param {number} amount - from 0 to 1
+   * @returns {number}
+   * @public
+   */
+  getProteinLevelAtAmount( amount ) {
+    const mappingType = this.mappingTypeProperty.get();
+    if ( mappingType === CellColorMappingType.FIXED ) {
+      const fixedRange = getFixedRange( this.geneticCircuitProperty.get() !== GeneticCircuit.SINGLE_GENE );
+      return fixedRange.min + amount * ( fixedRange.max - fixedRange.min );
+    }
+    else if ( mappingType === CellColorMappingType.AUTO_SCALED ) {
+      const range = this.autoScaledRanges[ 0 ] || { min: 0, max: 0 };
+      return range.min + amount * Math.max( range.max - range.min, MIN_AUTO_SCALE_SPAN );
+    }
+    else if ( mappingType === CellColorMappingType.LOGARITHMIC ) {
+      return LOGARITHMIC_MIN_PROTEIN_LEVEL * Math.pow( LOGARITHMIC_MAX_PROTEIN_LEVEL / LOGARITHMIC_MIN_PROTEIN_LEVEL, amount );
+    }
+    else {
+      const sortedProteinLevels = this.sortedProteinLevels[ 0 ];
+      return sortedProteinLevels.length === 0 ? 0 :
+             sortedProteinLevels[ Utils.roundSymmetric( amount * ( sortedProteinLevels.length - 1 ) ) ];
+    }
+  }
+
+  /**
+   * Get the colors of the selected palette.
+   * @returns {{nominalColor:Color, florescentColors:Array.<Color>}} - the fluorescent colors are those of each protein
+   * of a genetic circuit, followed by that of the second reporter
+   * @public
+   */
+  getPaletteColors() {
+    return PALETTES[ this.paletteProperty.get().name ];
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.mappingTypeProperty.reset();
+    this.paletteProperty.reset();
+  }
+}
+
+/**
+ * @param {Cell} cell
+ * @param {number} channel
+ * @returns {number|null} - level of the protein of the channel, null if the cell doesn't have it
+ */
+function getProteinLevel( cell, channel ) {
+  if ( channel === SECOND_REPORTER_CHANNEL ) {
+    return cell.secondReporterProteinCount.get();
+  }
+  return channel < cell.getNumberOfProteins() ? cell.proteinCounts[ channel ].get() : null;
+}
+
+/**
+ * Get the fixed range of protein levels over which the color of a cell changes.
+ * @param {boolean} isCircuit - whether the protein is one of those of a genetic circuit with more than one gene
+ * @returns {{min:number, max:number}}
+ */
+function getFixedRange( isCircuit ) {
+  return isCircuit ?
+    { min: 0, max: Cell.CircuitProteinLevelWhereColorChangeCompletes } :
+    { min: Cell.ProteinLevelWhereColorChangeStarts, max: Cell.ProteinLevelWhereColorChangeCompletes };
+}
+
+/**
+ * Count the levels that are below a level with a binary search.
+ * @param {Array.<number>} sortedProteinLevels - in ascending order
+ * @param {number} proteinLevel
+ * @param {boolean} includeEqual - whether levels that are equal to the level are counted too
+ * @returns {number}
+ */
+function countLevelsBelow( sortedProteinLevels, proteinLevel, includeEqual ) {
+  let low = 0;
+  let high = sortedProteinLevels.length;
+  while ( low < high ) {
+    const middle = Math.floor( ( low + high ) / 2 );
+    const isBelow = includeEqual ? sortedProteinLevels[ middle ] <= proteinLevel : sortedProteinLevels[ middle ] < proteinLevel;
+    if ( isBelow ) {
+      low = middle + 1;
+    }
+    else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+geneExpressionEssentials.register( 'CellColorMapping', CellColorMapping );
+export default CellColorMapping;
@@ -0,0 +1,23 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Enumeration of the ways that the protein level of a cell can be mapped to how brightly the cell fluoresces.
+ *
+ * FIXED - linear between fixed protein levels, like a microscope with a fixed exposure
+ * AUTO_SCALED - linear between the lowest and highest levels in the visible population, which follow the population as
+ *   it changes
+ * LOGARITHMIC - logarithmic over a wide fixed range of levels, so that differences between low levels can be seen
+ *   without high levels saturating
+ * PERCENTILE - by the rank of the level within the visible population, so that the brightness of a cell shows how it
+ *   compares to the others regardless of the spread of the levels
+ *
+ * @author agent
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+const CellColorMappingType = Enumeration.byKeys( [ 'FIXED', 'AUTO_SCALED', 'LOGARITHMIC', 'PERCENTILE' ] );
+
+geneExpressionEssentials.register( 'CellColorMappingType', CellColorMappingType );
+export default CellColorMappingType;
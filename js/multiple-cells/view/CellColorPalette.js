@@ -0,0 +1,19 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Enumeration of the palettes of fluorescent colors that the cells can be shown in.
+ *
+ * STANDARD - colors like those of common fluorescent proteins, e.g. GFP, CFP and mCherry
+ * COLORBLIND_SAFE - colors from the Okabe-Ito palette, which can be told apart with the common forms of color blindness
+ * GRAYSCALE - shades of gray, which show the level of a single protein by brightness alone
+ *
+ * @author agent
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+const CellColorPalette = Enumeration.byKeys( [ 'STANDARD', 'COLORBLIND_SAFE', 'GRAYSCALE' ] );
+
+geneExpressionEssentials.register( 'CellColorPalette', CellColorPalette );
+export default CellColorPalette;
@@ -0,0 +1,53 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Labels for the cell parameters that can be varied by parameter sweeps and schedules, keyed by the names used in
+ * MultipleCellsModel.cellParameters. Each has a label for the parameter and labels for the ends of its range, which
+ * match those on the sliders for the parameters.
+ *
+ * @author agent
+ */
+
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import geneExpressionEssentialsStrings from '../../geneExpressionEssentialsStrings.js';
+
+const fastString = geneExpressionEssentialsStrings.fast;
+const highString = geneExpressionEssentialsStrings.high;
+const lowString = geneExpressionEssentialsStrings.low;
+const mRnaDestroyerLevelString = geneExpressionEssentialsStrings.mRnaDestroyerLevel;
+const polymeraseAffinityString = geneExpressionEssentialsStrings.polymeraseAffinity;
+const proteinDegradationRateString = geneExpressionEssentialsStrings.proteinDegradationRate;
+const slowString = geneExpressionEssentialsStrings.slow;
+const transcriptionFactorAffinityString = geneExpressionEssentialsStrings.transcriptionFactorAffinity;
+const transcriptionFactorLevelString = geneExpressionEssentialsStrings.transcriptionFactorLevel;
+
+const CellParameterLabels = {
+  transcriptionFactorLevel: {
+    label: transcriptionFactorLevelString,
+    minLabel: lowString,
+    maxLabel: highString
+  },
+  transcriptionFactorAssociationProbability: {
+    label: transcriptionFactorAffinityString,
+    minLabel: lowString,
+    maxLabel: highString
+  },
+  polymeraseAssociationProbability: {
+    label: polymeraseAffinityString,
+    minLabel: lowString,
+    maxLabel: highString
+  },
+  mRnaDegradationRate: {
+    label: mRnaDestroyerLevelString,
+    minLabel: lowString,
+    maxLabel: highString
+  },
+  proteinDegradationRate: {
+    label: proteinDegradationRateString,
+    minLabel: slowString,
+    maxLabel: fastString
+  }
+};
+
+geneExpressionEssentials.register( 'CellParameterLabels', CellParameterLabels );
+export default CellParameterLabels;
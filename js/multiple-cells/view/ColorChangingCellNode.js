@@ -3,37 +3,42 @@
 /**
  * Node that represents a cell (as in a biological organism) that changes color as the level of protein within the cell
  * changes. The color change is meant to represent a cell that is expressing a fluorescent protein, something like
- * Green Fluorescent Protein, or GFP.
+ * Green Fluorescent Protein, or GFP. When the cell has a second reporter protein, it fluoresces in a second color, and
+ * the two colors are added together as they would be when the fluorescence of both is imaged. Similarly, each protein
+ * of a genetic circuit fluoresces in its own color, so that the state of the circuit can be seen. The colors, and how
+ * they depend on the protein levels, are selectable and are provided by a CellColorMapping.
  *
  * @author John Blanco
  * @author Mohamed Safi
  * @author Aadish Gupta
  */
 
-import Utils from '../../../../dot/js/Utils.js';
+import Matrix3 from '../../../../dot/js/Matrix3.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
 import Path from '../../../../scenery/js/nodes/Path.js';
 import Color from '../../../../scenery/js/util/Color.js';
 import geneExpressionEssentials from '../../geneExpressionEssentials.js';
-import Cell from '../model/Cell.js';
 
 // constants
-const NOMINAL_FILL_COLOR = new Color( 30, 30, 40 ); // Blue Gray
-const FLORESCENT_FILL_COLOR = new Color( 200, 255, 58 );
 const LINE_WIDTH = 2;
 const STROKE_COLOR = Color.WHITE;
+const SELECTED_LINE_WIDTH = 5;
+
+// Proportion of the growth of a cell that is shown. Cells are shown stretching less than they actually grow, since the
+// layout of the cells doesn't leave room for them to double in length.
+const VISIBLE_GROWTH_PROPORTION = 0.5;
 
 class ColorChangingCellNode extends Node {
 
   /**
    * @param {Cell} cell
    * @param {ModelViewTransform2} modelViewTransform
+   * @param {CellColorMapping} colorMapping - maps the protein levels of the cell to its color
    */
-  constructor( cell, modelViewTransform ) {
+  constructor( cell, modelViewTransform, colorMapping ) {
     super();
 
     const cellBody = new Path( modelViewTransform.modelToViewShape( cell.getShape() ), {
-      fill: NOMINAL_FILL_COLOR,
       stroke: STROKE_COLOR,
       lineWidth: LINE_WIDTH,
       lineJoin: 'round',
@@ -41,19 +46,43 @@ class ColorChangingCellNode extends Node {
       center: modelViewTransform.modelToViewXY( cell.positionX, cell.positionY )
     } );
 
-    cell.proteinCount.lazyLink( proteinCount => {
-      const florescenceAmount = Utils.clamp( ( proteinCount - Cell.ProteinLevelWhereColorChangeStarts ) /
-                                             ( Cell.ProteinLevelWhereColorChangeCompletes - Cell.ProteinLevelWhereColorChangeStarts ), 0, 1.0 );
-      cellBody.fill = Color.interpolateRGBA( NOMINAL_FILL_COLOR, FLORESCENT_FILL_COLOR, florescenceAmount );
-    } );
+    const updateFill = () => {
+      cellBody.fill = colorMapping.getFillColor( cell );
+    };
+    updateFill();
+    cell.proteinCounts.forEach( proteinCount => proteinCount.lazyLink( updateFill ) );
+    cell.secondReporterProteinCount.lazyLink( updateFill );
+    colorMapping.changedEmitter.addListener( updateFill );
     this.addChild( cellBody );
-  }
-}
 
+    // Stretch the cell along its long axis, about its center, as it grows. The rotation is reversed in the view, since
+    // the y axis is inverted.
+    const initialMatrix = cellBody.matrix.copy();
+    const center = cellBody.center;
+    cell.growthFactorProperty.link( growthFactor => {
+      const stretch = 1 + ( growthFactor - 1 ) * VISIBLE_GROWTH_PROPORTION;
+      cellBody.matrix = Matrix3.translationFromVector( center )
+        .timesMatrix( Matrix3.rotation2( -cell.rotationAngle ) )
+        .timesMatrix( Matrix3.scaling( stretch, 1 ) )
+        .timesMatrix( Matrix3.rotation2( cell.rotationAngle ) )
+        .timesMatrix( Matrix3.translationFromVector( center.negated() ) )
+        .timesMatrix( initialMatrix );
+    } );
 
-// statics
-ColorChangingCellNode.NominalFillColor = NOMINAL_FILL_COLOR;
-ColorChangingCellNode.FlorescentFillColor = FLORESCENT_FILL_COLOR;
+    // @private
+    this.cellBody = cellBody;
+  }
+
+  /**
+   * Set the color used to outline this cell when it is selected, which matches the color of its trace on the chart.
+   * @param {Color|string|null} color - null if the cell is not selected
+   * @public
+   */
+  setSelectionColor( color ) {
+    this.cellBody.stroke = color || STROKE_COLOR;
+    this.cellBody.lineWidth = color ? SELECTED_LINE_WIDTH : LINE_WIDTH;
+  }
+}
 
 geneExpressionEssentials.register( 'ColorChangingCellNode', ColorChangingCellNode );
 
@@ -0,0 +1,54 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Dialog that holds a group of accordion boxes with controls for the Multiple Cells screen, arranged in columns. There
+ * isn't room for all of the controls on the screen, so the ones that are optional additions to the basic model are
+ * shown in dialogs. Each column is short enough to fit in the dialog when all of its boxes are expanded.
+ *
+ * @author agent
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Dialog from '../../../../sun/js/Dialog.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+class ControlsDialog extends Dialog {
+
+  /**
+   * @param {string} title
+   * @param {Array.<Array.<Node>>} columns - the accordion boxes in each column, from top to bottom
+   * @param {Object} [options]
+   */
+  constructor( title, columns, options ) {
+
+    options = merge( {
+
+      // {Node|null} - parent for the lists of any combo boxes in the columns, which is put in front of them, since the
+      // lists can't be shown behind the dialog
+      comboBoxListParent: null,
+
+      title: new Text( title, { font: new PhetFont( { size: 18, weight: 'bold' } ), maxWidth: 400 } ),
+      topMargin: 20,
+      bottomMargin: 20
+    }, options );
+
+    const columnsNode = new HBox( {
+      spacing: 15,
+      align: 'top',
+      children: columns.map( column => new VBox( { spacing: 10, align: 'left', children: column } ) )
+    } );
+    const content = new Node( {
+      children: options.comboBoxListParent ? [ columnsNode, options.comboBoxListParent ] : [ columnsNode ]
+    } );
+
+    super( content, _.omit( options, 'comboBoxListParent' ) );
+  }
+}
+
+geneExpressionEssentials.register( 'ControlsDialog', ControlsDialog );
+export default ControlsDialog;
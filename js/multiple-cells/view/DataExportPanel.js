@@ -0,0 +1,96 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Panel with buttons that export the time series recorded by the Multiple Cells model, along with the current values
+ * of the parameters, as CSV or JSON files. The files are created in the browser and downloaded directly, no server is
+ * involved.
+ *
+ * @author agent
+ */
+
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import RectangularPushButton from '../../../../sun/js/buttons/RectangularPushButton.js';
+import Panel from '../../../../sun/js/Panel.js';
+import GEEConstants from '../../common/GEEConstants.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import geneExpressionEssentialsStrings from '../../geneExpressionEssentialsStrings.js';
+
+// constants
+const FILE_NAME = 'gene-expression-essentials-multiple-cells';
+
+const csvString = geneExpressionEssentialsStrings.csv;
+const exportDataString = geneExpressionEssentialsStrings.exportData;
+const jsonString = geneExpressionEssentialsStrings.json;
+
+class DataExportPanel extends Panel {
+
+  /**
+   * @param {MultipleCellsModel} model
+   */
+  constructor( model ) {
+
+    const createButton = ( label, listener ) => new RectangularPushButton( {
+      content: new Text( label, { font: new PhetFont( 13 ), maxWidth: 50 } ),
+      baseColor: 'white',
+      cornerRadius: GEEConstants.CORNER_RADIUS,
+      touchAreaXDilation: 4,
+      touchAreaYDilation: 4,
+      listener: listener
+    } );
+
+    const csvButton = createButton( csvString, () => {
+      downloadFile(
+        model.timeSeriesRecorder.getCSVString( model.getParameterValues() ),
+        'text/csv',
+        `${FILE_NAME}.csv`
+      );
+    } );
+
+    const jsonButton = createButton( jsonString, () => {
+      downloadFile(
+        model.timeSeriesRecorder.getJSONString( model.getParameterValues() ),
+        'application/json',
+        `${FILE_NAME}.json`
+      );
+    } );
+
+    super( new VBox( {
+      spacing: 6,
+      children: [
+        new Text( exportDataString, { font: new PhetFont( { size: 14, weight: 'bold' } ), maxWidth: 110 } ),
+        new HBox( { spacing: 8, children: [ csvButton, jsonButton ] } )
+      ]
+    } ), {
+      cornerRadius: GEEConstants.CORNER_RADIUS,
+      xMargin: 8,
+      yMargin: 8,
+      fill: new Color( 220, 236, 255 )
+    } );
+  }
+}
+
+/**
+ * Download the given contents as a file by creating a blob and clicking on a temporary link to it.
+ * @param {string} contents
+ * @param {string} mimeType
+ * @param {string} fileName
+ */
+function downloadFile( contents, mimeType, fileName ) {
+  const url = window.URL.createObjectURL( new window.Blob( [ contents ], { type: mimeType } ) );
+  const link = document.createElement( 'a' );
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild( link );
+  link.click();
+  document.body.removeChild( link );
+
+  // Some browsers start the download asynchronously, so the URL is only revoked once the click has been handled.
+  window.setTimeout( () => window.URL.revokeObjectURL( url ), 0 );
+}
+
+geneExpressionEssentials.register( 'DataExportPanel', DataExportPanel );
+export default DataExportPanel;
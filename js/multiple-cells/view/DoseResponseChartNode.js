@@ -0,0 +1,269 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Node that displays the results of a parameter sweep, i.e. the steady-state protein level of the population of cells
+ * as a function of one of the cell parameters. Each point is plotted as the mean with bars that show one standard
+ * deviation above and below it. The controls for choosing the parameter and running the sweep are to the right of the
+ * plot. The vertical scale is automatically chosen from a set of round numbers so that all of the bars fit.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Shape from '../../../../kite/js/Shape.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetColorScheme from '../../../../scenery-phet/js/PhetColorScheme.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Circle from '../../../../scenery/js/nodes/Circle.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import RectangularPushButton from '../../../../sun/js/buttons/RectangularPushButton.js';
+import NumberSpinner from '../../../../sun/js/NumberSpinner.js';
+import Panel from '../../../../sun/js/Panel.js';
+import VerticalAquaRadioButtonGroup from '../../../../sun/js/VerticalAquaRadioButtonGroup.js';
+import GEEConstants from '../../common/GEEConstants.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import geneExpressionEssentialsStrings from '../../geneExpressionEssentialsStrings.js';
+import CellParameterLabels from './CellParameterLabels.js';
+
+// constants
+const PLOT_WIDTH = 290;
+const PLOT_HEIGHT = 120;
+const POINT_RADIUS = 3;
+const VERTICAL_SCALE_VALUES = [ 10, 20, 50, 100, 200, 500, 1000 ]; // candidate values for the top of the vertical axis
+const TICK_LABEL_FONT = new PhetFont( 12 );
+const CONTROL_FONT = new PhetFont( 12 );
+
+const cancelString = geneExpressionEssentialsStrings.cancel;
+const percentPatternString = geneExpressionEssentialsStrings.percentPattern;
+const pointsString = geneExpressionEssentialsStrings.points;
+const startString = geneExpressionEssentialsStrings.start;
+const steadyStateProteinLevelString = geneExpressionEssentialsStrings.steadyStateProteinLevel;
+const steadyStateProteinLevelVsParameterString = geneExpressionEssentialsStrings.steadyStateProteinLevelVsParameter;
+const sweptWithoutQuorumSensingString = geneExpressionEssentialsStrings.sweptWithoutQuorumSensing;
+
+class DoseResponseChartNode extends Panel {
+
+  /**
+   * @param {MultipleCellsModel} model
+   */
+  constructor( model ) {
+
+    const parameterSweep = model.parameterSweep;
+    const contentNode = new Node();
+
+    // plot area, error bars and points
+    const plotBackground = new Rectangle( 0, 0, PLOT_WIDTH, PLOT_HEIGHT, {
+      fill: 'white',
+      stroke: 'black',
+      lineWidth: 1
+    } );
+    contentNode.addChild( plotBackground );
+
+    const spreadBarsNode = new Path( null, { stroke: 'black', lineWidth: 1 } );
+    contentNode.addChild( spreadBarsNode );
+    const meanLineNode = new Path( null, { stroke: PhetColorScheme.RED_COLORBLIND, lineWidth: 1.5 } );
+    contentNode.addChild( meanLineNode );
+    const meanPointsNode = new Node();
+    contentNode.addChild( meanPointsNode );
+
+    // horizontal axis labels, which depend on the parameter
+    const xMinLabel = new Text( '', { font: TICK_LABEL_FONT, maxWidth: 60, top: PLOT_HEIGHT + 4 } );
+    const xMaxLabel = new Text( '', { font: TICK_LABEL_FONT, maxWidth: 60, top: PLOT_HEIGHT + 4 } );
+    const xLabel = new Text( '', { font: new PhetFont( 12 ), maxWidth: PLOT_WIDTH - 130, top: PLOT_HEIGHT + 4 } );
+    contentNode.addChild( xMinLabel );
+    contentNode.addChild( xMaxLabel );
+    contentNode.addChild( xLabel );
+
+    // vertical axis labels, the top one changes with the scale
+    const yMinLabel = new Text( 0, { font: TICK_LABEL_FONT, right: -5, centerY: PLOT_HEIGHT } );
+    const yMaxLabel = new Text( VERTICAL_SCALE_VALUES[ 0 ], { font: TICK_LABEL_FONT, right: -5, centerY: 0 } );
+    contentNode.addChild( yMinLabel );
+    contentNode.addChild( yMaxLabel );
+
+    const yLabel = new Text( steadyStateProteinLevelString, {
+      font: new PhetFont( 13 ),
+      maxWidth: PLOT_HEIGHT + 10,
+      rotation: 3 * Math.PI / 2
+    } );
+    yLabel.right = Math.min( yMinLabel.left, yMaxLabel.left ) - 20;
+    yLabel.centerY = PLOT_HEIGHT / 2;
+    contentNode.addChild( yLabel );
+
+    // title
+    const titleNode = new Text( steadyStateProteinLevelVsParameterString, {
+      font: new PhetFont( { size: 16, weight: 'bold' } ),
+      maxWidth: PLOT_WIDTH,
+      centerX: PLOT_WIDTH / 2,
+      bottom: -10
+    } );
+    contentNode.addChild( titleNode );
+
+    // controls for the sweep
+    const parameterRadioButtonGroup = new VerticalAquaRadioButtonGroup(
+      parameterSweep.parameterNameProperty,
+      Object.keys( CellParameterLabels ).map( name => {
+        return {
+          node: new Text( CellParameterLabels[ name ].label, { font: CONTROL_FONT, maxWidth: 130 } ),
+          value: name
+        };
+      } ),
+      { spacing: 5 }
+    );
+
+    const numberOfPointsSpinner = new NumberSpinner(
+      parameterSweep.numberOfPointsProperty,
+      new Property( parameterSweep.numberOfPointsProperty.range ),
+      { arrowsPosition: 'leftRight' }
+    );
+    const numberOfPointsControl = new HBox( {
+      spacing: 6,
+      children: [ new Text( pointsString, { font: CONTROL_FONT, maxWidth: 50 } ), numberOfPointsSpinner ]
+    } );
+
+    const startButtonText = new Text( startString, { font: CONTROL_FONT, maxWidth: 60 } );
+    const startButton = new RectangularPushButton( {
+      content: startButtonText,
+      baseColor: PhetColorScheme.BUTTON_YELLOW,
+      cornerRadius: GEEConstants.CORNER_RADIUS,
+      listener: () => {
+        parameterSweep.runningProperty.value ? parameterSweep.cancel() : parameterSweep.start();
+      }
+    } );
+    const progressText = new Text( '', { font: CONTROL_FONT, maxWidth: 40 } );
+
+    // The sweep doesn't include quorum sensing, see ParameterSweep.start, so this is noted when it is enabled.
+    const quorumSensingNote = new Text( sweptWithoutQuorumSensingString, {
+      font: new PhetFont( { size: 11, style: 'italic' } ),
+      maxWidth: 130
+    } );
+    model.quorumSensingEnabledProperty.link( quorumSensingEnabled => {
+      quorumSensingNote.visible = quorumSensingEnabled;
+    } );
+
+    const sweepSettings = new VBox( {
+      spacing: 8,
+      align: 'left',
+      children: [ parameterRadioButtonGroup, numberOfPointsControl ]
+    } );
+    const controls = new VBox( {
+      spacing: 8,
+      align: 'left',
+      children: [
+        sweepSettings,
+        new HBox( { spacing: 8, children: [ startButton, progressText ] } ),
+        quorumSensingNote
+      ],
+      left: PLOT_WIDTH + 15,
+      top: -5
+    } );
+    contentNode.addChild( controls );
+
+    super( contentNode, {
+      cornerRadius: GEEConstants.CORNER_RADIUS,
+      fill: 'lightgrey',
+      xMargin: 10,
+      yMargin: 10
+    } );
+
+    // @private
+    this.parameterSweep = parameterSweep;
+    this.cellParameters = model.cellParameters;
+    this.spreadBarsNode = spreadBarsNode;
+    this.meanLineNode = meanLineNode;
+    this.meanPointsNode = meanPointsNode;
+    this.yMaxLabel = yMaxLabel;
+
+    // The parameter and the number of points can't be changed while a sweep is running.
+    parameterSweep.runningProperty.link( running => {
+      startButtonText.text = running ? cancelString : startString;
+      sweepSettings.pickable = !running;
+      sweepSettings.opacity = running ? 0.5 : 1;
+    } );
+
+    parameterSweep.progressProperty.link( progress => {
+      progressText.text = StringUtils.fillIn( percentPatternString, { value: Utils.roundSymmetric( progress * 100 ) } );
+    } );
+
+    parameterSweep.parameterNameProperty.link( parameterName => {
+      const parameterLabels = CellParameterLabels[ parameterName ];
+      xMinLabel.text = parameterLabels.minLabel;
+      xMinLabel.left = 0;
+      xMaxLabel.text = parameterLabels.maxLabel;
+      xMaxLabel.right = PLOT_WIDTH;
+      xLabel.text = parameterLabels.label;
+      xLabel.centerX = PLOT_WIDTH / 2;
+      this.update();
+    } );
+
+    parameterSweep.results.addItemAddedListener( () => this.update() );
+    parameterSweep.results.addItemRemovedListener( () => this.update() );
+  }
+
+  /**
+   * Get the horizontal position of a parameter value in the plot.
+   * @param {number} parameterValue
+   * @returns {number}
+   * @private
+   */
+  parameterValueToX( parameterValue ) {
+    const cellParameter = this.cellParameters[ this.parameterSweep.parameterNameProperty.value ];
+    const range = cellParameter.range;
+    if ( cellParameter.logScale ) {
+
+      // The same minimum is used as in the sweep, since a logarithmic scale can't include zero.
+      const min = Math.max( range.min, range.max / 1000 );
+      return Math.log( parameterValue / min ) / Math.log( range.max / min ) * PLOT_WIDTH;
+    }
+    else {
+      return ( parameterValue - range.min ) / ( range.max - range.min ) * PLOT_WIDTH;
+    }
+  }
+
+  /**
+   * Update the plot to reflect the results of the sweep.
+   * @private
+   */
+  update() {
+    const results = this.parameterSweep.results;
+    const maxValue = results.reduce( ( max, result ) => Math.max( max, result.mean + result.standardDeviation ), 0 );
+    const verticalScale = VERTICAL_SCALE_VALUES.find( value => value >= maxValue ) ||
+                          VERTICAL_SCALE_VALUES[ VERTICAL_SCALE_VALUES.length - 1 ];
+    const valueToY = value => PLOT_HEIGHT - Math.min( value / verticalScale, 1 ) * PLOT_HEIGHT;
+
+    const spreadBarsShape = new Shape();
+    const meanLineShape = new Shape();
+    const meanPoints = [];
+    results.forEach( ( result, index ) => {
+      const x = this.parameterValueToX( result.parameterValue );
+      const y = valueToY( result.mean );
+      const barTop = valueToY( result.mean + result.standardDeviation );
+      const barBottom = valueToY( Math.max( result.mean - result.standardDeviation, 0 ) );
+      spreadBarsShape.moveTo( x, barTop ).lineTo( x, barBottom );
+      spreadBarsShape.moveTo( x - POINT_RADIUS, barTop ).lineTo( x + POINT_RADIUS, barTop );
+      spreadBarsShape.moveTo( x - POINT_RADIUS, barBottom ).lineTo( x + POINT_RADIUS, barBottom );
+      index === 0 ? meanLineShape.moveTo( x, y ) : meanLineShape.lineTo( x, y );
+      meanPoints.push( new Circle( POINT_RADIUS, {
+        fill: PhetColorScheme.RED_COLORBLIND,
+        stroke: 'black',
+        lineWidth: 0.5,
+        centerX: x,
+        centerY: y
+      } ) );
+    } );
+    this.spreadBarsNode.shape = spreadBarsShape;
+    this.meanLineNode.shape = meanLineShape;
+    this.meanPointsNode.children = meanPoints;
+
+    this.yMaxLabel.text = verticalScale;
+    this.yMaxLabel.right = -5;
+  }
+}
+
+geneExpressionEssentials.register( 'DoseResponseChartNode', DoseResponseChartNode );
+export default DoseResponseChartNode;
@@ -0,0 +1,180 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Node that displays a scatter plot of the levels of the two reporter proteins in each of the visible cells, as in the
+ * dual-reporter experiments that separate intrinsic from extrinsic noise. Spread along the diagonal is due to
+ * extrinsic noise, which affects both reporters in a cell in the same way, and spread away from the diagonal is due to
+ * intrinsic noise. The intrinsic and extrinsic noise are shown beside the plot, along with the control that enables
+ * the second reporter. The scale is automatically chosen from a set of round numbers so that all of the points fit.
+ *
+ * @author agent
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import Shape from '../../../../kite/js/Shape.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Circle from '../../../../scenery/js/nodes/Circle.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
+import Panel from '../../../../sun/js/Panel.js';
+import GEEConstants from '../../common/GEEConstants.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import geneExpressionEssentialsStrings from '../../geneExpressionEssentialsStrings.js';
+
+// constants
+const PLOT_SIZE = 120;
+const POINT_RADIUS = 2.5;
+const SCALE_VALUES = [ 50, 100, 200, 500, 1000 ]; // candidate values for the top of both axes
+const TICK_LABEL_FONT = new PhetFont( 12 );
+const CONTROL_FONT = new PhetFont( 12 );
+
+const extrinsicNoiseString = geneExpressionEssentialsStrings.extrinsicNoise;
+const intrinsicNoiseString = geneExpressionEssentialsStrings.intrinsicNoise;
+const reporterComparisonString = geneExpressionEssentialsStrings.reporterComparison;
+const reporterNumberString = geneExpressionEssentialsStrings.reporterNumber;
+const twoReportersString = geneExpressionEssentialsStrings.twoReporters;
+
+class DualReporterScatterPlotNode extends Panel {
+
+  /**
+   * @param {MultipleCellsModel} model
+   */
+  constructor( model ) {
+
+    const contentNode = new Node();
+
+    // plot area, diagonal and points
+    const plotBackground = new Rectangle( 0, 0, PLOT_SIZE, PLOT_SIZE, {
+      fill: 'white',
+      stroke: 'black',
+      lineWidth: 1
+    } );
+    contentNode.addChild( plotBackground );
+
+    // Points on the diagonal have equal levels of the two reporters.
+    contentNode.addChild( new Path( Shape.lineSegment( 0, PLOT_SIZE, PLOT_SIZE, 0 ), {
+      stroke: 'gray',
+      lineDash: [ 4, 3 ]
+    } ) );
+
+    const pointsNode = new Node();
+    contentNode.addChild( pointsNode );
+
+    // axis labels, the top ones change with the scale
+    const minLabel = new Text( 0, { font: TICK_LABEL_FONT, right: -5, top: PLOT_SIZE } );
+    const xMaxLabel = new Text( SCALE_VALUES[ 0 ], { font: TICK_LABEL_FONT, top: PLOT_SIZE + 4 } );
+    const yMaxLabel = new Text( SCALE_VALUES[ 0 ], { font: TICK_LABEL_FONT, centerY: 0 } );
+    contentNode.addChild( minLabel );
+    contentNode.addChild( xMaxLabel );
+    contentNode.addChild( yMaxLabel );
+
+    contentNode.addChild( new Text( StringUtils.fillIn( reporterNumberString, { number: 1 } ), {
+      font: new PhetFont( 12 ),
+      maxWidth: PLOT_SIZE - 40,
+      centerX: PLOT_SIZE / 2,
+      top: PLOT_SIZE + 4
+    } ) );
+    contentNode.addChild( new Text( StringUtils.fillIn( reporterNumberString, { number: 2 } ), {
+      font: new PhetFont( 12 ),
+      maxWidth: PLOT_SIZE - 40,
+      rotation: 3 * Math.PI / 2,
+      right: -30,
+      centerY: PLOT_SIZE / 2
+    } ) );
+
+    // title
+    contentNode.addChild( new Text( reporterComparisonString, {
+      font: new PhetFont( { size: 16, weight: 'bold' } ),
+      maxWidth: PLOT_SIZE + 150,
+      left: 0,
+      bottom: -10
+    } ) );
+
+    // control for the second reporter and readouts of the noise
+    const noiseReadouts = [
+      { label: intrinsicNoiseString, property: model.dualReporterIntrinsicNoiseProperty },
+      { label: extrinsicNoiseString, property: model.dualReporterExtrinsicNoiseProperty }
+    ].map( readout => {
+      const valueNode = new Text( '', { font: CONTROL_FONT, maxWidth: 40 } );
+      readout.property.link( value => {
+        valueNode.text = Utils.toFixed( value, 3 );
+      } );
+      return new HBox( {
+        spacing: 8,
+        children: [ new Text( readout.label, { font: CONTROL_FONT, maxWidth: 90 } ), valueNode ]
+      } );
+    } );
+
+    const controls = new VBox( {
+      spacing: 8,
+      align: 'left',
+      children: [
+        new Checkbox(
+          new Text( twoReportersString, { font: CONTROL_FONT, maxWidth: 120 } ),
+          model.dualReporterEnabledProperty,
+          { boxWidth: 14 }
+        ),
+        ...noiseReadouts
+      ],
+      left: PLOT_SIZE + 15,
+      centerY: PLOT_SIZE / 2
+    } );
+    contentNode.addChild( controls );
+
+    super( contentNode, {
+      cornerRadius: GEEConstants.CORNER_RADIUS,
+      fill: 'lightgrey',
+      xMargin: 10,
+      yMargin: 10
+    } );
+
+    // @private
+    this.visibleCellList = model.visibleCellList;
+    this.dualReporterEnabledProperty = model.dualReporterEnabledProperty;
+    this.pointsNode = pointsNode;
+    this.xMaxLabel = xMaxLabel;
+    this.yMaxLabel = yMaxLabel;
+
+    model.dualReporterEnabledProperty.link( () => this.update() );
+  }
+
+  /**
+   * Update the plot to reflect the current levels of the reporters.
+   * @public
+   */
+  update() {
+    const points = [];
+    if ( this.dualReporterEnabledProperty.value ) {
+      const maxLevel = this.visibleCellList.reduce( ( max, cell ) => {
+        return Math.max( max, cell.proteinCount.get(), cell.secondReporterProteinCount.get() );
+      }, 0 );
+      const scale = SCALE_VALUES.find( value => value >= maxLevel ) || SCALE_VALUES[ SCALE_VALUES.length - 1 ];
+      const levelToPosition = level => Math.min( level / scale, 1 ) * PLOT_SIZE;
+
+      this.visibleCellList.forEach( cell => {
+        points.push( new Circle( POINT_RADIUS, {
+          fill: 'black',
+          opacity: 0.6,
+          centerX: levelToPosition( cell.proteinCount.get() ),
+          centerY: PLOT_SIZE - levelToPosition( cell.secondReporterProteinCount.get() )
+        } ) );
+      } );
+
+      this.xMaxLabel.text = scale;
+      this.yMaxLabel.text = scale;
+    }
+    this.pointsNode.children = points;
+
+    this.xMaxLabel.right = PLOT_SIZE;
+    this.yMaxLabel.right = -5;
+  }
+}
+
+geneExpressionEssentials.register( 'DualReporterScatterPlotNode', DualReporterScatterPlotNode );
+export default DualReporterScatterPlotNode;
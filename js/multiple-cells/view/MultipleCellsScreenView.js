@@ -7,43 +7,98 @@
  * @author Aadish Gupta
  */
 
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import createObservableArray from '../../../../axon/js/createObservableArray.js';
+import Property from '../../../../axon/js/Property.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
 import ScreenView from '../../../../joist/js/ScreenView.js';
+import merge from '../../../../phet-core/js/merge.js';
 import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
 import ResetAllButton from '../../../../scenery-phet/js/buttons/ResetAllButton.js';
 import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
 import TimeControlNode from '../../../../scenery-phet/js/TimeControlNode.js';
+import FireListener from '../../../../scenery/js/listeners/FireListener.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
 import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
 import Color from '../../../../scenery/js/util/Color.js';
 import RectangularPushButton from '../../../../sun/js/buttons/RectangularPushButton.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
 import Panel from '../../../../sun/js/Panel.js';
+import VerticalAquaRadioButtonGroup from '../../../../sun/js/VerticalAquaRadioButtonGroup.js';
 import GEEConstants from '../../common/GEEConstants.js';
 import ControllerNode from '../../common/view/ControllerNode.js';
 import geneExpressionEssentials from '../../geneExpressionEssentials.js';
 import geneExpressionEssentialsStrings from '../../geneExpressionEssentialsStrings.js';
 import CellProteinSynthesisSimulator from '../model/CellProteinSynthesisSimulator.js';
+import FeedbackType from '../model/FeedbackType.js';
+import GeneticCircuit from '../model/GeneticCircuit.js';
 import MultipleCellsModel from '../model/MultipleCellsModel.js';
+import ReactionSolverType from '../model/reaction-solvers/ReactionSolverType.js';
+import CellColorAccordionBox from './CellColorAccordionBox.js';
+import CellColorMapping from './CellColorMapping.js';
 import ColorChangingCellNode from './ColorChangingCellNode.js';
+import ControlsDialog from './ControlsDialog.js';
+import DataExportPanel from './DataExportPanel.js';
+import DoseResponseChartNode from './DoseResponseChartNode.js';
+import DualReporterScatterPlotNode from './DualReporterScatterPlotNode.js';
 import FluorescentCellsPictureDialog from './FluorescentCellsPictureDialog.js';
 import ParameterControlAccordionBox from './ParameterControlAccordionBox.js';
+import ParameterScheduleAccordionBox from './ParameterScheduleAccordionBox.js';
+import PopulationStatisticsAccordionBox from './PopulationStatisticsAccordionBox.js';
 import ProteinLevelChartNode from './ProteinLevelChartNode.js';
+import ProteinLevelHistogramNode from './ProteinLevelHistogramNode.js';
+import SignalingFieldCanvasNode from './SignalingFieldCanvasNode.js';
 
+const accurateString = geneExpressionEssentialsStrings.accurate;
 const affinitiesString = geneExpressionEssentialsStrings.affinities;
+const analysisToolsString = geneExpressionEssentialsStrings.analysisTools;
+const approximateTauLeapingString = geneExpressionEssentialsStrings.approximateTauLeaping;
+const averageVsTimeString = geneExpressionEssentialsStrings.averageVsTime;
+const cellsGrowAndDivideString = geneExpressionEssentialsStrings.cellsGrowAndDivide;
 const cellsString = geneExpressionEssentialsStrings.cells;
+const cellToCellVariationString = geneExpressionEssentialsStrings.cellToCellVariation;
 const concentrationString = geneExpressionEssentialsStrings.concentration;
 const degradationString = geneExpressionEssentialsStrings.degradation;
+const deterministicNoNoiseString = geneExpressionEssentialsStrings.deterministicNoNoise;
+const distributionString = geneExpressionEssentialsStrings.distribution;
+const doseResponseString = geneExpressionEssentialsStrings.doseResponse;
+const doublingTimeString = geneExpressionEssentialsStrings.doublingTime;
+const exactDirectString = geneExpressionEssentialsStrings.exactDirect;
+const exactNextReactionString = geneExpressionEssentialsStrings.exactNextReaction;
 const fastString = geneExpressionEssentialsStrings.fast;
+const feedbackString = geneExpressionEssentialsStrings.feedback;
+const geneticCircuitString = geneExpressionEssentialsStrings.geneticCircuit;
+const gradualString = geneExpressionEssentialsStrings.gradual;
+const growthString = geneExpressionEssentialsStrings.growth;
 const highString = geneExpressionEssentialsStrings.high;
 const lowString = geneExpressionEssentialsStrings.low;
 const manyString = geneExpressionEssentialsStrings.many;
+const moreParametersString = geneExpressionEssentialsStrings.moreParameters;
 const mRnaDestroyerString = geneExpressionEssentialsStrings.mRnaDestroyer;
+const negativeString = geneExpressionEssentialsStrings.negative;
+const noneString = geneExpressionEssentialsStrings.none;
 const oneString = geneExpressionEssentialsStrings.one;
 const polymeraseString = geneExpressionEssentialsStrings.polymerase;
+const positiveString = geneExpressionEssentialsStrings.positive;
 const positiveTranscriptionFactorString = geneExpressionEssentialsStrings.positiveTranscriptionFactor;
+const quorumSensingString = geneExpressionEssentialsStrings.quorumSensing;
+const repressilatorString = geneExpressionEssentialsStrings.repressilator;
+const reportersString = geneExpressionEssentialsStrings.reporters;
 const proteinString = geneExpressionEssentialsStrings.protein;
+const ribosomeLevelString = geneExpressionEssentialsStrings.ribosomeLevel;
 const showRealCellsString = geneExpressionEssentialsStrings.showRealCells;
+const signalingString = geneExpressionEssentialsStrings.signaling;
+const simulationMethodString = geneExpressionEssentialsStrings.simulationMethod;
+const singleGeneString = geneExpressionEssentialsStrings.singleGene;
 const slowString = geneExpressionEssentialsStrings.slow;
+const steepnessString = geneExpressionEssentialsStrings.steepness;
+const steepString = geneExpressionEssentialsStrings.steep;
+const tauLeapingToleranceString = geneExpressionEssentialsStrings.tauLeapingTolerance;
+const thresholdString = geneExpressionEssentialsStrings.threshold;
+const toggleSwitchString = geneExpressionEssentialsStrings.toggleSwitch;
+const transcriptionFactorLevelString = geneExpressionEssentialsStrings.transcriptionFactorLevel;
+const wideString = geneExpressionEssentialsStrings.wide;
 
 class MultipleCellsScreenView extends ScreenView {
 
@@ -89,26 +144,122 @@ class MultipleCellsScreenView extends ScreenView {
     showRealCellsButton.top = this.layoutBounds.minY + 10;
     this.addChild( showRealCellsButton );
 
-    this.proteinLevelChartNode = new ProteinLevelChartNode( model.averageProteinLevelProperty );
+    // @private {ObservableArrayDef.<Cell>} - cells that the user has selected, whose individual protein levels are
+    // plotted on the chart
+    this.selectedCells = createObservableArray();
+
+    // @private - maps the protein levels of the cells to their colors
+    this.cellColorMapping = new CellColorMapping( model );
+
+    this.proteinLevelChartNode = new ProteinLevelChartNode( model.averageProteinLevelProperty, {
+      deterministicProteinLevelProperty: model.deterministicProteinLevelProperty,
+      deterministicTraceEnabledProperty: model.deterministicTraceEnabledProperty,
+      selectedCells: this.selectedCells,
+      cellList: model.cellList,
+      clockRunningProperty: model.clockRunningProperty,
+      additionalAverageProteinLevelProperties: model.averageProteinLevelProperties.slice( 1 ),
+      numberOfProteinsProperty: model.numberOfProteinsProperty,
+      timeToSteadyStateProperty: model.timeToSteadyStateProperty,
+      steadyStateMarkerEnabledProperty: model.steadyStateMarkerEnabledProperty,
+      colorMapping: this.cellColorMapping
+    } );
     this.addChild( this.proteinLevelChartNode );
     this.proteinLevelChartNode.top = showRealCellsButton.top;
     this.proteinLevelChartNode.left = showRealCellsButton.right + 10;
 
+    // histogram of the protein levels, which can be shown in place of the chart of the average
+    this.proteinLevelHistogramNode = new ProteinLevelHistogramNode( model.visibleCellList, {
+      getTimeAveragedProteinLevel: cell => model.getTimeAveragedProteinLevel( cell )
+    } );
+    this.addChild( this.proteinLevelHistogramNode );
+    this.proteinLevelHistogramNode.top = this.proteinLevelChartNode.top;
+    this.proteinLevelHistogramNode.left = this.proteinLevelChartNode.left;
+
+    // chart of the results of parameter sweeps, which can also be shown in place of the chart of the average
+    const doseResponseChartNode = new DoseResponseChartNode( model );
+    this.addChild( doseResponseChartNode );
+    doseResponseChartNode.top = this.proteinLevelChartNode.top;
+    doseResponseChartNode.left = this.proteinLevelChartNode.left;
+
+    // scatter plot of the levels of the two reporters, which can also be shown in place of the chart of the average
+    this.dualReporterScatterPlotNode = new DualReporterScatterPlotNode( model );
+    this.addChild( this.dualReporterScatterPlotNode );
+    this.dualReporterScatterPlotNode.top = this.proteinLevelChartNode.top;
+    this.dualReporterScatterPlotNode.left = this.proteinLevelChartNode.left;
+
+    // @private - selects whether the average vs. time chart, the distribution histogram, the dose-response chart or the
+    // reporter scatter plot is shown
+    this.proteinLevelDisplayProperty = new Property( 'averageVsTime', {
+      validValues: [ 'averageVsTime', 'distribution', 'doseResponse', 'dualReporter' ]
+    } );
+    this.proteinLevelDisplayProperty.link( proteinLevelDisplay => {
+      this.proteinLevelChartNode.visible = proteinLevelDisplay === 'averageVsTime';
+      this.proteinLevelHistogramNode.visible = proteinLevelDisplay === 'distribution';
+      doseResponseChartNode.visible = proteinLevelDisplay === 'doseResponse';
+      this.dualReporterScatterPlotNode.visible = proteinLevelDisplay === 'dualReporter';
+      this.proteinLevelHistogramNode.update();
+      this.dualReporterScatterPlotNode.update();
+    } );
+
+    const radioButtonTextOptions = { font: new PhetFont( 13 ), maxWidth: 110 };
+    const proteinLevelDisplayPanel = new Panel( new VerticalAquaRadioButtonGroup( this.proteinLevelDisplayProperty, [
+      { node: new Text( averageVsTimeString, radioButtonTextOptions ), value: 'averageVsTime' },
+      { node: new Text( distributionString, radioButtonTextOptions ), value: 'distribution' },
+      { node: new Text( doseResponseString, radioButtonTextOptions ), value: 'doseResponse' },
+      { node: new Text( reportersString, radioButtonTextOptions ), value: 'dualReporter' }
+    ], { spacing: 8 } ), {
+      cornerRadius: GEEConstants.CORNER_RADIUS,
+      xMargin: 8,
+      yMargin: 8,
+      fill: new Color( 220, 236, 255 )
+    } );
+    this.addChild( proteinLevelDisplayPanel );
+    proteinLevelDisplayPanel.left = showRealCellsButton.left;
+    proteinLevelDisplayPanel.top = showRealCellsButton.bottom + 10;
+
+    // parent for the list of the combo box of the schedules, which is in the dialog with them
+    const comboBoxListParent = new Node();
+
+    // statistics that quantify the noise in the protein levels, and the controls for parameter schedules and the colors
+    // of the cells, which are in a dialog, since there isn't room for them beside the chart
+    const populationStatisticsAccordionBox = new PopulationStatisticsAccordionBox( model );
+    const parameterScheduleAccordionBox = new ParameterScheduleAccordionBox( model, comboBoxListParent );
+    const cellColorAccordionBox = new CellColorAccordionBox( this.cellColorMapping );
+
     // Add the Reset All button.
     const resetAllButton = new ResetAllButton( {
       listener: () => {
         this.interruptSubtreeInput(); // cancel user interactions
         model.reset();
+        this.selectedCells.clear();
         concentrationControlPanel.expandedProperty.reset();
         affinityControlPanel.expandedProperty.reset();
         degradationControlPanel.expandedProperty.reset();
+        growthControlPanel.expandedProperty.reset();
+        variationControlPanel.expandedProperty.reset();
+        feedbackControlPanel.expandedProperty.reset();
+        circuitControlPanel.expandedProperty.reset();
+        signalingControlPanel.expandedProperty.reset();
+        simulationMethodControlPanel.expandedProperty.reset();
+        populationStatisticsAccordionBox.expandedProperty.reset();
+        parameterScheduleAccordionBox.reset();
+        cellColorAccordionBox.expandedProperty.reset();
+        this.cellColorMapping.reset();
         this.proteinLevelChartNode.reset();
+        this.proteinLevelHistogramNode.reset();
+        this.proteinLevelDisplayProperty.reset();
       },
       right: this.layoutBounds.maxX - 10,
       bottom: this.layoutBounds.maxY - 10
     } );
     this.addChild( resetAllButton );
 
+    // buttons for exporting the recorded data
+    const dataExportPanel = new DataExportPanel( model );
+    this.addChild( dataExportPanel );
+    dataExportPanel.left = showRealCellsButton.left;
+    dataExportPanel.bottom = resetAllButton.bottom;
+
     // Add a time control node
     const timeControlNode = new TimeControlNode( model.clockRunningProperty, {
       playPauseStepButtonOptions: {
@@ -130,6 +281,19 @@ class MultipleCellsScreenView extends ScreenView {
 
     const cellLayer = new Node();
     const invisibleCellLayer = new Node(); // for performance improvement load all cells at start of the sim
+
+    // The signaling molecule is shown behind the cells, and is transformed along with them. It isn't in the cell layer,
+    // since the cell layer is scaled to fit the visible cells and the field is larger than that.
+    // @private
+    this.signalingFieldNode = new SignalingFieldCanvasNode(
+      model.signalingField,
+      2 * MultipleCellsModel.SignalThreshold,
+      this.modelViewTransform
+    );
+    model.quorumSensingEnabledProperty.link( quorumSensingEnabled => {
+      this.signalingFieldNode.visible = quorumSensingEnabled;
+    } );
+    this.addChild( this.signalingFieldNode );
     this.addChild( cellLayer );
 
     const cellNumberController = new ControllerNode(
@@ -166,9 +330,54 @@ class MultipleCellsScreenView extends ScreenView {
     const cellNodes = [];
 
     for ( let i = 0; i < model.cellList.length; i++ ) {
-      const cellNode = new ColorChangingCellNode( model.cellList[ i ], this.modelViewTransform );
+      const cell = model.cellList[ i ];
+      const cellNode = new ColorChangingCellNode( cell, this.modelViewTransform, this.cellColorMapping );
       cellNodes.push( cellNode );
       invisibleCellLayer.addChild( cellNode );
+
+      // Clicking on a cell toggles whether its individual protein level is plotted on the chart.
+      cellNode.cursor = 'pointer';
+      cellNode.addInputListener( new FireListener( {
+        fire: () => {
+          if ( this.selectedCells.includes( cell ) ) {
+            this.selectedCells.remove( cell );
+          }
+          else {
+            if ( this.selectedCells.length >= ProteinLevelChartNode.MaxCellTraces ) {
+
+              // Make room by deselecting the cell that has been selected the longest.
+              this.selectedCells.shift();
+            }
+            this.selectedCells.push( cell );
+          }
+        }
+      } ) );
+    }
+
+    // Outline the selected cells in the same color as their traces.
+    this.selectedCells.addItemAddedListener( cell => {
+      cellNodes[ model.cellList.indexOf( cell ) ].setSelectionColor( this.proteinLevelChartNode.getCellTraceColor( cell ) );
+    } );
+    this.selectedCells.addItemRemovedListener( cell => {
+      cellNodes[ model.cellList.indexOf( cell ) ].setSelectionColor( null );
+    } );
+
+    // Cells that are no longer visible can't be selected.
+    model.visibleCellList.addItemRemovedListener( removedCell => {
+      if ( this.selectedCells.includes( removedCell ) ) {
+        this.selectedCells.remove( removedCell );
+      }
+    } );
+
+    // Scale and center the cell layer so that the visible cells fit between the chart and the cell number control.
+    function layOutCellLayer() {
+      cellLayer.setScaleMagnitude( 1 );
+      const scaleFactor = Math.min( ( cellNumberControllerPanel.top - self.proteinLevelChartNode.bottom ) / cellLayer.height, 1 );
+      cellLayer.setScaleMagnitude( scaleFactor * 0.9 );
+      cellLayer.centerX = self.proteinLevelChartNode.centerX;
+      cellLayer.centerY = self.proteinLevelChartNode.bottom +
+                          ( cellNumberControllerPanel.top - self.proteinLevelChartNode.bottom ) / 2;
+      self.signalingFieldNode.matrix = cellLayer.matrix;
     }
 
     function addCellView( addedCellIndex ) {
@@ -179,21 +388,10 @@ class MultipleCellsScreenView extends ScreenView {
         if ( removedCellIndex === addedCellIndex ) {
           cellLayer.removeChild( cellNodes[ addedCellIndex ] );
           model.visibleCellList.removeItemRemovedListener( removalListener );
-          cellLayer.setScaleMagnitude( 1 );
-          const scaleFactor = Math.min( ( cellNumberControllerPanel.top - self.proteinLevelChartNode.bottom ) / cellLayer.height, 1 );
-          cellLayer.setScaleMagnitude( scaleFactor * 0.9 );
-          cellLayer.centerX = self.proteinLevelChartNode.centerX;
-          cellLayer.centerY = self.proteinLevelChartNode.bottom +
-                              ( cellNumberControllerPanel.top - self.proteinLevelChartNode.bottom ) / 2;
+          layOutCellLayer();
         }
       } );
-      cellLayer.setScaleMagnitude( 1 );
-      const scaleFactor = Math.min( ( cellNumberControllerPanel.top - self.proteinLevelChartNode.bottom ) / cellLayer.height, 1 );
-      cellLayer.setScaleMagnitude( scaleFactor * 0.9 );
-      cellLayer.centerX = self.proteinLevelChartNode.centerX;
-      cellLayer.centerY = self.proteinLevelChartNode.bottom +
-                          ( cellNumberControllerPanel.top - self.proteinLevelChartNode.bottom ) / 2;
-
+      layOutCellLayer();
     }
 
     // Set up an observer of the list of cells in the model so that the view representations can come and go as needed.
@@ -274,6 +472,193 @@ class MultipleCellsScreenView extends ScreenView {
       degradationControllers
     );
 
+    const growthControllers = [
+      {
+        label: doublingTimeString,
+        controlProperty: model.doublingTimeProperty,
+        minValue: model.doublingTimeProperty.range.min,
+        maxValue: model.doublingTimeProperty.range.max,
+        minLabel: fastString,
+        maxLabel: slowString,
+        logScale: false
+      }
+    ];
+
+    // The growth controls are collapsed initially, since growth is an optional addition to the basic model.
+    const growthControlPanel = new ParameterControlAccordionBox(
+      growthString,
+      growthControllers,
+      {
+        topNode: new Checkbox(
+          new Text( cellsGrowAndDivideString, { font: new PhetFont( 13 ), maxWidth: 170 } ),
+          model.growthEnabledProperty,
+          { boxWidth: 14 }
+        ),
+        expandedProperty: new BooleanProperty( false )
+      }
+    );
+
+    const variationControllers = [
+      {
+        label: transcriptionFactorLevelString,
+        controlProperty: model.parameterSpreadProperties.transcriptionFactorLevel,
+        minValue: model.parameterSpreadProperties.transcriptionFactorLevel.range.min,
+        maxValue: model.parameterSpreadProperties.transcriptionFactorLevel.range.max,
+        minLabel: noneString,
+        maxLabel: wideString,
+        logScale: false
+      },
+      {
+        label: ribosomeLevelString,
+        controlProperty: model.parameterSpreadProperties.ribosomeCount,
+        minValue: model.parameterSpreadProperties.ribosomeCount.range.min,
+        maxValue: model.parameterSpreadProperties.ribosomeCount.range.max,
+        minLabel: noneString,
+        maxLabel: wideString,
+        logScale: false
+      }
+    ];
+
+    // The variation controls are also collapsed initially, since by default all cells have the same parameters.
+    const variationControlPanel = new ParameterControlAccordionBox(
+      cellToCellVariationString,
+      variationControllers,
+      { expandedProperty: new BooleanProperty( false ) }
+    );
+
+    const feedbackControllers = [
+      {
+        label: steepnessString,
+        controlProperty: model.hillCoefficientProperty,
+        minValue: model.hillCoefficientProperty.range.min,
+        maxValue: model.hillCoefficientProperty.range.max,
+        minLabel: gradualString,
+        maxLabel: steepString,
+        logScale: false
+      },
+      {
+        label: thresholdString,
+        controlProperty: model.feedbackThresholdProperty,
+        minValue: model.feedbackThresholdProperty.range.min,
+        maxValue: model.feedbackThresholdProperty.range.max,
+        minLabel: lowString,
+        maxLabel: highString,
+        logScale: true
+      }
+    ];
+
+    const feedbackTypeRadioButtonGroup = new VerticalAquaRadioButtonGroup( model.feedbackTypeProperty, [
+      { node: new Text( noneString, { font: new PhetFont( 13 ), maxWidth: 150 } ), value: FeedbackType.NONE },
+      { node: new Text( negativeString, { font: new PhetFont( 13 ), maxWidth: 150 } ), value: FeedbackType.NEGATIVE },
+      { node: new Text( positiveString, { font: new PhetFont( 13 ), maxWidth: 150 } ), value: FeedbackType.POSITIVE }
+    ], { spacing: 5 } );
+
+    // The feedback controls are collapsed initially too, since by default the protein doesn't regulate its own gene.
+    const feedbackControlPanel = new ParameterControlAccordionBox(
+      feedbackString,
+      feedbackControllers,
+      {
+        topNode: feedbackTypeRadioButtonGroup,
+        expandedProperty: new BooleanProperty( false )
+      }
+    );
+
+    const circuitRadioButtonGroup = new VerticalAquaRadioButtonGroup( model.geneticCircuitProperty, [
+      { node: new Text( singleGeneString, { font: new PhetFont( 13 ), maxWidth: 150 } ), value: GeneticCircuit.SINGLE_GENE },
+      { node: new Text( toggleSwitchString, { font: new PhetFont( 13 ), maxWidth: 150 } ), value: GeneticCircuit.TOGGLE_SWITCH },
+      { node: new Text( repressilatorString, { font: new PhetFont( 13 ), maxWidth: 150 } ), value: GeneticCircuit.REPRESSILATOR }
+    ], { spacing: 5 } );
+
+    // The circuit has no sliders of its own, the settings of the other panels apply to all of its genes.
+    const circuitControlPanel = new ParameterControlAccordionBox( geneticCircuitString, [], {
+      topNode: circuitRadioButtonGroup,
+      expandedProperty: new BooleanProperty( false )
+    } );
+
+    // The signaling controls are collapsed initially, since quorum sensing is an optional addition to the basic model.
+    const signalingControlPanel = new ParameterControlAccordionBox( signalingString, [], {
+      topNode: new Checkbox(
+        new Text( quorumSensingString, { font: new PhetFont( 13 ), maxWidth: 170 } ),
+        model.quorumSensingEnabledProperty,
+        { boxWidth: 14 }
+      ),
+      expandedProperty: new BooleanProperty( false )
+    } );
+
+    const solverTextOptions = { font: new PhetFont( 13 ), maxWidth: 180 };
+    const solverRadioButtonGroup = new VerticalAquaRadioButtonGroup( model.reactionSolverTypeProperty, [
+      { node: new Text( exactDirectString, solverTextOptions ), value: ReactionSolverType.DIRECT },
+      { node: new Text( exactNextReactionString, solverTextOptions ), value: ReactionSolverType.NEXT_REACTION },
+      { node: new Text( approximateTauLeapingString, solverTextOptions ), value: ReactionSolverType.TAU_LEAPING },
+      { node: new Text( deterministicNoNoiseString, solverTextOptions ), value: ReactionSolverType.DETERMINISTIC }
+    ], { spacing: 5 } );
+
+    const tauLeapingToleranceControllers = [
+      {
+        label: tauLeapingToleranceString,
+        controlProperty: model.tauLeapingErrorToleranceProperty,
+        minValue: model.tauLeapingErrorToleranceProperty.range.min,
+        maxValue: model.tauLeapingErrorToleranceProperty.range.max,
+        minLabel: accurateString,
+        maxLabel: fastString,
+        logScale: true
+      }
+    ];
+
+    // The simulation method is collapsed initially, since most users will never need to change it.
+    const simulationMethodControlPanel = new ParameterControlAccordionBox(
+      simulationMethodString,
+      tauLeapingToleranceControllers,
+      {
+        topNode: solverRadioButtonGroup,
+        expandedProperty: new BooleanProperty( false )
+      }
+    );
+
+    // Buttons that open the dialogs with the optional controls, which are constructed lazily because Dialog requires
+    // Sim bounds during construction.
+    let moreParametersDialog = null;
+    let analysisToolsDialog = null;
+    const dialogButtonOptions = {
+      touchAreaXDilation: 7,
+      touchAreaYDilation: 7,
+      baseColor: 'yellow',
+      cornerRadius: GEEConstants.CORNER_RADIUS
+    };
+    const moreParametersButton = new RectangularPushButton( merge( {
+      content: new Text( moreParametersString, { font: new PhetFont( 14 ), maxWidth: 130 } ),
+      listener: () => {
+        if ( !moreParametersDialog ) {
+          moreParametersDialog = new ControlsDialog( moreParametersString, [
+            [ growthControlPanel, variationControlPanel ],
+            [ feedbackControlPanel, circuitControlPanel ],
+            [ signalingControlPanel, simulationMethodControlPanel ]
+          ] );
+        }
+        moreParametersDialog.show();
+      }
+    }, dialogButtonOptions ) );
+    const analysisToolsButton = new RectangularPushButton( merge( {
+      content: new Text( analysisToolsString, { font: new PhetFont( 14 ), maxWidth: 130 } ),
+      listener: () => {
+        if ( !analysisToolsDialog ) {
+          analysisToolsDialog = new ControlsDialog( analysisToolsString, [
+            [ populationStatisticsAccordionBox ],
+            [ parameterScheduleAccordionBox ],
+            [ cellColorAccordionBox ]
+          ], { comboBoxListParent: comboBoxListParent } );
+        }
+        analysisToolsDialog.show();
+      }
+    }, dialogButtonOptions ) );
+    this.addChild( new VBox( {
+      spacing: 10,
+      align: 'left',
+      children: [ moreParametersButton, analysisToolsButton ],
+      left: showRealCellsButton.left,
+      top: proteinLevelDisplayPanel.bottom + 10
+    } ) );
+
     this.addChild( concentrationControlPanel );
     this.addChild( affinityControlPanel );
     this.addChild( degradationControlPanel );
@@ -300,6 +685,19 @@ class MultipleCellsScreenView extends ScreenView {
     if ( this.model.clockRunningProperty.get() ) {
       this.proteinLevelChartNode.addDataPoint( dt );
     }
+
+    // The colors of the cells, the histogram and the scatter plot are updated even when the clock is paused, since the
+    // set of visible cells can still change.
+    this.cellColorMapping.update( dt );
+    if ( this.proteinLevelHistogramNode.visible ) {
+      this.proteinLevelHistogramNode.update();
+    }
+    if ( this.dualReporterScatterPlotNode.visible ) {
+      this.dualReporterScatterPlotNode.update();
+    }
+    if ( this.signalingFieldNode.visible ) {
+      this.signalingFieldNode.update();
+    }
   }
 }
 
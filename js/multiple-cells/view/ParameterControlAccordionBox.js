@@ -8,6 +8,7 @@
  * @author Aadish Gupta
  */
 
+import merge from '../../../../phet-core/js/merge.js';
 import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
 import Text from '../../../../scenery/js/nodes/Text.js';
 import VBox from '../../../../scenery/js/nodes/VBox.js';
@@ -22,8 +23,32 @@ class ParameterControlAccordionBox extends AccordionBox {
   /**
    * @param {String} title
    * @param {Array.<Object>}controllers
+   * @param {Object} [options]
    */
-  constructor( title, controllers ) {
+  constructor( title, controllers, options ) {
+
+    options = merge( {
+
+      // {Node|null} - shown above the controllers, e.g. a check box that enables the behavior that they control
+      topNode: null,
+
+      titleNode: new Text( title, {
+        font: new PhetFont( { size: 16, weight: 'bold' } ),
+        maxWidth: 200
+      } ),
+      cornerRadius: GEEConstants.CORNER_RADIUS,
+      titleAlignX: 'left',
+      contentAlign: 'center',
+      fill: new Color( 220, 236, 255 ),
+      buttonXMargin: 6,
+      buttonYMargin: 6,
+      contentYMargin: 8,
+      expandCollapseButtonOptions: {
+        touchAreaXDilation: 8,
+        touchAreaYDilation: 8
+      },
+      minWidth: 200
+    }, options );
 
     const controllerNodes = [];
 
@@ -54,27 +79,10 @@ class ParameterControlAccordionBox extends AccordionBox {
 
     const contentNode = new VBox( {
       spacing: 5,
-      children: controllerNodes
+      children: options.topNode ? [ options.topNode, ...controllerNodes ] : controllerNodes
     } );
 
-    super( contentNode, {
-      titleNode: new Text( title, {
-        font: new PhetFont( { size: 16, weight: 'bold' } ),
-        maxWidth: 200
-      } ),
-      cornerRadius: GEEConstants.CORNER_RADIUS,
-      titleAlignX: 'left',
-      contentAlign: 'center',
-      fill: new Color( 220, 236, 255 ),
-      buttonXMargin: 6,
-      buttonYMargin: 6,
-      contentYMargin: 8,
-      expandCollapseButtonOptions: {
-        touchAreaXDilation: 8,
-        touchAreaYDilation: 8
-      },
-      minWidth: 200
-    } );
+    super( contentNode, options );
   }
 }
 
@@ -0,0 +1,202 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Accordion box with controls for running a schedule that drives one of the cell parameters over time, e.g. a pulse of
+ * transcription factor that demonstrates induction and washout. The schedule starts from the current value of the
+ * parameter and goes to the target value set by the user.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import EnumerationProperty from '../../../../axon/js/EnumerationProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Range from '../../../../dot/js/Range.js';
+import PhetColorScheme from '../../../../scenery-phet/js/PhetColorScheme.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import AccordionBox from '../../../../sun/js/AccordionBox.js';
+import RectangularPushButton from '../../../../sun/js/buttons/RectangularPushButton.js';
+import ComboBox from '../../../../sun/js/ComboBox.js';
+import ComboBoxItem from '../../../../sun/js/ComboBoxItem.js';
+import NumberSpinner from '../../../../sun/js/NumberSpinner.js';
+import VerticalAquaRadioButtonGroup from '../../../../sun/js/VerticalAquaRadioButtonGroup.js';
+import GEEConstants from '../../common/GEEConstants.js';
+import ControllerNode from '../../common/view/ControllerNode.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import geneExpressionEssentialsStrings from '../../geneExpressionEssentialsStrings.js';
+import ParameterSchedule from '../model/ParameterSchedule.js';
+import ScheduleProfile from '../model/ScheduleProfile.js';
+import CellParameterLabels from './CellParameterLabels.js';
+
+// constants
+const FONT = new PhetFont( 12 );
+const DURATION_RANGE = new Range( 1, 60 );
+const DEFAULT_DURATION = 10;
+
+const durationSecondsString = geneExpressionEssentialsStrings.durationSeconds;
+const pulseString = geneExpressionEssentialsStrings.pulse;
+const rampString = geneExpressionEssentialsStrings.ramp;
+const scheduleString = geneExpressionEssentialsStrings.schedule;
+const sineWaveString = geneExpressionEssentialsStrings.sineWave;
+const startString = geneExpressionEssentialsStrings.start;
+const stepString = geneExpressionEssentialsStrings.step;
+const stopString = geneExpressionEssentialsStrings.stop;
+const targetString = geneExpressionEssentialsStrings.target;
+
+class ParameterScheduleAccordionBox extends AccordionBox {
+
+  /**
+   * @param {MultipleCellsModel} model
+   * @param {Node} listParent - parent for the list of the combo box, should be in front of everything else
+   */
+  constructor( model, listParent ) {
+
+    const scheduler = model.parameterScheduler;
+    const parameterNames = Object.keys( CellParameterLabels );
+
+    // settings for the schedule, one target value for each parameter
+    const parameterNameProperty = new Property( parameterNames[ 0 ], { validValues: parameterNames } );
+    const profileProperty = new EnumerationProperty( ScheduleProfile, ScheduleProfile.PULSE );
+    const durationProperty = new NumberProperty( DEFAULT_DURATION, { range: DURATION_RANGE, numberType: 'Integer' } );
+    const targetValueProperties = {};
+    parameterNames.forEach( name => {
+      targetValueProperties[ name ] = new NumberProperty( model.cellParameters[ name ].range.max );
+    } );
+
+    const parameterComboBox = new ComboBox(
+      parameterNames.map( name => new ComboBoxItem(
+        new Text( CellParameterLabels[ name ].label, { font: FONT, maxWidth: 110 } ),
+        name
+      ) ),
+      parameterNameProperty,
+      listParent,
+      { xMargin: 6, yMargin: 4 }
+    );
+
+    const profileRadioButtonGroup = new VerticalAquaRadioButtonGroup( profileProperty, [
+      { node: new Text( stepString, { font: FONT, maxWidth: 100 } ), value: ScheduleProfile.STEP },
+      { node: new Text( pulseString, { font: FONT, maxWidth: 100 } ), value: ScheduleProfile.PULSE },
+      { node: new Text( rampString, { font: FONT, maxWidth: 100 } ), value: ScheduleProfile.RAMP },
+      { node: new Text( sineWaveString, { font: FONT, maxWidth: 100 } ), value: ScheduleProfile.SINE }
+    ], { spacing: 5 } );
+
+    // The slider for the target value depends on the range of the parameter, so it is replaced when the parameter
+    // changes.
+    const targetControlParent = new Node();
+    parameterNameProperty.link( name => {
+      const cellParameter = model.cellParameters[ name ];
+      targetControlParent.children = [ new ControllerNode(
+        targetValueProperties[ name ],
+        cellParameter.range.min,
+        cellParameter.range.max,
+        CellParameterLabels[ name ].minLabel,
+        CellParameterLabels[ name ].maxLabel,
+        { logScale: cellParameter.logScale }
+      ) ];
+    } );
+
+    const durationSpinner = new NumberSpinner( durationProperty, new Property( DURATION_RANGE ), {
+      arrowsPosition: 'leftRight'
+    } );
+
+    // Button that starts a schedule for the selected parameter, or stops the one that is running.
+    const isScheduleRunningProperty = new BooleanProperty( false );
+    const updateIsScheduleRunning = () => {
+      const property = model.cellParameters[ parameterNameProperty.value ].property;
+      isScheduleRunningProperty.value = scheduler.getSchedulesFor( property ).length > 0;
+    };
+    parameterNameProperty.link( updateIsScheduleRunning );
+    scheduler.schedules.addItemAddedListener( updateIsScheduleRunning );
+    scheduler.schedules.addItemRemovedListener( updateIsScheduleRunning );
+
+    const startStopButtonText = new Text( startString, { font: FONT, maxWidth: 60 } );
+    const startStopButton = new RectangularPushButton( {
+      content: startStopButtonText,
+      baseColor: PhetColorScheme.BUTTON_YELLOW,
+      cornerRadius: GEEConstants.CORNER_RADIUS,
+      listener: () => {
+        const name = parameterNameProperty.value;
+        const cellParameter = model.cellParameters[ name ];
+        if ( isScheduleRunningProperty.value ) {
+          scheduler.getSchedulesFor( cellParameter.property ).forEach( schedule => scheduler.removeSchedule( schedule ) );
+        }
+        else {
+          scheduler.addSchedule( new ParameterSchedule(
+            cellParameter.property,
+            profileProperty.value,
+            cellParameter.property.value,
+            targetValueProperties[ name ].value,
+            durationProperty.value,
+            { logScale: cellParameter.logScale }
+          ) );
+        }
+      }
+    } );
+    isScheduleRunningProperty.link( isScheduleRunning => {
+      startStopButtonText.text = isScheduleRunning ? stopString : startString;
+    } );
+
+    const contentNode = new VBox( {
+      spacing: 8,
+      align: 'left',
+      children: [
+        parameterComboBox,
+        profileRadioButtonGroup,
+        new Text( targetString, { font: FONT, maxWidth: 100 } ),
+        targetControlParent,
+        new HBox( {
+          spacing: 6,
+          children: [ new Text( durationSecondsString, { font: FONT, maxWidth: 70 } ), durationSpinner ]
+        } ),
+        startStopButton
+      ]
+    } );
+
+    super( contentNode, {
+      titleNode: new Text( scheduleString, {
+        font: new PhetFont( { size: 16, weight: 'bold' } ),
+        maxWidth: 100
+      } ),
+
+      // collapsed initially, since schedules are an optional addition to the sliders
+      expandedProperty: new BooleanProperty( false ),
+      cornerRadius: GEEConstants.CORNER_RADIUS,
+      titleAlignX: 'left',
+      contentAlign: 'left',
+      fill: new Color( 220, 236, 255 ),
+      buttonXMargin: 6,
+      buttonYMargin: 6,
+      contentXMargin: 8,
+      contentYMargin: 8,
+      expandCollapseButtonOptions: {
+        touchAreaXDilation: 8,
+        touchAreaYDilation: 8
+      }
+    } );
+
+    // @private
+    this.resetSettings = () => {
+      parameterNameProperty.reset();
+      profileProperty.reset();
+      durationProperty.reset();
+      parameterNames.forEach( name => targetValueProperties[ name ].reset() );
+    };
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.expandedProperty.reset();
+    this.resetSettings();
+  }
+}
+
+geneExpressionEssentials.register( 'ParameterScheduleAccordionBox', ParameterScheduleAccordionBox );
+export default ParameterScheduleAccordionBox;
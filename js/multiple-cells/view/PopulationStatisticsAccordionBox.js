@@ -0,0 +1,105 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Accordion box that displays statistics that describe the spread of protein levels across the visible population of
+ * cells, such as the standard deviation and the Fano factor. These quantify the noise in gene expression, and are
+ * updated live as the model runs. The noise is also separated into its intrinsic and extrinsic parts, each of which is
+ * shown as a squared coefficient of variation. The time that the average protein level took to settle after the most
+ * recent change to the parameters is shown too, since the statistics are only meaningful once it has.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Utils from '../../../../dot/js/Utils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import AccordionBox from '../../../../sun/js/AccordionBox.js';
+import GEEConstants from '../../common/GEEConstants.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import geneExpressionEssentialsStrings from '../../geneExpressionEssentialsStrings.js';
+
+// constants
+const FONT = new PhetFont( 12 );
+const LABEL_MAX_WIDTH = 80;
+const VALUE_MAX_WIDTH = 36;
+const NO_VALUE = '\u2014'; // em dash, shown for a statistic that doesn't have a value, e.g. while the cells are settling
+
+const coefficientOfVariationString = geneExpressionEssentialsStrings.coefficientOfVariation;
+const extrinsicNoiseString = geneExpressionEssentialsStrings.extrinsicNoise;
+const fanoFactorString = geneExpressionEssentialsStrings.fanoFactor;
+const intrinsicNoiseString = geneExpressionEssentialsStrings.intrinsicNoise;
+const maximumString = geneExpressionEssentialsStrings.maximum;
+const meanString = geneExpressionEssentialsStrings.mean;
+const minimumString = geneExpressionEssentialsStrings.minimum;
+const settlingTimeSecondsString = geneExpressionEssentialsStrings.settlingTimeSeconds;
+const standardDeviationString = geneExpressionEssentialsStrings.standardDeviation;
+const statisticsString = geneExpressionEssentialsStrings.statistics;
+
+class PopulationStatisticsAccordionBox extends AccordionBox {
+
+  /**
+   * @param {MultipleCellsModel} model
+   */
+  constructor( model ) {
+
+    const statistics = [
+      { label: meanString, property: model.averageProteinLevelProperty, decimalPlaces: 1 },
+      { label: standardDeviationString, property: model.proteinLevelStandardDeviationProperty, decimalPlaces: 1 },
+      { label: coefficientOfVariationString, property: model.proteinLevelCoefficientOfVariationProperty, decimalPlaces: 2 },
+      { label: fanoFactorString, property: model.proteinLevelFanoFactorProperty, decimalPlaces: 2 },
+      { label: minimumString, property: model.minProteinLevelProperty, decimalPlaces: 0 },
+      { label: maximumString, property: model.maxProteinLevelProperty, decimalPlaces: 0 },
+      { label: intrinsicNoiseString, property: model.intrinsicNoiseProperty, decimalPlaces: 3 },
+      { label: extrinsicNoiseString, property: model.extrinsicNoiseProperty, decimalPlaces: 3 },
+      { label: settlingTimeSecondsString, property: model.timeToSteadyStateProperty, decimalPlaces: 1 }
+    ];
+
+    const labelNodes = [];
+    const valueNodes = [];
+    statistics.forEach( statistic => {
+      labelNodes.push( new Text( statistic.label, { font: FONT, maxWidth: LABEL_MAX_WIDTH } ) );
+      const valueNode = new Text( '', { font: FONT, maxWidth: VALUE_MAX_WIDTH } );
+      statistic.property.link( value => {
+        valueNode.text = value === null ? NO_VALUE : Utils.toFixed( value, statistic.decimalPlaces );
+      } );
+      valueNodes.push( valueNode );
+    } );
+
+    const contentNode = new HBox( {
+      spacing: 8,
+      children: [
+        new VBox( { spacing: 4, align: 'left', children: labelNodes } ),
+        new VBox( { spacing: 4, align: 'right', children: valueNodes } )
+      ]
+    } );
+
+    super( contentNode, {
+      titleNode: new Text( statisticsString, {
+        font: new PhetFont( { size: 16, weight: 'bold' } ),
+        maxWidth: 100
+      } ),
+
+      // collapsed initially, since the statistics are an optional addition to the average protein level chart
+      expandedProperty: new BooleanProperty( false ),
+      cornerRadius: GEEConstants.CORNER_RADIUS,
+      titleAlignX: 'left',
+      contentAlign: 'center',
+      fill: new Color( 220, 236, 255 ),
+      buttonXMargin: 6,
+      buttonYMargin: 6,
+      contentXMargin: 8,
+      contentYMargin: 8,
+      expandCollapseButtonOptions: {
+        touchAreaXDilation: 8,
+        touchAreaYDilation: 8
+      }
+    } );
+  }
+}
+
+geneExpressionEssentials.register( 'PopulationStatisticsAccordionBox', PopulationStatisticsAccordionBox );
+export default PopulationStatisticsAccordionBox;
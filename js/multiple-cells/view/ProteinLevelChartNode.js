@@ -4,57 +4,175 @@
  * This class defines a node that displays the average protein level for a population of cells. It in turns call Griddle
  * library for drawing the graph
  *
+ * The full history of the plotted values is retained, up to a limit, and the portion of it that is shown can be
+ * changed. Both axes can be zoomed, the chart can be dragged to scroll back through earlier data while the clock is
+ * paused, and hovering over the chart shows the time and average level at the cursor. To support this, the data are
+ * scaled into a fixed range on the Griddle chart, and the tick labels on the time axis are drawn here.
+ *
+ * When the cells run a genetic circuit with more than one gene, the average level of each protein is plotted, with a
+ * legend that identifies them.
+ *
+ * The times at which the average protein level was found to reach steady state can be marked on the chart with vertical
+ * lines, which shows how long the population takes to settle after the parameters are changed.
+ *
  * @author John Blanco
  * @author Aadish Gupta
  */
 
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
 import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
 import DynamicSeries from '../../../../griddle/js/DynamicSeries.js';
 import XYChartNode from '../../../../griddle/js/XYChartNode.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import ArrowNode from '../../../../scenery-phet/js/ArrowNode.js';
+import ZoomButton from '../../../../scenery-phet/js/buttons/ZoomButton.js';
 import PhetColorScheme from '../../../../scenery-phet/js/PhetColorScheme.js';
 import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import DragListener from '../../../../scenery/js/listeners/DragListener.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Line from '../../../../scenery/js/nodes/Line.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
 import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
 import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
 import LinearGradient from '../../../../scenery/js/util/LinearGradient.js';
+import RectangularPushButton from '../../../../sun/js/buttons/RectangularPushButton.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
 import Panel from '../../../../sun/js/Panel.js';
 import GEEConstants from '../../common/GEEConstants.js';
 import geneExpressionEssentials from '../../geneExpressionEssentials.js';
 import geneExpressionEssentialsStrings from '../../geneExpressionEssentialsStrings.js';
-import ColorChangingCellNode from './ColorChangingCellNode.js';
 
 // constants
 const PLOT_WIDTH = 400;
 const PLOT_HEIGHT = 120;
 const COLOR_KEY_WIDTH = 20;
-const TIME_SPAN = 30;
+const DETERMINISTIC_TRACE_COLOR = 'rgb( 0, 114, 178 )'; // blue that is distinguishable from the red by colorblind users
+const STEADY_STATE_MARKER_COLOR = 'rgb( 0, 130, 70 )';
+
+// Colors for the traces of individual cells, which also limits how many can be shown at once. These are from the
+// Okabe-Ito palette, and are distinguishable from the other traces and from each other by colorblind users.
+const CELL_TRACE_COLORS = [
+  'rgb( 230, 159, 0 )',
+  'rgb( 86, 180, 233 )',
+  'rgb( 0, 158, 115 )',
+  'rgb( 204, 121, 167 )'
+];
+const LEGEND_ROW_HEIGHT = 22;
+
+// Colors for the traces of the average levels of the proteins of a genetic circuit, the first of which is the color of
+// the average for a single protein.
+const PROTEIN_TRACE_COLORS = [ PhetColorScheme.RED_COLORBLIND, 'black', 'rgb( 148, 103, 189 )' ];
+
+// The range of the Griddle chart is fixed, and the data are scaled into it based on the zoom levels.
+const CHART_X_RANGE = new Range( 0, 30 );
+const CHART_Y_RANGE = new Range( 0, 170 );
+
+// Time spans and maximum protein levels that can be shown, selected by zooming. The time spans are multiples of the
+// number of tick intervals so that the tick labels are round numbers.
+const TIME_SPANS = [ 6, 15, 30, 60, 120, 300 ];
+const DEFAULT_TIME_SPAN_INDEX = 2;
+const MAX_PROTEIN_LEVELS = [ 25, 50, 100, 170, 340, 680 ];
+const DEFAULT_MAX_PROTEIN_LEVEL_INDEX = 3;
+const NUMBER_OF_TIME_TICK_INTERVALS = 3;
+
+// The number of samples of each trace that are retained, five minutes at the nominal frame rate.
+const MAX_HISTORY_LENGTH = 18000;
+
+// The maximum number of points plotted for each trace, more than this would not be visible at the plot width.
+const MAX_PLOTTED_POINTS_PER_TRACE = PLOT_WIDTH;
+
+const TICK_LABEL_FONT = new PhetFont( 12 );
+const ZOOM_BUTTON_OPTIONS = {
+  baseColor: 'white',
+  magnifyingGlassOptions: { glassRadius: 6 },
+  xMargin: 3,
+  yMargin: 3,
+  touchAreaXDilation: 3,
+  touchAreaYDilation: 3
+};
+const ZOOM_AXIS_ARROW_OPTIONS = {
+  doubleHead: true,
+  headHeight: 5,
+  headWidth: 7,
+  tailWidth: 1.5,
+  fill: 'black',
+  stroke: null
+};
 
 const averageProteinLevelString = geneExpressionEssentialsStrings.averageProteinLevel;
 const averageProteinLevelVsTimeString = geneExpressionEssentialsStrings.averageProteinLevelVsTime;
+const cellNumberString = geneExpressionEssentialsStrings.cellNumber;
+const chartCursorReadoutPatternString = geneExpressionEssentialsStrings.chartCursorReadoutPattern;
+const clearString = geneExpressionEssentialsStrings.clear;
+const deterministicPredictionString = geneExpressionEssentialsStrings.deterministicPrediction;
 const lotsString = geneExpressionEssentialsStrings.lots;
+const markSteadyStateString = geneExpressionEssentialsStrings.markSteadyState;
 const noneString = geneExpressionEssentialsStrings.none;
+const proteinNumberString = geneExpressionEssentialsStrings.proteinNumber;
 const timeString = geneExpressionEssentialsStrings.time;
 
 class ProteinLevelChartNode extends Panel {
 
   /**
    * @param {Property.<number>} averageProteinLevelProperty
+   * @param {Object} [options]
    */
-  constructor( averageProteinLevelProperty ) {
+  constructor( averageProteinLevelProperty, options ) {
+
+    options = merge( {
+
+      // {Property.<number>|null} - level predicted by the deterministic model, overlaid on the average when enabled
+      deterministicProteinLevelProperty: null,
+
+      // {Property.<boolean>|null} - controls whether the deterministic prediction is shown, a checkbox is added for it
+      deterministicTraceEnabledProperty: null,
+
+      // {ObservableArrayDef.<Cell>|null} - cells whose individual protein levels are plotted along with the average,
+      // a legend is shown for them
+      selectedCells: null,
+
+      // {Array.<Cell>} - all cells, used to number the selected cells in the legend
+      cellList: [],
+
+      // {Property.<boolean>|null} - whether the clock is running, the chart can only be scrolled while it is paused
+      clockRunningProperty: null,
+
+      // {Array.<Property.<number>>} - average levels of the other proteins of a genetic circuit, which are plotted along
+      // with the average level when they are in use
+      additionalAverageProteinLevelProperties: [],
+
+      // {Property.<number>|null} - number of proteins in use, required if there are additional protein levels
+      numberOfProteinsProperty: null,
+
+      // {Property.<number|null>|null} - time that the average protein level took to reach steady state, null while it
+      // hasn't, which is used to mark the chart when steady state is reached
+      timeToSteadyStateProperty: null,
+
+      // {Property.<boolean>|null} - controls whether the steady state markers are shown, a checkbox is added for it
+      steadyStateMarkerEnabledProperty: null,
+
+      // {CellColorMapping} - provides the colors of the cells, which are used in the key beside the y axis
+      colorMapping: null
+    }, options );
+    assert && assert( options.colorMapping, 'colorMapping is required' );
+    assert && assert( options.additionalAverageProteinLevelProperties.length < PROTEIN_TRACE_COLORS.length,
+      'too many proteins' );
 
     const contentNode = new Node();
 
-    const verticalRange = new Range( 0, 170 );
     const chart = new XYChartNode( {
       width: PLOT_WIDTH,
       height: PLOT_HEIGHT,
       cornerRadius: 0,
 
-      defaultModelXRange: new Range( 0, 30 ),
-      defaultModelYRange: verticalRange,
+      defaultModelXRange: CHART_X_RANGE,
+      defaultModelYRange: CHART_Y_RANGE,
 
-      majorHorizontalLineSpacing: verticalRange.max / 7,
-      majorVerticalLineSpacing: 2,
+      majorHorizontalLineSpacing: CHART_Y_RANGE.max / 7,
+      majorVerticalLineSpacing: CHART_X_RANGE.max / ( NUMBER_OF_TIME_TICK_INTERVALS * 5 ),
 
       gridNodeOptions: {
         majorLineOptions: {
@@ -63,14 +181,13 @@ class ProteinLevelChartNode extends Panel {
         }
       },
 
+      // the tick labels depend on the zoom level and scroll position, so they are drawn separately
       showVerticalGridLabels: false,
-      gridLabelOptions: {
-        font: new PhetFont( 12 )
-      }
+      showHorizontalGridLabels: false
     } );
 
     const dataSeries = new DynamicSeries( {
-      color: PhetColorScheme.RED_COLORBLIND,
+      color: PROTEIN_TRACE_COLORS[ 0 ],
       lineWidth: 2,
       lineJoin: 'round'
     } );
@@ -89,6 +206,23 @@ class ProteinLevelChartNode extends Panel {
     titleNode.centerX = chart.centerX;
     titleNode.bottom = chart.top - 10;
 
+    // tick labels for the time axis
+    const timeTickLabels = [];
+    for ( let i = 0; i <= NUMBER_OF_TIME_TICK_INTERVALS; i++ ) {
+      const timeTickLabel = new Text( '', { font: TICK_LABEL_FONT, top: chart.bottom + 3 } );
+      timeTickLabels.push( timeTickLabel );
+      contentNode.addChild( timeTickLabel );
+    }
+
+    // label for the maximum protein level that is shown, placed inside the top left corner of the plot
+    const maxProteinLevelLabel = new Text( '', {
+      font: TICK_LABEL_FONT,
+      fill: 'grey',
+      left: chart.left + 3,
+      top: chart.top + 2
+    } );
+    contentNode.addChild( maxProteinLevelLabel );
+
     // x axis label
     const xLabel = new Text( timeString, {
       font: new PhetFont( { size: 12 } ),
@@ -97,16 +231,116 @@ class ProteinLevelChartNode extends Panel {
 
     contentNode.addChild( xLabel );
     xLabel.centerX = chart.centerX;
-    xLabel.top = chart.bottom + 10;
+    xLabel.top = chart.bottom + 22;
+
+    // deterministic prediction, which is plotted on the same chart so that the noise in the average is apparent
+    let deterministicDataSeries = null;
+    if ( options.deterministicProteinLevelProperty ) {
+      deterministicDataSeries = new DynamicSeries( {
+        color: DETERMINISTIC_TRACE_COLOR,
+        lineWidth: 2,
+        lineJoin: 'round'
+      } );
+
+      const deterministicTraceCheckbox = new Checkbox(
+        new Text( deterministicPredictionString, {
+          font: new PhetFont( 12 ),
+          fill: DETERMINISTIC_TRACE_COLOR,
+          maxWidth: PLOT_WIDTH / 2
+        } ),
+        options.deterministicTraceEnabledProperty,
+        { boxWidth: 14 }
+      );
+      contentNode.addChild( deterministicTraceCheckbox );
+      deterministicTraceCheckbox.right = chart.right;
+      deterministicTraceCheckbox.centerY = xLabel.centerY;
+
+      let deterministicDataSeriesOnChart = false;
+      options.deterministicTraceEnabledProperty.link( enabled => {
+        if ( enabled !== deterministicDataSeriesOnChart ) {
+          enabled ? chart.addDynamicSeries( deterministicDataSeries ) : chart.removeDynamicSeries( deterministicDataSeries );
+          deterministicDataSeriesOnChart = enabled;
+        }
+      } );
+    }
+
+    // Average levels of the other proteins of a genetic circuit, which are only on the chart while they are in use, and
+    // a legend for all of the proteins that is shown inside the top right corner of the plot.
+    const additionalProteinDataSeries = options.additionalAverageProteinLevelProperties.map( ( property, index ) => {
+      return new DynamicSeries( {
+        color: PROTEIN_TRACE_COLORS[ index + 1 ],
+        lineWidth: 2,
+        lineJoin: 'round'
+      } );
+    } );
+    if ( additionalProteinDataSeries.length > 0 ) {
+      const proteinLegendEntries = PROTEIN_TRACE_COLORS.slice( 0, additionalProteinDataSeries.length + 1 ).map(
+        ( color, index ) => new HBox( {
+          spacing: 4,
+          children: [
+            new Line( 0, 0, 15, 0, { stroke: color, lineWidth: 3 } ),
+            new Text( StringUtils.fillIn( proteinNumberString, { number: index + 1 } ), {
+              font: new PhetFont( 12 ),
+              maxWidth: 60
+            } )
+          ]
+        } )
+      );
+      const proteinLegend = new HBox( { spacing: 10, children: proteinLegendEntries } );
+      contentNode.addChild( proteinLegend );
+
+      const dataSeriesOnChart = additionalProteinDataSeries.map( () => false );
+      options.numberOfProteinsProperty.link( numberOfProteins => {
+        additionalProteinDataSeries.forEach( ( proteinDataSeries, index ) => {
+          const inUse = index + 1 < numberOfProteins;
+          if ( inUse !== dataSeriesOnChart[ index ] ) {
+            inUse ? chart.addDynamicSeries( proteinDataSeries ) : chart.removeDynamicSeries( proteinDataSeries );
+            dataSeriesOnChart[ index ] = inUse;
+          }
+        } );
+        proteinLegendEntries.forEach( ( proteinLegendEntry, index ) => {
+          proteinLegendEntry.visible = index < numberOfProteins;
+        } );
+        proteinLegend.visible = numberOfProteins > 1;
+        proteinLegend.right = chart.right - 3;
+        proteinLegend.top = chart.top + 2;
+      } );
+    }
+
+    // Vertical lines that mark when steady state was reached, which are in a layer that is positioned at the top left
+    // corner of the plot.
+    const steadyStateMarkerLayer = new Node( { x: chart.left, y: chart.top } );
+    contentNode.addChild( steadyStateMarkerLayer );
+    if ( options.timeToSteadyStateProperty ) {
+      const steadyStateMarkerCheckbox = new Checkbox(
+        new Text( markSteadyStateString, {
+          font: new PhetFont( 12 ),
+          fill: STEADY_STATE_MARKER_COLOR,
+          maxWidth: PLOT_WIDTH / 3
+        } ),
+        options.steadyStateMarkerEnabledProperty,
+        { boxWidth: 14 }
+      );
+      contentNode.addChild( steadyStateMarkerCheckbox );
+      steadyStateMarkerCheckbox.left = chart.left;
+      steadyStateMarkerCheckbox.centerY = xLabel.centerY;
+
+      options.steadyStateMarkerEnabledProperty.link( enabled => {
+        steadyStateMarkerLayer.visible = enabled;
+      } );
+    }
 
     // y axis label
     const proteinLevelColorKey = new Rectangle( chart.left, chart.top, COLOR_KEY_WIDTH, PLOT_HEIGHT, {
-      fill: new LinearGradient( chart.left, chart.top, chart.left + COLOR_KEY_WIDTH, chart.top + PLOT_HEIGHT )
-        .addColorStop( 0, ColorChangingCellNode.FlorescentFillColor )
-        .addColorStop( 1, ColorChangingCellNode.NominalFillColor ),
       stroke: '#000',
       lineWidth: 1
     } );
+    options.colorMapping.paletteProperty.link( () => {
+      const paletteColors = options.colorMapping.getPaletteColors();
+      proteinLevelColorKey.fill = new LinearGradient( chart.left, chart.top, chart.left + COLOR_KEY_WIDTH, chart.top + PLOT_HEIGHT )
+        .addColorStop( 0, paletteColors.florescentColors[ 0 ] )
+        .addColorStop( 1, paletteColors.nominalColor );
+    } );
 
     contentNode.addChild( proteinLevelColorKey );
 
@@ -139,6 +373,50 @@ class ProteinLevelChartNode extends Panel {
     yLabelNode.right = contentNode.left - 5;
 
     contentNode.addChild( yLabelNode );
+
+    // zoom controls for each axis, to the right of the chart
+    const timeSpanIndexProperty = new NumberProperty( DEFAULT_TIME_SPAN_INDEX, {
+      range: new Range( 0, TIME_SPANS.length - 1 )
+    } );
+    const maxProteinLevelIndexProperty = new NumberProperty( DEFAULT_MAX_PROTEIN_LEVEL_INDEX, {
+      range: new Range( 0, MAX_PROTEIN_LEVELS.length - 1 )
+    } );
+    const verticalZoomControl = createZoomControl(
+      maxProteinLevelIndexProperty,
+      new ArrowNode( 0, 8, 0, -8, ZOOM_AXIS_ARROW_OPTIONS )
+    );
+    verticalZoomControl.left = chart.right + 8;
+    verticalZoomControl.top = chart.top;
+    contentNode.addChild( verticalZoomControl );
+    const timeZoomControl = createZoomControl(
+      timeSpanIndexProperty,
+      new ArrowNode( -8, 0, 8, 0, ZOOM_AXIS_ARROW_OPTIONS )
+    );
+    timeZoomControl.left = verticalZoomControl.left;
+    timeZoomControl.bottom = chart.bottom;
+    contentNode.addChild( timeZoomControl );
+
+    // Overlay on the plot area that is used for the cursor readout and for dragging to scroll, along with the cursor
+    // line and readout text.
+    const plotOverlay = new Rectangle( 0, 0, PLOT_WIDTH, PLOT_HEIGHT, {
+      fill: 'transparent',
+      left: chart.left,
+      top: chart.top
+    } );
+    const cursorLine = new Line( 0, 0, 0, PLOT_HEIGHT, {
+      stroke: 'black',
+      lineDash: [ 3, 2 ],
+      visible: false
+    } );
+    const cursorReadout = new Text( '', {
+      font: TICK_LABEL_FONT,
+      top: 2,
+      visible: false
+    } );
+    plotOverlay.addChild( cursorLine );
+    plotOverlay.addChild( cursorReadout );
+    contentNode.addChild( plotOverlay );
+
     super( contentNode, {
       cornerRadius: GEEConstants.CORNER_RADIUS,
       fill: 'lightgrey',
@@ -146,11 +424,164 @@ class ProteinLevelChartNode extends Panel {
       yMargin: 10
     } );
 
+    // @private {Array.<{dataSeries:DynamicSeries, history:Array.<{time:number, value:number}>,
+    // historyStartIndex:number, getValue:function():number, lastPlottedTime:number}>} - everything that is plotted, each
+    // with the history of its values. The samples before the start index have been discarded, and are only removed
+    // from the array once there are enough of them, so that discarding a sample doesn't require moving the others.
+    this.traces = [];
+
+    // @private {Array.<{cell:Cell, dataSeries:DynamicSeries, color:string, legendEntry:Node}>} - traces for the
+    // selected cells, which are also in this.traces
+    this.cellTraces = [];
+
     // @private
+    this.chart = chart;
     this.simRunningTime = 0;
-    this.timeOffset = 0;
-    this.averageProteinLevelProperty = averageProteinLevelProperty;
-    this.dataSeries = dataSeries;
+    this.timeSpanIndexProperty = timeSpanIndexProperty;
+    this.maxProteinLevelIndexProperty = maxProteinLevelIndexProperty;
+    this.timeTickLabels = timeTickLabels;
+    this.maxProteinLevelLabel = maxProteinLevelLabel;
+    this.clockRunningProperty = options.clockRunningProperty;
+
+    // @private {number} - time at the left edge of the chart
+    this.windowStartTime = 0;
+
+    // @private {Array.<number>} - times at which steady state was reached, in order, of which those before the start
+    // index have been discarded in the same way as the samples of the traces
+    this.steadyStateMarkerTimes = [];
+    this.steadyStateMarkerStartIndex = 0;
+    this.steadyStateMarkerLayer = steadyStateMarkerLayer;
+
+    // @private {boolean} - whether steady state has been reached since the last data point was added, in which case it
+    // is marked at the next data point
+    this.steadyStateReached = false;
+    if ( options.timeToSteadyStateProperty ) {
+      options.timeToSteadyStateProperty.lazyLink( ( timeToSteadyState, previousTimeToSteadyState ) => {
+        if ( timeToSteadyState !== null && previousTimeToSteadyState === null ) {
+          this.steadyStateReached = true;
+        }
+      } );
+    }
+
+    // @private {Object} - trace for the average protein level, which is used for the cursor readout
+    this.averageTrace = this.addTrace( dataSeries, () => averageProteinLevelProperty.get() );
+    if ( deterministicDataSeries ) {
+      this.addTrace( deterministicDataSeries, () => options.deterministicProteinLevelProperty.get() );
+    }
+    additionalProteinDataSeries.forEach( ( proteinDataSeries, index ) => {
+      this.addTrace( proteinDataSeries, () => options.additionalAverageProteinLevelProperties[ index ].get() );
+    } );
+
+    if ( options.selectedCells ) {
+      const selectedCells = options.selectedCells;
+
+      // Legend for the cell traces, shown in a row below the chart. The row has a fixed height so that the panel
+      // doesn't change size as cells are selected and deselected.
+      const legendRow = new Rectangle( 0, 0, PLOT_WIDTH, LEGEND_ROW_HEIGHT, {
+        left: chart.left,
+        top: xLabel.bottom + 5
+      } );
+      this.legendBox = new HBox( { spacing: 10 } ); // @private
+      const clearButton = new RectangularPushButton( {
+        content: new Text( clearString, { font: new PhetFont( 11 ), maxWidth: 50 } ),
+        baseColor: 'white',
+        xMargin: 4,
+        yMargin: 2,
+        cornerRadius: GEEConstants.CORNER_RADIUS,
+        listener: () => selectedCells.clear()
+      } );
+      const legendContent = new HBox( { spacing: 10, children: [ this.legendBox, clearButton ] } );
+      legendRow.addChild( legendContent );
+      contentNode.addChild( legendRow );
+
+      const updateLegendLayout = () => {
+        clearButton.visible = selectedCells.length > 0;
+        legendContent.left = 0;
+        legendContent.centerY = LEGEND_ROW_HEIGHT / 2;
+      };
+      updateLegendLayout();
+
+      selectedCells.addItemAddedListener( cell => {
+        this.addCellTrace( cell, StringUtils.fillIn( cellNumberString, { number: options.cellList.indexOf( cell ) + 1 } ) );
+        updateLegendLayout();
+      } );
+      selectedCells.addItemRemovedListener( cell => {
+        this.removeCellTrace( cell );
+        updateLegendLayout();
+      } );
+    }
+
+    // Zooming keeps the right edge of the chart in place, unless the chart is following the latest data.
+    timeSpanIndexProperty.lazyLink( ( timeSpanIndex, previousTimeSpanIndex ) => {
+      if ( this.isFollowingLatestData() ) {
+        this.setWindowStartTime( this.getFollowingWindowStartTime() );
+      }
+      else {
+        this.setWindowStartTime( this.windowStartTime + TIME_SPANS[ previousTimeSpanIndex ] - TIME_SPANS[ timeSpanIndex ] );
+      }
+      this.redraw();
+    } );
+    maxProteinLevelIndexProperty.lazyLink( () => this.redraw() );
+
+    // Show the time and the average protein level at the position of the cursor.
+    plotOverlay.addInputListener( {
+      move: event => {
+        const x = Utils.clamp( plotOverlay.globalToLocalPoint( event.pointer.point ).x, 0, PLOT_WIDTH );
+        const time = this.windowStartTime + x / PLOT_WIDTH * this.getTimeSpan();
+        const sample = this.getNearestSample( this.averageTrace, time );
+        cursorLine.visible = cursorReadout.visible = !!sample;
+        if ( sample ) {
+          cursorLine.x = x;
+          cursorReadout.text = StringUtils.fillIn( chartCursorReadoutPatternString, {
+            time: Utils.toFixed( sample.time, 1 ),
+            level: Utils.toFixed( sample.value, 1 )
+          } );
+
+          // Keep the readout on the side of the cursor line with more room.
+          if ( x < PLOT_WIDTH / 2 ) {
+            cursorReadout.left = x + 4;
+          }
+          else {
+            cursorReadout.right = x - 4;
+          }
+        }
+      },
+      exit: () => {
+        cursorLine.visible = false;
+        cursorReadout.visible = false;
+      }
+    } );
+
+    // Dragging the chart horizontally scrolls through the history while the clock is paused.
+    if ( this.clockRunningProperty ) {
+      let dragStartX = 0;
+      let dragStartWindowStartTime = 0;
+      plotOverlay.addInputListener( new DragListener( {
+        start: event => {
+          dragStartX = plotOverlay.globalToLocalPoint( event.pointer.point ).x;
+          dragStartWindowStartTime = this.windowStartTime;
+        },
+        drag: event => {
+          if ( !this.clockRunningProperty.get() ) {
+            const deltaX = plotOverlay.globalToLocalPoint( event.pointer.point ).x - dragStartX;
+            this.setWindowStartTime( dragStartWindowStartTime - deltaX / PLOT_WIDTH * this.getTimeSpan() );
+            this.redraw();
+          }
+        }
+      } ) );
+
+      this.clockRunningProperty.link( clockRunning => {
+        plotOverlay.cursor = clockRunning ? null : 'ew-resize';
+
+        // When the clock starts, go back to following the latest data.
+        if ( clockRunning && !this.isFollowingLatestData() ) {
+          this.setWindowStartTime( this.getFollowingWindowStartTime() );
+          this.redraw();
+        }
+      } );
+    }
+
+    this.redraw();
   }
 
   /**
@@ -159,19 +590,273 @@ class ProteinLevelChartNode extends Panel {
    */
   addDataPoint( dt ) {
     this.simRunningTime += dt;
-    if ( this.simRunningTime - this.timeOffset > TIME_SPAN ) {
+    this.traces.forEach( trace => {
+      trace.history.push( { time: this.simRunningTime, value: trace.getValue() } );
+      if ( trace.history.length - trace.historyStartIndex > MAX_HISTORY_LENGTH ) {
+        trace.historyStartIndex++;
+        if ( trace.historyStartIndex === MAX_HISTORY_LENGTH ) {
+          trace.history.splice( 0, trace.historyStartIndex );
+          trace.historyStartIndex = 0;
+        }
+      }
+    } );
+
+    // Markers are discarded along with the history that they are in.
+    const oldestTime = this.averageTrace.history[ this.averageTrace.historyStartIndex ].time;
+    while ( this.steadyStateMarkerStartIndex < this.steadyStateMarkerTimes.length &&
+            this.steadyStateMarkerTimes[ this.steadyStateMarkerStartIndex ] < oldestTime ) {
+      this.steadyStateMarkerStartIndex++;
+    }
+    if ( this.steadyStateMarkerStartIndex === this.steadyStateMarkerTimes.length ) {
+      this.steadyStateMarkerTimes.length = 0;
+      this.steadyStateMarkerStartIndex = 0;
+    }
+    const steadyStateReached = this.steadyStateReached;
+    if ( steadyStateReached ) {
+      this.steadyStateMarkerTimes.push( this.simRunningTime );
+      this.steadyStateReached = false;
+    }
+
+    const followingWindowStartTime = this.getFollowingWindowStartTime();
+    if ( this.windowStartTime !== followingWindowStartTime ) {
 
-      // if the end of the chart has been reached, clear it
-      this.dataSeries.clear();
+      // The end of the chart has been reached, or the chart was scrolled back, so move to the latest data.
+      this.setWindowStartTime( followingWindowStartTime );
+      this.redraw();
     }
-    if ( this.dataSeries.getLength() === 0 ) {
+    else {
 
-      // This is the first data added after the most recent clear, so record the time offset.
-      this.timeOffset = this.simRunningTime;
+      // add the data to the chart
+      this.traces.forEach( trace => this.plotSample( trace, trace.history[ trace.history.length - 1 ] ) );
+      if ( steadyStateReached ) {
+        this.updateSteadyStateMarkers();
+      }
     }
+  }
 
-    // add the data to the chart
-    this.dataSeries.addXYDataPoint( this.simRunningTime - this.timeOffset, this.averageProteinLevelProperty.get() );
+  /**
+   * Create the lines for the steady state markers that are in the current time window.
+   * @private
+   */
+  updateSteadyStateMarkers() {
+    const timeSpan = this.getTimeSpan();
+    const steadyStateMarkerTimes = this.steadyStateMarkerTimes.slice( this.steadyStateMarkerStartIndex );
+    this.steadyStateMarkerLayer.children = steadyStateMarkerTimes.filter( time => {
+      return time >= this.windowStartTime && time <= this.windowStartTime + timeSpan;
+    } ).map( time => {
+      const x = ( time - this.windowStartTime ) / timeSpan * PLOT_WIDTH;
+      return new Line( x, 0, x, PLOT_HEIGHT, {
+        stroke: STEADY_STATE_MARKER_COLOR,
+        lineWidth: 1.5,
+        lineDash: [ 4, 3 ]
+      } );
+    } );
+  }
+
+  /**
+   * Add a trace that is plotted on the chart, along with a history of its values.
+   * @param {DynamicSeries} dataSeries - must already be added to the chart
+   * @param {function():number} getValue - gets the current value
+   * @returns {Object} - the trace
+   * @private
+   */
+  addTrace( dataSeries, getValue ) {
+    const trace = {
+      dataSeries: dataSeries,
+      history: [],
+      historyStartIndex: 0,
+      getValue: getValue,
+      lastPlottedTime: Number.NEGATIVE_INFINITY
+    };
+    this.traces.push( trace );
+    return trace;
+  }
+
+  /**
+   * Add a trace that plots the protein level of the given cell, using the first color that is not already in use.
+   * @param {Cell} cell
+   * @param {string} label - shown in the legend
+   * @private
+   */
+  addCellTrace( cell, label ) {
+    const color = CELL_TRACE_COLORS.find( color => !this.cellTraces.some( cellTrace => cellTrace.color === color ) );
+    assert && assert( color, 'no colors left for cell trace, too many cells selected' );
+
+    const dataSeries = new DynamicSeries( {
+      color: color,
+      lineWidth: 1.5,
+      lineJoin: 'round'
+    } );
+    this.chart.addDynamicSeries( dataSeries );
+
+    const legendEntry = new HBox( {
+      spacing: 4,
+      children: [
+        new Line( 0, 0, 15, 0, { stroke: color, lineWidth: 3 } ),
+        new Text( label, { font: new PhetFont( 12 ), maxWidth: 50 } )
+      ]
+    } );
+    this.legendBox.addChild( legendEntry );
+
+    this.addTrace( dataSeries, () => cell.proteinCount.get() );
+    this.cellTraces.push( { cell: cell, dataSeries: dataSeries, color: color, legendEntry: legendEntry } );
+  }
+
+  /**
+   * @param {Cell} cell
+   * @private
+   */
+  removeCellTrace( cell ) {
+    const cellTrace = this.cellTraces.find( cellTrace => cellTrace.cell === cell );
+    if ( cellTrace ) {
+      this.chart.removeDynamicSeries( cellTrace.dataSeries );
+      this.legendBox.removeChild( cellTrace.legendEntry );
+      this.cellTraces.splice( this.cellTraces.indexOf( cellTrace ), 1 );
+      this.traces = this.traces.filter( trace => trace.dataSeries !== cellTrace.dataSeries );
+    }
+  }
+
+  /**
+   * Get the color used for the trace of the given cell.
+   * @param {Cell} cell
+   * @returns {string|null} - null if the cell has no trace
+   * @public
+   */
+  getCellTraceColor( cell ) {
+    const cellTrace = this.cellTraces.find( cellTrace => cellTrace.cell === cell );
+    return cellTrace ? cellTrace.color : null;
+  }
+
+  /**
+   * @returns {number} - the span of time that is shown on the chart
+   * @private
+   */
+  getTimeSpan() {
+    return TIME_SPANS[ this.timeSpanIndexProperty.value ];
+  }
+
+  /**
+   * Get the time at the left edge of the chart when it is following the latest data. Like a chart recorder that is
+   * wrapped, the chart moves by its whole width each time the data reach the right edge.
+   * @returns {number}
+   * @private
+   */
+  getFollowingWindowStartTime() {
+    const timeSpan = this.getTimeSpan();
+    return Math.floor( this.simRunningTime / timeSpan ) * timeSpan;
+  }
+
+  /**
+   * @returns {boolean}
+   * @private
+   */
+  isFollowingLatestData() {
+    return !this.clockRunningProperty || this.clockRunningProperty.get() ||
+           this.windowStartTime === this.getFollowingWindowStartTime();
+  }
+
+  /**
+   * Set the time at the left edge of the chart, limited to the retained history. Does not redraw the chart.
+   * @param {number} windowStartTime
+   * @private
+   */
+  setWindowStartTime( windowStartTime ) {
+    const history = this.averageTrace.history;
+    const startIndex = this.averageTrace.historyStartIndex;
+    const minWindowStartTime = history.length > startIndex ?
+                               Math.min( history[ startIndex ].time, this.getFollowingWindowStartTime() ) :
+                               0;
+    this.windowStartTime = Utils.clamp( windowStartTime, minWindowStartTime, this.getFollowingWindowStartTime() );
+  }
+
+  /**
+   * Add a sample to the data series of the given trace if it is within the time window, and if it isn't too close to
+   * the previously plotted one.
+   * @param {Object} trace
+   * @param {{time:number, value:number}} sample
+   * @private
+   */
+  plotSample( trace, sample ) {
+    const timeSpan = this.getTimeSpan();
+    if ( sample.time >= this.windowStartTime && sample.time <= this.windowStartTime + timeSpan &&
+         sample.time - trace.lastPlottedTime >= timeSpan / MAX_PLOTTED_POINTS_PER_TRACE ) {
+      const maxProteinLevel = MAX_PROTEIN_LEVELS[ this.maxProteinLevelIndexProperty.value ];
+      trace.dataSeries.addXYDataPoint(
+        ( sample.time - this.windowStartTime ) / timeSpan * CHART_X_RANGE.max,
+        Utils.clamp( sample.value / maxProteinLevel, 0, 1 ) * CHART_Y_RANGE.max
+      );
+      trace.lastPlottedTime = sample.time;
+    }
+  }
+
+  /**
+   * Replot all traces for the current time window and zoom levels, and update the tick labels.
+   * @private
+   */
+  redraw() {
+    const timeSpan = this.getTimeSpan();
+    this.traces.forEach( trace => {
+      trace.dataSeries.clear();
+      trace.lastPlottedTime = Number.NEGATIVE_INFINITY;
+      const history = trace.history;
+      for ( let i = this.getFirstIndexAtOrAfter( trace, this.windowStartTime ); i < history.length; i++ ) {
+        if ( history[ i ].time > this.windowStartTime + timeSpan ) {
+          break;
+        }
+        this.plotSample( trace, history[ i ] );
+      }
+    } );
+
+    this.timeTickLabels.forEach( ( timeTickLabel, index ) => {
+      timeTickLabel.text = Utils.roundSymmetric( this.windowStartTime + index * timeSpan / NUMBER_OF_TIME_TICK_INTERVALS );
+      timeTickLabel.centerX = this.chart.left + index * PLOT_WIDTH / NUMBER_OF_TIME_TICK_INTERVALS;
+    } );
+    this.maxProteinLevelLabel.text = MAX_PROTEIN_LEVELS[ this.maxProteinLevelIndexProperty.value ];
+    this.updateSteadyStateMarkers();
+  }
+
+  /**
+   * Get the index of the first retained sample in the history of a trace that is at or after the given time, using a
+   * binary search.
+   * @param {Object} trace
+   * @param {number} time
+   * @returns {number} - the length of the history if there is no such sample
+   * @private
+   */
+  getFirstIndexAtOrAfter( trace, time ) {
+    const history = trace.history;
+    let low = trace.historyStartIndex;
+    let high = history.length;
+    while ( low < high ) {
+      const middle = Math.floor( ( low + high ) / 2 );
+      if ( history[ middle ].time < time ) {
+        low = middle + 1;
+      }
+      else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * @param {Object} trace
+   * @param {number} time
+   * @returns {{time:number, value:number}|null} - the retained sample of the trace that is closest in time, null if
+   * there are none
+   * @private
+   */
+  getNearestSample( trace, time ) {
+    const history = trace.history;
+    const index = this.getFirstIndexAtOrAfter( trace, time );
+    const candidates = [ index > trace.historyStartIndex ? history[ index - 1 ] : null, history[ index ] ]
+      .filter( sample => !!sample );
+    if ( candidates.length === 0 ) {
+      return null;
+    }
+    return candidates.reduce( ( nearest, sample ) =>
+      Math.abs( sample.time - time ) < Math.abs( nearest.time - time ) ? sample : nearest
+    );
   }
 
   /**
@@ -179,10 +864,47 @@ class ProteinLevelChartNode extends Panel {
    */
   reset() {
     this.simRunningTime = 0;
-    this.timeOffset = 0;
-    this.dataSeries.clear();
+    this.windowStartTime = 0;
+    this.traces.forEach( trace => {
+      trace.history.length = 0;
+      trace.historyStartIndex = 0;
+    } );
+    this.steadyStateMarkerTimes.length = 0;
+    this.steadyStateMarkerStartIndex = 0;
+    this.steadyStateReached = false;
+    this.timeSpanIndexProperty.reset();
+    this.maxProteinLevelIndexProperty.reset();
+    this.redraw();
   }
 }
 
+/**
+ * Create a pair of buttons that zoom one of the axes, with an arrow that indicates which axis.
+ * @param {NumberProperty} zoomIndexProperty - index into the values for the axis, zooming in decreases it
+ * @param {Node} axisIcon
+ * @returns {Node}
+ */
+function createZoomControl( zoomIndexProperty, axisIcon ) {
+  const zoomInButton = new ZoomButton( merge( {
+    in: true,
+    listener: () => zoomIndexProperty.set( zoomIndexProperty.value - 1 )
+  }, ZOOM_BUTTON_OPTIONS ) );
+  const zoomOutButton = new ZoomButton( merge( {
+    in: false,
+    listener: () => zoomIndexProperty.set( zoomIndexProperty.value + 1 )
+  }, ZOOM_BUTTON_OPTIONS ) );
+  zoomIndexProperty.link( zoomIndex => {
+    zoomInButton.enabled = zoomIndex > zoomIndexProperty.range.min;
+    zoomOutButton.enabled = zoomIndex < zoomIndexProperty.range.max;
+  } );
+  return new HBox( {
+    spacing: 4,
+    children: [ axisIcon, new VBox( { spacing: 4, children: [ zoomInButton, zoomOutButton ] } ) ]
+  } );
+}
+
+// statics
+ProteinLevelChartNode.MaxCellTraces = CELL_TRACE_COLORS.length;
+
 geneExpressionEssentials.register( 'ProteinLevelChartNode', ProteinLevelChartNode );
-export default ProteinLevelChartNode;
\ No newline at end of file
+export default ProteinLevelChartNode;
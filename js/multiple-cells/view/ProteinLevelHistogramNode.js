@@ -0,0 +1,253 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Node that displays a histogram of the protein levels of the visible cells, so that the distribution of levels across
+ * the population, and not just its average, can be seen. The width of the bins can be adjusted by the user. The
+ * vertical scale is automatically chosen from a set of round numbers so that the tallest bar fits.
+ *
+ * Optionally, the distribution of the time-averaged protein levels of the cells can be shown as an outline over the
+ * bars. Averaging over time removes most of the intrinsic noise, so the outline shows how much of the spread is due to
+ * differences between the cells, i.e. the extrinsic noise.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Shape from '../../../../kite/js/Shape.js';
+import merge from '../../../../phet-core/js/merge.js';
+import PhetColorScheme from '../../../../scenery-phet/js/PhetColorScheme.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Line from '../../../../scenery/js/nodes/Line.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
+import Panel from '../../../../sun/js/Panel.js';
+import GEEConstants from '../../common/GEEConstants.js';
+import ControllerNode from '../../common/view/ControllerNode.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import geneExpressionEssentialsStrings from '../../geneExpressionEssentialsStrings.js';
+
+// constants
+const PLOT_WIDTH = 290;
+const PLOT_HEIGHT = 120;
+const MAX_PROTEIN_LEVEL = 250; // levels at or above this are counted in the last bin
+const X_TICK_SPACING = 50;
+const BIN_WIDTH_RANGE = new Range( 1, 25 );
+const DEFAULT_BIN_WIDTH = 5;
+const VERTICAL_SCALE_VALUES = [ 1, 2, 5, 10, 20, 50, 100 ]; // candidate values for the top of the vertical axis
+const TICK_LABEL_FONT = new PhetFont( 12 );
+const TIME_AVERAGES_COLOR = '#0072B2'; // blue that is distinguishable from the bars by people with color blindness
+
+const binWidthString = geneExpressionEssentialsStrings.binWidth;
+const narrowString = geneExpressionEssentialsStrings.narrow;
+const numberOfCellsString = geneExpressionEssentialsStrings.numberOfCells;
+const proteinLevelString = geneExpressionEssentialsStrings.proteinLevel;
+const proteinLevelDistributionString = geneExpressionEssentialsStrings.proteinLevelDistribution;
+const timeAveragesString = geneExpressionEssentialsStrings.timeAverages;
+const wideString = geneExpressionEssentialsStrings.wide;
+
+class ProteinLevelHistogramNode extends Panel {
+
+  /**
+   * @param {ObservableArrayDef.<Cell>} visibleCellList
+   * @param {Object} [options]
+   */
+  constructor( visibleCellList, options ) {
+
+    options = merge( {
+
+      // {function(Cell):number|null} - gets the time-averaged protein level of a cell, the time averages can only be
+      // shown if this is provided
+      getTimeAveragedProteinLevel: null
+    }, options );
+
+    const contentNode = new Node();
+
+    // plot area and bars
+    const plotBackground = new Rectangle( 0, 0, PLOT_WIDTH, PLOT_HEIGHT, {
+      fill: 'white',
+      stroke: 'black',
+      lineWidth: 1
+    } );
+    contentNode.addChild( plotBackground );
+
+    const barsNode = new Path( null, {
+      fill: PhetColorScheme.RED_COLORBLIND,
+      stroke: 'black',
+      lineWidth: 0.5
+    } );
+    contentNode.addChild( barsNode );
+
+    const timeAveragesNode = new Path( null, {
+      stroke: TIME_AVERAGES_COLOR,
+      lineWidth: 2
+    } );
+    contentNode.addChild( timeAveragesNode );
+
+    // horizontal axis ticks and labels
+    for ( let level = 0; level <= MAX_PROTEIN_LEVEL; level += X_TICK_SPACING ) {
+      const x = level / MAX_PROTEIN_LEVEL * PLOT_WIDTH;
+      contentNode.addChild( new Line( x, PLOT_HEIGHT, x, PLOT_HEIGHT + 4, { stroke: 'black' } ) );
+      contentNode.addChild( new Text( level, {
+        font: TICK_LABEL_FONT,
+        centerX: x,
+        top: PLOT_HEIGHT + 5
+      } ) );
+    }
+
+    const xLabel = new Text( proteinLevelString, {
+      font: new PhetFont( 12 ),
+      maxWidth: PLOT_WIDTH,
+      centerX: PLOT_WIDTH / 2,
+      top: PLOT_HEIGHT + 22
+    } );
+    contentNode.addChild( xLabel );
+
+    // vertical axis labels, the top one changes with the scale
+    const yMinLabel = new Text( 0, { font: TICK_LABEL_FONT, right: -5, centerY: PLOT_HEIGHT } );
+    const yMaxLabel = new Text( 1, { font: TICK_LABEL_FONT, right: -5, centerY: 0 } );
+    contentNode.addChild( yMinLabel );
+    contentNode.addChild( yMaxLabel );
+
+    const yLabel = new Text( numberOfCellsString, {
+      font: new PhetFont( 13 ),
+      maxWidth: PLOT_HEIGHT + 10,
+      rotation: 3 * Math.PI / 2
+    } );
+    yLabel.right = Math.min( yMinLabel.left, yMaxLabel.left ) - 20;
+    yLabel.centerY = PLOT_HEIGHT / 2;
+    contentNode.addChild( yLabel );
+
+    // title
+    const titleNode = new Text( proteinLevelDistributionString, {
+      font: new PhetFont( { size: 16, weight: 'bold' } ),
+      maxWidth: PLOT_WIDTH,
+      centerX: PLOT_WIDTH / 2,
+      bottom: -10
+    } );
+    contentNode.addChild( titleNode );
+
+    // control for the bin width
+    const binWidthProperty = new NumberProperty( DEFAULT_BIN_WIDTH, { range: BIN_WIDTH_RANGE } );
+    const controls = new VBox( {
+      spacing: 5,
+      align: 'left',
+      children: [
+        new Text( binWidthString, { font: new PhetFont( 13 ), maxWidth: 100 } ),
+        new ControllerNode( binWidthProperty, BIN_WIDTH_RANGE.min, BIN_WIDTH_RANGE.max, narrowString, wideString )
+      ]
+    } );
+
+    // control for showing the distribution of the time-averaged levels
+    const showTimeAveragesProperty = new BooleanProperty( false );
+    if ( options.getTimeAveragedProteinLevel ) {
+      controls.addChild( new Checkbox(
+        new Text( timeAveragesString, { font: new PhetFont( 12 ), fill: TIME_AVERAGES_COLOR, maxWidth: 100 } ),
+        showTimeAveragesProperty,
+        { boxWidth: 14 }
+      ) );
+    }
+    controls.left = PLOT_WIDTH + 15;
+    controls.centerY = PLOT_HEIGHT / 2;
+    contentNode.addChild( controls );
+
+    super( contentNode, {
+      cornerRadius: GEEConstants.CORNER_RADIUS,
+      fill: 'lightgrey',
+      xMargin: 10,
+      yMargin: 10
+    } );
+
+    // @public {NumberProperty} - width of each bin, in number of protein molecules
+    this.binWidthProperty = binWidthProperty;
+
+    // @private
+    this.visibleCellList = visibleCellList;
+    this.getTimeAveragedProteinLevel = options.getTimeAveragedProteinLevel;
+    this.showTimeAveragesProperty = showTimeAveragesProperty;
+    this.barsNode = barsNode;
+    this.timeAveragesNode = timeAveragesNode;
+    this.yMaxLabel = yMaxLabel;
+
+    binWidthProperty.link( () => this.update() );
+    showTimeAveragesProperty.link( () => this.update() );
+  }
+
+  /**
+   * Get the bin counts for the protein levels of the visible cells.
+   * @param {function(Cell):number} getProteinLevel
+   * @returns {Array.<number>}
+   * @private
+   */
+  getBinCounts( getProteinLevel ) {
+    const binWidth = Utils.roundSymmetric( this.binWidthProperty.value );
+    const binCounts = new Array( Math.ceil( MAX_PROTEIN_LEVEL / binWidth ) ).fill( 0 );
+    this.visibleCellList.forEach( cell => {
+      const binIndex = Math.min( Math.floor( getProteinLevel( cell ) / binWidth ), binCounts.length - 1 );
+      binCounts[ binIndex ]++;
+    } );
+    return binCounts;
+  }
+
+  /**
+   * Update the histogram to reflect the current protein levels.
+   * @public
+   */
+  update() {
+    const binWidth = Utils.roundSymmetric( this.binWidthProperty.value );
+    const binCounts = this.getBinCounts( cell => cell.proteinCount.get() );
+    const timeAveragedBinCounts = this.showTimeAveragesProperty.value ?
+                                  this.getBinCounts( this.getTimeAveragedProteinLevel ) :
+                                  [];
+    const maxBinCount = Math.max( ...binCounts, ...timeAveragedBinCounts );
+    const verticalScale = VERTICAL_SCALE_VALUES.find( value => value >= maxBinCount ) ||
+                          VERTICAL_SCALE_VALUES[ VERTICAL_SCALE_VALUES.length - 1 ];
+
+    const binCountToY = binCount => PLOT_HEIGHT - Math.min( binCount / verticalScale, 1 ) * PLOT_HEIGHT;
+    const binIndexToX = binIndex => Math.min( binIndex * binWidth / MAX_PROTEIN_LEVEL * PLOT_WIDTH, PLOT_WIDTH );
+
+    const barsShape = new Shape();
+    binCounts.forEach( ( binCount, binIndex ) => {
+      if ( binCount > 0 ) {
+        const minX = binIndexToX( binIndex );
+        const maxX = binIndexToX( binIndex + 1 );
+        const y = binCountToY( binCount );
+        barsShape.rect( minX, y, maxX - minX, PLOT_HEIGHT - y );
+      }
+    } );
+    this.barsNode.shape = barsShape;
+
+    // The time averages are shown as the outline of their bars, so that the bars for the current levels show through.
+    const timeAveragesShape = new Shape();
+    if ( timeAveragedBinCounts.length > 0 ) {
+      timeAveragesShape.moveTo( 0, PLOT_HEIGHT );
+      timeAveragedBinCounts.forEach( ( binCount, binIndex ) => {
+        const y = binCountToY( binCount );
+        timeAveragesShape.lineTo( binIndexToX( binIndex ), y ).lineTo( binIndexToX( binIndex + 1 ), y );
+      } );
+      timeAveragesShape.lineTo( PLOT_WIDTH, PLOT_HEIGHT );
+    }
+    this.timeAveragesNode.shape = timeAveragesShape;
+
+    this.yMaxLabel.text = verticalScale;
+    this.yMaxLabel.right = -5;
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.binWidthProperty.reset();
+    this.showTimeAveragesProperty.reset();
+    this.update();
+  }
+}
+
+geneExpressionEssentials.register( 'ProteinLevelHistogramNode', ProteinLevelHistogramNode );
+export default ProteinLevelHistogramNode;
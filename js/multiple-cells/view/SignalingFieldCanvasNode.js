@@ -0,0 +1,83 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Depicts the concentration of the signaling molecule in the medium around the cells as a glow that is brightest where
+ * the concentration is highest. It is rendered on canvas for performance, since the whole field changes on every step.
+ *
+ * @author agent
+ */
+
+import Bounds2 from '../../../../dot/js/Bounds2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import CanvasNode from '../../../../scenery/js/nodes/CanvasNode.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+// constants
+const MAX_OPACITY = 0.7;
+
+class SignalingFieldCanvasNode extends CanvasNode {
+
+  /**
+   * @param {SignalingField} signalingField
+   * @param {number} fullConcentration - concentration that is shown at full brightness
+   * @param {ModelViewTransform2} modelViewTransform
+   * @param {Object} [options]
+   */
+  constructor( signalingField, fullConcentration, modelViewTransform, options ) {
+    const gridSpacing = signalingField.gridSpacing;
+    const fieldBounds = new Bounds2(
+      signalingField.minX,
+      signalingField.minY,
+      signalingField.minX + ( signalingField.numberOfColumns - 1 ) * gridSpacing,
+      signalingField.minY + ( signalingField.numberOfRows - 1 ) * gridSpacing
+    ).dilated( gridSpacing / 2 );
+
+    super( merge( { canvasBounds: modelViewTransform.modelToViewBounds( fieldBounds ) }, options ) );
+
+    // @private
+    this.signalingField = signalingField;
+    this.fullConcentration = fullConcentration;
+    this.modelViewTransform = modelViewTransform;
+    this.viewGridSpacing = Math.abs( modelViewTransform.modelToViewDeltaX( gridSpacing ) );
+
+    this.invalidatePaint();
+  }
+
+  /**
+   * @param {CanvasRenderingContext2D} context
+   * @protected
+   * @override
+   */
+  paintCanvas( context ) {
+    const signalingField = this.signalingField;
+    for ( let row = 0; row < signalingField.numberOfRows; row++ ) {
+      for ( let column = 0; column < signalingField.numberOfColumns; column++ ) {
+        const concentration = signalingField.concentrations[ row * signalingField.numberOfColumns + column ];
+        if ( concentration > 0 ) {
+          const opacity = MAX_OPACITY * Utils.clamp( concentration / this.fullConcentration, 0, 1 );
+          const viewX = this.modelViewTransform.modelToViewX( signalingField.minX + column * signalingField.gridSpacing );
+          const viewY = this.modelViewTransform.modelToViewY( signalingField.minY + row * signalingField.gridSpacing );
+          context.fillStyle = `rgba( 255, 190, 60, ${Utils.toFixed( opacity, 3 )} )`;
+          context.fillRect(
+            viewX - this.viewGridSpacing / 2,
+            viewY - this.viewGridSpacing / 2,
+            this.viewGridSpacing,
+            this.viewGridSpacing
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Repaint the field, which should be done whenever it changes.
+   * @public
+   */
+  update() {
+    this.invalidatePaint();
+  }
+}
+
+geneExpressionEssentials.register( 'SignalingFieldCanvasNode', SignalingFieldCanvasNode );
+export default SignalingFieldCanvasNode;